@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import { useIntl } from 'react-intl';
+import {
+  Modal,
+  Box,
+  Flex,
+  Typography,
+  TextInput,
+  NumberInput,
+  Textarea,
+  Alert,
+} from '@strapi/design-system';
+import { Cross, Search } from '@strapi/icons';
+import { useFetchClient, useNotification } from '@strapi/strapi/admin';
+import pluginId from '../pluginId';
+import { getTranslation } from '../utils/getTranslation';
+import { TertiaryButton, DangerButton, SecondaryButton } from './StyledButtons';
+
+const EMPTY_CRITERIA = { country: '', ip: '', role: '', olderThanHours: undefined };
+
+/**
+ * Terminates all active sessions matching a country, IP range, role or age.
+ * The admin has to preview the number of matching sessions (dry run) and
+ * give a reason before the termination button is enabled.
+ */
+const BulkTerminateModal = ({ onClose, onTerminated }) => {
+  const { formatMessage } = useIntl();
+  const { post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const t = (id, defaultMessage, values) => formatMessage({ id: getTranslation(id), defaultMessage }, values);
+
+  const [criteria, setCriteria] = useState(EMPTY_CRITERIA);
+  const [note, setNote] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (key, value) => {
+    setCriteria((current) => ({ ...current, [key]: value }));
+    // A preview only holds for the criteria it was made with.
+    setPreview(null);
+  };
+
+  const errorMessage = (err, fallback) => err?.response?.data?.error?.message || fallback;
+
+  const handlePreview = async () => {
+    setLoading(true);
+    try {
+      const { data } = await post(`/${pluginId}/sessions/bulk-terminate`, { criteria, dryRun: true });
+      setPreview(data);
+    } catch (err) {
+      console.error('[BulkTerminateModal] Preview error:', err);
+      toggleNotification({
+        type: 'danger',
+        message: errorMessage(err, t('bulkTerminate.error.preview', 'Failed to preview matching sessions')),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTerminate = async () => {
+    if (!confirm(t('bulkTerminate.confirm', 'Terminate {count} active sessions?\n\nAffected users are logged out immediately.', { count: preview.matchedCount }))) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { data } = await post(`/${pluginId}/sessions/bulk-terminate`, { criteria, note });
+      toggleNotification({
+        type: 'success',
+        message: t('bulkTerminate.success', '{count} sessions terminated', { count: data.terminatedCount }),
+      });
+      onTerminated();
+      onClose();
+    } catch (err) {
+      console.error('[BulkTerminateModal] Terminate error:', err);
+      toggleNotification({
+        type: 'danger',
+        message: errorMessage(err, t('bulkTerminate.error.terminate', 'Failed to terminate sessions')),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const hasCriteria = !!(criteria.country || criteria.ip || criteria.role || criteria.olderThanHours);
+  const canTerminate = preview && preview.matchedCount > 0 && note.trim().length > 0 && !loading;
+
+  return (
+    <Modal.Root open onOpenChange={onClose}>
+      <Modal.Content style={{ maxWidth: '640px' }}>
+        <Modal.Header>
+          <Modal.Title>{t('bulkTerminate.title', 'Bulk Terminate Sessions')}</Modal.Title>
+        </Modal.Header>
+
+        <Modal.Body>
+          <Flex direction="column" alignItems="stretch" gap={4}>
+            <Typography variant="omega" textColor="neutral600">
+              {t('bulkTerminate.description', 'Every active session matching ALL of the criteria below is terminated.')}
+            </Typography>
+
+            <Flex gap={4}>
+              <Box style={{ flex: 1 }}>
+                <TextInput
+                  label={t('bulkTerminate.country', 'Country code')}
+                  placeholder="BR"
+                  maxLength={2}
+                  value={criteria.country}
+                  onChange={(e) => handleChange('country', e.target.value.toUpperCase())}
+                />
+              </Box>
+              <Box style={{ flex: 2 }}>
+                <TextInput
+                  label={t('bulkTerminate.ip', 'IP address or CIDR range')}
+                  placeholder="203.0.113.0/24"
+                  value={criteria.ip}
+                  onChange={(e) => handleChange('ip', e.target.value.trim())}
+                />
+              </Box>
+            </Flex>
+
+            <Flex gap={4}>
+              <Box style={{ flex: 1 }}>
+                <TextInput
+                  label={t('bulkTerminate.role', 'Role type')}
+                  placeholder="authenticated"
+                  value={criteria.role}
+                  onChange={(e) => handleChange('role', e.target.value.trim())}
+                />
+              </Box>
+              <Box style={{ flex: 1 }}>
+                <NumberInput
+                  label={t('bulkTerminate.olderThanHours', 'Logged in more than (hours) ago')}
+                  value={criteria.olderThanHours}
+                  onValueChange={(value) => handleChange('olderThanHours', value)}
+                  min={1}
+                />
+              </Box>
+            </Flex>
+
+            <Textarea
+              name="bulkTerminationNote"
+              placeholder={t('bulkTerminate.notePlaceholder', 'Reason (required), e.g. incident ticket')}
+              value={note}
+              maxLength={500}
+              onChange={(e) => setNote(e.target.value)}
+            />
+
+            {preview && (
+              <Alert
+                variant={preview.matchedCount > 0 ? 'danger' : 'default'}
+                closeLabel={t('bulkTerminate.close', 'Close')}
+                onClose={() => setPreview(null)}
+              >
+                {t('bulkTerminate.preview', '{count} active sessions match these criteria.', { count: preview.matchedCount })}
+              </Alert>
+            )}
+          </Flex>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Flex justifyContent="space-between" style={{ width: '100%' }}>
+            <TertiaryButton onClick={onClose}>
+              {t('bulkTerminate.cancel', 'Cancel')}
+            </TertiaryButton>
+            <Flex gap={2}>
+              <SecondaryButton
+                onClick={handlePreview}
+                disabled={!hasCriteria || loading}
+                startIcon={<Search />}
+              >
+                {t('bulkTerminate.previewButton', 'Preview')}
+              </SecondaryButton>
+              <DangerButton
+                onClick={handleTerminate}
+                disabled={!canTerminate}
+                loading={loading}
+                startIcon={<Cross />}
+              >
+                {preview
+                  ? t('bulkTerminate.terminateCount', 'Terminate {count} sessions', { count: preview.matchedCount })
+                  : t('bulkTerminate.terminate', 'Terminate')}
+              </DangerButton>
+            </Flex>
+          </Flex>
+        </Modal.Footer>
+      </Modal.Content>
+    </Modal.Root>
+  );
+};
+
+export default BulkTerminateModal;
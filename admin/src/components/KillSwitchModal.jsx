@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { useIntl } from 'react-intl';
+import {
+  Modal,
+  Box,
+  Flex,
+  Typography,
+  TextInput,
+  Textarea,
+  Alert,
+} from '@strapi/design-system';
+import { WarningCircle, Search } from '@strapi/icons';
+import { useFetchClient, useNotification } from '@strapi/strapi/admin';
+import pluginId from '../pluginId';
+import { getTranslation } from '../utils/getTranslation';
+import { TertiaryButton, DangerButton, SecondaryButton } from './StyledButtons';
+
+// Must match KILL_SWITCH_CONFIRMATION in server/src/controllers/session.js
+const CONFIRMATION_PHRASE = 'TERMINATE ALL SESSIONS';
+
+const toList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Emergency kill switch: terminates every active session, except those of
+ * exempted roles or users. Requires a reason and the typed confirmation
+ * phrase.
+ */
+const KillSwitchModal = ({ onClose, onTerminated }) => {
+  const { formatMessage } = useIntl();
+  const { post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const t = (id, defaultMessage, values) => formatMessage({ id: getTranslation(id), defaultMessage }, values);
+
+  const [exemptRoles, setExemptRoles] = useState('');
+  const [exemptUserIds, setExemptUserIds] = useState('');
+  const [note, setNote] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const exemptions = () => ({ exemptRoles: toList(exemptRoles), exemptUserIds: toList(exemptUserIds) });
+  const errorMessage = (err, fallback) => err?.response?.data?.error?.message || fallback;
+
+  const handlePreview = async () => {
+    setLoading(true);
+    try {
+      const { data } = await post(`/${pluginId}/sessions/kill-switch`, { ...exemptions(), dryRun: true });
+      setPreview(data);
+    } catch (err) {
+      console.error('[KillSwitchModal] Preview error:', err);
+      toggleNotification({
+        type: 'danger',
+        message: errorMessage(err, t('killSwitch.error.preview', 'Failed to count active sessions')),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTerminate = async () => {
+    setLoading(true);
+    try {
+      const { data } = await post(`/${pluginId}/sessions/kill-switch`, { ...exemptions(), note, confirmation });
+      toggleNotification({
+        type: 'warning',
+        message: t('killSwitch.success', 'Kill switch pulled: {count} sessions terminated', { count: data.terminatedCount }),
+      });
+      onTerminated();
+      onClose();
+    } catch (err) {
+      console.error('[KillSwitchModal] Terminate error:', err);
+      toggleNotification({
+        type: 'danger',
+        message: errorMessage(err, t('killSwitch.error.terminate', 'Failed to terminate all sessions')),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canTerminate = confirmation === CONFIRMATION_PHRASE && note.trim().length > 0 && !loading;
+
+  return (
+    <Modal.Root open onOpenChange={onClose}>
+      <Modal.Content style={{ maxWidth: '640px' }}>
+        <Modal.Header>
+          <Modal.Title>{t('killSwitch.title', 'Emergency: Terminate All Sessions')}</Modal.Title>
+        </Modal.Header>
+
+        <Modal.Body>
+          <Flex direction="column" alignItems="stretch" gap={4}>
+            <Alert variant="danger" title={t('killSwitch.warningTitle', 'This logs out every user')}>
+              {t('killSwitch.warning', 'Use it after a leaked JWT secret or a compromise. Every active session is ended at once; the action is logged and announced on the configured webhooks.')}
+            </Alert>
+
+            <TextInput
+              label={t('killSwitch.exemptRoles', 'Exempt role types (comma-separated)')}
+              placeholder="admin-api, support"
+              value={exemptRoles}
+              onChange={(e) => { setExemptRoles(e.target.value); setPreview(null); }}
+            />
+            <TextInput
+              label={t('killSwitch.exemptUsers', 'Exempt user documentIds (comma-separated)')}
+              value={exemptUserIds}
+              onChange={(e) => { setExemptUserIds(e.target.value); setPreview(null); }}
+            />
+
+            <Flex gap={3} alignItems="center">
+              <SecondaryButton onClick={handlePreview} disabled={loading} startIcon={<Search />}>
+                {t('killSwitch.previewButton', 'Count affected sessions')}
+              </SecondaryButton>
+              {preview && (
+                <Typography variant="omega" fontWeight="bold" textColor="danger600">
+                  {t('killSwitch.preview', '{count} active sessions will be terminated', { count: preview.matchedCount })}
+                </Typography>
+              )}
+            </Flex>
+
+            <Textarea
+              name="killSwitchNote"
+              placeholder={t('killSwitch.notePlaceholder', 'Reason (required), e.g. JWT secret rotated after INC-4713')}
+              value={note}
+              maxLength={500}
+              onChange={(e) => setNote(e.target.value)}
+            />
+
+            <Box>
+              <TextInput
+                label={t('killSwitch.confirmation', 'Type {phrase} to confirm', { phrase: CONFIRMATION_PHRASE })}
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+              />
+            </Box>
+          </Flex>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <Flex justifyContent="space-between" style={{ width: '100%' }}>
+            <TertiaryButton onClick={onClose}>
+              {t('killSwitch.cancel', 'Cancel')}
+            </TertiaryButton>
+            <DangerButton
+              onClick={handleTerminate}
+              disabled={!canTerminate}
+              loading={loading}
+              startIcon={<WarningCircle />}
+            >
+              {t('killSwitch.terminate', 'Terminate All Sessions')}
+            </DangerButton>
+          </Flex>
+        </Modal.Footer>
+      </Modal.Content>
+    </Modal.Root>
+  );
+};
+
+export default KillSwitchModal;
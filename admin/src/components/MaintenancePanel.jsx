@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useIntl } from 'react-intl';
+import { Box, Flex, Typography, Badge, Loader } from '@strapi/design-system';
+import { useFetchClient, useNotification } from '@strapi/strapi/admin';
+import pluginId from '../pluginId';
+import { getTranslation } from '../utils/getTranslation';
+import { SecondaryButton, TertiaryButton } from './StyledButtons';
+
+const JOB_LABELS = {
+  'idle-cleanup': ['maintenance.job.idleCleanup', 'Idle session cleanup'],
+  retention: ['maintenance.job.retention', 'Retention purge'],
+  anonymization: ['maintenance.job.anonymization', 'Anonymization'],
+  'geoip-refresh': ['maintenance.job.geoipRefresh', 'GeoIP database refresh'],
+};
+
+const STATUS_COLORS = {
+  success: ['success100', 'success700'],
+  failed: ['danger100', 'danger700'],
+  running: ['primary100', 'primary700'],
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+/**
+ * Settings → Maintenance: last run of every background job, when it runs
+ * next, and "Run now" buttons. Runs started here execute on the instance
+ * serving the request, whether or not it holds the job lease.
+ */
+const MaintenancePanel = () => {
+  const { formatMessage } = useIntl();
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const t = (id, defaultMessage, values) => formatMessage({ id: getTranslation(id), defaultMessage }, values);
+
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [runningJob, setRunningJob] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const { data } = await get(`/${pluginId}/jobs`);
+      setOverview(data.data);
+    } catch (err) {
+      console.error('[MaintenancePanel] Error loading job runs:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [get]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const handleRun = async (job) => {
+    if (job === 'retention' && !confirm(t('maintenance.confirm.retention', 'Permanently delete inactive sessions and archived sessions past their retention period now?'))) {
+      return;
+    }
+
+    setRunningJob(job);
+    try {
+      const { data } = await post(`/${pluginId}/jobs/${job}/run`, {});
+      const run = data.data;
+      toggleNotification({
+        type: run.status === 'success' ? 'success' : 'danger',
+        message: run.status === 'success'
+          ? t('maintenance.run.success', '{job} finished: {rows} rows affected', { job: t(...JOB_LABELS[job]), rows: run.rowsAffected ?? 0 })
+          : t('maintenance.run.failed', '{job} failed: {error}', { job: t(...JOB_LABELS[job]), error: run.error }),
+      });
+    } catch (err) {
+      toggleNotification({
+        type: 'danger',
+        message: err?.response?.data?.error?.message || t('maintenance.run.error', 'Could not start the job'),
+      });
+    } finally {
+      setRunningJob(null);
+      await fetchJobs();
+    }
+  };
+
+  if (loading) {
+    return <Loader small>{t('maintenance.loading', 'Loading job runs...')}</Loader>;
+  }
+
+  if (!overview) {
+    return (
+      <Typography variant="omega" textColor="danger600">
+        {t('maintenance.loadError', 'Could not load the job runs.')}
+      </Typography>
+    );
+  }
+
+  const { lease, jobs } = overview;
+
+  return (
+    <Flex direction="column" alignItems="stretch" gap={4}>
+      <Flex justifyContent="space-between" alignItems="center">
+        <Typography variant="pi" textColor="neutral600">
+          {lease?.holder
+            ? t('maintenance.lease', 'Scheduled jobs run on {holder}. This admin is served by {nodeId}.', { holder: lease.holder, nodeId: lease.nodeId })
+            : t('maintenance.noLease', 'No instance holds the job lease right now.')}
+        </Typography>
+        <TertiaryButton size="S" onClick={fetchJobs}>
+          {t('maintenance.refresh', 'Refresh')}
+        </TertiaryButton>
+      </Flex>
+
+      {jobs.map(({ job, running, nextRunAt, lastRun }) => {
+        const status = running ? 'running' : lastRun?.status;
+        const [background, textColor] = STATUS_COLORS[status] || ['neutral150', 'neutral700'];
+        return (
+          <Box key={job} padding={4} background="neutral100" hasRadius>
+            <Flex justifyContent="space-between" alignItems="flex-start" gap={4}>
+              <Flex direction="column" alignItems="flex-start" gap={1}>
+                <Flex gap={2} alignItems="center">
+                  <Typography variant="delta">{t(...JOB_LABELS[job])}</Typography>
+                  <Badge backgroundColor={background} textColor={textColor}>
+                    {status
+                      ? t(`maintenance.status.${status}`, status)
+                      : t('maintenance.status.never', 'never run')}
+                  </Badge>
+                </Flex>
+                {lastRun && (
+                  <Typography variant="pi" textColor="neutral600">
+                    {t('maintenance.lastRun', 'Last run {started} ({trigger}) · {duration} · {rows} rows', {
+                      started: formatTime(lastRun.startedAt),
+                      trigger: lastRun.trigger,
+                      duration: formatDuration(lastRun.durationMs),
+                      rows: lastRun.rowsAffected ?? 0,
+                    })}
+                  </Typography>
+                )}
+                {lastRun?.error && (
+                  <Typography variant="pi" textColor="danger600">
+                    {lastRun.error}
+                  </Typography>
+                )}
+                <Typography variant="pi" textColor="neutral600">
+                  {t('maintenance.nextRun', 'Next scheduled run: {next}', {
+                    next: nextRunAt ? formatTime(nextRunAt) : t('maintenance.manualOnly', 'manual only'),
+                  })}
+                </Typography>
+              </Flex>
+              <SecondaryButton
+                size="S"
+                onClick={() => handleRun(job)}
+                loading={runningJob === job}
+                disabled={running || runningJob !== null}
+              >
+                {t('maintenance.runNow', 'Run now')}
+              </SecondaryButton>
+            </Flex>
+          </Box>
+        );
+      })}
+    </Flex>
+  );
+};
+
+export default MaintenancePanel;
@@ -7,6 +7,7 @@ import {
   Flex,
   Typography,
   Divider,
+  Textarea,
 } from '@strapi/design-system';
 import {
   Monitor,
@@ -20,7 +21,7 @@ import {
   Shield,
 } from '@strapi/icons';
 import { useFetchClient, useNotification } from '@strapi/strapi/admin';
-import parseUserAgent from '../utils/parseUserAgent';
+import { sessionClientInfo } from '../utils/parseUserAgent';
 import pluginId from '../pluginId';
 import { getTranslation } from '../utils/getTranslation';
 import {
@@ -133,6 +134,7 @@ const SessionDetailModal = ({ session, onClose, onSessionTerminated }) => {
   const { get, post } = useFetchClient();
   const { toggleNotification } = useNotification();
   const [terminating, setTerminating] = useState(false);
+  const [terminationNote, setTerminationNote] = useState('');
   const [showUserAgent, setShowUserAgent] = useState(false);
   const [geoData, setGeoData] = useState(null);
   const [geoLoading, setGeoLoading] = useState(false);
@@ -197,7 +199,7 @@ const SessionDetailModal = ({ session, onClose, onSessionTerminated }) => {
 
   if (!session) return null;
 
-  const deviceInfo = parseUserAgent(session.userAgent);
+  const deviceInfo = sessionClientInfo(session);
   const isOnline = session.isTrulyActive;
 
   // Use real data if available, otherwise fallback
@@ -220,6 +222,12 @@ const SessionDetailModal = ({ session, onClose, onSessionTerminated }) => {
 
   const DeviceIcon = getDeviceIcon(deviceInfo.device);
 
+  const terminatedBy = session.terminatedBy && typeof session.terminatedBy === 'object'
+    ? session.terminatedBy
+    : null;
+  const showTerminationDetails = !session.isActive &&
+    !!(session.terminationReason || terminatedBy || session.terminationNote);
+
   const handleTerminate = async () => {
     if (!confirm(t('modal.confirm.terminate', 'Are you sure you want to terminate this session?'))) {
       return;
@@ -227,7 +235,8 @@ const SessionDetailModal = ({ session, onClose, onSessionTerminated }) => {
 
     setTerminating(true);
     try {
-      await post(`/${pluginId}/sessions/${session.id}/terminate`);
+      const note = terminationNote.trim();
+      await post(`/${pluginId}/sessions/${session.id}/terminate`, note ? { note } : {});
 
       toggleNotification({
         type: 'success',
@@ -441,6 +450,57 @@ const SessionDetailModal = ({ session, onClose, onSessionTerminated }) => {
               )}
             </Section>
 
+            {/* Termination: who ended the session and why, or the note for ending it now */}
+            {showTerminationDetails && (
+              <Section>
+                <SectionTitle>
+                  {t('modal.section.termination', 'Termination')}
+                </SectionTitle>
+
+                <TwoColumnGrid>
+                  <Box>
+                    <DetailRow
+                      compact
+                      icon={Cross}
+                      label={t('modal.termination.reason', 'Reason')}
+                      value={session.terminationReason || t('modal.user.na', 'N/A')}
+                    />
+                    <DetailRow
+                      compact
+                      icon={Shield}
+                      label={t('modal.termination.by', 'Terminated By')}
+                      value={terminatedBy
+                        ? `${terminatedBy.email || t('modal.termination.unknownAdmin', 'Unknown admin')}${terminatedBy.id ? ` (#${terminatedBy.id})` : ''}`
+                        : t('modal.termination.system', 'User or system')}
+                    />
+                  </Box>
+                  <Box>
+                    <DetailRow
+                      compact
+                      icon={Information}
+                      label={t('modal.termination.note', 'Note')}
+                      value={session.terminationNote || t('modal.termination.noNote', 'No note given')}
+                    />
+                  </Box>
+                </TwoColumnGrid>
+              </Section>
+            )}
+
+            {session.isActive && (
+              <Section>
+                <SectionTitle>
+                  {t('modal.section.termination', 'Termination')}
+                </SectionTitle>
+                <Textarea
+                  name="terminationNote"
+                  placeholder={t('modal.termination.notePlaceholder', 'Optional note, e.g. incident ticket or reason for terminating')}
+                  value={terminationNote}
+                  maxLength={500}
+                  onChange={(e) => setTerminationNote(e.target.value)}
+                />
+              </Section>
+            )}
+
             {/* User Agent - Collapsible */}
             <Section>
               <Flex justifyContent="space-between" alignItems="center" style={{ marginBottom: '12px' }}>
@@ -475,6 +535,32 @@ const SessionDetailModal = ({ session, onClose, onSessionTerminated }) => {
                   </Typography>
                 </Box>
               )}
+
+              {showUserAgent && session.metadata && Object.keys(session.metadata).length > 0 && (
+                <Box marginTop={3}>
+                  <Typography variant="pi" fontWeight="bold" textColor="neutral700">
+                    {t('modal.technical.metadata', 'Session Metadata')}
+                  </Typography>
+                  <Box
+                    padding={3}
+                    background="neutral100"
+                    hasRadius
+                    style={{
+                      fontFamily: 'monospace',
+                      fontSize: '10px',
+                      whiteSpace: 'pre-wrap',
+                      wordBreak: 'break-all',
+                      maxHeight: '160px',
+                      overflow: 'auto',
+                      marginTop: '8px',
+                    }}
+                  >
+                    <Typography variant="pi" textColor="neutral600" style={{ lineHeight: '1.6' }}>
+                      {JSON.stringify(session.metadata, null, 2)}
+                    </Typography>
+                  </Box>
+                </Box>
+              )}
             </Section>
           </Box>
         </Modal.Body>
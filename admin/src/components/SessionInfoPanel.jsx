@@ -4,7 +4,7 @@ import styled from 'styled-components';
 import { Box, Typography, Flex, Badge, Divider } from '@strapi/design-system';
 import { Check, Cross, Monitor, Phone, Server, Clock, User } from '@strapi/icons';
 import { useFetchClient, useNotification } from '@strapi/strapi/admin';
-import parseUserAgent from '../utils/parseUserAgent';
+import { sessionClientInfo } from '../utils/parseUserAgent';
 import { getTranslation } from '../utils/getTranslation';
 
 // ================ STYLED COMPONENTS ================
@@ -203,6 +203,39 @@ const SessionInfoPanel = ({ documentId, model, document }) => {
     }
   };
 
+  /**
+   * Erases the user's whole session history (right to erasure)
+   */
+  const handleEraseHistory = async () => {
+    if (!userId) return;
+    if (!confirm(t('panel.confirm.erase', '[WARNING] This permanently deletes every session of this user, including active ones, with their events, archived copies and devices.\n\nThis action cannot be undone.\n\nAre you sure?'))) {
+      return;
+    }
+
+    setActionLoading(true);
+    try {
+      const response = await postRequest(`/magic-sessionmanager/user/${userId}/erase`);
+
+      if (response.data?.success) {
+        toggleNotification({
+          type: 'success',
+          message: t('notifications.success.erased', 'Session history erased ({count} sessions)', {
+            count: response.data.erased?.sessions ?? 0,
+          }),
+        });
+        setSessions([]);
+      }
+    } catch (error) {
+      toggleNotification({
+        type: 'warning',
+        message: t('notifications.error.erase', 'Failed to erase session history'),
+      });
+      console.error('[SessionInfoPanel] Erase history error:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   /**
    * Handles toggling user block status
    */
@@ -315,7 +348,7 @@ const SessionInfoPanel = ({ documentId, model, document }) => {
               </SectionLabel>
               
               {sessions.slice(0, 5).map((session) => {
-                const deviceInfo = parseUserAgent(session.userAgent);
+                const deviceInfo = sessionClientInfo(session);
                 const DeviceIcon = getDeviceIcon(deviceInfo.device);
                 
                 return (
@@ -326,7 +359,7 @@ const SessionInfoPanel = ({ documentId, model, document }) => {
                           <DeviceIcon />
                         </IconWrapper>
                         <Typography variant="omega" fontWeight="bold" textColor="neutral800">
-                          {deviceInfo.device}
+                          {session.label || deviceInfo.device}
                         </Typography>
                       </Flex>
                       
@@ -335,7 +368,9 @@ const SessionInfoPanel = ({ documentId, model, document }) => {
                       </Badge>
                       
                       <Typography variant="pi" textColor="neutral600">
-                        {deviceInfo.browser} on {deviceInfo.os}
+                        {session.label
+                          ? `${deviceInfo.device} · ${deviceInfo.browser} on ${deviceInfo.os}`
+                          : `${deviceInfo.browser} on ${deviceInfo.os}`}
                       </Typography>
                       
                       <Divider />
@@ -424,6 +459,16 @@ const SessionInfoPanel = ({ documentId, model, document }) => {
                 : t('panel.actions.blockUser', 'Block User')
               }
             </ActionButton>
+
+            <ActionButton
+              $variant="danger"
+              onClick={handleEraseHistory}
+              disabled={actionLoading}
+              type="button"
+            >
+              <Cross />
+              {t('panel.actions.eraseHistory', 'Erase Session History')}
+            </ActionButton>
           </Flex>
         </Flex>
       </PanelContainer>
@@ -58,6 +58,16 @@ export default {
           Component: () => import('./pages/Analytics'),
           permissions: pluginPermissions,
         },
+        {
+          intlLabel: {
+            id: `${pluginId}.settings.archive`,
+            defaultMessage: 'Archive',
+          },
+          id: 'archive',
+          to: `${pluginId}/archive`,
+          Component: () => import('./pages/Archive'),
+          permissions: pluginPermissions,
+        },
         {
           intlLabel: {
             id: `${pluginId}.settings.license`,
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useFetchClient } from '@strapi/strapi/admin';
+import { useFetchClient, useNotification } from '@strapi/strapi/admin';
 import styled, { keyframes, css } from 'styled-components';
 import {
   Box,
@@ -7,14 +7,17 @@ import {
   Flex,
   Loader,
   Badge,
+  Button,
 } from '@strapi/design-system';
 import { 
   ChartBubble,
   User,
   Monitor,
   Clock,
+  Download,
 } from '@strapi/icons';
 import pluginId from '../pluginId';
+import downloadSessionExport from '../utils/downloadSessionExport';
 import { computeSessionAnalytics } from '../utils/sessionAnalytics.mjs';
 
 // ================ THEME ================
@@ -320,8 +323,10 @@ const LoadingOverlay = styled.div`
 
 const AnalyticsPage = () => {
   const { get } = useFetchClient();
+  const { toggleNotification } = useNotification();
   const [loading, setLoading] = useState(true);
   const [analytics, setAnalytics] = useState(null);
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchAnalytics();
@@ -340,6 +345,18 @@ const AnalyticsPage = () => {
     }
   };
 
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      await downloadSessionExport(get, format);
+    } catch (err) {
+      console.error('[Analytics] Export error:', err);
+      toggleNotification({ type: 'danger', message: 'Failed to export sessions' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
   // Loading analytics data
   if (loading) {
     return (
@@ -376,13 +393,35 @@ const AnalyticsPage = () => {
     <Container>
       {/* Gradient Header */}
       <Header>
-        <HeaderContent direction="column" alignItems="flex-start" gap={2}>
-          <Title>
-            <ChartBubble /> Session Analytics
-          </Title>
-          <Subtitle>
-            Comprehensive insights and statistics about user sessions
-          </Subtitle>
+        <HeaderContent justifyContent="space-between" alignItems="flex-start" gap={4}>
+          <Flex direction="column" alignItems="flex-start" gap={2}>
+            <Title>
+              <ChartBubble /> Session Analytics
+            </Title>
+            <Subtitle>
+              Comprehensive insights and statistics about user sessions
+            </Subtitle>
+          </Flex>
+          <Flex gap={2}>
+            {['csv', 'ndjson'].map((format) => (
+              <Button
+                key={format}
+                onClick={() => handleExport(format)}
+                loading={exporting}
+                startIcon={<Download />}
+                size="M"
+                variant="secondary"
+                style={{
+                  backgroundColor: 'rgba(255,255,255,0.2)',
+                  color: 'white',
+                  border: '1px solid rgba(255,255,255,0.3)',
+                  fontWeight: '600',
+                }}
+              >
+                Export {format.toUpperCase()}
+              </Button>
+            ))}
+          </Flex>
         </HeaderContent>
       </Header>
 
@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react';
+import { useIntl } from 'react-intl';
+import { useFetchClient, useNotification } from '@strapi/strapi/admin';
+import {
+  Box,
+  Button,
+  Flex,
+  Typography,
+  Loader,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Td,
+  Th,
+  Badge,
+  TextInput,
+} from '@strapi/design-system';
+import { Search } from '@strapi/icons';
+import pluginId from '../pluginId';
+import { getTranslation } from '../utils/getTranslation';
+import { theme } from '../utils/theme';
+
+const PAGE_SIZE = 25;
+const EMPTY_PAGINATION = { page: 1, pageCount: 0, total: 0 };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * Search over sessions the retention job moved to the archive (table or
+ * NDJSON files, depending on `archiveMode`).
+ */
+const Archive = () => {
+  const { formatMessage } = useIntl();
+  const { get } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const t = (id, defaultMessage, values) => formatMessage({ id: getTranslation(id), defaultMessage }, values);
+
+  const [query, setQuery] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [search, setSearch] = useState({ q: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+  const [records, setRecords] = useState([]);
+  const [pagination, setPagination] = useState(EMPTY_PAGINATION);
+  const [source, setSource] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchArchive();
+  }, [search, page]);
+
+  const fetchArchive = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      if (search.q) params.set('q', search.q);
+      if (search.from) params.set('from', new Date(`${search.from}T00:00:00`).toISOString());
+      if (search.to) params.set('to', new Date(`${search.to}T23:59:59.999`).toISOString());
+
+      const { data } = await get(`/${pluginId}/archive/search?${params.toString()}`);
+      setRecords(data.data || []);
+      setPagination(data.meta?.pagination || EMPTY_PAGINATION);
+      setSource(data.meta?.source || null);
+    } catch (err) {
+      console.error('[SessionManager] Error searching archive:', err);
+      toggleNotification({
+        type: err?.response?.status === 400 ? 'warning' : 'danger',
+        message: err?.response?.data?.error?.message || t('archive.error', 'Failed to search the session archive'),
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setPage(1);
+    setSearch({ q: query.trim(), from, to });
+  };
+
+  return (
+    <Box padding={8}>
+      <Flex justifyContent="space-between" alignItems="center" style={{ marginBottom: theme.spacing.lg }}>
+        <Box>
+          <Typography variant="alpha" tag="h1">
+            {t('archive.title', 'Session Archive')}
+          </Typography>
+          <Typography variant="epsilon" textColor="neutral600">
+            {t('archive.subtitle', 'Sessions copied here by the retention job before they were deleted')}
+          </Typography>
+        </Box>
+        {source && (
+          <Badge>
+            {source === 'file'
+              ? t('archive.source.file', 'NDJSON files')
+              : t('archive.source.table', 'Archive table')}
+          </Badge>
+        )}
+      </Flex>
+
+      <form onSubmit={handleSearch}>
+        <Flex gap={3} alignItems="flex-end" style={{ marginBottom: theme.spacing.md }}>
+          <Box style={{ flex: 2 }}>
+            <TextInput
+              label={t('archive.search', 'Search')}
+              placeholder={t('archive.searchPlaceholder', 'Email, username, IP, city, country or session ID')}
+              value={query}
+              maxLength={200}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+          </Box>
+          <Box style={{ flex: 1 }}>
+            <TextInput
+              type="date"
+              label={t('archive.from', 'Logged in from')}
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+            />
+          </Box>
+          <Box style={{ flex: 1 }}>
+            <TextInput
+              type="date"
+              label={t('archive.to', 'Logged in until')}
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+            />
+          </Box>
+          <Button type="submit" startIcon={<Search />} disabled={loading}>
+            {t('archive.searchButton', 'Search')}
+          </Button>
+        </Flex>
+      </form>
+
+      {source === 'file' && (
+        <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginBottom: theme.spacing.md }}>
+          {t('archive.fileHint', 'File archives are scanned on every search; narrow the search for large archives.')}
+        </Typography>
+      )}
+
+      {loading && records.length === 0 ? (
+        <Flex justifyContent="center" padding={8}>
+          <Loader>{t('archive.loading', 'Searching archive...')}</Loader>
+        </Flex>
+      ) : records.length === 0 ? (
+        <Box padding={8} background="neutral0" hasRadius>
+          <Typography textColor="neutral600">
+            {t('archive.empty', 'No archived sessions match this search.')}
+          </Typography>
+        </Box>
+      ) : (
+        <Table colCount={7} rowCount={records.length}>
+          <Thead>
+            <Tr>
+              <Th>{t('archive.table.user', 'User')}</Th>
+              <Th>{t('archive.table.ip', 'IP Address')}</Th>
+              <Th>{t('archive.table.location', 'Location')}</Th>
+              <Th>{t('archive.table.device', 'Device')}</Th>
+              <Th>{t('archive.table.loginTime', 'Login Time')}</Th>
+              <Th>{t('archive.table.ended', 'Ended')}</Th>
+              <Th>{t('archive.table.archivedAt', 'Archived')}</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {records.map((record) => (
+              <Tr key={`${record.sessionId}-${record.archivedAt}`}>
+                <Td>
+                  <Flex direction="column" alignItems="flex-start">
+                    <Typography fontWeight="semiBold" ellipsis>
+                      {record.username || record.userEmail || t('archive.user.unknown', 'Unknown')}
+                    </Typography>
+                    {record.userEmail && record.username && (
+                      <Typography variant="pi" textColor="neutral600" ellipsis>
+                        {record.userEmail}
+                      </Typography>
+                    )}
+                  </Flex>
+                </Td>
+                <Td>
+                  <Typography variant="omega" style={{ fontFamily: 'monospace' }}>
+                    {record.ipAddress || '-'}
+                  </Typography>
+                </Td>
+                <Td>
+                  <Typography variant="omega">
+                    {[record.city, record.countryCode].filter(Boolean).join(', ') || '-'}
+                  </Typography>
+                </Td>
+                <Td>
+                  <Typography variant="omega">
+                    {[record.browser, record.os].filter(Boolean).join(' / ') || '-'}
+                  </Typography>
+                </Td>
+                <Td>
+                  <Typography variant="omega">{formatDate(record.loginTime)}</Typography>
+                </Td>
+                <Td>
+                  <Flex direction="column" alignItems="flex-start">
+                    <Typography variant="omega">{formatDate(record.logoutTime || record.lastActive)}</Typography>
+                    {record.terminationReason && (
+                      <Typography variant="pi" textColor="neutral600">
+                        {record.terminationReason}
+                      </Typography>
+                    )}
+                  </Flex>
+                </Td>
+                <Td>
+                  <Typography variant="omega">{formatDate(record.archivedAt)}</Typography>
+                </Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      )}
+
+      {pagination.pageCount > 1 && (
+        <Flex justifyContent="space-between" alignItems="center" paddingTop={4}>
+          <Typography variant="pi" textColor="neutral600">
+            {t('archive.pagination', 'Page {page} of {pageCount} ({total} sessions)', pagination)}
+          </Typography>
+          <Flex gap={2}>
+            <Button
+              variant="tertiary"
+              size="S"
+              disabled={loading || page <= 1}
+              onClick={() => setPage((current) => Math.max(1, current - 1))}
+            >
+              {t('archive.previous', 'Previous')}
+            </Button>
+            <Button
+              variant="tertiary"
+              size="S"
+              disabled={loading || page >= pagination.pageCount}
+              onClick={() => setPage((current) => Math.min(pagination.pageCount, current + 1))}
+            >
+              {t('archive.next', 'Next')}
+            </Button>
+          </Flex>
+        </Flex>
+      )}
+    </Box>
+  );
+};
+
+export default Archive;
@@ -33,11 +33,15 @@ import {
   Search,
   Eye,
   Download,
+  WarningCircle,
 } from '@strapi/icons';
 import pluginId from '../pluginId';
-import parseUserAgent from '../utils/parseUserAgent';
+import { sessionClientInfo } from '../utils/parseUserAgent';
+import downloadSessionExport from '../utils/downloadSessionExport';
 import { getSessionStatus } from '../utils/sessionStatus.mjs';
 import SessionDetailModal from '../components/SessionDetailModal';
+import BulkTerminateModal from '../components/BulkTerminateModal';
+import KillSwitchModal from '../components/KillSwitchModal';
 import { 
   IconButtonPrimary, 
   IconButtonWarning, 
@@ -521,12 +525,32 @@ const HomePage = () => {
   const { toggleNotification } = useNotification();
   const t = (id, defaultMessage, values) => formatMessage({ id: getTranslation(id), defaultMessage }, values);
   const [sessions, setSessions] = useState([]);
+  const [counts, setCounts] = useState({ active: 0, idle: 0, loggedout: 0, terminated: 0, total: 0 });
+  const [pagination, setPagination] = useState({ page: 1, pageCount: 0, total: 0 });
   const [loading, setLoading] = useState(true);
   const [filterStatus, setFilterStatus] = useState('active'); // Default: Active Only
+  const [filterReason, setFilterReason] = useState('all');
+  const [filterDevice, setFilterDevice] = useState('all');
+  const [sortOrder, setSortOrder] = useState('loginTime:desc');
   const [entriesPerPage, setEntriesPerPage] = useState('25');
+  const [page, setPage] = useState(1);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [selectedSession, setSelectedSession] = useState(null);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [showBulkModal, setShowBulkModal] = useState(false);
+  const [showKillSwitch, setShowKillSwitch] = useState(false);
+
+  // Wait for the admin to stop typing before querying the server.
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
+  // Any filter change starts again on the first page.
+  useEffect(() => {
+    setPage(1);
+  }, [filterStatus, filterReason, filterDevice, sortOrder, entriesPerPage, debouncedSearch]);
 
   useEffect(() => {
     fetchSessions();
@@ -540,19 +564,40 @@ const HomePage = () => {
     }, 10 * 60 * 1000);
     
     return () => clearInterval(interval);
-  }, [showDetailModal]);
+  }, [showDetailModal, page, filterStatus, filterReason, filterDevice, sortOrder, entriesPerPage, debouncedSearch]);
 
-    const fetchSessions = async () => {
+  const buildQuery = () => {
+    const params = new URLSearchParams({ page: String(page), pageSize: entriesPerPage, sort: sortOrder });
+    if (filterStatus !== 'all') params.set('status', filterStatus);
+    if (filterReason !== 'all') params.set('terminationReason', filterReason);
+    if (filterDevice !== 'all') params.set('deviceType', filterDevice);
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    return params.toString();
+  };
+
+  // The status filter is left out: `counts.total` already ignores it.
+  const hasFilters = filterReason !== 'all' || filterDevice !== 'all' || !!debouncedSearch;
+
+  const fetchSessions = async () => {
     setLoading(true);
-      try {
-      const { data } = await get(`/${pluginId}/sessions`);
-        setSessions(data.data || []);
-      } catch (err) {
+    try {
+      const endpoint = debouncedSearch ? 'sessions/search' : 'sessions';
+      const { data } = await get(`/${pluginId}/${endpoint}?${buildQuery()}`);
+      setSessions(data.data || []);
+      setCounts(data.meta?.counts || { active: 0, idle: 0, loggedout: 0, terminated: 0, total: 0 });
+      setPagination(data.meta?.pagination || { page: 1, pageCount: 0, total: 0 });
+    } catch (err) {
       console.error('[SessionManager] Error fetching sessions:', err);
-      } finally {
-        setLoading(false);
+      if (debouncedSearch && err?.response?.status === 400) {
+        toggleNotification({
+          type: 'warning',
+          message: err.response.data?.error?.message || t('notifications.warning.invalidSearch', 'Invalid search'),
+        });
       }
-    };
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleTerminateSession = async (sessionId) => {
     if (!confirm(t('homepage.confirm.terminate', 'Are you sure you want to terminate this session?\n\nThis will set isActive to false (user will be logged out).'))) {
@@ -588,102 +633,13 @@ const HomePage = () => {
     }
   };
 
-  const handleExportCSV = () => {
-    try {
-      // CSV Header
-      const headers = ['ID', 'Status', 'User Email', 'Username', 'Device', 'Browser', 'OS', 'IP Address', 'Login Time', 'Last Active', 'Logout Time', 'Minutes Idle'];
-      const escapeCsvValue = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
-      
-      // CSV Rows
-      const rows = filteredSessions.map(session => {
-        const deviceInfo = parseUserAgent(session.userAgent);
-        const status = getSessionStatus(session);
-        
-        return [
-          session.id,
-          status,
-          session.user?.email || '',
-          session.user?.username || '',
-          deviceInfo.device,
-          deviceInfo.browser,
-          deviceInfo.os,
-          session.ipAddress,
-          new Date(session.loginTime).toISOString(),
-          new Date(session.lastActive || session.loginTime).toISOString(),
-          session.logoutTime ? new Date(session.logoutTime).toISOString() : '',
-          session.minutesSinceActive,
-        ];
-      });
-      
-      // Create CSV content
-      const csvContent = [
-        headers.map(escapeCsvValue).join(','),
-        ...rows.map(row => row.map(escapeCsvValue).join(','))
-      ].join('\n');
-      
-      // Download
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.download = `sessions-export-${new Date().toISOString().split('T')[0]}.csv`;
-      link.click();
-      
-      toggleNotification({
-        type: 'success',
-        message: t('notifications.success.exported', 'Exported {count} sessions to {format}', { count: filteredSessions.length, format: 'CSV' }),
-      });
-    } catch (err) {
-      console.error('[SessionManager] Export error:', err);
-      toggleNotification({
-        type: 'danger',
-        message: t('notifications.error.export', 'Failed to export sessions'),
-      });
-    }
-  };
-
-  const handleExportJSON = () => {
+  const handleExport = async (format) => {
     try {
-      const exportData = {
-        exportedAt: new Date().toISOString(),
-        filter: filterStatus,
-        totalSessions: sessions.length,
-        exportedSessions: filteredSessions.length,
-        sessions: filteredSessions.map(session => {
-          const deviceInfo = parseUserAgent(session.userAgent);
-          return {
-            id: session.id,
-            status: getSessionStatus(session),
-            user: {
-              id: session.user?.documentId || session.user?.id,
-              email: session.user?.email,
-              username: session.user?.username,
-            },
-            device: {
-              type: deviceInfo.device,
-              browser: deviceInfo.browser,
-              browserVersion: deviceInfo.browserVersion,
-              os: deviceInfo.os,
-            },
-            ipAddress: session.ipAddress,
-            loginTime: session.loginTime,
-            lastActive: session.lastActive,
-            logoutTime: session.logoutTime,
-            minutesSinceActive: session.minutesSinceActive,
-            isActive: session.isActive,
-            isTrulyActive: session.isTrulyActive,
-          };
-        }),
-      };
-      
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.download = `sessions-export-${new Date().toISOString().split('T')[0]}.json`;
-      link.click();
-      
+      const params = new URLSearchParams(buildQuery());
+      await downloadSessionExport(get, format, params);
       toggleNotification({
         type: 'success',
-        message: t('notifications.success.exported', 'Exported {count} sessions to {format}', { count: filteredSessions.length, format: 'JSON' }),
+        message: t('notifications.success.exportedAll', 'Exported {count} sessions to {format}', { count: pagination.total, format: format.toUpperCase() }),
       });
     } catch (err) {
       console.error('[SessionManager] Export error:', err);
@@ -700,11 +656,6 @@ const HomePage = () => {
     return Server;
   };
 
-  // Calculate stats based on new 4-status logic
-  const activeSessions = sessions.filter(s => s.isActive && s.isTrulyActive);
-  const idleSessions = sessions.filter(s => getSessionStatus(s) === 'idle');
-  const loggedOutSessions = sessions.filter(s => getSessionStatus(s) === 'loggedout');
-  const terminatedSessions = sessions.filter(s => getSessionStatus(s) === 'terminated');
 
   const handleSessionClick = (session) => {
     setSelectedSession(session);
@@ -720,33 +671,8 @@ const HomePage = () => {
     fetchSessions();
   };
 
-  // Filter sessions
-  const filteredSessions = sessions
-    .filter(session => {
-      // Filter by status
-      const sessionStatus = getSessionStatus(session);
-      if (filterStatus === 'active' && sessionStatus !== 'active') return false;
-      if (filterStatus === 'idle' && sessionStatus !== 'idle') return false;
-      if (filterStatus === 'loggedout' && sessionStatus !== 'loggedout') return false;
-      if (filterStatus === 'terminated' && sessionStatus !== 'terminated') return false;
-      
-      // Filter by search query
-      if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        const matchesUser = session.user?.email?.toLowerCase().includes(query) ||
-                           session.user?.username?.toLowerCase().includes(query);
-        const matchesIp = session.ipAddress?.toLowerCase().includes(query);
-        const deviceInfo = parseUserAgent(session.userAgent);
-        const matchesDevice = deviceInfo.device?.toLowerCase().includes(query) ||
-                             deviceInfo.browser?.toLowerCase().includes(query) ||
-                             deviceInfo.os?.toLowerCase().includes(query);
-        
-        return matchesUser || matchesIp || matchesDevice;
-  }
-      
-      return true;
-    })
-    .slice(0, parseInt(entriesPerPage));
+  // The server already applied status, search, paging and sorting.
+  const filteredSessions = sessions;
 
   return (
     <Container padding={8}>
@@ -762,38 +688,63 @@ const HomePage = () => {
             </Subtitle>
           </Flex>
       
-          {filteredSessions.length > 0 && (
-            <Flex gap={2}>
-              <Button
-                onClick={handleExportCSV}
-                startIcon={<Download />}
-                size="M"
-                variant="secondary"
-                style={{
-                  backgroundColor: 'rgba(255,255,255,0.2)',
-                  color: 'white',
-                  border: '1px solid rgba(255,255,255,0.3)',
-                  fontWeight: '600',
-                }}
-              >
-                {t('homepage.export.csv', 'Export CSV')}
-              </Button>
-              <Button
-                onClick={handleExportJSON}
-                startIcon={<Download />}
-                size="M"
-                variant="secondary"
-                style={{
-                  backgroundColor: 'rgba(255,255,255,0.2)',
-                  color: 'white',
-                  border: '1px solid rgba(255,255,255,0.3)',
-                  fontWeight: '600',
-                }}
-              >
-                {t('homepage.export.json', 'Export JSON')}
-              </Button>
-            </Flex>
-          )}
+          <Flex gap={2}>
+            <Button
+              onClick={() => setShowBulkModal(true)}
+              startIcon={<Cross />}
+              size="M"
+              variant="secondary"
+              style={{
+                backgroundColor: 'rgba(255,255,255,0.2)',
+                color: 'white',
+                border: '1px solid rgba(255,255,255,0.3)',
+                fontWeight: '600',
+              }}
+            >
+              {t('homepage.bulkTerminate', 'Bulk Terminate')}
+            </Button>
+            <Button
+              onClick={() => setShowKillSwitch(true)}
+              startIcon={<WarningCircle />}
+              size="M"
+              variant="danger"
+              style={{ fontWeight: '600' }}
+            >
+              {t('homepage.killSwitch', 'Kill Switch')}
+            </Button>
+            {filteredSessions.length > 0 && (
+              <>
+                <Button
+                  onClick={() => handleExport('csv')}
+                  startIcon={<Download />}
+                  size="M"
+                  variant="secondary"
+                  style={{
+                    backgroundColor: 'rgba(255,255,255,0.2)',
+                    color: 'white',
+                    border: '1px solid rgba(255,255,255,0.3)',
+                    fontWeight: '600',
+                  }}
+                >
+                  {t('homepage.export.csv', 'Export CSV')}
+                </Button>
+                <Button
+                  onClick={() => handleExport('ndjson')}
+                  startIcon={<Download />}
+                  size="M"
+                  variant="secondary"
+                  style={{
+                    backgroundColor: 'rgba(255,255,255,0.2)',
+                    color: 'white',
+                    border: '1px solid rgba(255,255,255,0.3)',
+                    fontWeight: '600',
+                  }}
+                >
+                  {t('homepage.export.ndjson', 'Export NDJSON')}
+                </Button>
+              </>
+            )}
+          </Flex>
         </HeaderContent>
       </Header>
       
@@ -803,7 +754,7 @@ const HomePage = () => {
           <StatIcon className="stat-icon" $bg={'rgba(22, 163, 74, 0.12)'} $color={'var(--colors-success600, #16A34A)'}>
             <Check />
           </StatIcon>
-          <StatValue className="stat-value">{activeSessions.length}</StatValue>
+          <StatValue className="stat-value">{counts.active}</StatValue>
           <StatLabel>{t('homepage.stats.active', 'Active')}</StatLabel>
         </StatCard>
 
@@ -811,7 +762,7 @@ const HomePage = () => {
           <StatIcon className="stat-icon" $bg={'rgba(234, 179, 8, 0.12)'} $color={'var(--colors-warning600, #D97706)'}>
             <Clock />
           </StatIcon>
-          <StatValue className="stat-value">{idleSessions.length}</StatValue>
+          <StatValue className="stat-value">{counts.idle}</StatValue>
           <StatLabel>{t('homepage.stats.idle', 'Idle')}</StatLabel>
         </StatCard>
 
@@ -819,7 +770,7 @@ const HomePage = () => {
           <StatIcon className="stat-icon" $bg={'rgba(220, 38, 38, 0.12)'} $color={'var(--colors-danger600, #DC2626)'}>
             <Cross />
           </StatIcon>
-          <StatValue className="stat-value">{loggedOutSessions.length}</StatValue>
+          <StatValue className="stat-value">{counts.loggedout}</StatValue>
           <StatLabel>{t('homepage.stats.loggedOut', 'Logged Out')}</StatLabel>
         </StatCard>
 
@@ -827,7 +778,7 @@ const HomePage = () => {
           <StatIcon className="stat-icon" $bg="var(--colors-neutral100)" $color="var(--colors-neutral600)">
             <Cross />
           </StatIcon>
-          <StatValue className="stat-value">{terminatedSessions.length}</StatValue>
+          <StatValue className="stat-value">{counts.terminated}</StatValue>
           <StatLabel>{t('homepage.stats.terminated', 'Terminated')}</StatLabel>
         </StatCard>
 
@@ -835,20 +786,20 @@ const HomePage = () => {
           <StatIcon className="stat-icon" $bg="rgba(147, 51, 234, 0.12)" $color="#9333EA">
             <User />
           </StatIcon>
-          <StatValue className="stat-value">{sessions.length}</StatValue>
+          <StatValue className="stat-value">{counts.total}</StatValue>
           <StatLabel>{t('homepage.stats.total', 'Total')}</StatLabel>
         </StatCard>
       </StatsGrid>
 
       {/* Loading */}
-      {loading && (
+      {loading && sessions.length === 0 && (
         <Flex justifyContent="center" padding={8}>
           <Loader>{t('homepage.loading', 'Loading sessions...')}</Loader>
         </Flex>
       )}
 
       {/* Sessions Table */}
-      {!loading && sessions.length > 0 && (
+      {(counts.total > 0 || hasFilters) && (
         <Box>
           <Box style={{ marginBottom: theme.spacing.md }}>
             <Typography variant="delta" textColor="neutral700" style={{ marginBottom: theme.spacing.md }}>
@@ -864,7 +815,7 @@ const HomePage = () => {
               <StyledSearchInput
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
-                placeholder={t('homepage.search.placeholder', 'Search by user, IP address, or device...')}
+                placeholder={t('homepage.search.placeholder', 'Search by user, IP or CIDR, country, city, browser, OS or session ID (e.g. country:BR)')}
                 type="text"
               />
             </SearchInputWrapper>
@@ -885,6 +836,52 @@ const HomePage = () => {
               </SingleSelect>
             </Box>
             
+            {/* Termination reason */}
+            <Box style={{ minWidth: '180px' }}>
+              <SingleSelect
+                value={filterReason}
+                onChange={setFilterReason}
+                placeholder="Reason"
+                size="S"
+              >
+                <SingleSelectOption value="all">{t('homepage.filter.reason.all', 'Any reason')}</SingleSelectOption>
+                {['logout', 'manual', 'idle', 'expired', 'blocked', 'session_limit', 'impossible_travel', 'token_reuse', 'client_changed', 'emergency'].map((reason) => (
+                  <SingleSelectOption key={reason} value={reason}>
+                    {t(`homepage.filter.reason.${reason}`, reason.replace(/_/g, ' '))}
+                  </SingleSelectOption>
+                ))}
+              </SingleSelect>
+            </Box>
+
+            {/* Device type */}
+            <Box style={{ minWidth: '140px' }}>
+              <SingleSelect
+                value={filterDevice}
+                onChange={setFilterDevice}
+                placeholder="Device"
+                size="S"
+              >
+                <SingleSelectOption value="all">{t('homepage.filter.device.all', 'Any device')}</SingleSelectOption>
+                <SingleSelectOption value="Desktop">{t('homepage.filter.device.desktop', 'Desktop')}</SingleSelectOption>
+                <SingleSelectOption value="Mobile">{t('homepage.filter.device.mobile', 'Mobile')}</SingleSelectOption>
+                <SingleSelectOption value="Tablet">{t('homepage.filter.device.tablet', 'Tablet')}</SingleSelectOption>
+              </SingleSelect>
+            </Box>
+
+            {/* Sort */}
+            <Box style={{ minWidth: '170px' }}>
+              <SingleSelect
+                value={sortOrder}
+                onChange={setSortOrder}
+                placeholder="Sort"
+                size="S"
+              >
+                <SingleSelectOption value="loginTime:desc">{t('homepage.sort.newest', 'Newest login first')}</SingleSelectOption>
+                <SingleSelectOption value="loginTime:asc">{t('homepage.sort.oldest', 'Oldest login first')}</SingleSelectOption>
+                <SingleSelectOption value="lastActive:desc">{t('homepage.sort.lastActive', 'Recently active first')}</SingleSelectOption>
+              </SingleSelect>
+            </Box>
+
             {/* Entries per page */}
             <Box style={{ minWidth: '130px' }}>
               <SingleSelect
@@ -904,9 +901,9 @@ const HomePage = () => {
           {/* Results count */}
           <Box style={{ marginBottom: theme.spacing.md }}>
             <Typography variant="pi" textColor="neutral600">
-              {searchQuery 
-                ? t('homepage.showingFiltered', 'Showing {count} of {total} sessions (filtered by "{query}")', { count: filteredSessions.length, total: sessions.length, query: searchQuery })
-                : t('homepage.showing', 'Showing {count} of {total} sessions', { count: filteredSessions.length, total: sessions.length })
+              {debouncedSearch
+                ? t('homepage.showingFiltered', 'Showing {count} of {total} sessions (filtered by "{query}")', { count: filteredSessions.length, total: pagination.total, query: debouncedSearch })
+                : t('homepage.showing', 'Showing {count} of {total} sessions', { count: filteredSessions.length, total: pagination.total })
               }
             </Typography>
           </Box>
@@ -928,7 +925,7 @@ const HomePage = () => {
               </Thead>
               <Tbody>
                 {filteredSessions.map((session) => {
-                  const deviceInfo = parseUserAgent(session.userAgent);
+                  const deviceInfo = sessionClientInfo(session);
                   const DeviceIcon = getDeviceIcon(deviceInfo.device);
                   const sessionStatus = getSessionStatus(session);
                   
@@ -1075,7 +1072,7 @@ const HomePage = () => {
               </Tbody>
             </StyledTable>
           </DataTable>
-          ) : (
+          ) : !loading && (
             /* No results found */
         <Box
           background="neutral0"
@@ -1155,11 +1152,38 @@ const HomePage = () => {
           </Flex>
         </Box>
           )}
+
+          {/* Pagination */}
+          {pagination.pageCount > 1 && (
+            <Flex justifyContent="space-between" alignItems="center" paddingTop={4}>
+              <Typography variant="pi" textColor="neutral600">
+                {t('homepage.pagination.page', 'Page {page} of {pageCount}', { page: pagination.page, pageCount: pagination.pageCount })}
+              </Typography>
+              <Flex gap={2}>
+                <Button
+                  variant="tertiary"
+                  size="S"
+                  disabled={loading || page <= 1}
+                  onClick={() => setPage((current) => Math.max(1, current - 1))}
+                >
+                  {t('homepage.pagination.previous', 'Previous')}
+                </Button>
+                <Button
+                  variant="tertiary"
+                  size="S"
+                  disabled={loading || page >= pagination.pageCount}
+                  onClick={() => setPage((current) => Math.min(pagination.pageCount, current + 1))}
+                >
+                  {t('homepage.pagination.next', 'Next')}
+                </Button>
+              </Flex>
+            </Flex>
+          )}
         </Box>
       )}
 
       {/* Empty State */}
-      {!loading && sessions.length === 0 && (
+      {!loading && counts.total === 0 && !hasFilters && (
         <Box
           background="neutral0"
           style={{
@@ -1242,6 +1266,22 @@ const HomePage = () => {
           onSessionTerminated={handleSessionTerminated}
         />
       )}
+
+      {/* Bulk Terminate Modal */}
+      {showBulkModal && (
+        <BulkTerminateModal
+          onClose={() => setShowBulkModal(false)}
+          onTerminated={fetchSessions}
+        />
+      )}
+
+      {/* Emergency Kill Switch */}
+      {showKillSwitch && (
+        <KillSwitchModal
+          onClose={() => setShowKillSwitch(false)}
+          onTerminated={fetchSessions}
+        />
+      )}
     </Container>
   );
 };
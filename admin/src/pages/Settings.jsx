@@ -33,6 +33,7 @@ import {
   ShowHideButton,
   CopyButton
 } from '../components/StyledButtons';
+import MaintenancePanel from '../components/MaintenancePanel';
 
 // ================ THEME ================
 const theme = {
@@ -781,13 +782,23 @@ const SettingsPage = () => {
   const [geoIpCredentials, setGeoIpCredentials] = useState({ accountId: '', licenseKey: '' });
   const [geoIpUpdating, setGeoIpUpdating] = useState(false);
   const [geoIpSavingCredentials, setGeoIpSavingCredentials] = useState(false);
+  const [roles, setRoles] = useState([]);
 
   const [settings, setSettings] = useState({
     inactivityTimeout: 15,
     cleanupInterval: 30,
     lastSeenRateLimit: 30,
     retentionDays: 90,
+    // Archive sessions before retention deletes them: off | table | file.
+    archiveMode: 'off',
+    archiveRetentionDays: 2555,
+    // GDPR mode: pseudonymize ended sessions after N days (0 = off).
+    anonymizeAfterDays: 0,
     maxSessionAgeDays: 30,
+    // "Remember me" logins get their own idle and absolute lifetime (days).
+    enableRememberMe: false,
+    rememberMeIdleDays: 14,
+    rememberMeMaxAgeDays: 90,
     // Grace window (ms) during which a freshly-issued JWT is accepted
     // without a matching session row. Prevents strict-session enforcement
     // from blocking the very first request after login. 0 disables.
@@ -797,11 +808,37 @@ const SettingsPage = () => {
     // lifecycle hooks; required for very large installations.
     cleanupUseDbDirect: false,
     strictSessionEnforcement: false,
+    // A replayed, already rotated refresh token ends its session or all of
+    // the user's sessions.
+    detectRefreshTokenReuse: true,
+    refreshTokenReuseScope: 'session',
+    refreshTokenReuseGraceSeconds: 30,
+    // Session binding: reaction to a session used from another IP / browser.
+    ipChangeAction: 'ignore',
+    ipChangeTolerance: 'none',
+    userAgentChangeAction: 'ignore',
     trustedProxies: false,
     enableGeolocation: true,
     enableSecurityScoring: true,
     blockSuspiciousSessions: false,
     maxFailedLogins: 5,
+    // Concurrent sessions per user. 0 = unlimited; per-role entries
+    // (keyed by role type) override the global value.
+    maxConcurrentSessions: 0,
+    sessionLimitMode: 'evict',
+    roleSessionLimits: {},
+    // Per-role overrides keyed by role type. Missing fields inherit the
+    // global inactivityTimeout (minutes), maxSessionAgeDays and strict mode.
+    rolePolicies: {},
+    // Trusted-device registry; trust lapses after trustedDeviceDays.
+    enableDeviceTracking: false,
+    trustedDeviceDays: 90,
+    trustedDeviceGeoBypass: false,
+    trustedDeviceSuppressAlerts: false,
+    // Impossible travel: implied speed since the previous login, in km/h.
+    enableImpossibleTravel: false,
+    impossibleTravelSpeedKmh: 1000,
+    impossibleTravelAction: 'alert',
     enableEmailAlerts: false,
     alertOnSuspiciousLogin: true,
     alertOnNewLocation: true,
@@ -824,8 +861,19 @@ const SettingsPage = () => {
 
   useEffect(() => {
     fetchSettings();
+    fetchRoles();
   }, []);
 
+  const fetchRoles = async () => {
+    try {
+      const response = await get('/users-permissions/roles');
+      setRoles(response?.data?.roles || []);
+    } catch (err) {
+      // Role overrides are optional; the global limit still works without them.
+      console.error('[Settings] Error loading roles:', err);
+    }
+  };
+
   const fetchSettings = async () => {
     setLoading(true);
     try {
@@ -898,6 +946,32 @@ const SettingsPage = () => {
     setHasChanges(true);
   };
 
+  const handleRoleSessionLimitChange = (roleType, value) => {
+    const next = { ...(settings.roleSessionLimits || {}) };
+    if (value === undefined || value === null || value === '') {
+      delete next[roleType];
+    } else {
+      next[roleType] = value;
+    }
+    handleChange('roleSessionLimits', next);
+  };
+
+  const handleRolePolicyChange = (roleType, key, value) => {
+    const next = { ...(settings.rolePolicies || {}) };
+    const policy = { ...(next[roleType] || {}) };
+    if (value === undefined || value === null || value === '') {
+      delete policy[key];
+    } else {
+      policy[key] = value;
+    }
+    if (Object.keys(policy).length > 0) {
+      next[roleType] = policy;
+    } else {
+      delete next[roleType];
+    }
+    handleChange('rolePolicies', next);
+  };
+
   const updateSetting = (key, value) => {
     handleChange(key, value);
   };
@@ -1186,6 +1260,74 @@ const SettingsPage = () => {
                     </Box>
                   </Grid.Item>
 
+                  <Grid.Item col={6} s={12}>
+                    <Box>
+                      <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                        {t('settings.general.archive.title', 'Archive Before Deletion')}
+                      </Typography>
+                      <SingleSelect
+                        value={settings.archiveMode || 'off'}
+                        onChange={(value) => handleChange('archiveMode', value)}
+                      >
+                        <SingleSelectOption value="off">{t('settings.general.archive.off', 'Off (delete permanently)')}</SingleSelectOption>
+                        <SingleSelectOption value="table">{t('settings.general.archive.table', 'Archive table (magic_sessions_archive)')}</SingleSelectOption>
+                        <SingleSelectOption value="file">{t('settings.general.archive.file', 'Compressed NDJSON files')}</SingleSelectOption>
+                      </SingleSelect>
+                      <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '8px' }}>
+                        {settings.archiveMode === 'file'
+                          ? t('settings.general.archive.hintFile', 'Files are written to archiveDirectory from config/plugins.js (or MAGIC_SESSIONMANAGER_ARCHIVE_DIR). Without it nothing is deleted.')
+                          : t('settings.general.archive.hint', 'Expired sessions are copied to the archive before the retention job deletes them.')
+                        }
+                      </Typography>
+                    </Box>
+                  </Grid.Item>
+
+                  {settings.archiveMode && settings.archiveMode !== 'off' && (
+                    <Grid.Item col={6} s={12}>
+                      <Box>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.general.archiveRetention.title', 'Archive Retention')}
+                        </Typography>
+                        <SingleSelect
+                          value={String(settings.archiveRetentionDays ?? 2555)}
+                          onChange={(value) => handleChange('archiveRetentionDays', parseInt(value))}
+                        >
+                          <SingleSelectOption value="365">{t('settings.general.archiveRetention.1year', '1 year')}</SingleSelectOption>
+                          <SingleSelectOption value="730">{t('settings.general.archiveRetention.2years', '2 years')}</SingleSelectOption>
+                          <SingleSelectOption value="1825">{t('settings.general.archiveRetention.5years', '5 years')}</SingleSelectOption>
+                          <SingleSelectOption value="2555">{t('settings.general.archiveRetention.7years', '7 years (Recommended)')}</SingleSelectOption>
+                          <SingleSelectOption value="3650">{t('settings.general.archiveRetention.10years', '10 years')}</SingleSelectOption>
+                          <SingleSelectOption value="-1">{t('settings.general.archiveRetention.forever', 'Forever')}</SingleSelectOption>
+                        </SingleSelect>
+                        <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '8px' }}>
+                          {t('settings.general.archiveRetention.hint', 'Archived sessions are deleted once they have been archived this long.')}
+                        </Typography>
+                      </Box>
+                    </Grid.Item>
+                  )}
+
+                  <Grid.Item col={6} s={12}>
+                    <Box>
+                      <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                        {t('settings.general.anonymize.title', 'Anonymize Ended Sessions (GDPR)')}
+                      </Typography>
+                      <SingleSelect
+                        value={String(settings.anonymizeAfterDays ?? 0)}
+                        onChange={(value) => handleChange('anonymizeAfterDays', parseInt(value))}
+                      >
+                        <SingleSelectOption value="0">{t('settings.general.anonymize.off', 'Off')}</SingleSelectOption>
+                        <SingleSelectOption value="7">{t('settings.general.anonymize.7days', 'After 7 days')}</SingleSelectOption>
+                        <SingleSelectOption value="30">{t('settings.general.anonymize.30days', 'After 30 days')}</SingleSelectOption>
+                        <SingleSelectOption value="60">{t('settings.general.anonymize.60days', 'After 60 days')}</SingleSelectOption>
+                        <SingleSelectOption value="90">{t('settings.general.anonymize.90days', 'After 90 days')}</SingleSelectOption>
+                        <SingleSelectOption value="180">{t('settings.general.anonymize.180days', 'After 180 days')}</SingleSelectOption>
+                      </SingleSelect>
+                      <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '8px' }}>
+                        {t('settings.general.anonymize.hint', 'Truncates IPs to /24 (IPv6 /48), keeps only the country and replaces user agents with browser and OS. Analytics keep working.')}
+                      </Typography>
+                    </Box>
+                  </Grid.Item>
+
                   <Grid.Item col={6} s={12}>
                     <Box>
                       <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
@@ -1229,7 +1371,7 @@ const SettingsPage = () => {
                       <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '8px' }}>
                         {t(
                           'settings.general.cleanupMode.hint',
-                          'Direct SQL drains the entire idle-session backlog in one statement but bypasses lifecycle hooks. Only switch if you run >50 k active sessions.'
+                          'Direct SQL ends idle sessions in batches of 500 per statement but bypasses lifecycle hooks. Only switch if you run >50 k active sessions.'
                         )}
                       </Typography>
                     </Box>
@@ -1528,6 +1670,113 @@ const SettingsPage = () => {
                         {t('settings.security.enforcement.warning.body', 'Tokens without a matching session record are allowed through. Manual session termination is still enforced via the token hash, but we strongly recommend enabling strict mode in production.')}
                       </Alert>
                     )}
+
+                    <Grid.Root gap={6}>
+                      <Grid.Item col={4} s={12}>
+                        <Checkbox
+                          checked={settings.enableRememberMe}
+                          onChange={() => handleChange('enableRememberMe', !settings.enableRememberMe)}
+                        >
+                          <Typography variant="omega" fontWeight="semiBold" style={{ fontSize: '14px' }}>
+                            {t('settings.security.rememberMe.enable', 'Allow "remember me" sessions')}
+                          </Typography>
+                        </Checkbox>
+                        <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '4px', display: 'block' }}>
+                          {t('settings.security.rememberMe.hint', 'Logins sent with rememberMe: true get the lifetimes on the right instead of the global ones.')}
+                        </Typography>
+                      </Grid.Item>
+                      <Grid.Item col={4} s={12}>
+                        <Box style={{ width: '100%' }}>
+                          <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                            {t('settings.security.rememberMe.idleDays', 'Idle Timeout (days)')}
+                          </Typography>
+                          <NumberInput
+                            disabled={!settings.enableRememberMe}
+                            value={settings.rememberMeIdleDays}
+                            onValueChange={(val) => handleChange('rememberMeIdleDays', val)}
+                            min={1}
+                            max={365}
+                          />
+                        </Box>
+                      </Grid.Item>
+                      <Grid.Item col={4} s={12}>
+                        <Box style={{ width: '100%' }}>
+                          <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                            {t('settings.security.rememberMe.maxAgeDays', 'Max Session Age (days)')}
+                          </Typography>
+                          <NumberInput
+                            disabled={!settings.enableRememberMe}
+                            value={settings.rememberMeMaxAgeDays}
+                            onValueChange={(val) => handleChange('rememberMeMaxAgeDays', val)}
+                            min={1}
+                            max={365}
+                          />
+                        </Box>
+                      </Grid.Item>
+                    </Grid.Root>
+
+                    {roles.length > 0 && (
+                      <Box>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '4px', display: 'block' }}>
+                          {t('settings.security.rolePolicies.title', 'Per-Role Policies')}
+                        </Typography>
+                        <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginBottom: '12px', display: 'block' }}>
+                          {t('settings.security.rolePolicies.hint', 'Override the idle timeout, max session age and strict mode for individual roles. Empty fields use the global value.')}
+                        </Typography>
+                        <Flex direction="column" gap={3} alignItems="stretch">
+                          {roles.map((role) => {
+                            const policy = settings.rolePolicies?.[role.type] || {};
+                            const strictValue = typeof policy.strictSessionEnforcement === 'boolean'
+                              ? String(policy.strictSessionEnforcement)
+                              : 'inherit';
+                            return (
+                              <Grid.Root key={role.type} gap={4}>
+                                <Grid.Item col={3} s={12}>
+                                  <Typography variant="omega" fontWeight="semiBold" style={{ paddingTop: '8px' }}>
+                                    {role.name}
+                                  </Typography>
+                                </Grid.Item>
+                                <Grid.Item col={3} s={12}>
+                                  <NumberInput
+                                    aria-label={t('settings.security.rolePolicies.idle', 'Idle timeout (minutes)')}
+                                    placeholder={t('settings.security.rolePolicies.idle.placeholder', 'Idle: {minutes} min', { minutes: settings.inactivityTimeout })}
+                                    value={policy.inactivityTimeout}
+                                    onValueChange={(val) => handleRolePolicyChange(role.type, 'inactivityTimeout', val)}
+                                    min={1}
+                                    max={1440}
+                                  />
+                                </Grid.Item>
+                                <Grid.Item col={3} s={12}>
+                                  <NumberInput
+                                    aria-label={t('settings.security.rolePolicies.maxAge', 'Max session age (days)')}
+                                    placeholder={t('settings.security.rolePolicies.maxAge.placeholder', 'Max age: {days} days', { days: settings.maxSessionAgeDays })}
+                                    value={policy.maxSessionAgeDays}
+                                    onValueChange={(val) => handleRolePolicyChange(role.type, 'maxSessionAgeDays', val)}
+                                    min={1}
+                                    max={365}
+                                  />
+                                </Grid.Item>
+                                <Grid.Item col={3} s={12}>
+                                  <SingleSelect
+                                    aria-label={t('settings.security.rolePolicies.strict', 'Strict mode')}
+                                    value={strictValue}
+                                    onChange={(value) => handleRolePolicyChange(
+                                      role.type,
+                                      'strictSessionEnforcement',
+                                      value === 'inherit' ? undefined : value === 'true'
+                                    )}
+                                  >
+                                    <SingleSelectOption value="inherit">{t('settings.security.rolePolicies.strict.inherit', 'Strict: global')}</SingleSelectOption>
+                                    <SingleSelectOption value="true">{t('settings.security.rolePolicies.strict.on', 'Strict: on')}</SingleSelectOption>
+                                    <SingleSelectOption value="false">{t('settings.security.rolePolicies.strict.off', 'Strict: off')}</SingleSelectOption>
+                                  </SingleSelect>
+                                </Grid.Item>
+                              </Grid.Root>
+                            );
+                          })}
+                        </Flex>
+                      </Box>
+                    )}
                   </Flex>
                 </Box>
 
@@ -1647,6 +1896,306 @@ const SettingsPage = () => {
                   </Grid.Item>
                 </Grid.Root>
 
+                {/* Concurrent Session Limit */}
+                <Box marginTop={6}>
+                  <Typography variant="sigma" fontWeight="bold" style={{ marginBottom: '16px', display: 'block', color: 'var(--colors-neutral700)' }}>
+                    {t('settings.security.sessionLimit.title', 'Concurrent Session Limit')}
+                  </Typography>
+                  <Grid.Root gap={6}>
+                    <Grid.Item col={6} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.sessionLimit.max', 'Max Sessions per User')}
+                        </Typography>
+                        <NumberInput
+                          value={settings.maxConcurrentSessions}
+                          onValueChange={(val) => handleChange('maxConcurrentSessions', val ?? 0)}
+                          min={0}
+                          max={1000}
+                        />
+                        <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '4px', display: 'block' }}>
+                          {Number(settings.maxConcurrentSessions) === 0
+                            ? t('settings.security.sessionLimit.unlimited', 'No global limit (0 = unlimited)')
+                            : t('settings.security.sessionLimit.hint', 'Users can be signed in on up to {count} devices at once', { count: settings.maxConcurrentSessions })}
+                        </Typography>
+                      </Box>
+                    </Grid.Item>
+                    <Grid.Item col={6} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.sessionLimit.mode', 'When the Limit is Reached')}
+                        </Typography>
+                        <SingleSelect
+                          value={settings.sessionLimitMode}
+                          onChange={(value) => handleChange('sessionLimitMode', value)}
+                        >
+                          <SingleSelectOption value="evict">
+                            {t('settings.security.sessionLimit.mode.evict', 'End the least recently active session')}
+                          </SingleSelectOption>
+                          <SingleSelectOption value="reject">
+                            {t('settings.security.sessionLimit.mode.reject', 'Reject the new login (409)')}
+                          </SingleSelectOption>
+                        </SingleSelect>
+                      </Box>
+                    </Grid.Item>
+                  </Grid.Root>
+
+                  {roles.length > 0 && (
+                    <Box marginTop={4}>
+                      <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                        {t('settings.security.sessionLimit.roles', 'Per-Role Overrides')}
+                      </Typography>
+                      <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginBottom: '12px', display: 'block' }}>
+                        {t('settings.security.sessionLimit.roles.hint', 'Leave empty to use the global limit. 0 exempts the role.')}
+                      </Typography>
+                      <Grid.Root gap={4}>
+                        {roles.map((role) => (
+                          <Grid.Item key={role.type} col={4} s={12}>
+                            <Box style={{ width: '100%' }}>
+                              <Typography variant="pi" style={{ marginBottom: '4px', display: 'block' }}>
+                                {role.name}
+                              </Typography>
+                              <NumberInput
+                                value={settings.roleSessionLimits?.[role.type]}
+                                onValueChange={(val) => handleRoleSessionLimitChange(role.type, val)}
+                                min={0}
+                                max={1000}
+                                placeholder={t('settings.security.sessionLimit.inherit', 'Global')}
+                              />
+                            </Box>
+                          </Grid.Item>
+                        ))}
+                      </Grid.Root>
+                    </Box>
+                  )}
+                </Box>
+
+                {/* Trusted Devices */}
+                <Box marginTop={6}>
+                  <Typography variant="sigma" fontWeight="bold" style={{ marginBottom: '16px', display: 'block', color: 'var(--colors-neutral700)' }}>
+                    {t('settings.security.devices.title', 'Trusted Devices')}
+                  </Typography>
+                  <Grid.Root gap={6}>
+                    <Grid.Item col={6} s={12}>
+                      <Flex direction="column" alignItems="flex-start" gap={3}>
+                        <Checkbox
+                          checked={settings.enableDeviceTracking}
+                          onChange={() => handleChange('enableDeviceTracking', !settings.enableDeviceTracking)}
+                        >
+                          <Typography variant="omega" fontWeight="semiBold" style={{ fontSize: '14px' }}>
+                            {t('settings.security.devices.enable', 'Track devices per user')}
+                          </Typography>
+                        </Checkbox>
+                        <Checkbox
+                          disabled={!settings.enableDeviceTracking}
+                          checked={settings.trustedDeviceGeoBypass}
+                          onChange={() => handleChange('trustedDeviceGeoBypass', !settings.trustedDeviceGeoBypass)}
+                        >
+                          <Typography variant="omega" fontWeight="semiBold" style={{ fontSize: '14px' }}>
+                            {t('settings.security.devices.geoBypass', 'Trusted devices skip the country allow/block lists')}
+                          </Typography>
+                        </Checkbox>
+                        <Checkbox
+                          disabled={!settings.enableDeviceTracking}
+                          checked={settings.trustedDeviceSuppressAlerts}
+                          onChange={() => handleChange('trustedDeviceSuppressAlerts', !settings.trustedDeviceSuppressAlerts)}
+                        >
+                          <Typography variant="omega" fontWeight="semiBold" style={{ fontSize: '14px' }}>
+                            {t('settings.security.devices.suppressAlerts', 'No new-location or suspicious-login alerts for trusted devices')}
+                          </Typography>
+                        </Checkbox>
+                      </Flex>
+                    </Grid.Item>
+                    <Grid.Item col={6} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.devices.days', 'Trust Expires After (days)')}
+                        </Typography>
+                        <NumberInput
+                          disabled={!settings.enableDeviceTracking}
+                          value={settings.trustedDeviceDays}
+                          onValueChange={(val) => handleChange('trustedDeviceDays', val)}
+                          min={1}
+                          max={365}
+                        />
+                        <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '4px', display: 'block' }}>
+                          {t('settings.security.devices.hint', 'Users trust a device by signing in with trustDevice: true. VPN, proxy and threat blocks still apply.')}
+                        </Typography>
+                      </Box>
+                    </Grid.Item>
+                  </Grid.Root>
+                </Box>
+
+                {/* Impossible Travel */}
+                <Box marginTop={6}>
+                  <Typography variant="sigma" fontWeight="bold" style={{ marginBottom: '16px', display: 'block', color: 'var(--colors-neutral700)' }}>
+                    {t('settings.security.travel.title', 'Impossible Travel')}
+                  </Typography>
+                  <Grid.Root gap={6}>
+                    <Grid.Item col={4} s={12}>
+                      <Checkbox
+                        checked={settings.enableImpossibleTravel}
+                        onChange={() => handleChange('enableImpossibleTravel', !settings.enableImpossibleTravel)}
+                      >
+                        <Typography variant="omega" fontWeight="semiBold" style={{ fontSize: '14px' }}>
+                          {t('settings.security.travel.enable', 'Detect impossible travel between logins')}
+                        </Typography>
+                      </Checkbox>
+                    </Grid.Item>
+                    <Grid.Item col={4} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.travel.speed', 'Maximum Plausible Speed (km/h)')}
+                        </Typography>
+                        <NumberInput
+                          disabled={!settings.enableImpossibleTravel}
+                          value={settings.impossibleTravelSpeedKmh}
+                          onValueChange={(val) => handleChange('impossibleTravelSpeedKmh', val)}
+                          min={100}
+                          max={20000}
+                        />
+                        <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '4px', display: 'block' }}>
+                          {t('settings.security.travel.hint', 'Compared with the previous login. Jumps under 200 km are ignored.')}
+                        </Typography>
+                      </Box>
+                    </Grid.Item>
+                    <Grid.Item col={4} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.travel.action', 'When Detected')}
+                        </Typography>
+                        <SingleSelect
+                          disabled={!settings.enableImpossibleTravel}
+                          value={settings.impossibleTravelAction}
+                          onChange={(value) => handleChange('impossibleTravelAction', value)}
+                        >
+                          <SingleSelectOption value="alert">
+                            {t('settings.security.travel.action.alert', 'Alert only')}
+                          </SingleSelectOption>
+                          <SingleSelectOption value="terminate">
+                            {t('settings.security.travel.action.terminate', 'Alert and end the new session')}
+                          </SingleSelectOption>
+                          <SingleSelectOption value="block">
+                            {t('settings.security.travel.action.block', 'Alert and block the user')}
+                          </SingleSelectOption>
+                        </SingleSelect>
+                      </Box>
+                    </Grid.Item>
+                  </Grid.Root>
+                </Box>
+
+                {/* Refresh Token Reuse */}
+                <Box marginTop={6}>
+                  <Typography variant="sigma" fontWeight="bold" style={{ marginBottom: '16px', display: 'block', color: 'var(--colors-neutral700)' }}>
+                    {t('settings.security.tokenReuse.title', 'Refresh Token Reuse')}
+                  </Typography>
+                  <Grid.Root gap={6}>
+                    <Grid.Item col={6} s={12}>
+                      <Checkbox
+                        checked={settings.detectRefreshTokenReuse}
+                        onChange={() => handleChange('detectRefreshTokenReuse', !settings.detectRefreshTokenReuse)}
+                      >
+                        <Typography variant="omega" fontWeight="semiBold" style={{ fontSize: '14px' }}>
+                          {t('settings.security.tokenReuse.enable', 'Treat a replayed old refresh token as stolen')}
+                        </Typography>
+                      </Checkbox>
+                    </Grid.Item>
+                    <Grid.Item col={6} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.tokenReuse.scope', 'On Reuse, Terminate')}
+                        </Typography>
+                        <SingleSelect
+                          disabled={!settings.detectRefreshTokenReuse}
+                          value={settings.refreshTokenReuseScope}
+                          onChange={(value) => handleChange('refreshTokenReuseScope', value)}
+                        >
+                          <SingleSelectOption value="session">
+                            {t('settings.security.tokenReuse.scope.session', 'The affected session')}
+                          </SingleSelectOption>
+                          <SingleSelectOption value="user">
+                            {t('settings.security.tokenReuse.scope.user', 'All sessions of the user')}
+                          </SingleSelectOption>
+                        </SingleSelect>
+                      </Box>
+                    </Grid.Item>
+                    <Grid.Item col={6} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.tokenReuse.grace', 'Grace Period (seconds)')}
+                        </Typography>
+                        <NumberInput
+                          disabled={!settings.detectRefreshTokenReuse}
+                          value={settings.refreshTokenReuseGraceSeconds}
+                          onValueChange={(val) => handleChange('refreshTokenReuseGraceSeconds', val)}
+                          min={0}
+                          max={300}
+                        />
+                        <Typography variant="pi" textColor="neutral600" style={{ fontSize: '11px', marginTop: '8px' }}>
+                          {t('settings.security.tokenReuse.graceHint', 'A replay within {seconds} seconds of the rotation is only rejected, e.g. two tabs refreshing at once', { seconds: settings.refreshTokenReuseGraceSeconds })}
+                        </Typography>
+                      </Box>
+                    </Grid.Item>
+                  </Grid.Root>
+                </Box>
+
+                {/* Session Binding */}
+                <Box marginTop={6}>
+                  <Typography variant="sigma" fontWeight="bold" style={{ marginBottom: '16px', display: 'block', color: 'var(--colors-neutral700)' }}>
+                    {t('settings.security.binding.title', 'Session Binding')}
+                  </Typography>
+                  <Grid.Root gap={6}>
+                    {[
+                      ['ipChangeAction', t('settings.security.binding.ip', 'When the IP Address Changes')],
+                      ['userAgentChangeAction', t('settings.security.binding.userAgent', 'When the Browser Changes')],
+                    ].map(([key, label]) => (
+                      <Grid.Item key={key} col={4} s={12}>
+                        <Box style={{ width: '100%' }}>
+                          <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                            {label}
+                          </Typography>
+                          <SingleSelect value={settings[key]} onChange={(value) => handleChange(key, value)}>
+                            <SingleSelectOption value="ignore">
+                              {t('settings.security.binding.action.ignore', 'Ignore')}
+                            </SingleSelectOption>
+                            <SingleSelectOption value="record">
+                              {t('settings.security.binding.action.record', 'Record on the session')}
+                            </SingleSelectOption>
+                            <SingleSelectOption value="alert">
+                              {t('settings.security.binding.action.alert', 'Record and alert')}
+                            </SingleSelectOption>
+                            <SingleSelectOption value="terminate">
+                              {t('settings.security.binding.action.terminate', 'End the session')}
+                            </SingleSelectOption>
+                          </SingleSelect>
+                        </Box>
+                      </Grid.Item>
+                    ))}
+                    <Grid.Item col={4} s={12}>
+                      <Box style={{ width: '100%' }}>
+                        <Typography variant="pi" fontWeight="bold" style={{ marginBottom: '8px', display: 'block' }}>
+                          {t('settings.security.binding.tolerance', 'Accept IP Changes Within')}
+                        </Typography>
+                        <SingleSelect
+                          disabled={settings.ipChangeAction === 'ignore'}
+                          value={settings.ipChangeTolerance}
+                          onChange={(value) => handleChange('ipChangeTolerance', value)}
+                        >
+                          <SingleSelectOption value="none">
+                            {t('settings.security.binding.tolerance.none', 'Nothing (any change counts)')}
+                          </SingleSelectOption>
+                          <SingleSelectOption value="subnet">
+                            {t('settings.security.binding.tolerance.subnet', 'The same /24 network')}
+                          </SingleSelectOption>
+                          <SingleSelectOption value="country">
+                            {t('settings.security.binding.tolerance.country', 'The login country')}
+                          </SingleSelectOption>
+                        </SingleSelect>
+                      </Box>
+                    </Grid.Item>
+                  </Grid.Root>
+                </Box>
+
               </Box>
             </Accordion.Content>
           </Accordion.Item>
@@ -2244,6 +2793,23 @@ const SettingsPage = () => {
               </Accordion.Content>
           </Accordion.Item>
 
+          {/* Maintenance */}
+          <Accordion.Item value="maintenance">
+            <Accordion.Header>
+              <Accordion.Trigger
+                icon={Clock}
+                description={t('settings.maintenance.description', 'Background job runs and manual runs')}
+              >
+                {t('settings.maintenance.title', 'Maintenance')}
+              </Accordion.Trigger>
+            </Accordion.Header>
+            <Accordion.Content>
+              <Box padding={6}>
+                <MaintenancePanel />
+              </Box>
+            </Accordion.Content>
+          </Accordion.Item>
+
         </Accordion.Root>
 
          {/* Footer Info */}
@@ -0,0 +1,28 @@
+import pluginId from '../pluginId';
+
+/**
+ * Downloads the server-side session export.
+ *
+ * @param {Function} get - `get` from `useFetchClient()`
+ * @param {'csv'|'ndjson'} format
+ * @param {URLSearchParams|object} [filters] - List filters (status, q, ...);
+ *   paging parameters are ignored by the export
+ */
+export const downloadSessionExport = async (get, format, filters = {}) => {
+  const params = new URLSearchParams(filters);
+  params.delete('page');
+  params.delete('pageSize');
+  params.set('format', format);
+
+  const { data } = await get(`/${pluginId}/sessions/export?${params.toString()}`, {
+    responseType: 'blob',
+  });
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(data);
+  link.download = `sessions-export-${new Date().toISOString().split('T')[0]}.${format}`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+export default downloadSessionExport;
@@ -1,2 +1,3 @@
 export { default as parseUserAgent } from './parseUserAgent';
 
+export { sessionClientInfo } from './parseUserAgent';
@@ -75,4 +75,23 @@ export const parseUserAgent = (userAgent) => {
   };
 };
 
+/**
+ * Device info of a session. Anonymized sessions have no user agent left, so
+ * their stored device type, browser and OS are used instead.
+ */
+export const sessionClientInfo = (session) => {
+  if (session?.userAgent || !session?.browserName) {
+    return parseUserAgent(session?.userAgent);
+  }
+
+  const type = String(session.deviceType || '').toLowerCase();
+  const device = { desktop: 'Desktop', mobile: 'Mobile', tablet: 'Tablet' }[type] || 'Unknown';
+  return {
+    device,
+    deviceIcon: device === 'Unknown' ? 'question' : type,
+    browser: session.browserName,
+    os: session.osName || 'Unknown',
+  };
+};
+
 export default parseUserAgent;
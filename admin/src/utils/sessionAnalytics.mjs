@@ -12,6 +12,21 @@ function getUserKey(session) {
     null;
 }
 
+/**
+ * Lower-cased strings the device, browser and OS buckets are matched on.
+ * Anonymized sessions have no user agent left, only the parsed
+ * `deviceType`, `browserName` and `osName`.
+ */
+function getClientStrings(session) {
+  const ua = String(session?.userAgent || '').toLowerCase();
+  if (ua) return { device: ua, browser: ua, os: ua };
+  return {
+    device: String(session?.deviceType || '').toLowerCase(),
+    browser: String(session?.browserName || '').toLowerCase(),
+    os: String(session?.osName || '').toLowerCase(),
+  };
+}
+
 function getDurationMinutes(session, now) {
   const start = Date.parse(session?.loginTime);
   if (!Number.isFinite(start)) return null;
@@ -38,7 +53,7 @@ export function computeSessionAnalytics(sessions = [], { now = Date.now() } = {}
   let terminated = 0;
 
   for (const session of sessions) {
-    const ua = String(session?.userAgent || '').toLowerCase();
+    const { device, browser, os } = getClientStrings(session);
     const loginTime = Date.parse(session?.loginTime);
 
     if (Number.isFinite(loginTime)) {
@@ -47,26 +62,26 @@ export function computeSessionAnalytics(sessions = [], { now = Date.now() } = {}
       loginHours[new Date(loginTime).getHours()]++;
     }
 
-    if (ua.includes('tablet') || ua.includes('ipad') || (ua.includes('android') && !ua.includes('mobile'))) {
+    if (device.includes('tablet') || device.includes('ipad') || (device.includes('android') && !device.includes('mobile'))) {
       increment(devices, 'Tablet');
-    } else if (ua.includes('mobile') || ua.includes('android') || ua.includes('iphone')) {
+    } else if (device.includes('mobile') || device.includes('android') || device.includes('iphone')) {
       increment(devices, 'Mobile');
     } else {
       increment(devices, 'Desktop');
     }
 
-    if (ua.includes('edg')) increment(browsers, 'Edge');
-    else if (ua.includes('chrome')) increment(browsers, 'Chrome');
-    else if (ua.includes('firefox')) increment(browsers, 'Firefox');
-    else if (ua.includes('safari')) increment(browsers, 'Safari');
-    else if (ua.includes('postman') || ua.includes('curl')) increment(browsers, 'API Client');
+    if (browser.includes('edg')) increment(browsers, 'Edge');
+    else if (browser.includes('chrome')) increment(browsers, 'Chrome');
+    else if (browser.includes('firefox')) increment(browsers, 'Firefox');
+    else if (browser.includes('safari')) increment(browsers, 'Safari');
+    else if (browser.includes('postman') || browser.includes('curl')) increment(browsers, 'API Client');
     else increment(browsers, 'Other');
 
-    if (ua.includes('android')) increment(operatingSystems, 'Android');
-    else if (ua.includes('ios') || ua.includes('iphone') || ua.includes('ipad')) increment(operatingSystems, 'iOS');
-    else if (ua.includes('windows') || ua.includes('win32') || ua.includes('win64')) increment(operatingSystems, 'Windows');
-    else if (ua.includes('mac') || ua.includes('darwin')) increment(operatingSystems, 'macOS');
-    else if (ua.includes('linux')) increment(operatingSystems, 'Linux');
+    if (os.includes('android')) increment(operatingSystems, 'Android');
+    else if (os.includes('ios') || os.includes('iphone') || os.includes('ipad')) increment(operatingSystems, 'iOS');
+    else if (os.includes('windows') || os.includes('win32') || os.includes('win64')) increment(operatingSystems, 'Windows');
+    else if (os.includes('mac') || os.includes('darwin')) increment(operatingSystems, 'macOS');
+    else if (os.includes('linux')) increment(operatingSystems, 'Linux');
     else increment(operatingSystems, 'Other');
 
     const userKey = getUserKey(session);
@@ -8,19 +8,31 @@
  * users-permissions JWT verify function so ALL authenticated requests are
  * validated against the session store.
  *
- * For multi-instance deployments, consider Redis locks for session
- * reactivation or a shared session store.
+ * Rate limits, login lockouts and short-lived caches go through the
+ * shared-state store (`utils/shared-state.js`), which is configured here
+ * first so multi-instance deployments can point it at Redis.
  */
 
+const crypto = require('node:crypto');
 const getClientIp = require('./utils/getClientIp');
 const { encryptToken, hashToken } = require('./utils/encryption');
 const { createLogger } = require('./utils/logger');
 const { resolveUserDocumentId } = require('./utils/resolve-user');
+const { hasSessionLimits } = require('./utils/session-limit');
+const { resolveUserSessionPolicy } = require('./utils/role-policy');
+const {
+  actorFromContext,
+  recordSessionEvent,
+  systemActor,
+} = require('./utils/session-events');
 const {
   getPluginSettings,
+  getRefreshTokenReuseGraceSeconds,
   getSessionCreationGraceMs,
+  listenForSettingsInvalidation,
 } = require('./utils/settings-loader');
 const { extractBearerToken } = require('./utils/extract-token');
+const { configureSharedState, getSharedState } = require('./utils/shared-state');
 const {
   setSessionRejectionReason,
   consumeSessionRejectionReason,
@@ -29,8 +41,19 @@ const { evaluateGeoFirewall } = require('./utils/geo-firewall');
 const {
   classifyJwtIssuingRequest,
   isFailedLoginTrackedPath,
+  loginRouteLabel,
   shouldRunPreAuthGeoGuard,
 } = require('./utils/auth-routes');
+const metrics = require('./utils/metrics');
+const { issueDeviceCookie, readDeviceId } = require('./utils/device-id');
+const { coordinatesOf, describeTravel, evaluateTravel } = require('./utils/impossible-travel');
+const { evaluateSessionBinding } = require('./utils/session-binding');
+const {
+  persistentSessionFields,
+  sessionExpiresAtMs,
+  sessionIdleTimeoutMs,
+  wantsPersistentSession,
+} = require('./utils/remember-me');
 const {
   getRefreshCookieName,
   getIncomingRefreshToken,
@@ -39,6 +62,7 @@ const {
 } = require('./utils/refresh-token');
 
 const SESSION_UID = 'plugin::magic-sessionmanager.session';
+const USER_UID = 'plugin::users-permissions.user';
 
 const JWT_WRAPPED_FLAG = Symbol.for('magic-sessionmanager.jwt.wrapped');
 
@@ -74,6 +98,9 @@ module.exports = async ({ strapi }) => {
   }
 
   try {
+    await configureSharedState(strapi);
+    await listenForSettingsInvalidation();
+
     await ensureSessionLookupIndexes(strapi, log);
 
     await registerSessionAwareAuthStrategy(strapi, log);
@@ -88,16 +115,32 @@ module.exports = async ({ strapi }) => {
       strapi.sessionManagerIntervals = {};
     }
 
-    log.info('Running initial session cleanup...');
+    // With several instances on one database, only the holder of the job
+    // lease runs the jobs below; the heartbeat keeps or takes over the lease.
+    const leaderElection = strapi.plugin('magic-sessionmanager').service('leader-election');
+    strapi.sessionManagerIntervals.leaderHeartbeat = setInterval(() => {
+      leaderElection.elect();
+    }, leaderElection.heartbeatIntervalMs);
+
+    // Every run is recorded in magic_job_runs (admin: Settings → Maintenance)
+    const jobRuns = strapi.plugin('magic-sessionmanager').service('job-run');
+
     try {
-      const settings = await getPluginSettings(strapi);
-      await sessionService.cleanupInactiveSessions({
-        useDbDirect: settings.cleanupUseDbDirect === true,
+      await leaderElection.runAsLeader('initial cleanup', () => {
+        log.info('Running initial session cleanup...');
+        return jobRuns.run('idle-cleanup', { trigger: 'startup' });
       });
     } catch (cleanupErr) {
       log.warn('Initial cleanup failed:', cleanupErr.message);
     }
 
+    // Sessions from before the `countryCode` and `city` columns get them
+    // from their geoLocation, once. Idempotent, so every instance may run
+    // it in the background until one has completed it.
+    sessionService.backfillLocationColumns().catch((err) => {
+      log.warn('Location backfill failed (retried on next startup):', err.message);
+    });
+
     // Schedule the idle-session cleanup using setTimeout recursion instead
     // of setInterval, so that changes to `settings.cleanupInterval` take
     // effect on the next scheduled tick rather than requiring a restart.
@@ -105,19 +148,17 @@ module.exports = async ({ strapi }) => {
     // from turning the job into a hot loop.
     const scheduleIdleCleanup = async () => {
       let intervalMs = 30 * 60 * 1000;
-      let useDbDirect = false;
       try {
         const settings = await getPluginSettings(strapi);
         intervalMs = Math.max(5 * 60 * 1000, settings.cleanupInterval || intervalMs);
-        useDbDirect = settings.cleanupUseDbDirect === true;
       } catch {
         // use defaults
       }
 
+      jobRuns.setNextRun('idle-cleanup', new Date(Date.now() + intervalMs));
       const handle = setTimeout(async () => {
         try {
-          const service = strapi.plugin('magic-sessionmanager').service('session');
-          await service.cleanupInactiveSessions({ useDbDirect });
+          await leaderElection.runAsLeader('idle cleanup', () => jobRuns.run('idle-cleanup', { intervalMs }));
         } catch (err) {
           log.error('Periodic cleanup error:', err);
         }
@@ -129,23 +170,16 @@ module.exports = async ({ strapi }) => {
     await scheduleIdleCleanup();
 
     // Separate scheduler for retention (permanently-delete inactive sessions
-    // older than settings.retentionDays). We run this at most once per day,
+    // older than settings.retentionDays, then drop archived sessions older
+    // than settings.archiveRetentionDays). We run this at most once per day,
     // because retention is a slow-moving property and more frequent runs
     // add no business value.
     const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
-    const scheduleRetention = async () => {
-      let useDbDirect = false;
-      try {
-        const settings = await getPluginSettings(strapi);
-        useDbDirect = settings.cleanupUseDbDirect === true;
-      } catch {
-        // use defaults
-      }
-
+    const scheduleRetention = () => {
+      jobRuns.setNextRun('retention', new Date(Date.now() + RETENTION_INTERVAL_MS));
       const handle = setTimeout(async () => {
         try {
-          const service = strapi.plugin('magic-sessionmanager').service('session');
-          await service.deleteOldSessions({ useDbDirect });
+          await leaderElection.runAsLeader('retention', () => jobRuns.run('retention', { intervalMs: RETENTION_INTERVAL_MS }));
         } catch (err) {
           log.error('Retention cleanup error:', err);
         }
@@ -156,12 +190,39 @@ module.exports = async ({ strapi }) => {
     };
     // Delay the first retention run by 5 minutes so Strapi bootstrap is
     // fully settled and we do not compete with startup DB activity.
+    jobRuns.setNextRun('retention', new Date(Date.now() + 5 * 60 * 1000 + RETENTION_INTERVAL_MS));
     strapi.sessionManagerIntervals.retentionStartup = setTimeout(() => {
       scheduleRetention();
     }, 5 * 60 * 1000);
 
+    // GDPR mode: pseudonymize ended sessions after settings.anonymizeAfterDays
+    // (0 = off). Daily like retention and offset a minute ahead of it, so
+    // rows are anonymized before the retention job archives them.
+    const ANONYMIZATION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+    const scheduleAnonymization = () => {
+      jobRuns.setNextRun('anonymization', new Date(Date.now() + ANONYMIZATION_INTERVAL_MS));
+      const handle = setTimeout(async () => {
+        try {
+          await leaderElection.runAsLeader('anonymization', () => jobRuns.run('anonymization', { intervalMs: ANONYMIZATION_INTERVAL_MS }));
+        } catch (err) {
+          log.error('Anonymization job error:', err);
+        }
+        scheduleAnonymization();
+      }, ANONYMIZATION_INTERVAL_MS);
+
+      strapi.sessionManagerIntervals.anonymizationTimeout = handle;
+    };
+    jobRuns.setNextRun('anonymization', new Date(Date.now() + 4 * 60 * 1000 + ANONYMIZATION_INTERVAL_MS));
+    strapi.sessionManagerIntervals.anonymizationStartup = setTimeout(() => {
+      scheduleAnonymization();
+    }, 4 * 60 * 1000);
+
     log.info('[TIME] Dynamic cleanup + retention scheduled');
 
+    // Outermost login middleware, so it sees the final status of every
+    // login, including ones rejected by the geo guard or the lockout
+    mountLoginMetrics({ strapi });
+
     mountPreLoginGeoGuard({ strapi, log });
 
     // Mounted BEFORE the login interceptor so a locked-out IP is short-
@@ -171,6 +232,8 @@ module.exports = async ({ strapi }) => {
 
     mountLogoutRoute({ strapi, log, sessionService });
 
+    mountMetricsRoute({ strapi, log });
+
     mountLoginInterceptor({ strapi, log, sessionService });
 
     mountRefreshTokenInterceptor({ strapi, log, sessionService });
@@ -237,8 +300,23 @@ function mountPreLoginGeoGuard({ strapi, log }) {
       const geoData = await geolocationService.getIpInfo(ip);
       const decision = evaluateGeoFirewall(settings, geoData);
 
-      if (decision.blocked) {
+      if (decision.blocked && await isGeoBlockWaivedForDevice({ ctx, strapi, settings, decision })) {
+        // The login interceptor re-checks that the device is trusted by the
+        // user who actually signed in, and rejects otherwise.
+        log.info(`[GEO] Country rule (${decision.reason}) deferred for a trusted device from IP ${ip}`);
+        ctx.state.__magicSessionGeoDeferred = { reason: decision.reason };
+        ctx.state.__magicSessionGeoData = geoData;
+      } else if (decision.blocked) {
         log.warn(`[PRE-BLOCKED] Login rejected (${decision.reason}) from IP ${ip}`);
+        await recordSessionEvent(strapi, {
+          type: 'geo_blocked',
+          actor: actorFromContext(ctx, 'user'),
+          details: {
+            reason: decision.reason || null,
+            country: geoData?.country_code || null,
+            path: ctx.path,
+          },
+        });
         ctx.status = 403;
         ctx.body = {
           error: {
@@ -260,6 +338,11 @@ function mountPreLoginGeoGuard({ strapi, log }) {
       const failureDecision = evaluateGeoFirewall(settings, { _status: 'error' });
       if (failureDecision.blocked) {
         log.warn(`[PRE-BLOCKED] Login rejected because GeoIP lookup failed for ${ip}`);
+        await recordSessionEvent(strapi, {
+          type: 'geo_blocked',
+          actor: actorFromContext(ctx, 'user'),
+          details: { reason: 'geo_lookup_failed', country: null, path: ctx.path },
+        });
         ctx.status = 403;
         ctx.body = {
           error: {
@@ -279,6 +362,29 @@ function mountPreLoginGeoGuard({ strapi, log }) {
   log.info('[SUCCESS] Pre-login geo guard mounted');
 }
 
+/**
+ * Whether a geo-firewall block may be deferred because the request comes
+ * from a trusted device. Only the country allow/block lists can be waived;
+ * threat, VPN, proxy and low-score blocks always apply.
+ *
+ * @param {{ctx: object, strapi: object, settings: object, decision: object}} params
+ * @returns {Promise<boolean>}
+ */
+async function isGeoBlockWaivedForDevice({ ctx, strapi, settings, decision }) {
+  if (!settings.enableDeviceTracking || !settings.trustedDeviceGeoBypass) return false;
+  if (!decision.reason?.startsWith('country_')) return false;
+
+  const device = readDeviceId(ctx);
+  if (!device) return false;
+
+  try {
+    const deviceService = strapi.plugin('magic-sessionmanager').service('device');
+    return await deviceService.isTrustedByAnyUser(device.deviceId, settings);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Mounts the `/api/auth/logout` route. Unlike the previous implementation, this
  * version REQUIRES a cryptographically valid JWT (or a just-expired JWT whose
@@ -394,6 +500,115 @@ function hasRegisteredRoute(strapi, method, path) {
   }
 }
 
+/**
+ * Counts session-creating requests by route and final result. Requests that
+ * answer 2xx without a JWT (e.g. "magic link sent") are not logins.
+ *
+ * @param {{strapi: object}} deps
+ */
+function mountLoginMetrics({ strapi }) {
+  strapi.server.use(async (ctx, next) => {
+    const route = loginRouteLabel(ctx.path, ctx.method);
+    if (!route) return next();
+
+    try {
+      await next();
+    } catch (err) {
+      // Strapi's error middleware, further out, turns this into the status
+      metrics.increment('logins', { route, result: loginResult(thrownErrorStatus(err)) });
+      throw err;
+    }
+    const result = loginResult(ctx.status, ctx.body);
+    if (result) metrics.increment('logins', { route, result });
+  });
+}
+
+const ERROR_STATUS_BY_NAME = {
+  ApplicationError: 400,
+  ValidationError: 400,
+  UnauthorizedError: 401,
+  ForbiddenError: 403,
+  PolicyError: 403,
+  NotFoundError: 404,
+  RateLimitError: 429,
+};
+
+/**
+ * @param {Error} err - Thrown by an auth handler
+ * @returns {number} The status Strapi answers it with
+ */
+function thrownErrorStatus(err) {
+  return err?.status || err?.statusCode || ERROR_STATUS_BY_NAME[err?.name] || 500;
+}
+
+/**
+ * @param {number} status - Final status of a login request
+ * @param {object} [body]
+ * @returns {string|null}
+ */
+function loginResult(status, body) {
+  if (status >= 200 && status < 300) return body?.jwt ? 'success' : null;
+  if (status === 403) return 'blocked'; // geofencing, impossible travel
+  if (status === 409) return 'session_limit';
+  if (status === 429) return 'locked_out';
+  if (status >= 400 && status < 500) return 'failed';
+  return 'error';
+}
+
+/**
+ * Mounts `GET /api/magic-sessionmanager/metrics` (Prometheus text format)
+ * when the static `metrics` config enables it. Scrapers authenticate with
+ * `Authorization: Bearer <metrics.token>`; users-permissions JWTs are not
+ * accepted.
+ *
+ * @param {{strapi: object, log: object}} deps
+ */
+function mountMetricsRoute({ strapi, log }) {
+  const config = (strapi.config.get('plugin::magic-sessionmanager') || {}).metrics || {};
+  if (config.enabled !== true) return;
+
+  const apiPrefix = strapi.config.get('api.rest.prefix', '/api');
+  const path = `${apiPrefix}/magic-sessionmanager/metrics`;
+  const expectedDigest = crypto.createHash('sha256').update(String(config.token)).digest();
+
+  const unauthorized = (ctx) => {
+    ctx.status = 401;
+    ctx.set('WWW-Authenticate', 'Bearer');
+    ctx.body = { error: { status: 401, name: 'UnauthorizedError', message: 'Invalid metrics token' } };
+  };
+
+  strapi.server.routes([{
+    method: 'GET',
+    path,
+    handler: async (ctx) => {
+      const headers = ctx.request.headers || ctx.request.header || {};
+      const token = /^\s*Bearer\s+(\S+)\s*$/i.exec(headers.authorization || '')?.[1];
+      const digest = token ? crypto.createHash('sha256').update(token).digest() : null;
+      if (!digest || !crypto.timingSafeEqual(digest, expectedDigest)) {
+        unauthorized(ctx);
+        return;
+      }
+
+      try {
+        const active = await strapi.db.query(SESSION_UID).count({ where: { isActive: true } });
+        metrics.setGauge('activeSessions', {}, active);
+      } catch (err) {
+        // The remaining metrics are still worth a scrape
+        log.warn('[METRICS] Could not count active sessions:', err.message);
+      }
+
+      ctx.status = 200;
+      ctx.type = 'text/plain; version=0.0.4; charset=utf-8';
+      ctx.body = metrics.renderMetrics();
+    },
+    config: {
+      auth: false,
+    },
+  }]);
+
+  log.info(`[SUCCESS] Metrics endpoint registered at ${path}`);
+}
+
 function failClosedAuthResponse({ ctx, strapi, log, operation, error }) {
   stripAuthTokensFromResponse(ctx, getRefreshCookieName(strapi));
   ctx.status = 503;
@@ -409,15 +624,13 @@ function failClosedAuthResponse({ ctx, strapi, log, operation, error }) {
 }
 
 /**
- * In-memory IP-based lockout after `maxFailedLogins` failed attempts within
- * a 15-minute rolling window. Lockout duration = 15 minutes.
+ * IP-based lockout after `maxFailedLogins` failed attempts within a
+ * 15-minute window. Lockout duration = 15 minutes.
  *
- * Trade-offs of the in-memory approach:
- *  - single-process only (multi-instance deployments share nothing)
- *  - resets on restart (attackers can reset by crashing the process)
- * These are acceptable for a first-line defense that runs BEFORE the
- * auth handler and adds no new DB writes. For multi-instance deployments,
- * swap this with a Redis-backed counter.
+ * Counters live in the shared-state store: with the Redis driver every
+ * instance counts towards the same limit, with the default memory driver
+ * each process counts on its own and a restart resets them. Either way the
+ * check runs BEFORE the auth handler and adds no DB writes.
  *
  * The feature is opt-in via `settings.maxFailedLogins > 0`. When the
  * setting is 0 or missing, the middleware is a no-op (still mounted for
@@ -427,34 +640,24 @@ function failClosedAuthResponse({ ctx, strapi, log, operation, error }) {
  */
 function mountFailedLoginLockout({ strapi, log }) {
   const WINDOW_MS = 15 * 60 * 1000;
-  const failed = new Map(); // ip → { count, firstFailAt, blockedUntil }
-
-  const prune = (now) => {
-    if (failed.size < 5000) return;
-    for (const [k, v] of failed) {
-      if (v.blockedUntil < now && now - v.firstFailAt > WINDOW_MS) failed.delete(k);
+  const failuresKey = (ip) => `lockout:failures:${ip}`;
+  const blockedKey = (ip) => `lockout:blocked:${ip}`;
+
+  const recordFailure = async (ip, max) => {
+    const store = getSharedState();
+    const { count } = await store.increment(failuresKey(ip), WINDOW_MS);
+    const blocked = count >= max;
+    if (blocked) {
+      await store.set(blockedKey(ip), Date.now() + WINDOW_MS, WINDOW_MS);
     }
+    return { count, blocked };
   };
 
-  const recordFailure = (ip, max) => {
-    const now = Date.now();
-    prune(now);
-    const entry = failed.get(ip) || { count: 0, firstFailAt: now, blockedUntil: 0 };
-    if (now - entry.firstFailAt > WINDOW_MS) {
-      entry.count = 0;
-      entry.firstFailAt = now;
-      entry.blockedUntil = 0;
-    }
-    entry.count += 1;
-    if (entry.count >= max) {
-      entry.blockedUntil = now + WINDOW_MS;
-    }
-    failed.set(ip, entry);
-    return entry;
+  const clearFailures = async (ip) => {
+    const store = getSharedState();
+    await Promise.all([store.delete(failuresKey(ip)), store.delete(blockedKey(ip))]);
   };
 
-  const clearFailures = (ip) => failed.delete(ip);
-
   strapi.server.use(async (ctx, next) => {
     if (!isFailedLoginTrackedPath(ctx.path, ctx.method)) return next();
 
@@ -465,12 +668,13 @@ function mountFailedLoginLockout({ strapi, log }) {
     const ip = getClientIp(ctx);
     if (!ip || ip === 'unknown') return next();
 
+    const blockedUntil = await getSharedState().get(blockedKey(ip));
     const now = Date.now();
-    const existing = failed.get(ip);
-    if (existing && existing.blockedUntil > now) {
-      const retrySec = Math.ceil((existing.blockedUntil - now) / 1000);
+    if (blockedUntil > now) {
+      const retrySec = Math.ceil((blockedUntil - now) / 1000);
       ctx.set('Retry-After', String(retrySec));
       log.warn(`[LOCKOUT] Rejected login from locked IP ${ip} (${retrySec}s remaining)`);
+      metrics.increment('tooManyRequests', { limiter: 'login_lockout' });
       ctx.status = 429;
       ctx.body = {
         error: {
@@ -487,12 +691,23 @@ function mountFailedLoginLockout({ strapi, log }) {
 
     // Count every 4xx from a login endpoint as a failure. 5xx is almost
     // always a server bug and we don't want to punish the user for it.
-    // 200 with a jwt resets the counter.
-    if (ctx.status === 200 && ctx.body && ctx.body.jwt) {
-      clearFailures(ip);
-    } else if (ctx.status >= 400 && ctx.status < 500 && ctx.status !== 429) {
-      const entry = recordFailure(ip, maxFailed);
-      if (entry.blockedUntil > now) {
+    // 200 with a jwt resets the counter, and so does a session-limit
+    // rejection: the credentials were correct in that case. A login
+    // rejected by an impossible-travel or deferred geo check also had
+    // correct credentials; it is neither counted nor allowed to reset.
+    if (
+      (ctx.status === 200 && ctx.body && ctx.body.jwt) ||
+      ctx.state?.__magicSessionLimitRejected
+    ) {
+      await clearFailures(ip);
+    } else if (
+      ctx.status >= 400 &&
+      ctx.status < 500 &&
+      ctx.status !== 429 &&
+      !ctx.state?.__magicSessionSecurityRejected
+    ) {
+      const entry = await recordFailure(ip, maxFailed);
+      if (entry.blocked) {
         log.warn(
           `[LOCKOUT] IP ${ip} locked for 15min after ${entry.count} failed login attempts`
         );
@@ -505,8 +720,10 @@ function mountFailedLoginLockout({ strapi, log }) {
 
 /**
  * After a successful login/MFA/OTP, creates a session record for the new JWT.
- * Geo-blocking already happened in `mountPreLoginGeoGuard`, so this handler
- * only records the session and (optionally) sends notifications.
+ * Geo-blocking already happened in `mountPreLoginGeoGuard`; the only geo
+ * decision left here is a country block deferred for a trusted device.
+ * Otherwise this handler records the session and device and (optionally)
+ * sends notifications.
  *
  * @param {{strapi: object, log: object, sessionService: object}} deps
  */
@@ -530,7 +747,7 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
             tokenHash: hashToken(previousAccessToken),
             isActive: true,
           },
-          fields: ['documentId'],
+          fields: ['documentId', 'refreshTokenHash'],
         });
         if (!matchingSession) throw new Error('current session was not found');
 
@@ -539,6 +756,9 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
           expectedAccessToken: previousAccessToken,
           accessToken: ctx.body.jwt,
           refreshToken: getOutgoingRefreshToken(ctx, refreshCookieName),
+          eventType: 'password_change',
+          actor: actorFromContext(ctx, 'user'),
+          currentRefreshTokenHash: matchingSession.refreshTokenHash || null,
         });
         if (!rotated) throw new Error('current session changed before token rotation');
         log.info(`[PASSWORD] Tokens rotated for session ${matchingSession.documentId}`);
@@ -551,7 +771,7 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
     try {
       const user = ctx.body.user;
       if (!user) throw new Error('authentication response contains no user');
-      await getRequestSettings(strapi, ctx);
+      const requestSettings = await getRequestSettings(strapi, ctx);
       const ip = getClientIp(ctx);
       const headers = ctx.request.headers || ctx.request.header || {};
       const userAgent = headers['user-agent'] || 'unknown';
@@ -567,8 +787,55 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
         throw new Error(`could not resolve documentId for user ${user.id || 'unknown'}`);
       }
 
+      const deviceTracking = requestSettings.enableDeviceTracking === true;
+      const presentedDevice = deviceTracking ? readDeviceId(ctx) : null;
+
+      const geoDeferred = ctx.state?.__magicSessionGeoDeferred;
+      if (geoDeferred) {
+        const deviceService = strapi.plugin('magic-sessionmanager').service('device');
+        const trustedByUser = presentedDevice
+          ? await deviceService.isTrustedForUser(userDocId, presentedDevice.deviceId, requestSettings)
+          : false;
+        if (!trustedByUser) {
+          await rejectDeferredGeoBlock({ ctx, strapi, log, userId: userDocId, reason: geoDeferred.reason });
+          return;
+        }
+      }
+
+      const sessionLimit = hasSessionLimits(requestSettings)
+        ? await sessionService.getSessionLimit(userDocId)
+        : { limit: 0, mode: 'evict' };
+
+      let replaceSessionId = null;
+      if (sessionLimit.limit > 0 && sessionLimit.mode === 'reject') {
+        const limitCheck = await rejectLoginOverSessionLimit({
+          ctx,
+          strapi,
+          log,
+          sessionService,
+          userId: userDocId,
+          limit: sessionLimit.limit,
+        });
+        if (limitCheck.rejected) return;
+        replaceSessionId = limitCheck.replaceSessionId;
+      }
+
       const geoData = ctx.state?.__magicSessionGeoData || null;
 
+      const loginDevice = deviceTracking
+        ? await registerLoginDevice({
+            ctx,
+            strapi,
+            log,
+            settings: requestSettings,
+            userId: userDocId,
+            presentedDevice,
+            ip,
+            userAgent,
+            geoData,
+          })
+        : null;
+
       const newSession = await sessionService.createSession({
         userId: userDocId,
         ip,
@@ -576,6 +843,10 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
         token: ctx.body.jwt,
         refreshToken: getOutgoingRefreshToken(ctx, refreshCookieName),
         geoData,
+        ...(loginDevice ? { deviceId: loginDevice.documentId } : {}),
+        ...(wantsPersistentSession(ctx.request.body, requestSettings)
+          ? { lifetime: persistentSessionFields(requestSettings) }
+          : {}),
       });
 
       if (!newSession?.documentId) {
@@ -584,6 +855,65 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
 
       log.info(`[SUCCESS] Session ${newSession.documentId} created for user ${userDocId} (IP: ${ip})`);
 
+      if (sessionLimit.limit > 0 && sessionLimit.mode === 'evict') {
+        try {
+          await sessionService.evictSessionsOverLimit({
+            userId: userDocId,
+            limit: sessionLimit.limit,
+            keepSessionId: newSession.documentId,
+          });
+        } catch (evictErr) {
+          // The new session is valid either way; a failed eviction only
+          // leaves the user above the limit until their next login.
+          log.warn('Session limit eviction failed:', evictErr.message);
+        }
+      }
+
+      const travel = requestSettings.enableImpossibleTravel === true
+        ? await detectImpossibleTravel({
+            strapi,
+            log,
+            settings: requestSettings,
+            userId: userDocId,
+            sessionId: newSession.documentId,
+            geoData,
+            loginDevice,
+          })
+        : null;
+
+      if (travel) {
+        await enforceImpossibleTravel({
+          ctx,
+          strapi,
+          log,
+          sessionService,
+          settings: requestSettings,
+          userId: userDocId,
+          sessionId: newSession.documentId,
+          travel,
+        });
+      } else if (loginDevice && ctx.request.body?.trustDevice === true) {
+        // Trust is granted only now: the checks above judged the device by
+        // its trust before this login, and a flagged login earns none.
+        await trustLoginDevice({ strapi, log, deviceDocumentId: loginDevice.documentId });
+      }
+
+      // The replaced session ends only once the new one stands, so a login
+      // that fails or is rejected for impossible travel keeps it alive.
+      if (replaceSessionId && !ctx.state.__magicSessionSecurityRejected) {
+        try {
+          await sessionService.terminateSession({
+            sessionId: replaceSessionId,
+            reason: 'session_limit',
+            expectedFilters: { isActive: true },
+            actor: { ...actorFromContext(ctx, 'user'), id: userDocId },
+          });
+          log.info(`[LIMIT] Session ${replaceSessionId} replaced by new login for user ${userDocId}`);
+        } catch (replaceErr) {
+          log.warn('Session replacement failed:', replaceErr.message);
+        }
+      }
+
       try {
         const settings = await getPluginSettings(strapi);
         if (!geoData || !(settings.enableEmailAlerts || settings.enableWebhooks)) {
@@ -600,13 +930,16 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
         const lowScore = scoreEvaluationEnabled
           && typeof geoData.securityScore === 'number'
           && geoData.securityScore < 70;
-        const isSuspicious = geoData.isVpn || geoData.isProxy || geoData.isThreat || lowScore;
+        // A trusted device is already known to the user, so "unfamiliar
+        // login" alerts are optionally skipped for it.
+        const knownDevice = loginDevice?.wasTrusted === true && settings.trustedDeviceSuppressAlerts === true;
+        const isSuspicious = !knownDevice && (geoData.isVpn || geoData.isProxy || geoData.isThreat || lowScore);
 
         // New-location detection: compare to the user's previous sessions.
         // "New" is defined as never having seen this country before. We
         // swallow lookup errors because this is purely informational alerting.
         let isNewLocation = false;
-        if (settings.alertOnNewLocation && (geoData.country_code || geoData.country)) {
+        if (!knownDevice && settings.alertOnNewLocation && (geoData.country_code || geoData.country)) {
           try {
             const normalizeCountryToken = (value) => {
               if (typeof value !== 'string') return null;
@@ -659,6 +992,15 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
         }
 
         if (settings.enableEmailAlerts) {
+          if (travel) {
+            await notificationService.sendImpossibleTravelAlert({
+              user,
+              session: newSession,
+              geoData,
+              travel,
+            });
+          }
+
           if (settings.alertOnVpnProxy && (geoData.isVpn || geoData.isProxy)) {
             await notificationService.sendVpnProxyAlert({
               user,
@@ -695,47 +1037,28 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
         }
 
         if (settings.enableWebhooks) {
-          const webhookEvent = isSuspicious
-            ? 'login.suspicious'
-            : isNewLocation
-              ? 'login.new_location'
-              : 'login.success';
-
-          // Fan out to every configured webhook channel. Each failure is
-          // isolated: a broken Slack URL does not stop Discord delivery.
-          const targets = [];
-          if (settings.discordWebhookUrl) {
-            targets.push({
-              url: settings.discordWebhookUrl,
-              payload: notificationService.formatDiscordWebhook({
-                event: webhookEvent,
-                session: newSession,
-                user,
-                geoData,
-              }),
-            });
-          }
-          if (settings.slackWebhookUrl) {
-            targets.push({
-              url: settings.slackWebhookUrl,
-              payload: notificationService.formatSlackWebhook({
-                event: webhookEvent,
-                session: newSession,
-                user,
-                geoData,
-              }),
-            });
-          }
-
-          await Promise.allSettled(
-            targets.map((t) =>
-              notificationService.sendWebhook({
-                event: webhookEvent,
-                data: t.payload,
-                webhookUrl: t.url,
-              })
-            )
-          );
+          const webhookEvent = travel
+            ? 'login.impossible_travel'
+            : isSuspicious
+              ? 'login.suspicious'
+              : isNewLocation
+                ? 'login.new_location'
+                : 'login.success';
+
+          await sendSessionWebhooks({
+            notificationService,
+            settings,
+            event: webhookEvent,
+            session: newSession,
+            user,
+            geoData,
+            details: travel
+              ? [{
+                  label: 'Previous Login',
+                  value: `${travel.previousLocation || '?'}: ${travel.distanceKm} km in ${travel.hours} h (${travel.speedKmh} km/h)`,
+                }]
+              : [],
+          });
         }
       } catch (notifErr) {
         log.warn('Notification failed:', notifErr.message);
@@ -748,6 +1071,265 @@ function mountLoginInterceptor({ strapi, log, sessionService }) {
   log.info('[SUCCESS] Login interceptor middleware mounted');
 }
 
+/**
+ * Fans a session event out to every configured webhook channel. Each
+ * failure is isolated: a broken Slack URL does not stop Discord delivery.
+ *
+ * @param {{notificationService: object, settings: object, event: string,
+ *   session: object, user: object, geoData?: object|null,
+ *   details?: Array<{label: string, value: string}>}} params
+ * @returns {Promise<void>}
+ */
+async function sendSessionWebhooks({ notificationService, settings, event, session, user, geoData = null, details = [] }) {
+  const targets = [];
+  if (settings.discordWebhookUrl) {
+    targets.push({
+      url: settings.discordWebhookUrl,
+      payload: notificationService.formatDiscordWebhook({ event, session, user, geoData, details }),
+    });
+  }
+  if (settings.slackWebhookUrl) {
+    targets.push({
+      url: settings.slackWebhookUrl,
+      payload: notificationService.formatSlackWebhook({ event, session, user, geoData, details }),
+    });
+  }
+
+  await Promise.allSettled(
+    targets.map((t) =>
+      notificationService.sendWebhook({
+        event,
+        data: t.payload,
+        webhookUrl: t.url,
+      })
+    )
+  );
+}
+
+/**
+ * Registers the device of a successful login. Browsers without a device id
+ * get a signed cookie. A `trustDevice` request is applied later by
+ * `trustLoginDevice`. Best-effort: a registry failure never fails the login.
+ *
+ * @param {{ctx: object, strapi: object, log: object, settings: object,
+ *   userId: string, presentedDevice: {deviceId: string}|null, ip: string,
+ *   userAgent: string, geoData: object|null}} params
+ * @returns {Promise<{documentId: string, wasTrusted: boolean}|null>} The
+ *   device and its trust before this login
+ */
+async function registerLoginDevice({
+  ctx,
+  strapi,
+  log,
+  settings,
+  userId,
+  presentedDevice,
+  ip,
+  userAgent,
+  geoData,
+}) {
+  try {
+    const deviceId = presentedDevice?.deviceId || issueDeviceCookie(ctx);
+    if (!deviceId) return null;
+
+    const deviceService = strapi.plugin('magic-sessionmanager').service('device');
+    const { device, wasTrusted } = await deviceService.touchDevice({
+      userId,
+      deviceId,
+      userAgent,
+      ipAddress: ip,
+      geoData,
+      settings,
+    });
+    return { documentId: device.documentId, wasTrusted };
+  } catch (err) {
+    log.warn('Device registration failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Applies a `trustDevice` login request once the login passed its checks.
+ * Best-effort: a failure leaves the device untrusted and the login intact.
+ *
+ * @param {{strapi: object, log: object, deviceDocumentId: string}} params
+ */
+async function trustLoginDevice({ strapi, log, deviceDocumentId }) {
+  try {
+    await strapi.plugin('magic-sessionmanager').service('device').trustDevice(deviceDocumentId);
+  } catch (err) {
+    log.warn('Device trust failed:', err.message);
+  }
+}
+
+/**
+ * Compares a new login with the user's previous session and returns the
+ * travel evaluation when the implied speed is impossible. Trusted devices
+ * are skipped when `trustedDeviceSuppressAlerts` is on. Best-effort: a
+ * failed lookup never fails the login.
+ *
+ * @param {{strapi: object, log: object, settings: object, userId: string,
+ *   sessionId: string, geoData: object|null,
+ *   loginDevice: {wasTrusted: boolean}|null}} params
+ * @returns {Promise<object|null>} See `evaluateTravel`, plus `previousSessionId`
+ */
+async function detectImpossibleTravel({ strapi, log, settings, userId, sessionId, geoData, loginDevice }) {
+  if (!coordinatesOf(geoData)) return null;
+  if (loginDevice?.wasTrusted === true && settings.trustedDeviceSuppressAlerts === true) return null;
+
+  try {
+    const [previous] = await strapi.documents(SESSION_UID).findMany({
+      filters: {
+        user: { documentId: userId },
+        documentId: { $ne: sessionId },
+      },
+      fields: ['geoLocation', 'loginTime'],
+      sort: { loginTime: 'desc' },
+      limit: 1,
+    });
+
+    const travel = evaluateTravel({
+      previous,
+      currentGeo: geoData,
+      maxSpeedKmh: settings.impossibleTravelSpeedKmh,
+    });
+    if (!travel?.impossible) return null;
+
+    log.warn(`[TRAVEL] ${describeTravel(travel)} for user ${userId} (session ${sessionId})`);
+    return { ...travel, previousSessionId: previous.documentId };
+  } catch (err) {
+    log.debug('Impossible-travel check failed (non-fatal):', err.message);
+    return null;
+  }
+}
+
+/**
+ * Applies `impossibleTravelAction` to a flagged login. 'terminate' ends the
+ * new session; 'block' ends every session of the user and blocks the
+ * account. Either way the issued tokens are stripped and the login answers
+ * 403. 'alert' leaves the login alone.
+ *
+ * @param {{ctx: object, strapi: object, log: object, sessionService: object,
+ *   settings: object, userId: string, sessionId: string, travel: object}} params
+ */
+async function enforceImpossibleTravel({ ctx, strapi, log, sessionService, settings, userId, sessionId, travel }) {
+  const action = settings.impossibleTravelAction;
+  if (action !== 'terminate' && action !== 'block') return;
+
+  const actor = systemActor('impossible-travel');
+  const note = describeTravel(travel);
+
+  if (action === 'block') {
+    await sessionService.terminateSession({ userId, reason: 'blocked', actor, note });
+    await strapi.documents(USER_UID).update({ documentId: userId, data: { blocked: true } });
+    log.warn(`[TRAVEL] User ${userId} blocked after impossible travel`);
+  } else {
+    await sessionService.terminateSession({ sessionId, reason: 'impossible_travel', actor, note });
+  }
+
+  stripAuthTokensFromResponse(ctx, getRefreshCookieName(strapi));
+  ctx.state.__magicSessionSecurityRejected = true;
+  ctx.status = 403;
+  ctx.body = {
+    error: {
+      status: 403,
+      name: 'ForbiddenError',
+      message: 'Login blocked for security reasons. Please contact support.',
+      details: { reason: 'impossible_travel' },
+    },
+  };
+}
+
+/**
+ * Applies a geo-firewall block that the pre-login guard deferred for a
+ * trusted device, once it turns out the device is not trusted by the user
+ * who signed in. Tokens were already issued, so they are stripped.
+ *
+ * @param {{ctx: object, strapi: object, log: object, userId: string, reason: string}} params
+ */
+async function rejectDeferredGeoBlock({ ctx, strapi, log, userId, reason }) {
+  stripAuthTokensFromResponse(ctx, getRefreshCookieName(strapi));
+  log.warn(`[BLOCKED] Login rejected (${reason}) for user ${userId}: device is not trusted by this user`);
+  await recordSessionEvent(strapi, {
+    type: 'geo_blocked',
+    userId,
+    actor: { ...actorFromContext(ctx, 'user'), id: userId },
+    details: {
+      reason,
+      country: ctx.state?.__magicSessionGeoData?.country_code || null,
+      path: ctx.path,
+    },
+  });
+  ctx.state.__magicSessionSecurityRejected = true;
+  ctx.status = 403;
+  ctx.body = {
+    error: {
+      status: 403,
+      name: 'ForbiddenError',
+      message: 'Login blocked for security reasons. Please contact support.',
+    },
+  };
+}
+
+/**
+ * Reject-mode enforcement of the concurrent-session limit. Runs after
+ * users-permissions issued the JWT but before a session row exists, so
+ * rejecting means stripping the tokens and answering 409 with the user's
+ * live sessions. The client can retry the login with `replaceSessionId`
+ * set to one of the listed ids to take that session's slot. The session is
+ * not ended here: the caller ends it once the new session is created and
+ * the login passed its remaining checks.
+ *
+ * @param {{ctx: object, strapi: object, log: object, sessionService: object,
+ *   userId: string, limit: number}} params
+ * @returns {Promise<{rejected: boolean, replaceSessionId: string|null}>}
+ *   `replaceSessionId` is the validated live session to end
+ */
+async function rejectLoginOverSessionLimit({ ctx, strapi, log, sessionService, userId, limit }) {
+  let liveSessions = await sessionService.getLiveSessions(userId);
+  let replaceSessionId = null;
+
+  const requested = ctx.request.body?.replaceSessionId;
+  if (typeof requested === 'string' && requested) {
+    const replaced = liveSessions.find((session) => session.documentId === requested);
+    if (replaced) {
+      replaceSessionId = replaced.documentId;
+      liveSessions = liveSessions.filter((session) => session !== replaced);
+    }
+  }
+
+  if (liveSessions.length < limit) return { rejected: false, replaceSessionId };
+
+  stripAuthTokensFromResponse(ctx, getRefreshCookieName(strapi));
+  ctx.state.__magicSessionLimitRejected = true;
+  ctx.status = 409;
+  ctx.body = {
+    data: null,
+    error: {
+      status: 409,
+      name: 'ConflictError',
+      message: 'Maximum number of concurrent sessions reached. End one of your sessions to sign in.',
+      details: {
+        reason: 'session_limit',
+        limit,
+        sessions: liveSessions.map((session) => ({
+          id: session.documentId,
+          loginTime: session.loginTime,
+          lastActive: session.lastActive,
+          ipAddress: session.ipAddress,
+          deviceType: session.deviceType,
+          browserName: session.browserName,
+          osName: session.osName,
+          geoLocation: session.geoLocation,
+        })),
+      },
+    },
+  };
+
+  log.warn(`[LIMIT] Login rejected for user ${userId}: ${liveSessions.length}/${limit} sessions active`);
+  return { rejected: true, replaceSessionId: null };
+}
+
 /**
  * Refresh-token interceptor.
  *
@@ -781,13 +1363,23 @@ function mountRefreshTokenInterceptor({ strapi, log, sessionService }) {
         });
 
         if (!matchingSession) {
-          log.warn('[BLOCKED] Blocked refresh token request - no active session');
+          const reused = await handleRefreshTokenReuse({
+            ctx,
+            strapi,
+            log,
+            sessionService,
+            refreshToken: oldRefreshToken,
+          });
+          if (!reused) {
+            log.warn('[BLOCKED] Blocked refresh token request - no active session');
+          }
           ctx.status = 401;
           ctx.body = {
             error: {
               status: 401,
               name: 'UnauthorizedError',
               message: 'Session terminated. Please login again.',
+              ...(reused ? { details: { reason: 'token_reuse' } } : {}),
             },
           };
           return;
@@ -810,6 +1402,8 @@ function mountRefreshTokenInterceptor({ strapi, log, sessionService }) {
           expectedRefreshToken: oldRefreshToken,
           accessToken: ctx.body.jwt,
           refreshToken: getOutgoingRefreshToken(ctx, cookieName),
+          eventType: 'refresh',
+          actor: actorFromContext(ctx, 'user'),
         });
         if (!rotated) throw new Error('refresh token was already consumed');
         log.info(`[REFRESH] Tokens refreshed for session ${matchingSession.documentId}`);
@@ -822,6 +1416,84 @@ function mountRefreshTokenInterceptor({ strapi, log, sessionService }) {
   log.info('[SUCCESS] Refresh token interceptor middleware mounted');
 }
 
+/**
+ * Treats a replayed, already rotated refresh token as stolen: the session it
+ * belonged to is terminated with reason `token_reuse`, or every session of
+ * the user when `refreshTokenReuseScope` is 'user', and the user is alerted.
+ * Detection is on unless `detectRefreshTokenReuse` is false. A token
+ * replayed within `refreshTokenReuseGraceSeconds` of its rotation is taken
+ * for a concurrent refresh (two tabs) and only rejected. Never throws.
+ *
+ * @param {{ctx: object, strapi: object, log: object, sessionService: object,
+ *   refreshToken: string}} params
+ * @returns {Promise<boolean>} true when the token was a replay
+ */
+async function handleRefreshTokenReuse({ ctx, strapi, log, sessionService, refreshToken }) {
+  try {
+    const settings = await getRequestSettings(strapi, ctx);
+    if (settings.detectRefreshTokenReuse === false) return false;
+
+    const reused = await sessionService.findSessionByReusedRefreshToken(refreshToken);
+    if (!reused) return false;
+
+    const graceMs = getRefreshTokenReuseGraceSeconds(settings) * 1000;
+    if (Date.now() - reused.supersededAt.getTime() <= graceMs) {
+      log.info(`[REUSE] Refresh token of session ${reused.documentId} replayed within the grace window; rejected only`);
+      return false;
+    }
+
+    const user = reused.user || null;
+    const userId = user?.documentId || null;
+    const ip = getClientIp(ctx);
+    const headers = ctx.request.headers || ctx.request.header || {};
+    const userAgent = headers['user-agent'] || 'unknown';
+    const actor = systemActor('token-reuse');
+    const note = `Superseded refresh token replayed from ${ip}`.substring(0, 500);
+
+    let terminatedCount = 0;
+    if (settings.refreshTokenReuseScope === 'user' && userId) {
+      ({ terminatedCount } = await sessionService.terminateSession({
+        userId,
+        reason: 'token_reuse',
+        actor,
+        note,
+      }));
+    } else if (reused.isActive) {
+      ({ terminatedCount } = await sessionService.terminateSession({
+        sessionId: reused.documentId,
+        reason: 'token_reuse',
+        expectedFilters: userId ? { isActive: true, user: { documentId: userId } } : { isActive: true },
+        actor,
+        note,
+      }));
+    }
+    log.warn(
+      `[REUSE] Refresh token of session ${reused.documentId} replayed from ${ip}; ${terminatedCount} session(s) terminated`
+    );
+
+    if (user?.email && (settings.enableEmailAlerts || settings.enableWebhooks)) {
+      const notificationService = strapi.plugin('magic-sessionmanager').service('notifications');
+      const replay = { ipAddress: ip, userAgent, loginTime: new Date() };
+      if (settings.enableEmailAlerts) {
+        await notificationService.sendTokenReuseAlert({ user, session: replay });
+      }
+      if (settings.enableWebhooks) {
+        await sendSessionWebhooks({
+          notificationService,
+          settings,
+          event: 'session.token_reuse',
+          session: replay,
+          user,
+        });
+      }
+    }
+    return true;
+  } catch (err) {
+    log.warn('Refresh-token reuse handling failed:', err.message);
+    return false;
+  }
+}
+
 /**
  * Synchronizes a successful users-permissions logout with the authenticated
  * user's plugin session after downstream authentication has completed.
@@ -898,7 +1570,7 @@ async function ensureContentApiPermissions(strapi, log) {
   // installations pick up the new permissions on next boot. Storing a
   // version (not a boolean) also lets us back out a bad migration by
   // decrementing the stored value manually.
-  const PERMISSIONS_VERSION = 2;
+  const PERMISSIONS_VERSION = 8;
 
   try {
     const pluginStore = strapi.store({ type: 'plugin', name: 'magic-sessionmanager' });
@@ -943,9 +1615,16 @@ async function ensureContentApiPermissions(strapi, log) {
       'plugin::magic-sessionmanager.session.logoutAll',
       'plugin::magic-sessionmanager.session.logoutOthers',
       'plugin::magic-sessionmanager.session.getOwnSessions',
+      'plugin::magic-sessionmanager.session.exportOwnSessions',
+      'plugin::magic-sessionmanager.session.purgeOwnHistory',
       'plugin::magic-sessionmanager.session.getUserSessions',
       'plugin::magic-sessionmanager.session.getCurrentSession',
+      'plugin::magic-sessionmanager.session.reauthenticate',
       'plugin::magic-sessionmanager.session.terminateOwnSession',
+      'plugin::magic-sessionmanager.session.updateOwnSession',
+      'plugin::magic-sessionmanager.session.getOwnSessionEvents',
+      'plugin::magic-sessionmanager.device.getOwnDevices',
+      'plugin::magic-sessionmanager.device.revokeOwnDevice',
     ];
 
     const existingPermissions = await strapi.documents(PERMISSION_UID).findMany({
@@ -982,7 +1661,9 @@ async function ensureContentApiPermissions(strapi, log) {
 }
 
 /**
- * Creates composite DB indexes for access- and refresh-token session lookups.
+ * Creates composite DB indexes for access- and refresh-token session lookups,
+ * superseded refresh-token (reuse) lookups and for reading a session's event
+ * timeline.
  * Safe to call repeatedly — existing indexes are skipped.
  *
  * @param {object} strapi - Strapi instance
@@ -991,15 +1672,19 @@ async function ensureContentApiPermissions(strapi, log) {
 async function ensureSessionLookupIndexes(strapi, log) {
   try {
     const knex = strapi.db.connection;
-    const tableName = 'magic_sessions';
     const definitions = [
-      { column: 'token_hash', name: 'idx_magic_sessions_token_hash' },
-      { column: 'refresh_token_hash', name: 'idx_magic_sessions_refresh_hash' },
+      { table: 'magic_sessions', columns: ['token_hash', 'is_active'], name: 'idx_magic_sessions_token_hash' },
+      { table: 'magic_sessions', columns: ['refresh_token_hash', 'is_active'], name: 'idx_magic_sessions_refresh_hash' },
+      { table: 'magic_session_events', columns: ['session_id', 'occurred_at'], name: 'idx_magic_session_events_session' },
+      { table: 'magic_session_events', columns: ['user_id', 'type', 'occurred_at'], name: 'idx_magic_session_events_user' },
+      { table: 'magic_superseded_refresh_tokens', columns: ['token_hash'], name: 'idx_magic_superseded_refresh_hash' },
+      { table: 'magic_superseded_refresh_tokens', columns: ['session_id', 'superseded_at'], name: 'idx_magic_superseded_refresh_session' },
     ];
 
-    if (!(await knex.schema.hasTable(tableName))) return;
-
     for (const definition of definitions) {
+      const tableName = definition.table;
+      if (!(await knex.schema.hasTable(tableName))) continue;
+
       const dialect = strapi.db.dialect.client;
       let hasIndex = false;
 
@@ -1026,7 +1711,7 @@ async function ensureSessionLookupIndexes(strapi, log) {
       }
 
       await knex.schema.alterTable(tableName, (table) => {
-        table.index([definition.column, 'is_active'], definition.name);
+        table.index(definition.columns, definition.name);
       });
 
       log.info(`[INDEX] Created ${definition.name}`);
@@ -1072,16 +1757,139 @@ function resetErrorCounter() {
 }
 
 /**
- * Returns true if a session has exceeded its maximum age.
+ * Returns true if a session has exceeded its maximum age: its own
+ * `expiresAt` for "remember me" sessions, else `maxAgeDays` after login.
  * @param {object} session
  * @param {number} maxAgeDays
  * @returns {boolean}
  */
 function isSessionExpired(session, maxAgeDays = 30) {
-  if (!session.loginTime) return false;
-  const loginTime = new Date(session.loginTime).getTime();
-  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
-  return (Date.now() - loginTime) > maxAgeMs;
+  const expiresAt = sessionExpiresAtMs(session, maxAgeDays);
+  return expiresAt !== null && Date.now() > expiresAt;
+}
+
+// One alert per session and kind of change (IP, user agent or both) per hour
+const CLIENT_CHANGE_ALERT_THROTTLE_MS = 60 * 60 * 1000;
+
+/**
+ * Compares the client of the current request with the one last seen on its
+ * session (see `utils/session-binding`) and applies `ipChangeAction` /
+ * `userAgentChangeAction`. The request comes from Strapi's request context
+ * because the JWT verifier only receives the token. Never throws.
+ *
+ * @param {{strapi: object, settings: object, session: object, userId: string,
+ *   tokenHash: string}} params
+ * @returns {Promise<boolean>} false when the session was terminated
+ */
+async function applySessionBinding({ strapi, settings, session, userId, tokenHash }) {
+  try {
+    const ctx = strapi.requestContext?.get?.();
+    if (!ctx) return true;
+
+    const headers = ctx.request?.headers || ctx.request?.header || {};
+    const ip = getClientIp(ctx);
+    const binding = await evaluateSessionBinding({
+      session,
+      ip,
+      userAgent: headers['user-agent'],
+      settings,
+      lookupCountry: async (address) => {
+        const geo = await strapi.plugin('magic-sessionmanager').service('geolocation').getIpInfo(address);
+        return geo?.country_code || null;
+      },
+    });
+    if (!binding) return true;
+
+    const terminate = binding.action === 'terminate';
+    await strapi.documents(SESSION_UID).update({
+      documentId: session.documentId,
+      data: terminate
+        ? {
+            ...binding.update,
+            isActive: false,
+            terminatedManually: false,
+            terminationReason: 'client_changed',
+            logoutTime: new Date(),
+          }
+        : binding.update,
+    });
+    if (binding.action === 'ignore') return true;
+
+    const actor = { type: 'user', id: userId, ipAddress: ip, userAgent: headers['user-agent'] };
+    await recordSessionEvent(strapi, {
+      type: 'client_changed',
+      sessionId: session.documentId,
+      userId,
+      actor,
+      details: { ...binding.changes, action: binding.action },
+    });
+
+    // A client flipping between two networks would otherwise send an
+    // alert on every request; a termination can only happen once anyway.
+    const alertKey = `binding-alert:${session.documentId}:${Object.keys(binding.changes).sort().join(',')}`;
+    if (
+      terminate ||
+      (binding.action === 'alert' && (await getSharedState().claim(alertKey, CLIENT_CHANGE_ALERT_THROTTLE_MS)))
+    ) {
+      notifyClientChange({ strapi, settings, userId, ip, userAgent: headers['user-agent'], changes: binding.changes })
+        .catch((err) => strapi.log.debug('[magic-sessionmanager] Client-change alert failed:', err.message));
+    }
+
+    if (!terminate) return true;
+
+    await recordSessionEvent(strapi, {
+      type: 'terminated',
+      sessionId: session.documentId,
+      userId,
+      actor: systemActor('session-verify'),
+      details: { reason: 'client_changed' },
+    });
+    strapi.log.info(
+      `[magic-sessionmanager] [JWT-REJECTED] Client changed (${Object.keys(binding.changes).join(', ')}) for user ${userId.substring(0, 8)}...`
+    );
+    await setSessionRejectionReason(tokenHash, 'client_changed');
+    return false;
+  } catch (err) {
+    strapi.log.debug('[magic-sessionmanager] Session binding check failed:', err.message);
+    return true;
+  }
+}
+
+/**
+ * Emails the user and fires the `session.client_changed` webhook, as far as
+ * alerts and webhooks are enabled.
+ *
+ * @param {{strapi: object, settings: object, userId: string, ip: string,
+ *   userAgent?: string, changes: object}} params
+ * @returns {Promise<void>}
+ */
+async function notifyClientChange({ strapi, settings, userId, ip, userAgent, changes }) {
+  if (!settings.enableEmailAlerts && !settings.enableWebhooks) return;
+
+  const user = await strapi.documents(USER_UID).findOne({
+    documentId: userId,
+    fields: ['documentId', 'email', 'username'],
+  });
+  if (!user?.email) return;
+
+  const notificationService = strapi.plugin('magic-sessionmanager').service('notifications');
+  const request = { ipAddress: ip, userAgent: userAgent || 'unknown', loginTime: new Date() };
+  if (settings.enableEmailAlerts) {
+    await notificationService.sendClientChangeAlert({ user, session: request, changes });
+  }
+  if (settings.enableWebhooks) {
+    await sendSessionWebhooks({
+      notificationService,
+      settings,
+      event: 'session.client_changed',
+      session: request,
+      user,
+      details: Object.entries(changes).map(([field, change]) => ({
+        label: field === 'ipAddress' ? 'Previous IP' : 'Previous Device',
+        value: String(change.from).substring(0, 200),
+      })),
+    });
+  }
 }
 
 /**
@@ -1096,6 +1904,9 @@ function isSessionExpired(session, maxAgeDays = 30) {
  *      active sessions — but allows through if the user has ANY active session
  *      matching this exact tokenHash.
  *
+ * Max age, idle timeout and strict mode come from the user's role policy
+ * (`rolePolicies`) when one is configured, else from the global settings.
+ *
  * This wrapper is idempotent: it can be called multiple times in hot-reload
  * scenarios without double-wrapping the verify function.
  *
@@ -1151,8 +1962,6 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
         settings = strapi.config.get('plugin::magic-sessionmanager') || {};
       }
 
-      const strictMode = settings.strictSessionEnforcement === true;
-      const maxSessionAgeDays = settings.maxSessionAgeDays || 30;
       // Grace period: the login interceptor writes the Session record AFTER
       // ctx.body has already left the server. A client that fires its next
       // authenticated request within a few hundred ms may beat the write.
@@ -1170,6 +1979,10 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
           return decoded;
         }
 
+        const policy = await resolveUserSessionPolicy(strapi, settings, userDocId);
+        const strictMode = policy.strictSessionEnforcement;
+        const maxSessionAgeDays = policy.maxSessionAgeDays;
+
         try {
           const userRecord = await strapi.documents('plugin::users-permissions.user').findOne({
             documentId: userDocId,
@@ -1179,7 +1992,8 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
             strapi.log.info(
               `[magic-sessionmanager] [JWT-BLOCKED] User is blocked (user: ${userDocId.substring(0, 8)}...)`
             );
-            setSessionRejectionReason(hashToken(token), 'blocked');
+            await setSessionRejectionReason(hashToken(token), 'blocked');
+            metrics.increment('jwtRejections', { reason: 'blocked' });
             return null;
           }
         } catch {
@@ -1193,7 +2007,21 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
             user: { documentId: userDocId },
             tokenHash: tokenHashValue,
           },
-          fields: ['documentId', 'isActive', 'terminatedManually', 'terminationReason', 'lastActive', 'loginTime'],
+          fields: [
+            'documentId',
+            'isActive',
+            'terminatedManually',
+            'terminationReason',
+            'lastActive',
+            'loginTime',
+            'idleTimeoutSeconds',
+            'expiresAt',
+            'ipAddress',
+            'userAgent',
+            'lastIpAddress',
+            'lastUserAgent',
+            'geoLocation',
+          ],
         });
 
         if (thisSession) {
@@ -1209,14 +2037,17 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
               strapi.log.info(
                 `[magic-sessionmanager] [JWT-REJECTED] Session inactive (reason: ${reason}) for user ${userDocId.substring(0, 8)}...`
               );
-              setSessionRejectionReason(tokenHashValue, reason);
+              await setSessionRejectionReason(tokenHashValue, reason);
+              metrics.increment('jwtRejections', { reason });
               return null;
             }
           }
 
           if (isSessionExpired(thisSession, maxSessionAgeDays)) {
             strapi.log.info(
-              `[magic-sessionmanager] [JWT-EXPIRED] Session exceeded max age of ${maxSessionAgeDays} days (user: ${userDocId.substring(0, 8)}...)`
+              thisSession.expiresAt
+                ? `[magic-sessionmanager] [JWT-EXPIRED] Persistent session passed its expiry (user: ${userDocId.substring(0, 8)}...)`
+                : `[magic-sessionmanager] [JWT-EXPIRED] Session exceeded max age of ${maxSessionAgeDays} days (user: ${userDocId.substring(0, 8)}...)`
             );
             await strapi.documents(SESSION_UID).update({
               documentId: thisSession.documentId,
@@ -1227,11 +2058,19 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
                 logoutTime: new Date(),
               },
             });
-            setSessionRejectionReason(tokenHashValue, 'expired');
+            await recordSessionEvent(strapi, {
+              type: 'terminated',
+              sessionId: thisSession.documentId,
+              userId: userDocId,
+              actor: systemActor('session-verify'),
+              details: { reason: 'expired', maxSessionAgeDays },
+            });
+            await setSessionRejectionReason(tokenHashValue, 'expired');
+            metrics.increment('jwtRejections', { reason: 'expired' });
             return null;
           }
 
-          const inactivityTimeout = settings.inactivityTimeout || 15 * 60 * 1000;
+          const inactivityTimeout = sessionIdleTimeoutMs(thisSession, policy.inactivityTimeout);
           const lastActiveMs = thisSession.lastActive
             ? new Date(thisSession.lastActive).getTime()
             : thisSession.loginTime
@@ -1252,11 +2091,30 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
                 logoutTime: new Date(),
               },
             });
-            setSessionRejectionReason(tokenHashValue, 'idle');
+            await recordSessionEvent(strapi, {
+              type: 'terminated',
+              sessionId: thisSession.documentId,
+              userId: userDocId,
+              actor: systemActor('session-verify'),
+              details: { reason: 'idle', idleSeconds: Math.round(idleFor / 1000) },
+            });
+            await setSessionRejectionReason(tokenHashValue, 'idle');
+            metrics.increment('jwtRejections', { reason: 'idle' });
             return null;
           }
 
           if (thisSession.isActive) {
+            const stillBound = await applySessionBinding({
+              strapi,
+              settings,
+              session: thisSession,
+              userId: userDocId,
+              tokenHash: tokenHashValue,
+            });
+            if (!stillBound) {
+              metrics.increment('jwtRejections', { reason: 'client_changed' });
+              return null;
+            }
             resetErrorCounter();
             return decoded;
           }
@@ -1267,6 +2125,12 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
             documentId: thisSession.documentId,
             data: { isActive: true, lastActive: new Date() },
           });
+          await recordSessionEvent(strapi, {
+            type: 'reactivated',
+            sessionId: thisSession.documentId,
+            userId: userDocId,
+            actor: systemActor('session-verify'),
+          });
           strapi.log.info(
             `[magic-sessionmanager] [JWT-REACTIVATED] Session reactivated for user ${userDocId.substring(0, 8)}...`
           );
@@ -1294,6 +2158,20 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
           strapi.log.info(
             `[magic-sessionmanager] [JWT-BLOCKED] No session matches this token (user: ${userDocId.substring(0, 8)}..., strictMode)`
           );
+          metrics.increment('jwtRejections', { reason: 'no_session' });
+          return null;
+        }
+
+        // Non-strict mode lets session-less tokens through, which must not
+        // include the tokens of sessions an erasure deleted
+        const issuedAt = typeof decoded.iat === 'number' ? new Date(decoded.iat * 1000) : new Date(0);
+        const eventService = strapi.plugin('magic-sessionmanager').service('session-event');
+        if (await eventService.wasHistoryErasedSince(userDocId, issuedAt)) {
+          strapi.log.info(
+            `[magic-sessionmanager] [JWT-BLOCKED] Session of this token was erased (user: ${userDocId.substring(0, 8)}...)`
+          );
+          await setSessionRejectionReason(tokenHashValue, 'manual');
+          metrics.increment('jwtRejections', { reason: 'erased' });
           return null;
         }
 
@@ -1306,9 +2184,11 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
       } catch (err) {
         if (shouldFailOpen()) {
           strapi.log.warn('[magic-sessionmanager] [JWT] Session check error (allowing):', err.message);
+          metrics.increment('failOpen');
           return decoded;
         }
         strapi.log.error('[magic-sessionmanager] [JWT] Too many consecutive errors, blocking request:', err.message);
+        metrics.increment('jwtRejections', { reason: 'session_check_error' });
         return null;
       }
     };
@@ -1326,9 +2206,12 @@ async function registerSessionAwareAuthStrategy(strapi, log) {
 
 module.exports.__private = {
   registerSessionAwareAuthStrategy,
+  mountFailedLoginLockout,
   mountPreLoginGeoGuard,
   mountLoginInterceptor,
   mountRefreshTokenInterceptor,
   mountLogoutInterceptor,
   mountLogoutRoute,
+  mountLoginMetrics,
+  mountMetricsRoute,
 };
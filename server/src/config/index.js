@@ -15,7 +15,22 @@ module.exports = {
     inactivityTimeout: 15 * 60 * 1000,
     cleanupInterval: 30 * 60 * 1000,
     retentionDays: 90,
+    // Copy sessions to an archive before the retention job deletes them:
+    // 'off', 'table' (magic_sessions_archive) or 'file' (gzip NDJSON files
+    // in archiveDirectory). archiveRetentionDays -1 keeps them forever.
+    archiveMode: 'off',
+    archiveDirectory: process.env.MAGIC_SESSIONMANAGER_ARCHIVE_DIR || '',
+    archiveRetentionDays: 2555,
+    // GDPR mode: pseudonymize ended sessions after this many days (IPs
+    // truncated, geo reduced to country, user agent reduced to browser/OS).
+    // 0 = off.
+    anonymizeAfterDays: 0,
     maxSessionAgeDays: 30,
+    // "Remember me": logins sending `rememberMe: true` get a session with
+    // its own idle (days) and absolute (days) lifetime.
+    enableRememberMe: false,
+    rememberMeIdleDays: 14,
+    rememberMeMaxAgeDays: 90,
     maxFailedLogins: 5,
     sessionCreationGraceMs: 5000,
     cleanupUseDbDirect: false,
@@ -25,6 +40,33 @@ module.exports = {
 
     strictSessionEnforcement: false,
 
+    // A replayed, already rotated refresh token terminates its session
+    // ('session') or every session of the user ('user') with reason
+    // `token_reuse`. Within the grace period after the rotation a replay is
+    // only rejected: two tabs refreshing at once are not a theft.
+    detectRefreshTokenReuse: true,
+    refreshTokenReuseScope: 'session',
+    refreshTokenReuseGraceSeconds: 30,
+
+    // Session binding: what happens when a session is used from another IP
+    // or user agent than last seen. One of ignore, record, alert, terminate.
+    // ipChangeTolerance 'subnet' (same /24, IPv6 /64) or 'country' accepts
+    // nearby IP changes.
+    ipChangeAction: 'ignore',
+    ipChangeTolerance: 'none',
+    userAgentChangeAction: 'ignore',
+
+    // 0 = unlimited. `roleSessionLimits` maps a users-permissions role type
+    // to its own limit and overrides the global value for that role.
+    maxConcurrentSessions: 0,
+    sessionLimitMode: 'evict',
+    roleSessionLimits: {},
+
+    // Per-role overrides of inactivityTimeout (ms), maxSessionAgeDays and
+    // strictSessionEnforcement, keyed by users-permissions role type, e.g.
+    // { finance: { inactivityTimeout: 300000, strictSessionEnforcement: true } }
+    rolePolicies: {},
+
     enableGeolocation: true,
     enableSecurityScoring: true,
     blockSuspiciousSessions: false,
@@ -35,6 +77,23 @@ module.exports = {
     geoIpDatabasePath: process.env.MAGIC_SESSIONMANAGER_GEOIP_DATABASE || '',
     geoLookupFailureMode: 'auto',
 
+    // Trusted-device registry. A device becomes trusted when the user logs
+    // in with `trustDevice: true`; the trust lapses after trustedDeviceDays.
+    // Trusted devices may skip the country allow/block lists and the
+    // new-location / suspicious-login alerts.
+    enableDeviceTracking: false,
+    trustedDeviceDays: 90,
+    trustedDeviceGeoBypass: false,
+    trustedDeviceSuppressAlerts: false,
+
+    // Impossible travel: a login whose implied speed since the user's
+    // previous session exceeds impossibleTravelSpeedKmh raises a
+    // `login.impossible_travel` alert. impossibleTravelAction 'terminate'
+    // ends the new session, 'block' also blocks the user.
+    enableImpossibleTravel: false,
+    impossibleTravelSpeedKmh: 1000,
+    impossibleTravelAction: 'alert',
+
     enableEmailAlerts: false,
     alertOnSuspiciousLogin: true,
     alertOnNewLocation: true,
@@ -45,6 +104,23 @@ module.exports = {
     slackWebhookUrl: '',
 
     trustedProxies: null,
+
+    // Where rate-limit counters, login lockouts and short-lived caches
+    // live. 'memory' is per process; run several instances with 'redis'
+    // (any Redis-protocol server) so they share them. Static config only.
+    sharedState: {
+      driver: process.env.MAGIC_SESSIONMANAGER_REDIS_URL ? 'redis' : 'memory',
+      url: process.env.MAGIC_SESSIONMANAGER_REDIS_URL || '',
+      keyPrefix: 'magic-sessionmanager:',
+    },
+
+    // Prometheus endpoint at GET /api/magic-sessionmanager/metrics, off
+    // unless enabled. Scrapers send `Authorization: Bearer <token>`.
+    // Static config only.
+    metrics: {
+      enabled: Boolean(process.env.MAGIC_SESSIONMANAGER_METRICS_TOKEN),
+      token: process.env.MAGIC_SESSIONMANAGER_METRICS_TOKEN || '',
+    },
   },
   validator: (config) => {
     if (config.lastSeenRateLimit !== undefined && typeof config.lastSeenRateLimit !== 'number') {
@@ -59,12 +135,81 @@ module.exports = {
     if (config.maxSessionAgeDays !== undefined && typeof config.maxSessionAgeDays !== 'number') {
       throw new Error('maxSessionAgeDays must be a number (days)');
     }
+    for (const key of ['rememberMeIdleDays', 'rememberMeMaxAgeDays']) {
+      if (config[key] !== undefined && typeof config[key] !== 'number') {
+        throw new Error(`${key} must be a number (days)`);
+      }
+    }
     if (config.retentionDays !== undefined && typeof config.retentionDays !== 'number') {
       throw new Error('retentionDays must be a number (days)');
     }
+    if (config.archiveMode !== undefined && !['off', 'table', 'file'].includes(config.archiveMode)) {
+      throw new Error('archiveMode must be one of: off, table, file');
+    }
+    if (config.archiveDirectory !== undefined && typeof config.archiveDirectory !== 'string') {
+      throw new Error('archiveDirectory must be a string');
+    }
+    if (config.archiveRetentionDays !== undefined && typeof config.archiveRetentionDays !== 'number') {
+      throw new Error('archiveRetentionDays must be a number (days)');
+    }
+    if (config.anonymizeAfterDays !== undefined && typeof config.anonymizeAfterDays !== 'number') {
+      throw new Error('anonymizeAfterDays must be a number (days, 0 = off)');
+    }
     if (config.strictSessionEnforcement !== undefined && typeof config.strictSessionEnforcement !== 'boolean') {
       throw new Error('strictSessionEnforcement must be a boolean');
     }
+    if (
+      config.refreshTokenReuseScope !== undefined &&
+      !['session', 'user'].includes(config.refreshTokenReuseScope)
+    ) {
+      throw new Error('refreshTokenReuseScope must be one of: session, user');
+    }
+    if (
+      config.refreshTokenReuseGraceSeconds !== undefined &&
+      (!Number.isInteger(config.refreshTokenReuseGraceSeconds) ||
+        config.refreshTokenReuseGraceSeconds < 0 ||
+        config.refreshTokenReuseGraceSeconds > 300)
+    ) {
+      throw new Error('refreshTokenReuseGraceSeconds must be an integer from 0 to 300');
+    }
+    for (const key of ['ipChangeAction', 'userAgentChangeAction']) {
+      if (config[key] !== undefined && !['ignore', 'record', 'alert', 'terminate'].includes(config[key])) {
+        throw new Error(`${key} must be one of: ignore, record, alert, terminate`);
+      }
+    }
+    if (config.ipChangeTolerance !== undefined && !['none', 'subnet', 'country'].includes(config.ipChangeTolerance)) {
+      throw new Error('ipChangeTolerance must be one of: none, subnet, country');
+    }
+    if (config.maxConcurrentSessions !== undefined && typeof config.maxConcurrentSessions !== 'number') {
+      throw new Error('maxConcurrentSessions must be a number (0 = unlimited)');
+    }
+    if (config.sessionLimitMode !== undefined && !['evict', 'reject'].includes(config.sessionLimitMode)) {
+      throw new Error('sessionLimitMode must be one of: evict, reject');
+    }
+    if (
+      config.roleSessionLimits !== undefined &&
+      (typeof config.roleSessionLimits !== 'object' || config.roleSessionLimits === null || Array.isArray(config.roleSessionLimits))
+    ) {
+      throw new Error('roleSessionLimits must be an object mapping role types to limits');
+    }
+    if (
+      config.rolePolicies !== undefined &&
+      (typeof config.rolePolicies !== 'object' || config.rolePolicies === null || Array.isArray(config.rolePolicies))
+    ) {
+      throw new Error('rolePolicies must be an object mapping role types to session policies');
+    }
+    if (config.trustedDeviceDays !== undefined && typeof config.trustedDeviceDays !== 'number') {
+      throw new Error('trustedDeviceDays must be a number (days)');
+    }
+    if (config.impossibleTravelSpeedKmh !== undefined && typeof config.impossibleTravelSpeedKmh !== 'number') {
+      throw new Error('impossibleTravelSpeedKmh must be a number (km/h)');
+    }
+    if (
+      config.impossibleTravelAction !== undefined &&
+      !['alert', 'terminate', 'block'].includes(config.impossibleTravelAction)
+    ) {
+      throw new Error('impossibleTravelAction must be one of: alert, terminate, block');
+    }
     if (
       config.geoIpProvider !== undefined &&
       !['auto', 'local-mmdb', 'ipapi', 'disabled'].includes(config.geoIpProvider)
@@ -80,5 +225,26 @@ module.exports = {
     ) {
       throw new Error('geoLookupFailureMode must be one of: auto, allow, block');
     }
+    if (config.sharedState !== undefined) {
+      const { driver, url, keyPrefix } = config.sharedState || {};
+      if (driver !== undefined && !['memory', 'redis'].includes(driver)) {
+        throw new Error('sharedState.driver must be one of: memory, redis');
+      }
+      if (driver === 'redis' && (typeof url !== 'string' || !/^rediss?:\/\//.test(url))) {
+        throw new Error('sharedState.url must be a redis:// or rediss:// URL when sharedState.driver is redis');
+      }
+      if (keyPrefix !== undefined && typeof keyPrefix !== 'string') {
+        throw new Error('sharedState.keyPrefix must be a string');
+      }
+    }
+    if (config.metrics !== undefined) {
+      const { enabled, token } = config.metrics || {};
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('metrics.enabled must be a boolean');
+      }
+      if (enabled === true && (typeof token !== 'string' || token.length < 32)) {
+        throw new Error('metrics.token must be a string of at least 32 characters when metrics.enabled is true');
+      }
+    }
   },
 };
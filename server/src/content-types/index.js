@@ -1,9 +1,33 @@
 'use strict';
 
 const session = require('./session/schema.json');
+const sessionEvent = require('./session-event/schema.json');
+const device = require('./device/schema.json');
+const sessionArchive = require('./session-archive/schema.json');
+const jobLease = require('./job-lease/schema.json');
+const jobRun = require('./job-run/schema.json');
+const supersededRefreshToken = require('./superseded-refresh-token/schema.json');
 
 module.exports = {
   session: {
     schema: session,
   },
+  'session-event': {
+    schema: sessionEvent,
+  },
+  device: {
+    schema: device,
+  },
+  'session-archive': {
+    schema: sessionArchive,
+  },
+  'job-lease': {
+    schema: jobLease,
+  },
+  'job-run': {
+    schema: jobRun,
+  },
+  'superseded-refresh-token': {
+    schema: supersededRefreshToken,
+  },
 };
@@ -0,0 +1,93 @@
+'use strict';
+
+const { resolveUserDocumentId } = require('../utils/resolve-user');
+const { getPluginSettings } = require('../utils/settings-loader');
+const { readDeviceId } = require('../utils/device-id');
+
+/**
+ * @param {object} ctx - Koa context
+ * @returns {Promise<string|null>}
+ */
+async function resolveAuthUserDocId(ctx) {
+  const u = ctx.state.user;
+  if (!u) return null;
+  if (u.documentId) return u.documentId;
+  if (u.id) return resolveUserDocumentId(strapi, u.id);
+  return null;
+}
+
+/**
+ * Device Controller
+ * Content-API access to the caller's own device registry. Follows the
+ * error-handling convention of the session controller.
+ */
+module.exports = {
+  /**
+   * Lists the authenticated user's devices. The device of this request is
+   * flagged with `isCurrentDevice`.
+   * @route GET /api/magic-sessionmanager/my-devices
+   */
+  async getOwnDevices(ctx) {
+    try {
+      const userDocId = await resolveAuthUserDocId(ctx);
+      if (!userDocId) {
+        return ctx.unauthorized('Authentication required');
+      }
+
+      const settings = await getPluginSettings(strapi);
+      const deviceService = strapi.plugin('magic-sessionmanager').service('device');
+      const data = await deviceService.getUserDevices(userDocId, settings, {
+        currentDeviceId: readDeviceId(ctx)?.deviceId,
+      });
+
+      ctx.body = {
+        data,
+        meta: {
+          count: data.length,
+          trusted: data.filter((device) => device.trusted).length,
+          trackingEnabled: settings.enableDeviceTracking === true,
+        },
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error fetching own devices:', err);
+      return ctx.internalServerError('Error fetching devices');
+    }
+  },
+
+  /**
+   * Revokes one of the authenticated user's devices. The device loses its
+   * trust and is registered again, untrusted, on its next login.
+   * @route DELETE /api/magic-sessionmanager/my-devices/:deviceId
+   */
+  async revokeOwnDevice(ctx) {
+    try {
+      const userDocId = await resolveAuthUserDocId(ctx);
+      if (!userDocId) {
+        return ctx.unauthorized('Authentication required');
+      }
+
+      const { deviceId } = ctx.params;
+      if (!deviceId) {
+        return ctx.badRequest('Device ID is required');
+      }
+
+      const deviceService = strapi.plugin('magic-sessionmanager').service('device');
+      const revoked = await deviceService.revokeDevice({
+        userId: userDocId,
+        deviceDocumentId: deviceId,
+      });
+
+      if (!revoked) {
+        return ctx.notFound('Device not found');
+      }
+
+      ctx.body = {
+        message: `Device ${deviceId} revoked`,
+        success: true,
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error revoking device:', err);
+      return ctx.internalServerError('Error revoking device');
+    }
+  },
+};
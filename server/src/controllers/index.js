@@ -4,10 +4,14 @@ const session = require('./session');
 const license = require('./license');
 const settings = require('./settings');
 const geoip = require('./geoip');
+const device = require('./device');
+const jobs = require('./jobs');
 
 module.exports = {
   session,
   license,
   settings,
   geoip,
+  device,
+  jobs,
 };
@@ -0,0 +1,78 @@
+'use strict';
+
+module.exports = {
+  /**
+   * Which instance holds the job lease and therefore runs idle cleanup,
+   * retention and anonymization.
+   * GET /magic-sessionmanager/jobs/leader
+   */
+  async getLeader(ctx) {
+    try {
+      const lease = await strapi
+        .plugin('magic-sessionmanager')
+        .service('leader-election')
+        .getLeaseInfo();
+      ctx.send({ success: true, data: lease });
+    } catch (error) {
+      strapi.log.error('[magic-sessionmanager] Error reading job lease:', error);
+      return ctx.internalServerError('Error reading job lease');
+    }
+  },
+
+  /**
+   * Maintenance overview: recent runs and next due time of every job, plus
+   * the lease holder.
+   * GET /magic-sessionmanager/jobs
+   */
+  async getJobs(ctx) {
+    try {
+      const plugin = strapi.plugin('magic-sessionmanager');
+      const jobs = await plugin.service('job-run').getOverview();
+
+      // The run history is still useful when the lease table is unreadable
+      let lease = null;
+      try {
+        lease = await plugin.service('leader-election').getLeaseInfo();
+      } catch (error) {
+        strapi.log.warn('[magic-sessionmanager] Could not read job lease:', error.message);
+      }
+
+      ctx.send({ success: true, data: { lease, jobs } });
+    } catch (error) {
+      strapi.log.error('[magic-sessionmanager] Error loading job runs:', error);
+      return ctx.internalServerError('Error loading job runs');
+    }
+  },
+
+  /**
+   * Runs a maintenance job now, on this instance, and returns the recorded
+   * run. A failed job still answers 200 with `status: 'failed'`.
+   * POST /magic-sessionmanager/jobs/:job/run
+   */
+  async runJob(ctx) {
+    const { job } = ctx.params;
+    const jobRuns = strapi.plugin('magic-sessionmanager').service('job-run');
+
+    if (!jobRuns.isJob(job)) {
+      return ctx.badRequest(`Unknown job. Use one of: ${jobRuns.JOB_NAMES.join(', ')}`);
+    }
+    if (jobRuns.isRunning(job)) {
+      return ctx.badRequest('This job is already running');
+    }
+
+    try {
+      const admin = ctx.state.user || {};
+      const run = await jobRuns.run(job, {
+        trigger: 'manual',
+        triggeredBy: { id: admin.id != null ? String(admin.id) : null, email: admin.email ?? null },
+      });
+      if (!run) {
+        return ctx.badRequest('This job is already running');
+      }
+      ctx.send({ success: true, data: run });
+    } catch (error) {
+      strapi.log.error('[magic-sessionmanager] Error running job:', error);
+      return ctx.internalServerError('Error running job');
+    }
+  },
+};
@@ -1,5 +1,6 @@
 'use strict';
 
+const { Readable } = require('node:stream');
 const { hashToken } = require('../utils/encryption');
 const {
   enhanceSessions,
@@ -7,15 +8,38 @@ const {
   shouldResolveGeoData,
 } = require('../utils/enhance-session');
 const { resolveUserDocumentId } = require('../utils/resolve-user');
+const { resolveUserSessionPolicy } = require('../utils/role-policy');
 const {
   getPluginSettings,
   getSessionCreationGraceMs,
 } = require('../utils/settings-loader');
 const { extractBearerToken } = require('../utils/extract-token');
+const { getSharedState } = require('../utils/shared-state');
+const metrics = require('../utils/metrics');
+const { actorFromContext, recordSessionEvent } = require('../utils/session-events');
+const { isPagedSessionQuery } = require('../utils/session-query');
+const { parseSessionSearch } = require('../utils/session-search');
+const { parseBulkTerminationCriteria } = require('../utils/bulk-termination');
+const { parseArchiveSearch } = require('../utils/session-archive');
+const {
+  EXPORT_FORMATS,
+  OWN_EXPORT_COLUMNS,
+  OWN_EXPORT_FORMATS,
+  csvHeader,
+  exportRecord,
+  formatExportRow,
+  parseExportColumns,
+} = require('../utils/session-export');
 
 const SESSION_UID = 'plugin::magic-sessionmanager.session';
 const USER_UID = 'plugin::users-permissions.user';
 const OWN_SESSIONS_LIMIT = 200;
+const TERMINATION_NOTE_MAX_LENGTH = 500;
+const SESSION_LABEL_MAX_LENGTH = 100;
+const KILL_SWITCH_CONFIRMATION = 'TERMINATE ALL SESSIONS';
+const MAX_KILL_SWITCH_EXEMPTIONS = 100;
+const REAUTH_MAX_FAILURES = 5;
+const REAUTH_LOCKOUT_MS = 15 * 60 * 1000;
 
 /**
  * Resolves the authenticated user's documentId, falling back to the numeric
@@ -32,6 +56,117 @@ async function resolveAuthUserDocId(ctx) {
   return null;
 }
 
+/**
+ * Answers a locked re-authentication with 429, like the failed-login lockout.
+ * @param {object} ctx - Koa context
+ * @param {number} lockedUntil - Epoch ms when the lock ends
+ */
+function rejectReauthLocked(ctx, lockedUntil) {
+  const retrySec = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+  ctx.set('Retry-After', String(retrySec));
+  metrics.increment('tooManyRequests', { limiter: 'reauth_lockout' });
+  ctx.status = 429;
+  ctx.body = {
+    error: {
+      status: 429,
+      name: 'TooManyRequestsError',
+      message: 'Too many failed password confirmations. Please try again later.',
+      details: { retryAfter: retrySec },
+    },
+  };
+}
+
+/**
+ * Reads the optional admin justification from the request body.
+ * @param {object} ctx - Koa context
+ * @returns {{note: string|null, error?: string}}
+ */
+function readTerminationNote(ctx) {
+  const raw = ctx.request.body?.note;
+  if (raw === undefined || raw === null) return { note: null };
+  if (typeof raw !== 'string') return { note: null, error: 'note must be a string' };
+  const note = raw.trim();
+  if (note.length > TERMINATION_NOTE_MAX_LENGTH) {
+    return { note: null, error: `note must be at most ${TERMINATION_NOTE_MAX_LENGTH} characters` };
+  }
+  return { note: note || null };
+}
+
+/**
+ * Reads the kill-switch exemptions from the request body.
+ * @param {object} body
+ * @returns {{exemptRoles: string[], exemptUserIds: string[], error?: string}}
+ */
+function readKillSwitchExemptions(body) {
+  const read = (key, pattern) => {
+    const value = body?.[key];
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.length > MAX_KILL_SWITCH_EXEMPTIONS) return null;
+    const items = [...new Set(value.map((item) => (typeof item === 'string' ? item.trim() : '')))];
+    return items.every((item) => pattern.test(item)) ? items : null;
+  };
+
+  const exemptRoles = read('exemptRoles', /^[a-z0-9_-]{1,100}$/i);
+  const exemptUserIds = read('exemptUserIds', /^[a-z0-9]{1,64}$/i);
+  if (!exemptRoles) {
+    return { exemptRoles: [], exemptUserIds: [], error: `exemptRoles must be a list of at most ${MAX_KILL_SWITCH_EXEMPTIONS} role types` };
+  }
+  if (!exemptUserIds) {
+    return { exemptRoles: [], exemptUserIds: [], error: `exemptUserIds must be a list of at most ${MAX_KILL_SWITCH_EXEMPTIONS} user documentIds` };
+  }
+  return { exemptRoles, exemptUserIds };
+}
+
+/**
+ * Reads a session label from the request body. `null` or an empty string
+ * clears the label; control characters are removed.
+ * @param {object} ctx - Koa context
+ * @returns {{label: string|null, error?: string}}
+ */
+function readSessionLabel(ctx) {
+  const body = ctx.request.body;
+  if (!body || typeof body !== 'object' || !('label' in body)) {
+    return { label: null, error: 'label is required (use null to clear it)' };
+  }
+  if (body.label === null) return { label: null };
+  if (typeof body.label !== 'string') return { label: null, error: 'label must be a string or null' };
+  // eslint-disable-next-line no-control-regex
+  const label = body.label.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  if (label.length > SESSION_LABEL_MAX_LENGTH) {
+    return { label: null, error: `label must be at most ${SESSION_LABEL_MAX_LENGTH} characters` };
+  }
+  return { label: label || null };
+}
+
+/**
+ * The `terminatedBy` value stored for an admin actor, echoed in responses.
+ * @param {import('../utils/session-events').SessionEventActor} actor
+ * @returns {{id: string|null, email: string|null}}
+ */
+function adminAttribution(actor) {
+  return { id: actor.id ?? null, email: actor.email ?? null };
+}
+
+/**
+ * Records that a user's session history was erased. Only counts are kept:
+ * no session ids, IPs or user agents of the erased rows, and no client
+ * details of a user erasing their own history.
+ * @param {import('../utils/session-events').SessionEventActor} actor
+ * @param {string} userDocId
+ * @param {'inactive'|'all'} scope
+ * @param {{sessions: number, events: number, archived: number, devices: number}} erased
+ * @returns {Promise<void>}
+ */
+async function recordErasure(actor, userDocId, scope, erased) {
+  const auditActor = actor.type === 'user' ? { type: 'user', id: actor.id } : actor;
+  await recordSessionEvent(strapi, {
+    type: 'history_erased',
+    userId: userDocId,
+    actor: auditActor,
+    details: { scope, ...erased },
+  });
+}
+
 /**
  * Session Controller
  * Handles HTTP requests for session management.
@@ -49,11 +184,23 @@ async function resolveAuthUserDocId(ctx) {
 module.exports = {
   /**
    * Lists all sessions (active + inactive) for admin overviews.
+   *
+   * With any paging, sorting or filter parameter (`page`, `pageSize`,
+   * `sort`, `user`, `status`, ...) the list is paged in the database and
+   * `meta` carries `pagination` and per-status `counts`. Without them the
+   * legacy list of the newest sessions is returned.
    * @route GET /magic-sessionmanager/sessions
    */
   async getAllSessionsAdmin(ctx) {
     try {
       const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+
+      if (isPagedSessionQuery(ctx.query)) {
+        const { data, pagination, counts } = await sessionService.querySessions(ctx.query);
+        ctx.body = { data, meta: { pagination, counts } };
+        return;
+      }
+
       const sessions = await sessionService.getAllSessions();
 
       ctx.body = {
@@ -70,6 +217,111 @@ module.exports = {
     }
   },
 
+  /**
+   * Searches sessions by user, IP / CIDR range, country, city, browser, OS
+   * or session id (see `utils/session-search`). Accepts the same paging and
+   * filter parameters as the session list and answers in its paged shape.
+   * @route GET /magic-sessionmanager/sessions/search?q=...
+   */
+  async searchSessionsAdmin(ctx) {
+    try {
+      const { clauses, error } = parseSessionSearch(ctx.query?.q);
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+      const { data, pagination, counts } = await sessionService.querySessions(ctx.query, clauses);
+      ctx.body = { data, meta: { pagination, counts } };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] searchSessionsAdmin error:', err);
+      return ctx.internalServerError('Error searching sessions');
+    }
+  },
+
+  /**
+   * Pages through the session archive. `q` matches session ID, user, IP,
+   * country code and city; `from`/`to` bound the login time.
+   * @route GET /magic-sessionmanager/archive/search?q=&from=&to=&page=&pageSize=
+   */
+  async searchArchiveAdmin(ctx) {
+    try {
+      const search = parseArchiveSearch(ctx.query);
+      if (search.error) {
+        return ctx.badRequest(search.error);
+      }
+
+      const archiveService = strapi.plugin('magic-sessionmanager').service('session-archive');
+      const { data, source, pagination } = await archiveService.search(search);
+      ctx.body = { data, meta: { source, pagination } };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] searchArchiveAdmin error:', err);
+      return ctx.internalServerError('Error searching the session archive');
+    }
+  },
+
+  /**
+   * Streams every session matching the list filters (and `q`, when given)
+   * as CSV or NDJSON. `columns` selects a comma-separated subset of the
+   * export columns; tokens and hashes are never exportable.
+   * @route GET /magic-sessionmanager/sessions/export?format=csv|ndjson&columns=...
+   */
+  async exportSessionsAdmin(ctx) {
+    try {
+      const format = ctx.query?.format || 'csv';
+      if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        return ctx.badRequest('format must be "csv" or "ndjson"');
+      }
+
+      const { columns, error: columnsError } = parseExportColumns(ctx.query?.columns);
+      if (columnsError) {
+        return ctx.badRequest(columnsError);
+      }
+
+      let searchClauses = [];
+      if (ctx.query?.q) {
+        const { clauses, error } = parseSessionSearch(ctx.query.q);
+        if (error) {
+          return ctx.badRequest(error);
+        }
+        searchClauses = clauses;
+      }
+
+      const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+      const sessions = sessionService.iterateSessions(ctx.query, searchClauses);
+      // Reading the first batch here lets a failing query still answer 500.
+      const first = await sessions.next();
+      async function* lines() {
+        if (format === 'csv') yield csvHeader(columns);
+        if (first.done) return;
+        yield formatExportRow(first.value, columns, format);
+        for await (const session of sessions) {
+          yield formatExportRow(session, columns, format);
+        }
+      }
+
+      const stream = Readable.from(lines());
+      // Headers are gone once the first line is sent; a failing batch can
+      // only end the download early.
+      stream.on('error', (err) => {
+        strapi.log.error('[magic-sessionmanager] exportSessionsAdmin stream error:', err);
+      });
+
+      const date = new Date().toISOString().split('T')[0];
+      ctx.set('Content-Disposition', `attachment; filename="sessions-export-${date}.${EXPORT_FORMATS[format].extension}"`);
+      ctx.set('Cache-Control', 'no-store');
+      ctx.type = EXPORT_FORMATS[format].type;
+      ctx.body = stream;
+
+      strapi.log.info(
+        `[magic-sessionmanager] Session export (${format}, ${columns.length} columns) started by admin ${ctx.state?.user?.id ?? 'unknown'}`
+      );
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] exportSessionsAdmin error:', err);
+      return ctx.internalServerError('Error exporting sessions');
+    }
+  },
+
   /**
    * Lists currently-active sessions only.
    * @route GET /magic-sessionmanager/sessions/active
@@ -115,8 +367,9 @@ module.exports = {
       const paged = hasMore ? allSessions.slice(0, OWN_SESSIONS_LIMIT) : allSessions;
 
       const settings = await getPluginSettings(strapi);
+      const { inactivityTimeout } = await resolveUserSessionPolicy(strapi, settings, userDocId);
       const enhanceOpts = {
-        inactivityTimeout: settings.inactivityTimeout || 15 * 60 * 1000,
+        inactivityTimeout,
         geolocationService: shouldResolveGeoData(settings)
           ? strapi.plugin('magic-sessionmanager').service('geolocation')
           : null,
@@ -152,6 +405,100 @@ module.exports = {
     }
   },
 
+  /**
+   * Streams the authenticated user's complete session history as JSON or
+   * CSV. Unlike `/my-sessions` it is not capped at OWN_SESSIONS_LIMIT;
+   * admin attribution and notes are not part of the export.
+   * @route GET /api/magic-sessionmanager/my-sessions/export?format=json|csv
+   */
+  async exportOwnSessions(ctx) {
+    try {
+      const userDocId = await resolveAuthUserDocId(ctx);
+      if (!userDocId) {
+        return ctx.unauthorized('Authentication required');
+      }
+
+      const format = ctx.query?.format || 'json';
+      if (!Object.hasOwn(OWN_EXPORT_FORMATS, format)) {
+        return ctx.badRequest('format must be "json" or "csv"');
+      }
+
+      const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+      const sessions = sessionService.iterateSessions({}, [], {
+        userDocumentId: userDocId,
+        includeTerminationAudit: false,
+      });
+      const first = await sessions.next();
+      const exportedAt = new Date().toISOString();
+
+      async function* chunks() {
+        if (format === 'csv') {
+          yield csvHeader(OWN_EXPORT_COLUMNS);
+          if (first.done) return;
+          yield formatExportRow(first.value, OWN_EXPORT_COLUMNS, 'csv');
+          for await (const session of sessions) {
+            yield formatExportRow(session, OWN_EXPORT_COLUMNS, 'csv');
+          }
+          return;
+        }
+
+        // One JSON document, written row by row
+        yield '{"data":[';
+        let count = 0;
+        if (!first.done) {
+          yield JSON.stringify(exportRecord(first.value, OWN_EXPORT_COLUMNS));
+          count++;
+          for await (const session of sessions) {
+            yield `,${JSON.stringify(exportRecord(session, OWN_EXPORT_COLUMNS))}`;
+            count++;
+          }
+        }
+        yield `],"meta":${JSON.stringify({ count, exportedAt })}}`;
+      }
+
+      const stream = Readable.from(chunks());
+      stream.on('error', (err) => {
+        strapi.log.error('[magic-sessionmanager] exportOwnSessions stream error:', err);
+      });
+
+      const date = exportedAt.split('T')[0];
+      ctx.set('Content-Disposition', `attachment; filename="my-sessions-${date}.${OWN_EXPORT_FORMATS[format].extension}"`);
+      ctx.set('Cache-Control', 'no-store');
+      ctx.type = OWN_EXPORT_FORMATS[format].type;
+      ctx.body = stream;
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] exportOwnSessions error:', err);
+      return ctx.internalServerError('Error exporting sessions');
+    }
+  },
+
+  /**
+   * Permanently deletes the authenticated user's ended sessions, including
+   * their event trail and archived copies. Active sessions are kept.
+   * @route DELETE /api/magic-sessionmanager/my-sessions/history
+   */
+  async purgeOwnHistory(ctx) {
+    try {
+      const userDocId = await resolveAuthUserDocId(ctx);
+      if (!userDocId) {
+        return ctx.unauthorized('Authentication required');
+      }
+
+      const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+      const erased = await sessionService.eraseUserHistory(userDocId);
+      await recordErasure(actorFromContext(ctx, 'user'), userDocId, 'inactive', erased);
+
+      ctx.body = {
+        message: `${erased.sessions} ended sessions deleted`,
+        success: true,
+        deletedCount: erased.sessions,
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] purgeOwnHistory error:', err);
+      return ctx.internalServerError('Error deleting session history');
+    }
+  },
+
   /**
    * Get a specific user's sessions. Admins can query any user; content-api
    * users can only query themselves.
@@ -177,7 +524,9 @@ module.exports = {
       }
 
       const sessionService = strapi.plugin('magic-sessionmanager').service('session');
-      const sessions = await sessionService.getUserSessions(userId);
+      const sessions = await sessionService.getUserSessions(userId, {
+        includeTerminationAudit: isAdminRequest,
+      });
 
       ctx.body = {
         data: sessions,
@@ -218,6 +567,7 @@ module.exports = {
         await sessionService.terminateSession({
           sessionId: matchingSession.documentId,
           reason: 'logout',
+          actor: actorFromContext(ctx, 'user'),
         });
         terminated = true;
         strapi.log.info(`[magic-sessionmanager] User ${userDocId} logged out (session ${matchingSession.documentId})`);
@@ -261,6 +611,7 @@ module.exports = {
       const { terminatedCount } = await sessionService.terminateSession({
         userId: userDocId,
         reason: 'logout',
+        actor: actorFromContext(ctx, 'user'),
       });
 
       strapi.log.info(
@@ -315,6 +666,7 @@ module.exports = {
         const { terminatedCount } = await sessionService.terminateSession({
           userId: userDocId,
           reason: 'logout',
+          actor: actorFromContext(ctx, 'user'),
         });
         strapi.log.warn(
           `[magic-sessionmanager] logoutOthers fell back to logoutAll for user ${userDocId} (no current session match)`
@@ -331,6 +683,7 @@ module.exports = {
         userId: userDocId,
         exceptSessionId: currentSession.documentId,
         reason: 'logout',
+        actor: actorFromContext(ctx, 'user'),
       });
 
       strapi.log.info(
@@ -401,8 +754,9 @@ module.exports = {
       }
 
       const settings = await getPluginSettings(strapi);
+      const { inactivityTimeout } = await resolveUserSessionPolicy(strapi, settings, userDocId);
       const enhanced = await enhanceSession(currentSession, {
-        inactivityTimeout: settings.inactivityTimeout || 15 * 60 * 1000,
+        inactivityTimeout,
         geolocationService: shouldResolveGeoData(settings)
           ? strapi.plugin('magic-sessionmanager').service('geolocation')
           : null,
@@ -419,6 +773,101 @@ module.exports = {
     }
   },
 
+  /**
+   * Confirms the user's password and marks the current session as freshly
+   * authenticated for the `session-fresh` policy. No new session or token
+   * is issued.
+   *
+   * Wrong passwords are counted per user in the shared-state store, so a
+   * stolen token cannot be used to guess the password: after
+   * `REAUTH_MAX_FAILURES` failures within 15 minutes the endpoint answers
+   * 429 for the rest of the window.
+   * @route POST /api/magic-sessionmanager/current-session/reauth
+   */
+  async reauthenticate(ctx) {
+    try {
+      const userDocId = await resolveAuthUserDocId(ctx);
+      const token = extractBearerToken(ctx);
+      if (!userDocId || !token) {
+        return ctx.unauthorized('Authentication required');
+      }
+
+      const password = ctx.request.body?.password;
+      if (typeof password !== 'string' || !password) {
+        return ctx.badRequest('password is required');
+      }
+
+      const sharedState = getSharedState();
+      const failuresKey = `reauth:failures:${userDocId}`;
+      const blockedKey = `reauth:blocked:${userDocId}`;
+      const blockedUntil = await sharedState.get(blockedKey);
+      if (blockedUntil > Date.now()) {
+        return rejectReauthLocked(ctx, blockedUntil);
+      }
+
+      const session = await strapi.documents(SESSION_UID).findFirst({
+        filters: { user: { documentId: userDocId }, tokenHash: hashToken(token), isActive: true },
+        fields: ['documentId'],
+      });
+      if (!session) {
+        return ctx.notFound('Current session not found');
+      }
+
+      // `password` is private, so it has to be selected explicitly.
+      const user = await strapi.db.query(USER_UID).findOne({
+        where: { documentId: userDocId },
+        select: ['id', 'password'],
+      });
+      if (!user?.password) {
+        return ctx.badRequest('This account has no password to confirm');
+      }
+
+      const userService = strapi.plugin('users-permissions').service('user');
+      const valid = await userService.validatePassword(password, user.password);
+      if (!valid) {
+        strapi.log.info(`[magic-sessionmanager] Re-authentication failed for user ${userDocId.substring(0, 8)}...`);
+        const { count } = await sharedState.increment(failuresKey, REAUTH_LOCKOUT_MS);
+        await recordSessionEvent(strapi, {
+          type: 'reauth_failed',
+          sessionId: session.documentId,
+          userId: userDocId,
+          actor: actorFromContext(ctx, 'user'),
+          details: { failures: count },
+        });
+        if (count >= REAUTH_MAX_FAILURES) {
+          const lockedUntil = Date.now() + REAUTH_LOCKOUT_MS;
+          await sharedState.set(blockedKey, lockedUntil, REAUTH_LOCKOUT_MS);
+          strapi.log.warn(
+            `[magic-sessionmanager] Re-authentication locked for user ${userDocId.substring(0, 8)}... after ${count} failed attempts`
+          );
+          return rejectReauthLocked(ctx, lockedUntil);
+        }
+        return ctx.badRequest('Invalid password');
+      }
+      await sharedState.delete(failuresKey);
+
+      const reauthenticatedAt = new Date();
+      await strapi.documents(SESSION_UID).update({
+        documentId: session.documentId,
+        data: { reauthenticatedAt },
+      });
+      await recordSessionEvent(strapi, {
+        type: 'reauthenticated',
+        sessionId: session.documentId,
+        userId: userDocId,
+        actor: actorFromContext(ctx, 'user'),
+      });
+
+      ctx.body = {
+        data: { id: session.documentId, reauthenticatedAt: reauthenticatedAt.toISOString() },
+        success: true,
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error re-authenticating session:', err);
+      return ctx.internalServerError('Error confirming password');
+    }
+  },
+
   /**
    * Terminates one of the authenticated user's OWN sessions (not current).
    * @route DELETE /api/magic-sessionmanager/my-sessions/:sessionId
@@ -463,7 +912,11 @@ module.exports = {
 
       if (!alreadyTerminated) {
         const sessionService = strapi.plugin('magic-sessionmanager').service('session');
-        await sessionService.terminateSession({ sessionId, reason: 'manual' });
+        await sessionService.terminateSession({
+          sessionId,
+          reason: 'manual',
+          actor: actorFromContext(ctx, 'user'),
+        });
         strapi.log.info(`[magic-sessionmanager] User ${userDocId} terminated own session ${sessionId}`);
       }
 
@@ -480,6 +933,115 @@ module.exports = {
     }
   },
 
+  /**
+   * Sets or clears the label of one of the authenticated user's own
+   * sessions, so devices that parse to the same browser/OS can be told
+   * apart.
+   * @route PATCH /api/magic-sessionmanager/my-sessions/:sessionId
+   */
+  async updateOwnSession(ctx) {
+    try {
+      const userDocId = await resolveAuthUserDocId(ctx);
+      if (!userDocId) {
+        return ctx.unauthorized('Authentication required');
+      }
+
+      const { sessionId } = ctx.params;
+      if (!sessionId) {
+        return ctx.badRequest('Session ID is required');
+      }
+
+      const { label, error } = readSessionLabel(ctx);
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const session = await strapi.documents(SESSION_UID).findFirst({
+        filters: { documentId: sessionId, user: { documentId: userDocId } },
+        fields: ['documentId'],
+      });
+      if (!session) {
+        return ctx.notFound('Session not found');
+      }
+
+      await strapi.documents(SESSION_UID).update({
+        documentId: session.documentId,
+        data: { label },
+      });
+
+      ctx.body = {
+        data: { id: session.documentId, label },
+        success: true,
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error updating own session:', err);
+      return ctx.internalServerError('Error updating session');
+    }
+  },
+
+  /**
+   * Returns the event timeline of one of the authenticated user's own
+   * sessions. Admin actor ids are not exposed to end users.
+   * @route GET /api/magic-sessionmanager/my-sessions/:sessionId/events
+   */
+  async getOwnSessionEvents(ctx) {
+    try {
+      const userDocId = await resolveAuthUserDocId(ctx);
+      if (!userDocId) {
+        return ctx.unauthorized('Authentication required');
+      }
+
+      const { sessionId } = ctx.params;
+      const session = await strapi.documents(SESSION_UID).findFirst({
+        filters: { documentId: sessionId, user: { documentId: userDocId } },
+        fields: ['documentId'],
+      });
+      if (!session) {
+        return ctx.notFound('Session not found');
+      }
+
+      const eventService = strapi.plugin('magic-sessionmanager').service('session-event');
+      const events = await eventService.getTimeline(session.documentId);
+
+      // Admin identity and internal notes stay in the Admin API.
+      const redact = (event) => {
+        if (event.actorType !== 'admin') return event;
+        const { note: _note, ...details } = event.details || {};
+        return { ...event, actorId: null, details };
+      };
+
+      ctx.body = {
+        data: events.map(redact),
+        meta: { count: events.length },
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error getting own session events:', err);
+      return ctx.internalServerError('Error fetching session events');
+    }
+  },
+
+  /**
+   * Returns the full event timeline of a session (admin).
+   * @route GET /magic-sessionmanager/sessions/:sessionId/events
+   */
+  async getSessionEvents(ctx) {
+    try {
+      const { sessionId } = ctx.params;
+      const limit = Number.parseInt(ctx.query?.limit, 10) || 200;
+
+      const eventService = strapi.plugin('magic-sessionmanager').service('session-event');
+      const events = await eventService.getTimeline(sessionId, { limit });
+
+      ctx.body = {
+        data: events,
+        meta: { count: events.length },
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error getting session events:', err);
+      return ctx.internalServerError('Error fetching session events');
+    }
+  },
+
   /**
    * Simulates an inactivity timeout on a session. Dev-only.
    * @route POST /magic-sessionmanager/sessions/:sessionId/simulate-timeout
@@ -529,12 +1091,26 @@ module.exports = {
   async terminateSingleSession(ctx) {
     try {
       const { sessionId } = ctx.params;
+      const { note, error } = readTerminationNote(ctx);
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const actor = actorFromContext(ctx, 'admin');
       const sessionService = strapi.plugin('magic-sessionmanager').service('session');
-      await sessionService.terminateSession({ sessionId, reason: 'manual' });
+      const { terminatedCount } = await sessionService.terminateSession({
+        sessionId,
+        reason: 'manual',
+        actor,
+        note,
+      });
 
       ctx.body = {
         message: `Session ${sessionId} terminated`,
         success: true,
+        terminatedCount,
+        terminatedBy: adminAttribution(actor),
+        note,
       };
     } catch (err) {
       strapi.log.error('[magic-sessionmanager] Error terminating session:', err);
@@ -548,12 +1124,26 @@ module.exports = {
   async terminateAllUserSessions(ctx) {
     try {
       const { userId } = ctx.params;
+      const { note, error } = readTerminationNote(ctx);
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const actor = actorFromContext(ctx, 'admin');
       const sessionService = strapi.plugin('magic-sessionmanager').service('session');
-      await sessionService.terminateSession({ userId, reason: 'manual' });
+      const { terminatedCount } = await sessionService.terminateSession({
+        userId,
+        reason: 'manual',
+        actor,
+        note,
+      });
 
       ctx.body = {
         message: `All sessions terminated for user ${userId}`,
         success: true,
+        terminatedCount,
+        terminatedBy: adminAttribution(actor),
+        note,
       };
     } catch (err) {
       strapi.log.error('[magic-sessionmanager] Error terminating all user sessions:', err);
@@ -561,6 +1151,184 @@ module.exports = {
     }
   },
 
+  /**
+   * Right to erasure: deletes every session of a user, active or not, with
+   * their events, archived copies, devices and cached geolocation results.
+   * An audit event records the erasure and the counts, nothing else.
+   * @route POST /magic-sessionmanager/user/:userId/erase
+   */
+  async eraseUserHistoryAdmin(ctx) {
+    try {
+      const userDocId = await resolveUserDocumentId(strapi, ctx.params.userId);
+      if (!userDocId) {
+        return ctx.notFound('User not found');
+      }
+
+      const actor = actorFromContext(ctx, 'admin');
+      const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+      const erased = await sessionService.eraseUserHistory(userDocId, { includeActive: true });
+      await recordErasure(actor, userDocId, 'all', erased);
+
+      strapi.log.warn(
+        `[magic-sessionmanager] Session history of user ${userDocId} erased by admin ${actor.id ?? 'unknown'}`
+      );
+      ctx.body = {
+        message: `Session history erased for user ${userDocId}`,
+        success: true,
+        erased,
+        erasedBy: adminAttribution(actor),
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] eraseUserHistoryAdmin error:', err);
+      return ctx.internalServerError('Error erasing session history');
+    }
+  },
+
+  /**
+   * Terminates every active session matching `criteria` (country, ip, role,
+   * olderThanHours; see `utils/bulk-termination`). With `dryRun: true` only
+   * the number of matching sessions is returned. A real run requires a
+   * `note`, stored on every terminated session as its justification.
+   * `country` is refused until `backfillLocationColumns` has completed.
+   * @route POST /magic-sessionmanager/sessions/bulk-terminate
+   */
+  async bulkTerminateSessions(ctx) {
+    try {
+      const { filters, criteria, error } = parseBulkTerminationCriteria(ctx.request.body);
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+      // Until the backfill has run, older sessions have no countryCode and
+      // would silently escape a country criterion
+      if (criteria.country && !(await sessionService.isLocationBackfilled())) {
+        return ctx.badRequest(
+          'The country criterion is unavailable until the location backfill of existing sessions has completed'
+        );
+      }
+
+      const dryRun = ctx.request.body.dryRun === true;
+      if (dryRun) {
+        const matchedCount = await strapi.documents(SESSION_UID).count({ filters });
+        ctx.body = { dryRun: true, criteria, matchedCount };
+        return;
+      }
+
+      const { note, error: noteError } = readTerminationNote(ctx);
+      if (noteError) {
+        return ctx.badRequest(noteError);
+      }
+      if (!note) {
+        return ctx.badRequest('note is required for a bulk termination');
+      }
+
+      const actor = actorFromContext(ctx, 'admin');
+      const { terminatedCount } = await sessionService.terminateSession({
+        filters,
+        reason: 'manual',
+        actor,
+        note,
+      });
+
+      strapi.log.info(
+        `[magic-sessionmanager] Bulk termination by admin ${actor.id ?? 'unknown'}: ${terminatedCount} sessions, criteria ${JSON.stringify(criteria)}`
+      );
+
+      ctx.body = {
+        message: `${terminatedCount} sessions terminated`,
+        success: true,
+        dryRun: false,
+        criteria,
+        terminatedCount,
+        terminatedBy: adminAttribution(actor),
+        note,
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error in bulk termination:', err);
+      return ctx.internalServerError('Error terminating sessions');
+    }
+  },
+
+  /**
+   * Emergency kill switch: terminates every active session except those of
+   * `exemptRoles` / `exemptUserIds`. Requires `confirmation` to equal
+   * KILL_SWITCH_CONFIRMATION and a `note`; `dryRun: true` only counts the
+   * affected sessions. Records an `emergency_termination` event and, when
+   * webhooks are enabled, announces the action on every channel.
+   * @route POST /magic-sessionmanager/sessions/kill-switch
+   */
+  async killSwitch(ctx) {
+    try {
+      const body = ctx.request.body || {};
+      const { exemptRoles, exemptUserIds, error } = readKillSwitchExemptions(body);
+      if (error) {
+        return ctx.badRequest(error);
+      }
+
+      const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+      if (body.dryRun === true) {
+        const { matchedCount } = await sessionService.terminateAllSessions({
+          exemptRoles,
+          exemptUserIds,
+          dryRun: true,
+        });
+        ctx.body = { dryRun: true, matchedCount, exemptRoles, exemptUserIds };
+        return;
+      }
+
+      if (body.confirmation !== KILL_SWITCH_CONFIRMATION) {
+        return ctx.badRequest(`confirmation must be exactly "${KILL_SWITCH_CONFIRMATION}"`);
+      }
+      const { note, error: noteError } = readTerminationNote(ctx);
+      if (noteError) {
+        return ctx.badRequest(noteError);
+      }
+      if (!note) {
+        return ctx.badRequest('note is required for the kill switch');
+      }
+
+      const actor = actorFromContext(ctx, 'admin');
+      const { terminatedCount } = await sessionService.terminateAllSessions({
+        exemptRoles,
+        exemptUserIds,
+        actor,
+        note,
+      });
+
+      await recordSessionEvent(strapi, {
+        type: 'emergency_termination',
+        actor,
+        details: { terminatedCount, exemptRoles, exemptUserIds, note },
+      });
+
+      const settings = await getPluginSettings(strapi);
+      if (settings.enableWebhooks) {
+        await strapi
+          .plugin('magic-sessionmanager')
+          .service('notifications')
+          .sendKillSwitchWebhooks({ settings, actor, terminatedCount, exemptRoles, exemptUserIds, note });
+      }
+
+      strapi.log.warn(
+        `[magic-sessionmanager] Kill switch pulled by admin ${actor.id ?? 'unknown'}: ${terminatedCount} sessions terminated`
+      );
+
+      ctx.body = {
+        message: `${terminatedCount} sessions terminated`,
+        success: true,
+        terminatedCount,
+        exemptRoles,
+        exemptUserIds,
+        terminatedBy: adminAttribution(actor),
+        note,
+      };
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager] Error in kill switch:', err);
+      return ctx.internalServerError('Error terminating all sessions');
+    }
+  },
+
   /**
    * Returns geolocation data for a specific IP address.
    */
@@ -650,6 +1418,10 @@ module.exports = {
   async toggleUserBlock(ctx) {
     try {
       const { userId } = ctx.params;
+      const { note, error } = readTerminationNote(ctx);
+      if (error) {
+        return ctx.badRequest(error);
+      }
 
       let userDocumentId = await resolveUserDocumentId(strapi, userId);
 
@@ -675,21 +1447,34 @@ module.exports = {
       }
 
       const newBlockedStatus = !user.blocked;
+      const actor = actorFromContext(ctx, 'admin');
+      let terminatedCount = 0;
+
+      // Terminate before flipping the flag so the sessions and their events
+      // name this admin. The users lifecycle hook still catches any session
+      // created in between, attributed to the system.
+      if (newBlockedStatus) {
+        const sessionService = strapi.plugin('magic-sessionmanager').service('session');
+        ({ terminatedCount } = await sessionService.terminateSession({
+          userId: userDocumentId,
+          reason: 'blocked',
+          actor,
+          note,
+        }));
+      }
 
       await strapi.documents(USER_UID).update({
         documentId: userDocumentId,
         data: { blocked: newBlockedStatus },
       });
 
-      if (newBlockedStatus) {
-        const sessionService = strapi.plugin('magic-sessionmanager').service('session');
-        await sessionService.terminateSession({ userId: userDocumentId, reason: 'blocked' });
-      }
-
       ctx.body = {
         message: `User ${newBlockedStatus ? 'blocked' : 'unblocked'} successfully`,
         blocked: newBlockedStatus,
         success: true,
+        terminatedCount,
+        actedBy: adminAttribution(actor),
+        note,
       };
     } catch (err) {
       strapi.log.error('[magic-sessionmanager] Error toggling user block:', err);
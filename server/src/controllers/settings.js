@@ -1,13 +1,25 @@
 'use strict';
 
 const {
+  getRefreshTokenReuseGraceSeconds,
   getSessionCreationGraceMs,
   invalidateSettingsCache,
   normalizeGeoIpDatabasePath,
   normalizeGeoIpProvider,
   normalizeGeoLookupFailureMode,
+  normalizeRefreshTokenReuseScope,
   normalizeRetentionDays,
 } = require('../utils/settings-loader');
+const {
+  normalizeRoleSessionLimits,
+  normalizeSessionLimit,
+  normalizeSessionLimitMode,
+} = require('../utils/session-limit');
+const { sanitizeRolePolicies } = require('../utils/role-policy');
+const { normalizeImpossibleTravelAction, normalizeMaxSpeedKmh } = require('../utils/impossible-travel');
+const { normalizeBindingAction, normalizeIpTolerance } = require('../utils/session-binding');
+const { normalizeArchiveMode, normalizeArchiveRetentionDays } = require('../utils/session-archive');
+const { normalizeAnonymizeAfterDays } = require('../utils/anonymize');
 
 /**
  * Allowed webhook URL domains to prevent SSRF attacks
@@ -168,7 +180,13 @@ const DEFAULT_SETTINGS = {
   cleanupInterval: 30,
   lastSeenRateLimit: 30,
   retentionDays: 90,
+  archiveMode: 'off',
+  archiveRetentionDays: 2555,
+  anonymizeAfterDays: 0,
   maxSessionAgeDays: 30,
+  enableRememberMe: false,
+  rememberMeIdleDays: 14,
+  rememberMeMaxAgeDays: 90,
   sessionCreationGraceMs: 5000,
   cleanupUseDbDirect: false,
   rateLimitWriteMax: 10,
@@ -184,6 +202,13 @@ const DEFAULT_SETTINGS = {
   geoIpProvider: 'auto',
   geoIpDatabasePath: '',
   geoLookupFailureMode: 'auto',
+  enableDeviceTracking: false,
+  trustedDeviceDays: 90,
+  trustedDeviceGeoBypass: false,
+  trustedDeviceSuppressAlerts: false,
+  enableImpossibleTravel: false,
+  impossibleTravelSpeedKmh: 1000,
+  impossibleTravelAction: 'alert',
   enableEmailAlerts: false,
   alertOnSuspiciousLogin: true,
   alertOnNewLocation: true,
@@ -192,6 +217,16 @@ const DEFAULT_SETTINGS = {
   discordWebhookUrl: '',
   slackWebhookUrl: '',
   strictSessionEnforcement: false,
+  detectRefreshTokenReuse: true,
+  refreshTokenReuseScope: 'session',
+  refreshTokenReuseGraceSeconds: 30,
+  ipChangeAction: 'ignore',
+  ipChangeTolerance: 'none',
+  userAgentChangeAction: 'ignore',
+  maxConcurrentSessions: 0,
+  sessionLimitMode: 'evict',
+  roleSessionLimits: {},
+  rolePolicies: {},
   trustedProxies: false,
   emailTemplates: DEFAULT_EMAIL_TEMPLATES,
 };
@@ -277,7 +312,13 @@ module.exports = {
         cleanupInterval: Math.max(5, Math.min(parseInt(body.cleanupInterval) || 30, 1440)),
         lastSeenRateLimit: Math.max(5, Math.min(parseInt(body.lastSeenRateLimit) || 30, 300)),
         retentionDays: normalizeRetentionDays(body.retentionDays, 90),
+        archiveMode: normalizeArchiveMode(body.archiveMode),
+        archiveRetentionDays: normalizeArchiveRetentionDays(body.archiveRetentionDays),
+        anonymizeAfterDays: normalizeAnonymizeAfterDays(body.anonymizeAfterDays),
         maxSessionAgeDays: Math.max(1, Math.min(parseInt(body.maxSessionAgeDays) || 30, 365)),
+        enableRememberMe: !!body.enableRememberMe,
+        rememberMeIdleDays: Math.max(1, Math.min(parseInt(body.rememberMeIdleDays) || 14, 365)),
+        rememberMeMaxAgeDays: Math.max(1, Math.min(parseInt(body.rememberMeMaxAgeDays) || 90, 365)),
         sessionCreationGraceMs: grace,
         cleanupUseDbDirect: !!body.cleanupUseDbDirect,
         rateLimitWriteMax: Math.max(1, Math.min(parseInt(body.rateLimitWriteMax) || 10, 1000)),
@@ -296,6 +337,17 @@ module.exports = {
         geoIpDatabasePath: normalizeGeoIpDatabasePath(body.geoIpDatabasePath),
         geoLookupFailureMode: normalizeGeoLookupFailureMode(body.geoLookupFailureMode),
 
+        // Trusted devices
+        enableDeviceTracking: !!body.enableDeviceTracking,
+        trustedDeviceDays: Math.max(1, Math.min(parseInt(body.trustedDeviceDays) || 90, 365)),
+        trustedDeviceGeoBypass: !!body.trustedDeviceGeoBypass,
+        trustedDeviceSuppressAlerts: !!body.trustedDeviceSuppressAlerts,
+
+        // Impossible travel
+        enableImpossibleTravel: !!body.enableImpossibleTravel,
+        impossibleTravelSpeedKmh: normalizeMaxSpeedKmh(body.impossibleTravelSpeedKmh),
+        impossibleTravelAction: normalizeImpossibleTravelAction(body.impossibleTravelAction),
+
         // Notifications
         enableEmailAlerts: !!body.enableEmailAlerts,
         alertOnSuspiciousLogin: !!body.alertOnSuspiciousLogin,
@@ -307,6 +359,16 @@ module.exports = {
 
         // Session policy
         strictSessionEnforcement: !!body.strictSessionEnforcement,
+        detectRefreshTokenReuse: body.detectRefreshTokenReuse !== false,
+        refreshTokenReuseScope: normalizeRefreshTokenReuseScope(body.refreshTokenReuseScope),
+        refreshTokenReuseGraceSeconds: getRefreshTokenReuseGraceSeconds(body),
+        ipChangeAction: normalizeBindingAction(body.ipChangeAction),
+        ipChangeTolerance: normalizeIpTolerance(body.ipChangeTolerance),
+        userAgentChangeAction: normalizeBindingAction(body.userAgentChangeAction),
+        maxConcurrentSessions: normalizeSessionLimit(body.maxConcurrentSessions),
+        sessionLimitMode: normalizeSessionLimitMode(body.sessionLimitMode),
+        roleSessionLimits: normalizeRoleSessionLimits(body.roleSessionLimits),
+        rolePolicies: sanitizeRolePolicies(body.rolePolicies),
         trustedProxies: !!body.trustedProxies,
 
         // Email templates
@@ -318,7 +380,7 @@ module.exports = {
         value: sanitizedSettings,
       });
 
-      invalidateSettingsCache();
+      await invalidateSettingsCache();
 
       strapi.log.info('[magic-sessionmanager/settings] Settings updated successfully');
 
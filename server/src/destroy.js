@@ -1,11 +1,12 @@
 'use strict';
 
 const { createLogger } = require('./utils/logger');
+const { closeSharedState } = require('./utils/shared-state');
 
 /**
  * Plugin destroy hook. Clears all known intervals and timers created during
- * bootstrap so Strapi can shut down cleanly (important for tests and for
- * zero-downtime restarts).
+ * bootstrap and closes shared-state connections so Strapi can shut down
+ * cleanly (important for tests and for zero-downtime restarts).
  */
 module.exports = async ({ strapi }) => {
   const log = createLogger(strapi);
@@ -28,5 +29,17 @@ module.exports = async ({ strapi }) => {
     strapi.sessionManagerIntervals = {};
   }
 
+  try {
+    await strapi.plugin('magic-sessionmanager').service('leader-election').release();
+  } catch (err) {
+    log.warn('Failed to release the job lease:', err.message);
+  }
+
+  try {
+    await closeSharedState();
+  } catch (err) {
+    log.warn('Failed to close shared-state connections:', err.message);
+  }
+
   log.info('[SUCCESS] Plugin cleanup completed');
 };
@@ -1,15 +1,15 @@
 'use strict';
 
 /**
- * In-memory per-caller rate limiter for session-manager Content-API endpoints.
+ * Per-caller rate limiter for session-manager Content-API endpoints.
  *
  * The primary purpose is to contain abuse of /logout and /logout-all from
  * a compromised JWT: while those endpoints are "soft" (they mark the DB
  * row) they still do a write per call and an attacker could otherwise
  * drown the DB by spamming them.
  *
- * Single-process only — see middlewares/last-seen.js comment for the
- * multi-instance trade-off and the preferred Redis-backed upgrade path.
+ * Buckets live in the shared-state store, so with the Redis driver the
+ * budget holds across all instances instead of per process.
  *
  * Route-level config shape (hard ceiling):
  *   { name: 'plugin::magic-sessionmanager.rate-limit',
@@ -23,14 +23,8 @@
  */
 
 const { getPluginSettings } = require('../utils/settings-loader');
-
-const buckets = new Map();
-
-const prune = (now) => {
-  for (const [key, entry] of buckets) {
-    if (entry.expiresAt <= now) buckets.delete(key);
-  }
-};
+const { getSharedState } = require('../utils/shared-state');
+const metrics = require('../utils/metrics');
 
 /**
  * Returns a stable key identifying the caller: user id when authenticated,
@@ -115,25 +109,16 @@ const rateLimit = (cfg = {}, { strapi }) => {
       ? await resolveLimits({ profile, routeMax, routeWindowMs, strapi })
       : { max: routeMax, windowMs: routeWindowMs };
 
-    const key = `${ctx.path}::${callerKey(ctx)}`;
-    const now = Date.now();
-
-    if (buckets.size > 5000) prune(now);
-
-    let entry = buckets.get(key);
-    if (!entry || entry.expiresAt <= now) {
-      entry = { count: 0, expiresAt: now + windowMs };
-      buckets.set(key, entry);
-    }
-
-    entry.count += 1;
+    const key = `rate:${ctx.path}::${callerKey(ctx)}`;
+    const entry = await getSharedState().increment(key, windowMs);
 
     if (entry.count > max) {
-      const retryAfterSec = Math.ceil((entry.expiresAt - now) / 1000);
+      const retryAfterSec = Math.max(1, Math.ceil(entry.ttlMs / 1000));
       ctx.set('Retry-After', String(retryAfterSec));
       strapi.log.warn(
         `[magic-sessionmanager] Rate limit exceeded on ${ctx.path} for ${callerKey(ctx)} (${entry.count}/${max})`
       );
+      metrics.increment('tooManyRequests', { limiter: 'rate_limit' });
       ctx.status = 429;
       ctx.body = {
         data: null,
@@ -32,6 +32,11 @@ const REASON_MESSAGES = {
   idle: 'Your session expired due to inactivity. Please log in again.',
   expired: 'Your session has reached its maximum age. Please log in again.',
   blocked: 'Your account has been blocked. Contact support.',
+  session_limit: 'You signed in on too many devices, so this session was ended. Please log in again.',
+  impossible_travel: 'This session was ended because of a sign-in from an unexpected location. Please log in again.',
+  token_reuse: 'This session was ended because an old sign-in token was used again. Please log in again.',
+  client_changed: 'Your session was ended because it was used from a different network or device. Please log in again.',
+  emergency: 'All sessions were ended for security reasons. Please log in again.',
 };
 
 /**
@@ -49,7 +54,7 @@ const middleware = () => async (ctx, next) => {
   const token = extractBearerToken(ctx);
   if (!token) return;
 
-  const reason = consumeSessionRejectionReason(hashToken(token));
+  const reason = await consumeSessionRejectionReason(hashToken(token));
   if (!reason) return;
 
   ctx.set(HEADER, reason);
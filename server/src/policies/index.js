@@ -5,7 +5,9 @@
  */
 
 const sessionRequired = require('./session-required');
+const sessionFresh = require('./session-fresh');
 
 module.exports = {
   'session-required': sessionRequired,
+  'session-fresh': sessionFresh,
 };
@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Session Fresh Policy
+ *
+ * Guards sensitive routes (payouts, email changes, ...) by requiring that the
+ * request's session was opened or re-confirmed recently:
+ *
+ *   policies: [
+ *     { name: 'plugin::magic-sessionmanager.session-fresh', config: { maxAgeSeconds: 300 } },
+ *   ]
+ *
+ * The session is looked up by the JWT's tokenHash. Its freshness is the later
+ * of `loginTime` and `reauthenticatedAt`; the latter is set by
+ * `POST /api/magic-sessionmanager/current-session/reauth`, which confirms the
+ * password without creating a new session.
+ *
+ * Stale, missing or inactive sessions are rejected with 403 and
+ * `error.details.reason: 'reauth_required'`. Unlike `session-required`, this
+ * policy fails closed: if the session cannot be read, the route is refused.
+ */
+
+const SESSION_UID = 'plugin::magic-sessionmanager.session';
+// See session-required.js for why `errors` is not destructured.
+const errors = require('@strapi/utils').errors;
+const { resolveUserDocumentId } = require('../utils/resolve-user');
+const { extractBearerToken } = require('../utils/extract-token');
+const { hashToken } = require('../utils/encryption');
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+/**
+ * @param {unknown} value - `maxAgeSeconds` from the route's policy config
+ * @returns {number} A positive number of seconds
+ */
+function resolveMaxAgeSeconds(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_AGE_SECONDS;
+}
+
+/**
+ * @param {{loginTime?: string|Date, reauthenticatedAt?: string|Date}} session
+ * @returns {number} Epoch ms of the last password confirmation, or NaN
+ */
+function lastAuthenticatedAt(session) {
+  const times = [session.loginTime, session.reauthenticatedAt]
+    .filter(Boolean)
+    .map((value) => new Date(value).getTime())
+    .filter(Number.isFinite);
+  return times.length > 0 ? Math.max(...times) : NaN;
+}
+
+/**
+ * @param {number} maxAgeSeconds
+ * @returns {Error}
+ */
+function reauthRequired(maxAgeSeconds) {
+  return new errors.ForbiddenError('Please confirm your password to continue.', {
+    reason: 'reauth_required',
+    maxAgeSeconds,
+  });
+}
+
+module.exports = async (policyContext, policyConfig, { strapi }) => {
+  const maxAgeSeconds = resolveMaxAgeSeconds(policyConfig?.maxAgeSeconds);
+  const user = policyContext.state.user;
+  if (!user) {
+    throw reauthRequired(maxAgeSeconds);
+  }
+
+  try {
+    const userDocId = user.documentId || (user.id ? await resolveUserDocumentId(strapi, user.id) : null);
+    const token = extractBearerToken(policyContext);
+    if (!userDocId || !token) {
+      throw reauthRequired(maxAgeSeconds);
+    }
+
+    const session = await strapi.documents(SESSION_UID).findFirst({
+      filters: { user: { documentId: userDocId }, tokenHash: hashToken(token), isActive: true },
+      fields: ['documentId', 'loginTime', 'reauthenticatedAt'],
+    });
+    const authenticatedAt = session ? lastAuthenticatedAt(session) : NaN;
+
+    if (!Number.isFinite(authenticatedAt) || Date.now() - authenticatedAt > maxAgeSeconds * 1000) {
+      strapi.log.info(
+        `[magic-sessionmanager] [POLICY-BLOCKED] Re-authentication required (user: ${userDocId.substring(0, 8)}..., maxAge: ${maxAgeSeconds}s)`
+      );
+      throw reauthRequired(maxAgeSeconds);
+    }
+    return true;
+  } catch (err) {
+    if (err instanceof errors.ForbiddenError) {
+      throw err;
+    }
+
+    strapi.log.error('[magic-sessionmanager] Session freshness check failed:', err.message);
+    throw reauthRequired(maxAgeSeconds);
+  }
+};
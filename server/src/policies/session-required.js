@@ -7,9 +7,9 @@
  * session. The check is based on the JWT's tokenHash (NOT "any active session
  * for the user") so manual session termination is always enforced.
  *
- * In `strictSessionEnforcement` mode, the request is rejected if no session
- * matches the token hash. In non-strict mode, the request is allowed but a
- * warning is logged.
+ * In `strictSessionEnforcement` mode (global or from the user's role policy),
+ * the request is rejected if no session matches the token hash. In non-strict
+ * mode, the request is allowed but a warning is logged.
  *
  * Reactivation is intentionally NOT done here to avoid race conditions;
  * the JWT verify wrapper handles reactivation atomically.
@@ -23,6 +23,7 @@ const SESSION_UID = 'plugin::magic-sessionmanager.session';
 const errors = require('@strapi/utils').errors;
 const { resolveUserDocumentId } = require('../utils/resolve-user');
 const { getPluginSettings } = require('../utils/settings-loader');
+const { resolveUserSessionPolicy } = require('../utils/role-policy');
 const { extractBearerToken } = require('../utils/extract-token');
 const { hashToken } = require('../utils/encryption');
 
@@ -45,7 +46,11 @@ module.exports = async (policyContext, _policyConfig, { strapi }) => {
     }
 
     const settings = await getPluginSettings(strapi);
-    const strictMode = settings.strictSessionEnforcement === true;
+    const { strictSessionEnforcement: strictMode } = await resolveUserSessionPolicy(
+      strapi,
+      settings,
+      userDocId
+    );
 
     const token = extractBearerToken(policyContext);
     const tokenHashValue = token ? hashToken(token) : null;
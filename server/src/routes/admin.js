@@ -62,6 +62,33 @@ const baseRoutes = [
       description: 'Get all sessions - active and inactive (admin)',
     },
   },
+  {
+    method: 'GET',
+    path: '/sessions/search',
+    handler: 'session.searchSessionsAdmin',
+    config: {
+      policies: adminPolicy(),
+      description: 'Search sessions by user, IP or CIDR range, location, browser, OS or session ID (admin)',
+    },
+  },
+  {
+    method: 'GET',
+    path: '/sessions/export',
+    handler: 'session.exportSessionsAdmin',
+    config: {
+      policies: adminPolicy(),
+      description: 'Stream sessions matching the list filters as CSV or NDJSON (admin)',
+    },
+  },
+  {
+    method: 'GET',
+    path: '/archive/search',
+    handler: 'session.searchArchiveAdmin',
+    config: {
+      policies: adminPolicy(),
+      description: 'Search sessions archived by the retention job (admin)',
+    },
+  },
   {
     method: 'GET',
     path: '/sessions/active',
@@ -89,6 +116,15 @@ const baseRoutes = [
       description: 'Terminate a specific session (admin)',
     },
   },
+  {
+    method: 'GET',
+    path: '/sessions/:sessionId/events',
+    handler: 'session.getSessionEvents',
+    config: {
+      policies: adminPolicy(),
+      description: 'Get the event timeline of a session (admin)',
+    },
+  },
   {
     method: 'DELETE',
     path: '/sessions/:sessionId',
@@ -116,6 +152,33 @@ const baseRoutes = [
       description: 'Terminate all sessions for a user (admin)',
     },
   },
+  {
+    method: 'POST',
+    path: '/user/:userId/erase',
+    handler: 'session.eraseUserHistoryAdmin',
+    config: {
+      policies: adminPolicy(),
+      description: 'Erase every session, event, archived copy and device of a user (admin)',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/sessions/bulk-terminate',
+    handler: 'session.bulkTerminateSessions',
+    config: {
+      policies: adminPolicy(),
+      description: 'Terminate all active sessions matching country, IP range, role or age; supports dryRun (admin)',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/sessions/kill-switch',
+    handler: 'session.killSwitch',
+    config: {
+      policies: adminPolicy(),
+      description: 'Emergency: terminate every active session, with role/user exemptions and a confirmation phrase (admin)',
+    },
+  },
   {
     method: 'POST',
     path: '/user/:userId/toggle-block',
@@ -183,6 +246,33 @@ const baseRoutes = [
       description: 'Get IP geolocation data (admin)',
     },
   },
+  {
+    method: 'GET',
+    path: '/jobs/leader',
+    handler: 'jobs.getLeader',
+    config: {
+      policies: adminPolicy(),
+      description: 'Show which instance holds the background job lease (admin)',
+    },
+  },
+  {
+    method: 'GET',
+    path: '/jobs',
+    handler: 'jobs.getJobs',
+    config: {
+      policies: adminPolicy(),
+      description: 'List recent maintenance job runs and next scheduled runs (admin)',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/jobs/:job/run',
+    handler: 'jobs.runJob',
+    config: {
+      policies: adminPolicy(),
+      description: 'Run a maintenance job now: idle-cleanup, retention, anonymization or geoip-refresh (admin)',
+    },
+  },
   {
     method: 'GET',
     path: '/geoip/status',
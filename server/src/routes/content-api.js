@@ -34,6 +34,15 @@ const readRateLimit = [
   },
 ];
 
+// Password confirmation — fixed budget with no profile, so settings can
+// neither raise the limit nor shorten the window of this password check.
+const reauthRateLimit = [
+  {
+    name: 'plugin::magic-sessionmanager.rate-limit',
+    config: { max: 5, window: 15 * 60_000 },
+  },
+];
+
 module.exports = {
   type: 'content-api',
   routes: [
@@ -80,6 +89,26 @@ module.exports = {
         description: 'Get own sessions (automatically uses authenticated user)',
       },
     },
+    {
+      method: 'GET',
+      path: '/my-sessions/export',
+      handler: 'session.exportOwnSessions',
+      config: {
+        auth: { strategies: ['users-permissions'] },
+        middlewares: readRateLimit,
+        description: 'Download the complete own session history as JSON or CSV',
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/my-sessions/history',
+      handler: 'session.purgeOwnHistory',
+      config: {
+        auth: { strategies: ['users-permissions'] },
+        middlewares: writeRateLimit,
+        description: 'Permanently delete own ended sessions and their event history',
+      },
+    },
     {
       method: 'GET',
       path: '/current-session',
@@ -90,6 +119,16 @@ module.exports = {
         description: 'Get current session info based on JWT token',
       },
     },
+    {
+      method: 'POST',
+      path: '/current-session/reauth',
+      handler: 'session.reauthenticate',
+      config: {
+        auth: { strategies: ['users-permissions'] },
+        middlewares: reauthRateLimit,
+        description: 'Confirm the password to refresh the current session for session-fresh routes',
+      },
+    },
     {
       method: 'GET',
       path: '/user/:userId/sessions',
@@ -101,7 +140,50 @@ module.exports = {
       },
     },
 
+    {
+      method: 'GET',
+      path: '/my-sessions/:sessionId/events',
+      handler: 'session.getOwnSessionEvents',
+      config: {
+        auth: { strategies: ['users-permissions'] },
+        middlewares: readRateLimit,
+        description: 'Get the event timeline of an own session',
+      },
+    },
+
+    // ================== DEVICES ==================
+    {
+      method: 'GET',
+      path: '/my-devices',
+      handler: 'device.getOwnDevices',
+      config: {
+        auth: { strategies: ['users-permissions'] },
+        middlewares: readRateLimit,
+        description: 'List own devices and whether they are trusted',
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/my-devices/:deviceId',
+      handler: 'device.revokeOwnDevice',
+      config: {
+        auth: { strategies: ['users-permissions'] },
+        middlewares: writeRateLimit,
+        description: 'Revoke an own device and its trust',
+      },
+    },
+
     // ================== OWN SESSION MANAGEMENT ==================
+    {
+      method: 'PATCH',
+      path: '/my-sessions/:sessionId',
+      handler: 'session.updateOwnSession',
+      config: {
+        auth: { strategies: ['users-permissions'] },
+        middlewares: writeRateLimit,
+        description: 'Set or clear the label of an own session',
+      },
+    },
     {
       method: 'DELETE',
       path: '/my-sessions/:sessionId',
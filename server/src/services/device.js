@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * Device Service
+ *
+ * Registry of the devices each user signs in from. A device row is keyed
+ * by the hash of its device id (see `utils/device-id`) and the owning user,
+ * so the same physical device used by two accounts yields two rows with
+ * independent trust.
+ *
+ * Trust is granted by logging in with `trustDevice: true` and lapses after
+ * `trustedDeviceDays`. The login interceptor grants it with `trustDevice()`
+ * only after the login passed its security checks, which judge the device
+ * by the trust it had before (`wasTrusted`). Revoking a device deletes its
+ * row; the next login from it registers it again as untrusted.
+ */
+
+const { createLogger } = require('../utils/logger');
+const { anonymizeDeviceData } = require('../utils/anonymize');
+const { hashDeviceId } = require('../utils/device-id');
+const { parseUserAgent } = require('../utils/user-agent-parser');
+
+const DEVICE_UID = 'plugin::magic-sessionmanager.device';
+const DEFAULT_TRUSTED_DEVICE_DAYS = 90;
+const MAX_DEVICES_LISTED = 100;
+const ANONYMIZE_BATCH = 200;
+
+/**
+ * Earliest `trustedAt` that still counts as trusted.
+ * @param {object} settings - Runtime settings
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function trustCutoff(settings = {}, now = new Date()) {
+  const days = settings.trustedDeviceDays || DEFAULT_TRUSTED_DEVICE_DAYS;
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+module.exports = ({ strapi }) => {
+  const log = createLogger(strapi);
+
+  /**
+   * @param {object} device
+   * @param {object} settings
+   * @returns {boolean}
+   */
+  function isTrusted(device, settings) {
+    if (!device?.trusted || !device.trustedAt) return false;
+    return new Date(device.trustedAt) >= trustCutoff(settings);
+  }
+
+  return {
+    isTrusted,
+
+    /**
+     * Registers a login from `deviceId`, creating the row on first sight.
+     * Never changes trust: `wasTrusted` is the trust the device had before
+     * this login, which is what the login's security checks rely on.
+     *
+     * @param {Object} params
+     * @param {string} params.userId - User documentId
+     * @param {string} params.deviceId - Raw device id (never stored)
+     * @param {string} [params.userAgent]
+     * @param {string} [params.ipAddress]
+     * @param {object} [params.geoData]
+     * @param {object} [params.settings] - Runtime settings, for trust expiry
+     * @returns {Promise<{device: object, created: boolean, wasTrusted: boolean}>}
+     */
+    async touchDevice({
+      userId,
+      deviceId,
+      userAgent = null,
+      ipAddress = null,
+      geoData = null,
+      settings = {},
+    }) {
+      const now = new Date();
+      const deviceIdHash = hashDeviceId(deviceId);
+      const parsedUA = parseUserAgent(userAgent);
+
+      const data = {
+        lastSeen: now,
+        deviceType: parsedUA.deviceType,
+        browserName: parsedUA.browserName,
+        osName: parsedUA.osName,
+        lastIpAddress: typeof ipAddress === 'string' ? ipAddress.substring(0, 45) : null,
+        lastCountry: typeof geoData?.country_code === 'string' ? geoData.country_code.substring(0, 2) : null,
+        anonymizedAt: null,
+      };
+
+      const existing = await strapi.documents(DEVICE_UID).findFirst({
+        filters: { user: { documentId: userId }, deviceIdHash },
+      });
+
+      if (existing) {
+        const device = await strapi.documents(DEVICE_UID).update({
+          documentId: existing.documentId,
+          data,
+        });
+        return { device, created: false, wasTrusted: isTrusted(existing, settings) };
+      }
+
+      const device = await strapi.documents(DEVICE_UID).create({
+        data: {
+          ...data,
+          user: userId,
+          deviceIdHash,
+          firstSeen: now,
+          trusted: false,
+          trustedAt: null,
+        },
+      });
+      log.info(`[DEVICE] New device ${device.documentId} registered for user ${userId}`);
+      return { device, created: true, wasTrusted: false };
+    },
+
+    /**
+     * Marks a registered device trusted (again), restarting its trust period.
+     * @param {string} deviceDocumentId
+     * @returns {Promise<object>} The updated device
+     */
+    async trustDevice(deviceDocumentId) {
+      const device = await strapi.documents(DEVICE_UID).update({
+        documentId: deviceDocumentId,
+        data: { trusted: true, trustedAt: new Date() },
+      });
+      log.info(`[DEVICE] Device ${deviceDocumentId} marked trusted`);
+      return device;
+    },
+
+    /**
+     * Whether `deviceId` is trusted by the given user.
+     * @param {string} userId - User documentId
+     * @param {string} deviceId - Raw device id
+     * @param {object} settings
+     * @returns {Promise<boolean>}
+     */
+    async isTrustedForUser(userId, deviceId, settings) {
+      if (!userId || !deviceId) return false;
+      const device = await strapi.documents(DEVICE_UID).findFirst({
+        filters: { user: { documentId: userId }, deviceIdHash: hashDeviceId(deviceId) },
+        fields: ['trusted', 'trustedAt'],
+      });
+      return isTrusted(device, settings);
+    },
+
+    /**
+     * Whether any user currently trusts `deviceId`. Used before login, when
+     * the user is not known yet; the login interceptor re-checks the owner.
+     * @param {string} deviceId - Raw device id
+     * @param {object} settings
+     * @returns {Promise<boolean>}
+     */
+    async isTrustedByAnyUser(deviceId, settings) {
+      if (!deviceId) return false;
+      const device = await strapi.documents(DEVICE_UID).findFirst({
+        filters: {
+          deviceIdHash: hashDeviceId(deviceId),
+          trusted: true,
+          trustedAt: { $gte: trustCutoff(settings) },
+        },
+        fields: ['documentId'],
+      });
+      return !!device;
+    },
+
+    /**
+     * Lists a user's devices, most recently used first. Never includes the
+     * device id hash.
+     * @param {string} userId - User documentId
+     * @param {object} settings
+     * @param {object} [options]
+     * @param {string} [options.currentDeviceId] - Raw id of the calling
+     *   device, flagged with `isCurrentDevice`
+     * @returns {Promise<Array<object>>}
+     */
+    async getUserDevices(userId, settings, { currentDeviceId = null } = {}) {
+      const currentHash = currentDeviceId ? hashDeviceId(currentDeviceId) : null;
+      const devices = await strapi.documents(DEVICE_UID).findMany({
+        filters: { user: { documentId: userId } },
+        sort: { lastSeen: 'desc' },
+        limit: MAX_DEVICES_LISTED,
+      });
+
+      return devices.map((device) => ({
+        id: device.documentId,
+        firstSeen: device.firstSeen,
+        lastSeen: device.lastSeen,
+        trusted: isTrusted(device, settings),
+        trustedAt: device.trustedAt || null,
+        deviceType: device.deviceType || null,
+        browserName: device.browserName || null,
+        osName: device.osName || null,
+        lastIpAddress: device.lastIpAddress || null,
+        lastCountry: device.lastCountry || null,
+        isCurrentDevice: !!currentHash && device.deviceIdHash === currentHash,
+      }));
+    },
+
+    /**
+     * Forgets one of the user's devices, which also removes its trust.
+     * @param {Object} params
+     * @param {string} params.userId - User documentId
+     * @param {string} params.deviceDocumentId
+     * @returns {Promise<boolean>} false when the device does not belong to the user
+     */
+    async revokeDevice({ userId, deviceDocumentId }) {
+      const device = await strapi.documents(DEVICE_UID).findFirst({
+        filters: { documentId: deviceDocumentId, user: { documentId: userId } },
+        fields: ['documentId'],
+      });
+      if (!device) return false;
+
+      await strapi.documents(DEVICE_UID).delete({ documentId: device.documentId });
+      log.info(`[DEVICE] Device ${device.documentId} revoked by user ${userId}`);
+      return true;
+    },
+
+    /**
+     * GDPR mode: truncates the last IP of devices not seen since `before`.
+     * The next login from the device stores its full IP again.
+     * @param {Object} params
+     * @param {Date} params.before
+     * @returns {Promise<number>} Number of devices anonymized
+     */
+    async anonymize({ before }) {
+      const now = new Date();
+      let anonymized = 0;
+      while (true) {
+        const devices = await strapi.documents(DEVICE_UID).findMany({
+          filters: { lastSeen: { $lt: before }, anonymizedAt: { $null: true } },
+          fields: ['documentId', 'lastIpAddress'],
+          limit: ANONYMIZE_BATCH,
+        });
+        if (!devices || devices.length === 0) break;
+
+        for (const device of devices) {
+          await strapi.documents(DEVICE_UID).update({
+            documentId: device.documentId,
+            data: anonymizeDeviceData(device, now),
+          });
+          anonymized++;
+        }
+        if (devices.length < ANONYMIZE_BATCH) break;
+      }
+      return anonymized;
+    },
+
+    /**
+     * Deletes every device row of a user (erasure of the user's history).
+     * @param {string} userId - User documentId
+     * @returns {Promise<number>} Number of devices deleted
+     */
+    async deleteUserDevices(userId) {
+      let deleted = 0;
+      while (true) {
+        const devices = await strapi.documents(DEVICE_UID).findMany({
+          filters: { user: { documentId: userId } },
+          fields: ['documentId'],
+          limit: MAX_DEVICES_LISTED,
+        });
+        if (!devices || devices.length === 0) break;
+
+        for (const device of devices) {
+          await strapi.documents(DEVICE_UID).delete({ documentId: device.documentId });
+          deleted++;
+        }
+        if (devices.length < MAX_DEVICES_LISTED) break;
+      }
+      return deleted;
+    },
+  };
+};
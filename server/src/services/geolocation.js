@@ -12,6 +12,7 @@ const fs = require('node:fs');
 const net = require('node:net');
 const path = require('node:path');
 const { getPluginSettings } = require('../utils/settings-loader');
+const metrics = require('../utils/metrics');
 
 const GEO_API_TIMEOUT_MS = 4000;
 const IPAPI_SUCCESS_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
@@ -351,6 +352,23 @@ function isPrivateIpv6(ip) {
   );
 }
 
+/**
+ * Runs one provider lookup and records its latency by `_source` (the
+ * provider) and `_status`.
+ * @param {() => Promise<object>} lookup
+ * @returns {Promise<object>}
+ */
+async function timedLookup(lookup) {
+  const startedAt = process.hrtime.bigint();
+  const result = await lookup();
+  metrics.observe(
+    'geoLookups',
+    { provider: result?._source || 'unknown', status: result?._status || 'error' },
+    metrics.secondsSince(startedAt)
+  );
+  return result;
+}
+
 module.exports = ({ strapi }) => ({
   /**
    * Looks up geolocation data for an IP address.
@@ -405,13 +423,13 @@ module.exports = ({ strapi }) => ({
     }
 
     if (provider === 'local-mmdb') {
-      return this.getLocalMmdbIpInfo(lookupIp, settings);
+      return timedLookup(() => this.getLocalMmdbIpInfo(lookupIp, settings));
     }
 
     if (provider === 'auto') {
       const databasePath = resolveExistingDatabasePath(settings);
       if (databasePath && fs.existsSync(databasePath)) {
-        const localResult = await this.getLocalMmdbIpInfo(lookupIp, settings);
+        const localResult = await timedLookup(() => this.getLocalMmdbIpInfo(lookupIp, settings));
         if (localResult?._status === 'ok' || settings.geoLookupFailureMode === 'block') {
           return localResult;
         }
@@ -419,7 +437,7 @@ module.exports = ({ strapi }) => ({
       }
     }
 
-    return this.getIpapiIpInfo(lookupIp);
+    return timedLookup(() => this.getIpapiIpInfo(lookupIp));
   },
 
   /**
@@ -737,4 +755,18 @@ module.exports = ({ strapi }) => ({
     const results = await Promise.all(ipAddresses.map(ip => this.getIpInfo(ip)));
     return results;
   },
+
+  /**
+   * Drops cached ipapi.co results for the given IPs, e.g. when the sessions
+   * they were looked up for are erased. The local MMDB keeps no per-IP data.
+   * @param {Array<string>} ipAddresses
+   * @returns {number} Number of cache entries removed
+   */
+  forgetIps(ipAddresses) {
+    let removed = 0;
+    for (const ip of ipAddresses || []) {
+      if (ipapiCache.delete(normalizeLookupIp(ip))) removed++;
+    }
+    return removed;
+  },
 });
@@ -4,10 +4,20 @@ const session = require('./session');
 const licenseGuard = require('./license-guard');
 const geolocation = require('./geolocation');
 const notifications = require('./notifications');
+const sessionEvent = require('./session-event');
+const device = require('./device');
+const sessionArchive = require('./session-archive');
+const leaderElection = require('./leader-election');
+const jobRun = require('./job-run');
 
 module.exports = {
   session,
   'license-guard': licenseGuard,
   geolocation,
   notifications,
+  'session-event': sessionEvent,
+  device,
+  'session-archive': sessionArchive,
+  'leader-election': leaderElection,
+  'job-run': jobRun,
 };
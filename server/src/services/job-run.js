@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Job Run Service
+ *
+ * Runs the background maintenance jobs and records every run in
+ * `magic_job_runs`: trigger, instance, start and end, duration, rows
+ * affected, error and when the job is next due. The scheduler in
+ * `bootstrap.js` and the admin "Run now" action both go through `run()`.
+ *
+ * A failure to write the record is logged and never fails the job. Records
+ * older than RUN_HISTORY_DAYS are pruned as new runs are recorded.
+ */
+
+const { createLogger } = require('../utils/logger');
+const { getPluginSettings } = require('../utils/settings-loader');
+const { refreshGeoIpDatabase } = require('../utils/geoip-database');
+const metrics = require('../utils/metrics');
+
+const JOB_RUN_UID = 'plugin::magic-sessionmanager.job-run';
+const RUN_HISTORY_DAYS = 30;
+const RECENT_RUNS_LISTED = 10;
+const MAX_ERROR_LENGTH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What each job does. `execute` returns the number of rows (or files) it
+ * changed and job-specific counts for `details`.
+ * @type {Record<string, {execute: (strapi: object) => Promise<{rowsAffected: number, details?: object}>}>}
+ */
+const JOBS = {
+  'idle-cleanup': {
+    async execute(strapi) {
+      const settings = await getPluginSettings(strapi);
+      const deactivated = await strapi
+        .plugin('magic-sessionmanager')
+        .service('session')
+        .cleanupInactiveSessions({ useDbDirect: settings.cleanupUseDbDirect === true });
+      return { rowsAffected: deactivated || 0 };
+    },
+  },
+  retention: {
+    async execute(strapi) {
+      const settings = await getPluginSettings(strapi);
+      const plugin = strapi.plugin('magic-sessionmanager');
+      const deleted = await plugin
+        .service('session')
+        .deleteOldSessions({ useDbDirect: settings.cleanupUseDbDirect === true });
+      const archivePruned = await plugin.service('session-archive').pruneArchive();
+      return {
+        rowsAffected: (deleted || 0) + (archivePruned || 0),
+        details: { deleted: deleted || 0, archivePruned: archivePruned || 0 },
+      };
+    },
+  },
+  anonymization: {
+    async execute(strapi) {
+      const { sessions, events, archived, devices } = await strapi
+        .plugin('magic-sessionmanager')
+        .service('session')
+        .anonymizeOldSessions();
+      return {
+        rowsAffected: sessions + events + archived + devices,
+        details: { sessions, events, archived, devices },
+      };
+    },
+  },
+  'geoip-refresh': {
+    async execute(strapi) {
+      const result = await refreshGeoIpDatabase(strapi);
+      return {
+        rowsAffected: result.changed ? 1 : 0,
+        details: { changed: result.changed, message: result.message, lastModified: result.lastModified || null },
+      };
+    },
+  },
+};
+
+const JOB_NAMES = Object.keys(JOBS);
+
+module.exports = ({ strapi }) => {
+  const log = createLogger(strapi);
+  const nextRuns = new Map(); // job → Date of the next timer on this instance
+  const running = new Set();
+
+  const runs = () => strapi.db.query(JOB_RUN_UID);
+
+  const nodeId = () => strapi.plugin('magic-sessionmanager').service('leader-election').nodeId;
+
+  /**
+   * Writes a run record without ever throwing.
+   * @returns {Promise<object|null>} The stored record, or null
+   */
+  async function saveRecord(id, data) {
+    try {
+      return id ? await runs().update({ where: { id }, data }) : await runs().create({ data });
+    } catch (err) {
+      log.warn(`[JOBS] Could not record ${data.job || 'job'} run:`, err.message);
+      return null;
+    }
+  }
+
+  async function pruneHistory(job) {
+    try {
+      await runs().deleteMany({
+        where: { job, startedAt: { $lt: new Date(Date.now() - RUN_HISTORY_DAYS * DAY_MS) } },
+      });
+    } catch (err) {
+      log.debug(`[JOBS] Could not prune ${job} run history:`, err.message);
+    }
+  }
+
+  return {
+    JOB_NAMES,
+
+    /**
+     * @param {string} job
+     * @returns {boolean}
+     */
+    isJob(job) {
+      return Object.prototype.hasOwnProperty.call(JOBS, job);
+    },
+
+    /**
+     * @param {string} job
+     * @returns {boolean} Whether the job is running on this instance
+     */
+    isRunning(job) {
+      return running.has(job);
+    },
+
+    /**
+     * Remembers when the scheduler on this instance runs `job` next.
+     * @param {string} job
+     * @param {Date} at
+     */
+    setNextRun(job, at) {
+      nextRuns.set(job, at);
+    },
+
+    /**
+     * Runs a job and records the run. A run of a job that is already running
+     * on this instance is skipped.
+     *
+     * @param {string} job - One of JOB_NAMES
+     * @param {Object} [options]
+     * @param {'startup'|'schedule'|'manual'} [options.trigger='schedule']
+     * @param {{id?: string, email?: string}|null} [options.triggeredBy] - Admin of a manual run
+     * @param {number|null} [options.intervalMs] - Scheduler interval; the
+     *   next run is expected this long after the run ends
+     * @returns {Promise<object|null>} The run record, null when skipped
+     * @throws {Error} On an unknown job name
+     */
+    async run(job, { trigger = 'schedule', triggeredBy = null, intervalMs = null } = {}) {
+      if (!this.isJob(job)) throw new Error(`Unknown job "${job}"`);
+      if (running.has(job)) {
+        log.debug(`[JOBS] ${job} is already running, skipping ${trigger} run`);
+        return null;
+      }
+
+      running.add(job);
+      const startedAt = new Date();
+      const record = { job, trigger, nodeId: nodeId(), startedAt, triggeredBy };
+      const stored = await saveRecord(null, { ...record, status: 'running' });
+
+      let outcome;
+      try {
+        outcome = { status: 'success', ...(await JOBS[job].execute(strapi)) };
+      } catch (err) {
+        log.error(`[JOBS] ${job} failed:`, err.message);
+        outcome = { status: 'failed', error: String(err.message || err).slice(0, MAX_ERROR_LENGTH) };
+      } finally {
+        running.delete(job);
+      }
+
+      const finishedAt = new Date();
+      const result = {
+        ...record,
+        status: outcome.status,
+        finishedAt,
+        durationMs: finishedAt.getTime() - startedAt.getTime(),
+        rowsAffected: outcome.rowsAffected ?? null,
+        details: outcome.details ?? null,
+        error: outcome.error ?? null,
+        nextRunAt: intervalMs ? new Date(finishedAt.getTime() + intervalMs) : (nextRuns.get(job) ?? null),
+      };
+      metrics.observe('jobDuration', { job, status: result.status }, result.durationMs / 1000);
+      const saved = await saveRecord(stored?.id, result);
+      await pruneHistory(job);
+
+      log.info(`[JOBS] ${job} (${trigger}) ${result.status} in ${result.durationMs}ms, ${result.rowsAffected ?? 0} rows`);
+      return { ...result, id: saved?.id ?? stored?.id ?? null };
+    },
+
+    /**
+     * Latest runs of every job, newest first, and when each is next due.
+     * @returns {Promise<Array<{job: string, running: boolean, nextRunAt: Date|null, lastRun: object|null, recentRuns: object[]}>>}
+     */
+    async getOverview() {
+      return Promise.all(
+        JOB_NAMES.map(async (job) => {
+          const recentRuns = await runs().findMany({
+            where: { job },
+            orderBy: { startedAt: 'desc' },
+            limit: RECENT_RUNS_LISTED,
+          });
+          const lastRun = recentRuns[0] || null;
+          const lastNextRun = lastRun?.nextRunAt ? new Date(lastRun.nextRunAt) : null;
+          return {
+            job,
+            running: running.has(job),
+            nextRunAt: nextRuns.get(job) ?? lastNextRun,
+            lastRun,
+            recentRuns,
+          };
+        })
+      );
+    },
+  };
+};
@@ -0,0 +1,254 @@
+'use strict';
+
+/**
+ * Leader Election Service
+ *
+ * When several Strapi instances share one database, only the instance
+ * holding the job lease runs the background jobs (idle cleanup, retention,
+ * anonymization). The others skip their timer ticks until the leader goes
+ * away.
+ *
+ * How the lease is held depends on the database:
+ *   - Postgres: `pg_try_advisory_lock` on a connection the leader keeps
+ *     checked out of the pool
+ *   - MySQL / MariaDB: `GET_LOCK` on such a connection
+ *   - SQLite and others: a row in `magic_job_leases` that the leader renews
+ *     every heartbeat; another instance takes it over once it has expired
+ *
+ * Advisory locks end with the leader's connection, so a crashed leader is
+ * replaced on the next heartbeat of any other instance. On every database
+ * the leader also writes itself into the lease row, which is what
+ * `getLeaseInfo()` reports.
+ */
+
+const crypto = require('node:crypto');
+const os = require('node:os');
+const { createLogger } = require('../utils/logger');
+
+const LEASE_UID = 'plugin::magic-sessionmanager.job-lease';
+const LEASE_NAME = 'jobs';
+const LOCK_NAME = 'magic-sessionmanager:jobs';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const LEASE_TTL_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+// Advisory lock keys are per database on Postgres; GET_LOCK names are per
+// server on MySQL, hence the database name in the MySQL lock name.
+const PG_LOCK_KEY = crypto.createHash('sha256').update(LOCK_NAME).digest().readInt32BE(0);
+const MYSQL_LOCK_NAME_SQL = `LEFT(CONCAT('${LOCK_NAME}:', DATABASE()), 64)`;
+
+/**
+ * @param {string} dialect - `strapi.db.dialect.client`
+ * @returns {'pg_advisory_lock'|'get_lock'|'lease_row'}
+ */
+function lockStrategy(dialect) {
+  if (dialect === 'postgres') return 'pg_advisory_lock';
+  if (dialect === 'mysql' || dialect === 'mysql2') return 'get_lock';
+  return 'lease_row';
+}
+
+module.exports = ({ strapi }) => {
+  const log = createLogger(strapi);
+  // Set MAGIC_SESSIONMANAGER_NODE_ID to e.g. the pod name for a readable lease
+  const nodeId = (process.env.MAGIC_SESSIONMANAGER_NODE_ID || `${os.hostname()}:${process.pid}`).slice(0, 255);
+
+  let leader = false;
+  let connection = null; // pinned connection holding the advisory lock
+  let election = null;
+  let leaseRowReady = false;
+
+  const strategy = () => lockStrategy(strapi.db.dialect.client);
+  const leases = () => strapi.db.query(LEASE_UID);
+
+  function setLeader(value) {
+    if (value === leader) return;
+    leader = value;
+    if (value) log.info(`[LEADER] ${nodeId} now runs the background jobs`);
+    else log.warn(`[LEADER] ${nodeId} no longer holds the job lease`);
+  }
+
+  async function ensureLeaseRow() {
+    if (leaseRowReady) return;
+    if (!(await leases().findOne({ where: { name: LEASE_NAME } }))) {
+      await leases().create({ data: { name: LEASE_NAME, expiresAt: new Date(0) } });
+    }
+    leaseRowReady = true;
+  }
+
+  /**
+   * Extends our own lease.
+   * @returns {Promise<boolean>} false when the lease is not ours
+   */
+  async function renewLease(expiresAt) {
+    const { count } = await leases().updateMany({
+      where: { name: LEASE_NAME, holder: nodeId },
+      data: { expiresAt },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Writes us into the lease row. With `onlyIfExpired` (lease-row strategy)
+   * this is the lock itself: a single conditional UPDATE, so of two
+   * instances racing for an expired lease exactly one matches.
+   * @returns {Promise<boolean>}
+   */
+  async function claimLease(now, expiresAt, { onlyIfExpired }) {
+    const where = onlyIfExpired
+      ? { name: LEASE_NAME, $or: [{ expiresAt: { $lt: now } }, { expiresAt: { $null: true } }] }
+      : { name: LEASE_NAME };
+    const { count } = await leases().updateMany({
+      where,
+      data: { holder: nodeId, acquiredAt: now, expiresAt },
+    });
+    return count > 0;
+  }
+
+  async function lockQuery(sql, bindings = []) {
+    return strapi.db.connection.raw(sql, bindings).connection(connection);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the advisory lock was acquired. The
+   *   pinned connection is kept only when it was.
+   */
+  async function tryAdvisoryLock() {
+    connection = await strapi.db.connection.client.acquireConnection();
+    let acquired = false;
+    try {
+      if (strategy() === 'pg_advisory_lock') {
+        const result = await lockQuery('SELECT pg_try_advisory_lock(?) AS acquired', [PG_LOCK_KEY]);
+        acquired = result.rows[0].acquired === true;
+      } else {
+        const [rows] = await lockQuery(`SELECT GET_LOCK(${MYSQL_LOCK_NAME_SQL}, 0) AS acquired`);
+        acquired = Number(rows[0].acquired) === 1;
+      }
+    } finally {
+      if (!acquired) await returnConnection();
+    }
+    return acquired;
+  }
+
+  async function returnConnection() {
+    if (!connection) return;
+    const pinned = connection;
+    connection = null;
+    try {
+      await strapi.db.connection.client.releaseConnection(pinned);
+    } catch {
+      // The pool drops broken connections on its own
+    }
+  }
+
+  /**
+   * Unlocks before returning the connection: a session-level lock would
+   * otherwise stay with the pooled connection.
+   */
+  async function unlockAndReturnConnection() {
+    if (!connection) return;
+    try {
+      if (strategy() === 'pg_advisory_lock') {
+        await lockQuery('SELECT pg_advisory_unlock(?)', [PG_LOCK_KEY]);
+      } else {
+        await lockQuery(`SELECT RELEASE_LOCK(${MYSQL_LOCK_NAME_SQL})`);
+      }
+    } catch {
+      // A dead connection has lost the lock already
+    }
+    await returnConnection();
+  }
+
+  async function runElection() {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + LEASE_TTL_MS);
+    try {
+      await ensureLeaseRow();
+
+      if (strategy() === 'lease_row') {
+        setLeader((await renewLease(expiresAt)) || (await claimLease(now, expiresAt, { onlyIfExpired: true })));
+      } else if (leader) {
+        // The lock lives as long as the pinned connection does
+        await lockQuery('SELECT 1');
+        if (!(await renewLease(expiresAt))) await claimLease(now, expiresAt, { onlyIfExpired: false });
+      } else if (await tryAdvisoryLock()) {
+        await claimLease(now, expiresAt, { onlyIfExpired: false });
+        setLeader(true);
+      }
+    } catch (err) {
+      (leader ? log.warn : log.debug)(`[LEADER] Job lease check failed: ${err.message}`);
+      await unlockAndReturnConnection();
+      setLeader(false);
+    }
+    return leader;
+  }
+
+  return {
+    nodeId,
+    heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+
+    /**
+     * Acquires or renews the job lease. Called on every heartbeat and before
+     * each job run; concurrent calls share one check.
+     * @returns {Promise<boolean>} Whether this instance holds the lease
+     */
+    elect() {
+      if (!election) {
+        election = runElection().finally(() => {
+          election = null;
+        });
+      }
+      return election;
+    },
+
+    /**
+     * Runs `job` only on the lease holder.
+     * @param {string} name - For the log
+     * @param {() => Promise<unknown>} job
+     * @returns {Promise<boolean>} false when skipped
+     */
+    async runAsLeader(name, job) {
+      if (!(await this.elect())) {
+        log.debug(`[LEADER] Skipping ${name}: another instance holds the job lease`);
+        return false;
+      }
+      await job();
+      return true;
+    },
+
+    /**
+     * Which node holds the lease. `holder` is null while the lease is
+     * expired or was never taken.
+     * @returns {Promise<{nodeId: string, isLeader: boolean, strategy: string, holder: string|null, acquiredAt: Date|null, expiresAt: Date|null}>}
+     */
+    async getLeaseInfo() {
+      const lease = await leases().findOne({ where: { name: LEASE_NAME } });
+      const held = !!lease?.holder && !!lease.expiresAt && new Date(lease.expiresAt) > new Date();
+      return {
+        nodeId,
+        isLeader: leader,
+        strategy: strategy(),
+        holder: held ? lease.holder : null,
+        acquiredAt: held ? lease.acquiredAt : null,
+        expiresAt: held ? lease.expiresAt : null,
+      };
+    },
+
+    /**
+     * Gives up the lease on shutdown so another instance takes over on its
+     * next heartbeat instead of after the lease TTL.
+     */
+    async release() {
+      if (!leader) return;
+      await unlockAndReturnConnection();
+      try {
+        await leases().updateMany({
+          where: { name: LEASE_NAME, holder: nodeId },
+          data: { holder: null, expiresAt: new Date(0) },
+        });
+      } catch (err) {
+        log.debug('[LEADER] Could not expire the job lease:', err.message);
+      }
+      leader = false;
+      log.info(`[LEADER] ${nodeId} released the job lease`);
+    },
+  };
+};
@@ -9,13 +9,16 @@
  *   page as an optional install-tracking flow.
  * - No boot-time remote validation and no periodic ping are performed.
  * - Legacy feature helpers always return permissive values so older callers
- *   keep working without gating behavior.
+ *   keep working without gating behavior. `getMaxSessions()` reports the
+ *   admin-configured global concurrent-session limit (-1 when unlimited).
  */
 
 const crypto = require('crypto');
 const os = require('os');
 const pluginPkg = require('../../../package.json');
 const { createLogger } = require('../utils/logger');
+const { getPluginSettings } = require('../utils/settings-loader');
+const { normalizeSessionLimit } = require('../utils/session-limit');
 
 const DEFAULT_LICENSE_SERVER_URL = 'https://magicapi.fitlex.me';
 
@@ -223,8 +226,19 @@ module.exports = ({ strapi }) => {
       return true;
     },
 
+    /**
+     * Global per-user concurrent-session limit from the plugin settings.
+     * Role overrides are resolved per user by the session service.
+     * @returns {Promise<number>} -1 when unlimited
+     */
     async getMaxSessions() {
-      return -1;
+      try {
+        const settings = await getPluginSettings(strapi);
+        const limit = normalizeSessionLimit(settings.maxConcurrentSessions);
+        return limit > 0 ? limit : -1;
+      } catch {
+        return -1;
+      }
     },
 
     async getLicenseTierInfo() {
@@ -9,6 +9,8 @@
  * prevent XSS via user-controlled inputs (user-agent, geo data, etc.).
  */
 
+const metrics = require('../utils/metrics');
+
 const ALLOWED_WEBHOOK_HOSTS = [
   'discord.com',
   'discordapp.com',
@@ -17,6 +19,12 @@ const ALLOWED_WEBHOOK_HOSTS = [
 
 const WEBHOOK_TIMEOUT_MS = 5000;
 
+/**
+ * @param {URL} url - An allowlisted webhook URL
+ * @returns {'discord'|'slack'}
+ */
+const webhookChannel = (url) => (url.hostname.endsWith('slack.com') ? 'slack' : 'discord');
+
 module.exports = ({ strapi }) => ({
   /**
    * Loads email templates from the plugin store, falling back to hardcoded
@@ -47,6 +55,14 @@ module.exports = ({ strapi }) => ({
     }
 
     strapi.log.debug('[magic-sessionmanager/notifications] Using default fallback templates');
+    return this.getDefaultEmailTemplates();
+  },
+
+  /**
+   * Built-in email templates, used when none are configured.
+   * @returns {object}
+   */
+  getDefaultEmailTemplates() {
     return {
       suspiciousLogin: {
         subject: '[ALERT] Suspicious Login Alert - Session Manager',
@@ -101,6 +117,21 @@ module.exports = ({ strapi }) => ({
         html: `<h2>[WARNING] VPN/Proxy Detected</h2><p>Account: {{user.email}}</p><p>Time: {{session.loginTime}}</p><p>IP: {{session.ipAddress}}</p><p>VPN: {{reason.isVpn}}, Proxy: {{reason.isProxy}}</p>`,
         text: `[WARNING] VPN/Proxy Detected\n\nAccount: {{user.email}}\nTime: {{session.loginTime}}\nIP: {{session.ipAddress}}\nVPN: {{reason.isVpn}}, Proxy: {{reason.isProxy}}`,
       },
+      impossibleTravel: {
+        subject: '[ALERT] Impossible Travel Detected',
+        html: `<h2>[ALERT] Impossible Travel</h2><p>Account: {{user.email}}</p><p>Time: {{session.loginTime}}</p><p>Location: {{geo.city}}, {{geo.country}}</p><p>IP: {{session.ipAddress}}</p><p>Previous login: {{travel.previousLocation}} at {{travel.previousLoginTime}}</p><p>Distance: {{travel.distanceKm}} km in {{travel.hours}} h ({{travel.speedKmh}} km/h)</p>`,
+        text: `[ALERT] Impossible Travel\n\nAccount: {{user.email}}\nTime: {{session.loginTime}}\nLocation: {{geo.city}}, {{geo.country}}\nIP: {{session.ipAddress}}\nPrevious login: {{travel.previousLocation}} at {{travel.previousLoginTime}}\nDistance: {{travel.distanceKm}} km in {{travel.hours}} h ({{travel.speedKmh}} km/h)`,
+      },
+      clientChanged: {
+        subject: '[WARNING] Session Used From a New Network or Device',
+        html: `<h2>[WARNING] Session Client Changed</h2><p>Account: {{user.email}}</p><p>Time: {{session.loginTime}}</p><p>IP: {{session.ipAddress}} (before: {{change.previousIp}})</p><p>Device: {{session.userAgent}} (before: {{change.previousUserAgent}})</p><p>If this was not you, sign out of all devices and change your password.</p>`,
+        text: `[WARNING] Session Client Changed\n\nAccount: {{user.email}}\nTime: {{session.loginTime}}\nIP: {{session.ipAddress}} (before: {{change.previousIp}})\nDevice: {{session.userAgent}} (before: {{change.previousUserAgent}})\n\nIf this was not you, sign out of all devices and change your password.`,
+      },
+      tokenReuse: {
+        subject: '[ALERT] Sign-in Token Reused',
+        html: `<h2>[ALERT] Sign-in Token Reused</h2><p>Account: {{user.email}}</p><p>Time: {{session.loginTime}}</p><p>IP: {{session.ipAddress}}</p><p>Device: {{session.userAgent}}</p><p>An old sign-in token of your account was used again, which usually means it was copied. The affected sessions were signed out. If you did not expect this, change your password.</p>`,
+        text: `[ALERT] Sign-in Token Reused\n\nAccount: {{user.email}}\nTime: {{session.loginTime}}\nIP: {{session.ipAddress}}\nDevice: {{session.userAgent}}\n\nAn old sign-in token of your account was used again, which usually means it was copied. The affected sessions were signed out. If you did not expect this, change your password.`,
+      },
     };
   },
 
@@ -151,6 +182,16 @@ module.exports = ({ strapi }) => ({
     result = result.replace(/\{\{reason\.isThreat\}\}/g, data.reason?.isThreat ? 'Yes' : 'No');
     result = result.replace(/\{\{reason\.securityScore\}\}/g, esc(String(data.reason?.securityScore || '0')));
 
+    result = result.replace(/\{\{change\.previousIp\}\}/g, esc(data.changes?.ipAddress?.from || 'unchanged'));
+    result = result.replace(/\{\{change\.previousUserAgent\}\}/g, esc(data.changes?.userAgent?.from || 'unchanged'));
+
+    result = result.replace(/\{\{travel\.previousLocation\}\}/g, esc(data.travel?.previousLocation || 'Unknown'));
+    result = result.replace(/\{\{travel\.previousLoginTime\}\}/g,
+      esc(data.travel?.previousLoginTime ? new Date(data.travel.previousLoginTime).toLocaleString() : 'N/A'));
+    result = result.replace(/\{\{travel\.distanceKm\}\}/g, esc(String(data.travel?.distanceKm ?? '-')));
+    result = result.replace(/\{\{travel\.hours\}\}/g, esc(String(data.travel?.hours ?? '-')));
+    result = result.replace(/\{\{travel\.speedKmh\}\}/g, esc(String(data.travel?.speedKmh ?? '-')));
+
     return result;
   },
 
@@ -168,7 +209,7 @@ module.exports = ({ strapi }) => ({
       const htmlContent = this.replaceVariables(template.html, data);
       const textContent = this.replaceVariables(template.text, data);
 
-      await strapi.plugins['email'].services.email.send({
+      await this.sendEmail({
         to: user.email,
         subject: template.subject,
         html: htmlContent,
@@ -197,7 +238,7 @@ module.exports = ({ strapi }) => ({
       const htmlContent = this.replaceVariables(template.html, data);
       const textContent = this.replaceVariables(template.text, data);
 
-      await strapi.plugins['email'].services.email.send({
+      await this.sendEmail({
         to: user.email,
         subject: template.subject,
         html: htmlContent,
@@ -226,7 +267,7 @@ module.exports = ({ strapi }) => ({
       const htmlContent = this.replaceVariables(template.html, data);
       const textContent = this.replaceVariables(template.text, data);
 
-      await strapi.plugins['email'].services.email.send({
+      await this.sendEmail({
         to: user.email,
         subject: template.subject,
         html: htmlContent,
@@ -241,8 +282,163 @@ module.exports = ({ strapi }) => ({
     }
   },
 
+  /**
+   * Sends an impossible-travel email alert using the `impossibleTravel`
+   * template. Stored templates from before this alert existed have no
+   * such entry, so the built-in one is used then.
+   * @param {{user: object, session: object, geoData: object, travel: object}} params
+   * @returns {Promise<boolean>}
+   */
+  async sendImpossibleTravelAlert({ user, session, geoData, travel }) {
+    try {
+      const templates = await this.getEmailTemplates();
+      let template = templates.impossibleTravel;
+      if (!template?.html && !template?.text) {
+        template = this.getDefaultEmailTemplates().impossibleTravel;
+      }
+
+      const data = { user, session, geoData, travel, reason: {} };
+      const htmlContent = this.replaceVariables(template.html, data);
+      const textContent = this.replaceVariables(template.text, data);
+
+      await this.sendEmail({
+        to: user.email,
+        subject: template.subject,
+        html: htmlContent,
+        text: textContent,
+      });
+
+      strapi.log.info(`[magic-sessionmanager/notifications] Impossible travel alert sent to ${user.email}`);
+      return true;
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager/notifications] Error sending impossible travel email:', err);
+      return false;
+    }
+  },
+
+  /**
+   * Sends a refresh-token reuse email alert using the `tokenReuse`
+   * template, or the built-in one when none is stored.
+   * @param {{user: object, session: object}} params - `session` describes
+   *   the replaying request (time, IP, user agent)
+   * @returns {Promise<boolean>}
+   */
+  async sendTokenReuseAlert({ user, session }) {
+    try {
+      const templates = await this.getEmailTemplates();
+      let template = templates.tokenReuse;
+      if (!template?.html && !template?.text) {
+        template = this.getDefaultEmailTemplates().tokenReuse;
+      }
+
+      const data = { user, session, geoData: null, reason: {} };
+      const htmlContent = this.replaceVariables(template.html, data);
+      const textContent = this.replaceVariables(template.text, data);
+
+      await this.sendEmail({
+        to: user.email,
+        subject: template.subject,
+        html: htmlContent,
+        text: textContent,
+      });
+
+      strapi.log.info(`[magic-sessionmanager/notifications] Token reuse alert sent to ${user.email}`);
+      return true;
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager/notifications] Error sending token reuse email:', err);
+      return false;
+    }
+  },
+
+  /**
+   * Sends a session-binding email alert using the `clientChanged` template,
+   * or the built-in one when none is stored.
+   * @param {{user: object, session: object, changes: object}} params -
+   *   `session` describes the request that used the session from the new
+   *   client; `changes` holds the `{from, to}` pair per changed field
+   * @returns {Promise<boolean>}
+   */
+  async sendClientChangeAlert({ user, session, changes }) {
+    try {
+      const templates = await this.getEmailTemplates();
+      let template = templates.clientChanged;
+      if (!template?.html && !template?.text) {
+        template = this.getDefaultEmailTemplates().clientChanged;
+      }
+
+      const data = { user, session, changes, geoData: null, reason: {} };
+      const htmlContent = this.replaceVariables(template.html, data);
+      const textContent = this.replaceVariables(template.text, data);
+
+      await this.sendEmail({
+        to: user.email,
+        subject: template.subject,
+        html: htmlContent,
+        text: textContent,
+      });
+
+      strapi.log.info(`[magic-sessionmanager/notifications] Client change alert sent to ${user.email}`);
+      return true;
+    } catch (err) {
+      strapi.log.error('[magic-sessionmanager/notifications] Error sending client change email:', err);
+      return false;
+    }
+  },
+
+  /**
+   * Announces a pulled kill switch on every configured webhook channel.
+   * The acting admin takes the place of the user in the message.
+   * @param {{settings: object, actor: object, terminatedCount: number,
+   *   exemptRoles: string[], exemptUserIds: string[], note: string}} params
+   * @returns {Promise<void>}
+   */
+  async sendKillSwitchWebhooks({ settings, actor, terminatedCount, exemptRoles, exemptUserIds, note }) {
+    const event = 'session.kill_switch';
+    const user = { email: actor?.email || `admin ${actor?.id ?? 'unknown'}`, username: 'Administrator' };
+    const session = { ipAddress: actor?.ipAddress || 'unknown', loginTime: new Date() };
+    const details = [
+      { label: 'Terminated sessions', value: String(terminatedCount) },
+      { label: 'Exempt roles', value: exemptRoles.length > 0 ? exemptRoles.join(', ') : 'none' },
+      { label: 'Exempt users', value: exemptUserIds.length > 0 ? exemptUserIds.join(', ') : 'none' },
+      { label: 'Reason', value: note },
+    ];
+
+    const targets = [];
+    if (settings.discordWebhookUrl) {
+      targets.push({
+        url: settings.discordWebhookUrl,
+        payload: this.formatDiscordWebhook({ event, session, user, geoData: null, details }),
+      });
+    }
+    if (settings.slackWebhookUrl) {
+      targets.push({
+        url: settings.slackWebhookUrl,
+        payload: this.formatSlackWebhook({ event, session, user, geoData: null, details }),
+      });
+    }
+    await Promise.allSettled(
+      targets.map((target) => this.sendWebhook({ event, data: target.payload, webhookUrl: target.url }))
+    );
+  },
+
   ALLOWED_WEBHOOK_HOSTS,
 
+  /**
+   * Sends one email through Strapi's email plugin and counts the delivery.
+   * @param {{to: string, subject: string, html: string, text: string}} message
+   * @returns {Promise<void>}
+   * @throws {Error} When the email provider rejects the message
+   */
+  async sendEmail(message) {
+    try {
+      await strapi.plugins['email'].services.email.send(message);
+      metrics.increment('notifications', { channel: 'email', result: 'success' });
+    } catch (err) {
+      metrics.increment('notifications', { channel: 'email', result: 'failure' });
+      throw err;
+    }
+  },
+
   /**
    * Posts a JSON payload to a webhook URL. Only allowlisted hosts are
    * permitted (SSRF protection) and the request times out after
@@ -259,6 +455,12 @@ module.exports = ({ strapi }) => ({
    * @returns {Promise<boolean>}
    */
   async sendWebhook({ event, data, webhookUrl }) {
+    let channel = 'webhook';
+    const delivered = (result) => {
+      metrics.increment('notifications', { channel, result });
+      return result === 'success';
+    };
+
     try {
       try {
         const parsed = new URL(webhookUrl);
@@ -266,11 +468,12 @@ module.exports = ({ strapi }) => ({
           ALLOWED_WEBHOOK_HOSTS.some(h => parsed.hostname === h || parsed.hostname.endsWith(`.${h}`));
         if (!isAllowed) {
           strapi.log.warn(`[magic-sessionmanager/notifications] Blocked webhook to untrusted host: ${parsed.hostname}`);
-          return false;
+          return delivered('rejected');
         }
+        channel = webhookChannel(parsed);
       } catch {
         strapi.log.warn('[magic-sessionmanager/notifications] Invalid webhook URL');
-        return false;
+        return delivered('rejected');
       }
 
       // Discord & Slack both want the provider-specific payload as the raw
@@ -294,16 +497,16 @@ module.exports = ({ strapi }) => ({
 
         if (response.ok) {
           strapi.log.info(`[magic-sessionmanager/notifications] Webhook sent: ${event}`);
-          return true;
+          return delivered('success');
         }
         strapi.log.warn(`[magic-sessionmanager/notifications] Webhook failed: ${response.status}`);
-        return false;
+        return delivered('failure');
       } finally {
         clearTimeout(timer);
       }
     } catch (err) {
       strapi.log.error('[magic-sessionmanager/notifications] Webhook error:', err);
-      return false;
+      return delivered('failure');
     }
   },
 
@@ -313,10 +516,13 @@ module.exports = ({ strapi }) => ({
    * Uses Slack's Block Kit so the message renders as a rich card with
    * status color and structured fields, matching the Discord embed shape.
    *
-   * @param {{event: string, session: object, user: object, geoData: object}} params
+   * @param {{event: string, session: object, user: object, geoData: object,
+   *   details?: Array<{label: string, value: string}>}} params
+   *   `details` are extra event-specific fields, e.g. the previous login of
+   *   an impossible-travel alert
    * @returns {object}
    */
-  formatSlackWebhook({ event, session, user, geoData }) {
+  formatSlackWebhook({ event, session, user, geoData, details = [] }) {
     const title = this.getEventTitle(event);
     const color = this.getSlackEventColor(event);
 
@@ -349,6 +555,10 @@ module.exports = ({ strapi }) => ({
       }
     }
 
+    for (const detail of details) {
+      fields.push({ type: 'mrkdwn', text: `*${detail.label}*\n${detail.value}` });
+    }
+
     return {
       text: title, // Fallback for clients without Block Kit support
       attachments: [
@@ -382,17 +592,22 @@ module.exports = ({ strapi }) => ({
       'login.new_location': '#f59e0b',
       'login.vpn': '#ef4444',
       'login.threat': '#7f1d1d',
+      'login.impossible_travel': '#b91c1c',
+      'session.token_reuse': '#991b1b',
+      'session.client_changed': '#d97706',
       'session.terminated': '#6b7280',
+      'session.kill_switch': '#7f1d1d',
     };
     return colors[event] || '#2563eb';
   },
 
   /**
    * Formats a session event as a Discord embed.
-   * @param {{event: string, session: object, user: object, geoData: object}} params
+   * @param {{event: string, session: object, user: object, geoData: object,
+   *   details?: Array<{label: string, value: string}>}} params
    * @returns {object}
    */
-  formatDiscordWebhook({ event, session, user, geoData }) {
+  formatDiscordWebhook({ event, session, user, geoData, details = [] }) {
     const embed = {
       title: this.getEventTitle(event),
       color: this.getEventColor(event),
@@ -426,6 +641,10 @@ module.exports = ({ strapi }) => ({
       }
     }
 
+    for (const detail of details) {
+      embed.fields.push({ name: detail.label, value: detail.value, inline: false });
+    }
+
     return { embeds: [embed] };
   },
 
@@ -440,7 +659,11 @@ module.exports = ({ strapi }) => ({
       'login.new_location': '[LOCATION] New Location Login',
       'login.vpn': '[WARNING] VPN Login Detected',
       'login.threat': '[THREAT] Threat IP Login',
+      'login.impossible_travel': '[ALERT] Impossible Travel',
+      'session.token_reuse': '[ALERT] Refresh Token Reused',
+      'session.client_changed': '[WARNING] Session Client Changed',
       'session.terminated': '[INFO] Session Terminated',
+      'session.kill_switch': '[EMERGENCY] All Sessions Terminated',
     };
     return titles[event] || '[STATS] Session Event';
   },
@@ -456,7 +679,11 @@ module.exports = ({ strapi }) => ({
       'login.new_location': 0xFFA500,
       'login.vpn': 0xFF6B6B,
       'login.threat': 0x8B0000,
+      'login.impossible_travel': 0xB91C1C,
+      'session.token_reuse': 0x991B1B,
+      'session.client_changed': 0xD97706,
       'session.terminated': 0x808080,
+      'session.kill_switch': 0x7F1D1D,
     };
     return colors[event] || 0x5865F2;
   },
@@ -0,0 +1,406 @@
+'use strict';
+
+/**
+ * Session Archive Service
+ *
+ * Cold storage for sessions the retention job removes from
+ * `magic_sessions`. Depending on `archiveMode` the rows are copied into the
+ * `magic_sessions_archive` table or written as gzip-compressed NDJSON files
+ * (one file per retention batch) to `archiveDirectory`. Archived sessions
+ * are kept for `archiveRetentionDays` and can be searched from the admin
+ * panel in either mode.
+ *
+ * `archiveDirectory` is only read from the static plugin config, so the
+ * admin UI cannot point file writes at an arbitrary path.
+ *
+ * GDPR mode (`anonymizeAfterDays`) covers the archive as well: records
+ * are anonymized when they are written, or later by `anonymize()`.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const readline = require('node:readline');
+const zlib = require('node:zlib');
+const stream = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { createLogger } = require('../utils/logger');
+const { anonymizeArchiveRecordData, normalizeAnonymizeAfterDays } = require('../utils/anonymize');
+const { getPluginSettings } = require('../utils/settings-loader');
+const {
+  ARCHIVE_FILE_PREFIX,
+  ARCHIVE_FILE_SUFFIX,
+  DEFAULT_ARCHIVE_RETENTION_DAYS,
+  anonymizationDueFilters,
+  archiveFilters,
+  isAnonymizationDue,
+  isArchiveFileName,
+  matchesArchiveSearch,
+  normalizeArchiveMode,
+  toArchiveRecord,
+} = require('../utils/session-archive');
+
+const ARCHIVE_UID = 'plugin::magic-sessionmanager.session-archive';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANONYMIZE_BATCH = 200;
+
+module.exports = ({ strapi }) => {
+  const log = createLogger(strapi);
+
+  /**
+   * @param {object} settings
+   * @returns {string|null} Absolute archive directory, when configured
+   */
+  function archiveDirectory(settings) {
+    const dir = typeof settings.archiveDirectory === 'string' ? settings.archiveDirectory.trim() : '';
+    return dir ? path.resolve(dir) : null;
+  }
+
+  /**
+   * Writes the records to `target`. The file is written under a temporary
+   * name and renamed once complete, so a crash never leaves a truncated
+   * `.ndjson.gz` behind.
+   * @param {object[]} records
+   * @param {string} target - Absolute file path
+   */
+  async function writeRecords(records, target) {
+    const partial = `${target}.partial`;
+    try {
+      await pipeline(
+        stream.Readable.from(records.map((record) => `${JSON.stringify(record)}\n`)),
+        zlib.createGzip(),
+        fs.createWriteStream(partial, { flags: 'wx', mode: 0o600 })
+      );
+      await fs.promises.rename(partial, target);
+    } catch (err) {
+      await fs.promises.rm(partial, { force: true });
+      throw err;
+    }
+  }
+
+  /**
+   * Writes the records to a new archive file.
+   * @param {object[]} records
+   * @param {string} directory
+   * @param {Date} now
+   * @returns {Promise<string>} File name
+   */
+  async function writeArchiveFile(records, directory, now) {
+    await fs.promises.mkdir(directory, { recursive: true, mode: 0o700 });
+    const stamp = now.toISOString().replace(/[:.]/g, '-');
+    const name = `${ARCHIVE_FILE_PREFIX}${stamp}-${crypto.randomBytes(4).toString('hex')}${ARCHIVE_FILE_SUFFIX}`;
+    await writeRecords(records, path.join(directory, name));
+    return name;
+  }
+
+  /**
+   * Archive files, newest first (the file name starts with the write time).
+   * @param {string} directory
+   * @returns {Promise<string[]>}
+   */
+  async function listArchiveFiles(directory) {
+    try {
+      const names = await fs.promises.readdir(directory);
+      return names.filter(isArchiveFileName).sort().reverse();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} file - Absolute path of an archive file
+   * @returns {AsyncGenerator<object>} Its records
+   */
+  async function* readArchiveFile(file) {
+    // stream.pipeline forwards read errors to the gunzip stream, .pipe() would not
+    const input = stream.pipeline(fs.createReadStream(file), zlib.createGunzip(), () => {});
+    const lines = readline.createInterface({
+      input,
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (line) yield JSON.parse(line);
+    }
+  }
+
+  /**
+   * Replaces the records of an archive file. The modification time is
+   * kept, so the file still expires with `archiveRetentionDays` as before.
+   * @param {string} file - Absolute path of an archive file
+   * @param {object[]} records
+   */
+  async function rewriteArchiveFile(file, records) {
+    const { atime, mtime } = await fs.promises.stat(file);
+    await fs.promises.rm(`${file}.partial`, { force: true });
+    await writeRecords(records, file);
+    await fs.promises.utimes(file, atime, mtime);
+  }
+
+  /**
+   * Rewrites an archive file without the records of one user, or deletes it
+   * when nothing else is left.
+   * @param {string} file - Absolute path of an archive file
+   * @param {string} userId - User documentId
+   * @returns {Promise<number>} Number of records removed
+   */
+  async function eraseUserFromFile(file, userId) {
+    const kept = [];
+    let removed = 0;
+    for await (const record of readArchiveFile(file)) {
+      if (record.userId === userId) removed++;
+      else kept.push(record);
+    }
+    if (removed === 0) return 0;
+
+    if (kept.length === 0) {
+      await fs.promises.unlink(file);
+      return removed;
+    }
+    await rewriteArchiveFile(file, kept);
+    return removed;
+  }
+
+  /**
+   * Rewrites an archive file with its due records anonymized.
+   * @param {string} file - Absolute path of an archive file
+   * @param {Date} before - Anonymization cutoff
+   * @param {Date} now
+   * @returns {Promise<number>} Number of records anonymized
+   */
+  async function anonymizeFile(file, before, now) {
+    const records = [];
+    let anonymized = 0;
+    for await (const record of readArchiveFile(file)) {
+      if (isAnonymizationDue(record, before)) {
+        records.push({ ...record, ...anonymizeArchiveRecordData(record, now) });
+        anonymized++;
+      } else {
+        records.push(record);
+      }
+    }
+    if (anonymized > 0) await rewriteArchiveFile(file, records);
+    return anonymized;
+  }
+
+  async function searchTable(search) {
+    const where = archiveFilters(search);
+    const [data, total] = await Promise.all([
+      strapi.db.query(ARCHIVE_UID).findMany({
+        where,
+        orderBy: [{ loginTime: 'desc' }, { id: 'desc' }],
+        offset: (search.page - 1) * search.pageSize,
+        limit: search.pageSize,
+      }),
+      strapi.db.query(ARCHIVE_UID).count({ where }),
+    ]);
+    return { data: data.map(({ id, ...record }) => record), total };
+  }
+
+  /**
+   * Scans every archive file, so the cost of a file search grows with the
+   * archive. Only the requested page is kept in memory.
+   */
+  async function searchFiles(search, directory) {
+    const first = (search.page - 1) * search.pageSize;
+    const data = [];
+    let total = 0;
+
+    for (const name of await listArchiveFiles(directory)) {
+      try {
+        for await (const record of readArchiveFile(path.join(directory, name))) {
+          if (!matchesArchiveSearch(record, search)) continue;
+          if (total >= first && data.length < search.pageSize) data.push(record);
+          total++;
+        }
+      } catch (err) {
+        // A damaged file should not hide the rest of the archive
+        log.warn(`[ARCHIVE] Skipping unreadable archive file ${name}:`, err.message);
+      }
+    }
+    return { data, total };
+  }
+
+  return {
+    /**
+     * Copies sessions into the archive. Throws when the copy fails, so the
+     * caller can keep the rows instead of losing them.
+     * @param {object[]} sessions - Raw session rows with `user` populated
+     * @param {object} settings - Runtime settings
+     * @returns {Promise<number>} Number of archived sessions
+     * @throws {Error} When the archive is misconfigured or the write fails
+     */
+    async archiveSessions(sessions, settings) {
+      if (!sessions.length) return 0;
+      const mode = normalizeArchiveMode(settings.archiveMode);
+      const now = new Date();
+      const anonymizeAfterDays = normalizeAnonymizeAfterDays(settings.anonymizeAfterDays);
+      const anonymizeBefore = anonymizeAfterDays > 0 ? new Date(now.getTime() - anonymizeAfterDays * DAY_MS) : null;
+      const records = sessions.map((session) => toArchiveRecord(session, now, { anonymizeBefore }));
+
+      if (mode === 'file') {
+        const directory = archiveDirectory(settings);
+        if (!directory) {
+          throw new Error('archiveMode is "file" but no archiveDirectory is configured');
+        }
+        const name = await writeArchiveFile(records, directory, now);
+        log.debug(`[ARCHIVE] Wrote ${records.length} session(s) to ${name}`);
+        return records.length;
+      }
+
+      if (mode === 'table') {
+        // A session whose delete failed on an earlier run is archived again;
+        // replace its old copy instead of keeping both.
+        await strapi.db.query(ARCHIVE_UID).deleteMany({
+          where: { sessionId: { $in: records.map((record) => record.sessionId) } },
+        });
+        await strapi.db.query(ARCHIVE_UID).createMany({ data: records });
+        return records.length;
+      }
+
+      return 0;
+    },
+
+    /**
+     * Deletes archived sessions older than `archiveRetentionDays`, from the
+     * table and, when a directory is configured, from the archive files.
+     * @returns {Promise<number>} Number of deleted table rows and files
+     */
+    async pruneArchive() {
+      const settings = await getPluginSettings(strapi);
+      const days = settings.archiveRetentionDays ?? DEFAULT_ARCHIVE_RETENTION_DAYS;
+      if (days === -1) return 0;
+
+      const cutoff = new Date(Date.now() - days * DAY_MS);
+      let pruned = 0;
+
+      try {
+        const result = await strapi.db.query(ARCHIVE_UID).deleteMany({
+          where: { archivedAt: { $lt: cutoff } },
+        });
+        pruned += result?.count || 0;
+      } catch (err) {
+        log.warn('[ARCHIVE] Could not prune the archive table:', err.message);
+      }
+
+      const directory = archiveDirectory(settings);
+      if (directory) {
+        try {
+          for (const name of await listArchiveFiles(directory)) {
+            const file = path.join(directory, name);
+            const { mtime } = await fs.promises.stat(file);
+            if (mtime < cutoff) {
+              await fs.promises.unlink(file);
+              pruned++;
+            }
+          }
+        } catch (err) {
+          log.warn('[ARCHIVE] Could not prune archive files:', err.message);
+        }
+      }
+
+      if (pruned > 0) log.info(`[ARCHIVE] Pruned ${pruned} archived row(s)/file(s) older than ${days} days`);
+      return pruned;
+    },
+
+    /**
+     * GDPR mode for the archive: anonymizes the archived sessions that ended
+     * before `before`, in the table and, when a directory is configured, in
+     * the archive files. Like a file search this reads every archive file.
+     * @param {Object} params
+     * @param {Date} params.before
+     * @returns {Promise<number>} Number of records anonymized
+     */
+    async anonymize({ before }) {
+      const settings = await getPluginSettings(strapi);
+      const now = new Date();
+      let anonymized = 0;
+
+      try {
+        while (true) {
+          const batch = await strapi.db.query(ARCHIVE_UID).findMany({
+            select: ['id', 'ipAddress', 'lastIpAddress', 'browser', 'os'],
+            where: anonymizationDueFilters(before),
+            limit: ANONYMIZE_BATCH,
+          });
+          if (!batch || batch.length === 0) break;
+
+          for (const record of batch) {
+            await strapi.db.query(ARCHIVE_UID).update({
+              where: { id: record.id },
+              data: anonymizeArchiveRecordData(record, now),
+            });
+            anonymized++;
+          }
+          if (batch.length < ANONYMIZE_BATCH) break;
+        }
+      } catch (err) {
+        log.warn('[ARCHIVE] Could not anonymize the archive table:', err.message);
+      }
+
+      const directory = archiveDirectory(settings);
+      if (directory) {
+        for (const name of await listArchiveFiles(directory)) {
+          try {
+            anonymized += await anonymizeFile(path.join(directory, name), before, now);
+          } catch (err) {
+            log.error(`[ARCHIVE] Could not anonymize archive file ${name}:`, err.message);
+          }
+        }
+      }
+      return anonymized;
+    },
+
+    /**
+     * Removes every archived session of a user, from the table and from the
+     * archive files. An unreadable file is skipped and logged.
+     * @param {string} userId - User documentId
+     * @returns {Promise<number>} Number of archived sessions removed
+     */
+    async eraseUser(userId) {
+      if (!userId) return 0;
+      const settings = await getPluginSettings(strapi);
+      const result = await strapi.db.query(ARCHIVE_UID).deleteMany({ where: { userId } });
+      let erased = result?.count || 0;
+
+      const directory = archiveDirectory(settings);
+      if (directory) {
+        for (const name of await listArchiveFiles(directory)) {
+          try {
+            erased += await eraseUserFromFile(path.join(directory, name), userId);
+          } catch (err) {
+            log.error(`[ARCHIVE] Could not erase user ${userId} from archive file ${name}:`, err.message);
+          }
+        }
+      }
+      return erased;
+    },
+
+    /**
+     * Searches the archive of the configured mode (the table unless
+     * `archiveMode` is 'file').
+     * @param {ReturnType<typeof import('../utils/session-archive').parseArchiveSearch>} search
+     * @returns {Promise<{data: object[], source: 'table'|'file', pagination: object}>}
+     */
+    async search(search) {
+      const settings = await getPluginSettings(strapi);
+      const source = normalizeArchiveMode(settings.archiveMode) === 'file' ? 'file' : 'table';
+      const directory = archiveDirectory(settings);
+
+      const { data, total } = source === 'file'
+        ? (directory ? await searchFiles(search, directory) : { data: [], total: 0 })
+        : await searchTable(search);
+
+      return {
+        data,
+        source,
+        pagination: {
+          page: search.page,
+          pageSize: search.pageSize,
+          pageCount: Math.ceil(total / search.pageSize),
+          total,
+        },
+      };
+    },
+  };
+};
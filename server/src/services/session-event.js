@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Session Event Service
+ *
+ * Append-only audit trail of session lifecycle transitions (login, token
+ * refresh, password-change rotation, reactivation, termination, geo block,
+ * client IP/user-agent change, password re-confirmation), use of the
+ * emergency kill switch and erasures of a user's session history.
+ * Rows reference the session by its documentId rather than a relation so
+ * the trail can be read independently of the session row.
+ *
+ * Callers outside this service should go through
+ * `utils/session-events.recordSessionEvent`, which never throws.
+ */
+
+const { createLogger } = require('../utils/logger');
+const { anonymizeEventData } = require('../utils/anonymize');
+
+const EVENT_UID = 'plugin::magic-sessionmanager.session-event';
+const EVENT_TYPES = new Set([
+  'login',
+  'refresh',
+  'password_change',
+  'reactivated',
+  'terminated',
+  'geo_blocked',
+  'client_changed',
+  'reauthenticated',
+  'reauth_failed',
+  'emergency_termination',
+  'history_erased',
+]);
+// Proof that an erasure happened; never removed by retention or erasure
+const ERASURE_EVENT = 'history_erased';
+const ACTOR_TYPES = new Set(['user', 'admin', 'system']);
+const MAX_TIMELINE = 500;
+const DELETE_BATCH = 200;
+const ANONYMIZE_BATCH = 200;
+
+function truncate(value, max) {
+  return typeof value === 'string' && value ? value.substring(0, max) : null;
+}
+
+/**
+ * Row data of one event; see `record()` for the parameters.
+ * @param {object} event
+ * @param {Date} occurredAt
+ * @returns {object}
+ * @throws {Error} On an unknown type
+ */
+function toEventData({ type, sessionId = null, userId = null, actor = null, details = null }, occurredAt) {
+  if (!EVENT_TYPES.has(type)) {
+    throw new Error(`Unknown session event type: ${type}`);
+  }
+
+  return {
+    sessionId: sessionId || null,
+    userId: userId ? String(userId) : null,
+    type,
+    occurredAt,
+    ipAddress: truncate(actor?.ipAddress, 45),
+    userAgent: truncate(actor?.userAgent, 500),
+    actorType: ACTOR_TYPES.has(actor?.type) ? actor.type : 'system',
+    actorId: truncate(actor?.id, 255),
+    details: details && typeof details === 'object' ? details : null,
+  };
+}
+
+module.exports = ({ strapi }) => {
+  const log = createLogger(strapi);
+
+  return {
+    /**
+     * Appends one event.
+     * @param {Object} params
+     * @param {string} params.type - One of the `session-event` type enum values
+     * @param {string} [params.sessionId] - Session documentId (absent for pre-session events)
+     * @param {string} [params.userId] - Owner documentId, when known
+     * @param {import('../utils/session-events').SessionEventActor} [params.actor]
+     * @param {object} [params.details] - Event-specific context (never tokens)
+     * @returns {Promise<object>} Created event
+     * @throws {Error} On an unknown type or a failed write
+     */
+    async record(params) {
+      const event = await strapi.documents(EVENT_UID).create({
+        data: toEventData(params, new Date()),
+      });
+
+      log.debug(`[EVENT] ${params.type} recorded for session ${params.sessionId || '-'}`);
+      return event;
+    },
+
+    /**
+     * Appends many events in one insert, e.g. for the sessions ended by one
+     * set-based update.
+     * @param {Array<object>} events - Each shaped like the `record()` params
+     * @returns {Promise<number>} Number of events written
+     * @throws {Error} On an unknown type or a failed write
+     */
+    async recordMany(events) {
+      if (!Array.isArray(events) || events.length === 0) return 0;
+
+      const occurredAt = new Date();
+      const data = events.map((event) => toEventData(event, occurredAt));
+      await strapi.db.query(EVENT_UID).createMany({ data });
+
+      log.debug(`[EVENT] ${data.length} event(s) recorded`);
+      return data.length;
+    },
+
+    /**
+     * Returns a session's events, oldest first.
+     * @param {string} sessionId - Session documentId
+     * @param {Object} [options]
+     * @param {number} [options.limit=200]
+     * @returns {Promise<Array<object>>}
+     */
+    async getTimeline(sessionId, { limit = 200 } = {}) {
+      if (!sessionId) return [];
+      const events = await strapi.documents(EVENT_UID).findMany({
+        filters: { sessionId },
+        fields: ['documentId', 'type', 'occurredAt', 'ipAddress', 'userAgent', 'actorType', 'actorId', 'details'],
+        sort: { occurredAt: 'asc' },
+        limit: Math.max(1, Math.min(Number(limit) || 200, MAX_TIMELINE)),
+      });
+      return (events || []).map(({ documentId, ...event }) => ({ id: documentId, ...event }));
+    },
+
+    /**
+     * Deletes the events of the given sessions. Used when session rows are
+     * deleted so no orphaned trail is left behind.
+     * @param {string[]} sessionIds - Session documentIds
+     * @returns {Promise<number>} Number of events deleted
+     */
+    async deleteForSessions(sessionIds) {
+      if (!Array.isArray(sessionIds) || sessionIds.length === 0) return 0;
+
+      let deleted = 0;
+      for (let i = 0; i < sessionIds.length; i += DELETE_BATCH) {
+        const result = await strapi.db.query(EVENT_UID).deleteMany({
+          where: { sessionId: { $in: sessionIds.slice(i, i + DELETE_BATCH) } },
+        });
+        deleted += result?.count || 0;
+      }
+      return deleted;
+    },
+
+    /**
+     * Deletes a user's events, except the records of earlier erasures.
+     * @param {string} userId - User documentId
+     * @param {Object} [options]
+     * @param {boolean} [options.sessionlessOnly=false] - Only events without
+     *   a session (e.g. a geo block before the session was created)
+     * @returns {Promise<number>} Number of events deleted
+     */
+    async deleteForUser(userId, { sessionlessOnly = false } = {}) {
+      if (!userId) return 0;
+      const where = { userId: String(userId), type: { $ne: ERASURE_EVENT } };
+      if (sessionlessOnly) where.sessionId = { $null: true };
+      const result = await strapi.db.query(EVENT_UID).deleteMany({ where });
+      return result?.count || 0;
+    },
+
+    /**
+     * Whether all of a user's session history, active sessions included,
+     * was erased at or after `since`. The JWT check uses it to reject
+     * tokens whose session row the erasure deleted.
+     * @param {string} userId - User documentId
+     * @param {Date} since
+     * @returns {Promise<boolean>}
+     */
+    async wasHistoryErasedSince(userId, since) {
+      if (!userId) return false;
+      const erasures = await strapi.db.query(EVENT_UID).findMany({
+        select: ['details'],
+        where: { userId: String(userId), type: ERASURE_EVENT, occurredAt: { $gte: since } },
+        limit: 20,
+      });
+      return (erasures || []).some((event) => event.details?.scope === 'all');
+    },
+
+    /**
+     * Retention for the event log: removes events whose session row no
+     * longer exists (e.g. deleted by the DB-direct retention path) and
+     * session-less events such as geo blocks older than `before`. Erasure
+     * records are kept.
+     * @param {Object} params
+     * @param {Date} params.before
+     * @returns {Promise<number>} Number of events deleted
+     */
+    async prune({ before }) {
+      const knex = strapi.db.connection;
+      const orphaned = await knex('magic_session_events')
+        .whereNotNull('session_id')
+        .whereNotIn('session_id', knex('magic_sessions').select('document_id'))
+        .del();
+      const sessionless = await strapi.db.query(EVENT_UID).deleteMany({
+        where: { sessionId: { $null: true }, occurredAt: { $lt: before }, type: { $ne: ERASURE_EVENT } },
+      });
+      return (Number(orphaned) || 0) + (sessionless?.count || 0);
+    },
+
+    /**
+     * GDPR mode: truncates the IPs and drops the user agents of events that
+     * occurred before `before`, including those inside `details`.
+     * @param {Object} params
+     * @param {Date} params.before
+     * @returns {Promise<number>} Number of events anonymized
+     */
+    async anonymize({ before }) {
+      let anonymized = 0;
+      while (true) {
+        const batch = await strapi.documents(EVENT_UID).findMany({
+          filters: { occurredAt: { $lt: before }, anonymizedAt: { $null: true } },
+          fields: ['documentId', 'ipAddress', 'userAgent', 'details'],
+          limit: ANONYMIZE_BATCH,
+        });
+        if (!batch || batch.length === 0) break;
+
+        const now = new Date();
+        for (const event of batch) {
+          await strapi.documents(EVENT_UID).update({
+            documentId: event.documentId,
+            data: anonymizeEventData(event, now),
+          });
+          anonymized++;
+        }
+        if (batch.length < ANONYMIZE_BATCH) break;
+      }
+      return anonymized;
+    },
+  };
+};
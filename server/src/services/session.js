@@ -2,10 +2,28 @@
 
 const { encryptToken, generateSessionId, hashToken } = require('../utils/encryption');
 const { createLogger } = require('../utils/logger');
+const { recordSessionEvent, recordSessionEvents, systemActor } = require('../utils/session-events');
 const { parseUserAgent } = require('../utils/user-agent-parser');
-const { resolveUserDocumentId } = require('../utils/resolve-user');
+const { resolveUserDocumentId, resolveUserRoleType } = require('../utils/resolve-user');
 const { enhanceSessions, shouldResolveGeoData } = require('../utils/enhance-session');
 const { getPluginSettings } = require('../utils/settings-loader');
+const { getSharedState } = require('../utils/shared-state');
+const metrics = require('../utils/metrics');
+const { mergeSessionMetadata, readSessionMetadata } = require('../utils/session-metadata');
+const { sessionExpiresAtMs, sessionIdleTimeoutMs } = require('../utils/remember-me');
+const { STATUSES, locationColumns, parseSessionQuery, statusFilter } = require('../utils/session-query');
+const { normalizeArchiveMode } = require('../utils/session-archive');
+const { anonymizeSessionData, normalizeAnonymizeAfterDays } = require('../utils/anonymize');
+const {
+  getMinInactivityTimeout,
+  hasRolePolicies,
+  resolveUserSessionPolicy,
+} = require('../utils/role-policy');
+const {
+  hasSessionLimits,
+  normalizeSessionLimitMode,
+  resolveSessionLimit,
+} = require('../utils/session-limit');
 
 /**
  * Session Service
@@ -17,6 +35,17 @@ const { getPluginSettings } = require('../utils/settings-loader');
 
 const SESSION_UID = 'plugin::magic-sessionmanager.session';
 const MAX_SESSIONS_QUERY = 1000;
+const EXPORT_BATCH_SIZE = 500;
+const STATUS_SCAN_BATCH_SIZE = 500;
+const STATUS_SCAN_LIMIT = 10000;
+const ERASE_BATCH_SIZE = 100;
+const SUPERSEDED_TOKEN_UID = 'plugin::magic-sessionmanager.superseded-refresh-token';
+const REFRESH_TOKEN_HISTORY_SIZE = 10;
+const BACKFILL_BATCH_SIZE = 500;
+const KILL_SWITCH_BATCH_SIZE = 500;
+const IDLE_CLEANUP_BATCH_SIZE = 500;
+// Plugin store key set once `countryCode` and `city` are filled for old rows
+const LOCATION_BACKFILL_KEY = 'locationColumnsBackfilled';
 
 /**
  * Holds a physical row lock for a selected session until the surrounding
@@ -42,18 +71,411 @@ module.exports = ({ strapi }) => {
   const log = createLogger(strapi);
 
   /**
-   * Returns the common options passed to `enhanceSessions`.
+   * Returns the common options passed to `enhanceSessions`. With an owner,
+   * the idle timeout comes from that user's role policy; without one (lists
+   * spanning many users) it is resolved per session from the populated
+   * `user` relation whenever role policies are configured.
+   * @param {string|null} [ownerDocumentId]
    * @returns {Promise<object>}
    */
-  async function getEnhanceOpts() {
+  async function getEnhanceOpts(ownerDocumentId = null) {
     const settings = await getPluginSettings(strapi);
-    return {
-      inactivityTimeout: settings.inactivityTimeout || 15 * 60 * 1000,
+    const policy = await resolveUserSessionPolicy(strapi, settings, ownerDocumentId);
+    const opts = {
+      inactivityTimeout: policy.inactivityTimeout,
       geolocationService: shouldResolveGeoData(settings)
         ? strapi.plugin('magic-sessionmanager').service('geolocation')
         : null,
       strapi,
     };
+    if (!ownerDocumentId && hasRolePolicies(settings)) {
+      opts.resolveInactivityTimeout = async (session) =>
+        (await resolveUserSessionPolicy(strapi, settings, session.user?.documentId)).inactivityTimeout;
+    }
+    return opts;
+  }
+
+  /**
+   * Finds the active sessions that are idle under their own timeout ("remember
+   * me") or their owner's role policy. Only sessions last seen before the
+   * shortest timeout in use can be idle, so only those are read; the rule
+   * per row is the one `enhanceSession` applies for `isTrulyActive`.
+   *
+   * @param {object} settings - Runtime settings
+   * @returns {Promise<{idleCutoff: Date, idleActiveIds: string[]|null}>}
+   *   `idleActiveIds` is null when every session has the global timeout and
+   *   `idleCutoff` alone decides
+   */
+  async function resolveIdleSessions(settings) {
+    const now = Date.now();
+    const globalTimeout = settings.inactivityTimeout || 15 * 60 * 1000;
+    const perRole = hasRolePolicies(settings);
+
+    const [shortestOwn] = await strapi.documents(SESSION_UID).findMany({
+      filters: { isActive: true, idleTimeoutSeconds: { $notNull: true } },
+      fields: ['idleTimeoutSeconds'],
+      sort: { idleTimeoutSeconds: 'asc' },
+      limit: 1,
+    });
+    if (!perRole && sessionIdleTimeoutMs(shortestOwn, null) === null) {
+      return { idleCutoff: new Date(now - globalTimeout), idleActiveIds: null };
+    }
+
+    const shortestTimeout = Math.min(
+      getMinInactivityTimeout(settings),
+      sessionIdleTimeoutMs(shortestOwn, Infinity)
+    );
+    const idleCutoff = new Date(now - shortestTimeout);
+    const idleActiveIds = [];
+
+    for (let start = 0; start < STATUS_SCAN_LIMIT; start += STATUS_SCAN_BATCH_SIZE) {
+      const batch = await strapi.documents(SESSION_UID).findMany({
+        filters: {
+          isActive: true,
+          $or: [
+            { lastActive: { $lt: idleCutoff } },
+            { lastActive: { $null: true }, loginTime: { $lt: idleCutoff } },
+          ],
+        },
+        fields: ['documentId', 'lastActive', 'loginTime', 'idleTimeoutSeconds'],
+        ...(perRole ? { populate: { user: { fields: ['documentId'] } } } : {}),
+        sort: [{ loginTime: 'asc' }, { documentId: 'asc' }],
+        limit: STATUS_SCAN_BATCH_SIZE,
+        start,
+      });
+
+      for (const session of batch) {
+        const lastActiveTime = new Date(session.lastActive || session.loginTime || 0);
+        const fallback = perRole
+          ? (await resolveUserSessionPolicy(strapi, settings, session.user?.documentId)).inactivityTimeout
+          : globalTimeout;
+        if (now - lastActiveTime >= sessionIdleTimeoutMs(session, fallback)) {
+          idleActiveIds.push(session.documentId);
+        }
+      }
+
+      if (batch.length < STATUS_SCAN_BATCH_SIZE) {
+        return { idleCutoff, idleActiveIds };
+      }
+    }
+
+    log.warn(`[LIST] More than ${STATUS_SCAN_LIMIT} active sessions are past the shortest idle timeout; some idle ones are listed as active until the cleanup job ends them.`);
+    return { idleCutoff, idleActiveIds };
+  }
+
+  /**
+   * Parses a list request and binds its filters to the current idle state
+   * of the sessions (see `resolveIdleSessions`).
+   * @param {object} query - Raw query string parameters
+   * @param {object[]} extraClauses - Further filters to combine with `$and`
+   * @returns {Promise<object>} The parsed query plus `filtersFor(status)`,
+   *   which resolves to the filters for one status (or none with `null`).
+   *   The idle state is only read for the `active` and `idle` statuses.
+   */
+  async function resolveListQuery(query, extraClauses) {
+    const settings = await getPluginSettings(strapi);
+    const parsed = parseSessionQuery(query);
+    const clauses = [...parsed.clauses, ...extraClauses];
+    let idleSessions = null;
+
+    const filtersFor = async (statusName) => {
+      let statusClause = null;
+      if (statusName === 'active' || statusName === 'idle') {
+        idleSessions = idleSessions || (await resolveIdleSessions(settings));
+        statusClause = statusFilter(statusName, idleSessions.idleCutoff, idleSessions.idleActiveIds);
+      } else if (statusName) {
+        statusClause = statusFilter(statusName, null);
+      }
+      const all = statusClause ? [...clauses, statusClause] : clauses;
+      return all.length > 0 ? { $and: all } : {};
+    };
+    return { ...parsed, filtersFor };
+  }
+
+  /**
+   * Terminates the sessions matching `filters` in batches, recording one
+   * event per session. `filters` must exclude terminated rows (`isActive:
+   * true`), otherwise the loop would select the same rows again.
+   * @param {object} filters
+   * @param {object} options
+   * @param {object} options.updateData - Termination fields to write
+   * @param {object} options.eventActor
+   * @param {object} options.eventDetails
+   * @param {string} [options.userDocumentId] - Owner, when all rows share one;
+   *   otherwise it is read per row
+   * @param {string} options.description - Selection, for the log
+   * @returns {Promise<number>} Number of terminated sessions
+   */
+  async function terminateMatchingSessions(
+    filters,
+    { updateData, eventActor, eventDetails, userDocumentId = null, description }
+  ) {
+    let terminatedCount = 0;
+    const batchSize = 500;
+
+    while (true) {
+      const activeSessions = await strapi.documents(SESSION_UID).findMany({
+        filters,
+        fields: ['documentId'],
+        ...(userDocumentId ? {} : { populate: { user: { fields: ['documentId'] } } }),
+        limit: batchSize,
+      });
+
+      if (!activeSessions || activeSessions.length === 0) break;
+
+      let batchTerminated = 0;
+      for (const session of activeSessions) {
+        try {
+          await strapi.documents(SESSION_UID).update({
+            documentId: session.documentId,
+            data: updateData,
+          });
+          terminatedCount++;
+          batchTerminated++;
+        } catch (err) {
+          log.debug(`Failed to terminate session ${session.documentId}:`, err.message);
+          continue;
+        }
+        await recordSessionEvent(strapi, {
+          type: 'terminated',
+          sessionId: session.documentId,
+          userId: userDocumentId || session.user?.documentId,
+          actor: eventActor,
+          details: eventDetails,
+        });
+      }
+
+      if (batchTerminated === 0) {
+        log.warn(`Could not terminate remaining active sessions for ${description}`);
+        break;
+      }
+    }
+    return terminatedCount;
+  }
+
+  /**
+   * DB-direct idle cleanup of the sessions without their own idle timeout:
+   * one set-based UPDATE per batch of ids, then one insert of their
+   * `terminated` events.
+   * @param {{cutoffTime: Date, now: Date}} params
+   * @returns {Promise<number>} Number of sessions deactivated
+   */
+  async function deactivateIdleSessionsDirect({ cutoffTime, now }) {
+    const sessions = strapi.db.query(SESSION_UID);
+    const idle = [
+      { isActive: true },
+      { idleTimeoutSeconds: { $null: true } },
+      {
+        $or: [
+          { lastActive: { $lt: cutoffTime } },
+          { lastActive: { $null: true }, loginTime: { $lt: cutoffTime } },
+        ],
+      },
+    ];
+
+    let deactivated = 0;
+    let lastId = 0;
+    while (true) {
+      const batch = await sessions.findMany({
+        select: ['id', 'documentId'],
+        where: { $and: [...idle, { id: { $gt: lastId } }] },
+        populate: { user: { select: ['documentId'] } },
+        orderBy: { id: 'asc' },
+        limit: IDLE_CLEANUP_BATCH_SIZE,
+      });
+      if (!batch || batch.length === 0) break;
+
+      const result = await sessions.updateMany({
+        where: { id: { $in: batch.map((row) => row.id) }, isActive: true },
+        data: {
+          isActive: false,
+          terminatedManually: false,
+          terminationReason: 'idle',
+          logoutTime: now,
+        },
+      });
+      deactivated += result?.count || 0;
+      await recordSessionEvents(strapi, batch.map((session) => ({
+        type: 'terminated',
+        sessionId: session.documentId,
+        userId: session.user?.documentId,
+        actor: systemActor('idle-cleanup'),
+        details: { reason: 'idle' },
+      })));
+
+      if (batch.length < IDLE_CLEANUP_BATCH_SIZE) break;
+      lastId = batch[batch.length - 1].id;
+    }
+    return deactivated;
+  }
+
+  /**
+   * Removes the event trail of deleted sessions. Best-effort: a failure
+   * leaves orphaned events that the next retention run prunes.
+   * @param {string[]} sessionIds
+   */
+  async function deleteSessionEvents(sessionIds) {
+    try {
+      await strapi.plugin('magic-sessionmanager').service('session-event').deleteForSessions(sessionIds);
+    } catch (err) {
+      log.debug('[EVENT] Could not delete session events:', err.message);
+    }
+  }
+
+  /**
+   * Scans active sessions and terminates the idle ones with reason `idle`.
+   * Rows with their own `idleTimeoutSeconds` ("remember me") are measured
+   * against it; the others against `cutoffTime`, or their owner's role
+   * policy when `perRole` is set.
+   *
+   * @param {{settings: object, filters: object, cutoffTime: Date, now: Date, perRole: boolean}} params
+   * @returns {Promise<number>} Number of sessions deactivated
+   */
+  async function deactivateIdleSessions({ settings, filters, cutoffTime, now, perRole }) {
+    const idsToDeactivate = [];
+    const BATCH = 500;
+    let start = 0;
+
+    while (true) {
+      const batch = await strapi.documents(SESSION_UID).findMany({
+        filters: { ...filters, isActive: true },
+        fields: ['documentId', 'lastActive', 'loginTime', 'idleTimeoutSeconds'],
+        ...(perRole ? { populate: { user: { fields: ['documentId'] } } } : {}),
+        limit: BATCH,
+        start,
+        sort: { loginTime: 'asc' },
+      });
+
+      if (!batch || batch.length === 0) break;
+
+      for (const session of batch) {
+        const lastActiveTime = session.lastActive
+          ? new Date(session.lastActive)
+          : (session.loginTime ? new Date(session.loginTime) : null);
+
+        if (!lastActiveTime) continue;
+
+        const ownTimeout = sessionIdleTimeoutMs(session, null);
+        if (ownTimeout !== null) {
+          if (now - lastActiveTime <= ownTimeout) continue;
+        } else {
+          if (lastActiveTime >= cutoffTime) continue;
+
+          if (perRole) {
+            const policy = await resolveUserSessionPolicy(strapi, settings, session.user?.documentId);
+            if (now - lastActiveTime <= policy.inactivityTimeout) continue;
+          }
+        }
+
+        idsToDeactivate.push(session.documentId);
+      }
+
+      if (batch.length < BATCH) break;
+      start += BATCH;
+
+      if (start > 50000) {
+        log.warn('[CLEANUP] Reached safety cap of 50k scanned sessions; consider enabling useDbDirect for this installation size.');
+        break;
+      }
+    }
+
+    let deactivatedCount = 0;
+    for (const documentId of idsToDeactivate) {
+      try {
+        await strapi.documents(SESSION_UID).update({
+          documentId,
+          data: {
+            isActive: false,
+            terminatedManually: false,
+            terminationReason: 'idle',
+            logoutTime: now,
+          },
+        });
+        deactivatedCount++;
+      } catch (err) {
+        log.debug(`[CLEANUP] Failed to deactivate session ${documentId}:`, err.message);
+        continue;
+      }
+      await recordSessionEvent(strapi, {
+        type: 'terminated',
+        sessionId: documentId,
+        actor: systemActor('idle-cleanup'),
+        details: { reason: 'idle' },
+      });
+    }
+    return deactivatedCount;
+  }
+
+  /**
+   * Inactive sessions that ended before `cutoff`. A session without a
+   * logout time ended at its last activity, or at login if never active.
+   * @param {Date} cutoff
+   * @returns {object} Document Service filters
+   */
+  function endedBefore(cutoff) {
+    return {
+      isActive: false,
+      $or: [
+        { logoutTime: { $lt: cutoff } },
+        { logoutTime: { $null: true }, lastActive: { $lt: cutoff } },
+        { logoutTime: { $null: true }, lastActive: { $null: true }, loginTime: { $lt: cutoff } },
+      ],
+    };
+  }
+
+  /**
+   * Applies retention to the event log after sessions were purged.
+   * @param {Date} before - Retention cutoff for events without a session
+   */
+  async function pruneSessionEvents(before) {
+    try {
+      const pruned = await strapi.plugin('magic-sessionmanager').service('session-event').prune({ before });
+      if (pruned > 0) log.info(`[RETENTION] Pruned ${pruned} session event(s)`);
+    } catch (err) {
+      log.debug('[RETENTION] Could not prune session events:', err.message);
+    }
+  }
+
+  /**
+   * Remembers a rotated refresh token for reuse detection and drops the
+   * session's entries beyond the newest REFRESH_TOKEN_HISTORY_SIZE.
+   * Best-effort: a failure only means a replay of this token is not
+   * recognised as one.
+   * @param {string} sessionId
+   * @param {string} tokenHash - Hash of the superseded refresh token
+   */
+  async function recordSupersededRefreshToken(sessionId, tokenHash) {
+    try {
+      const tokens = strapi.db.query(SUPERSEDED_TOKEN_UID);
+      await tokens.create({ data: { sessionId, tokenHash, supersededAt: new Date() } });
+      const overflow = await tokens.findMany({
+        where: { sessionId },
+        select: ['id'],
+        orderBy: [{ supersededAt: 'desc' }, { id: 'desc' }],
+        offset: REFRESH_TOKEN_HISTORY_SIZE,
+        limit: 100,
+      });
+      if (overflow.length > 0) {
+        await tokens.deleteMany({ where: { id: { $in: overflow.map((row) => row.id) } } });
+      }
+    } catch (err) {
+      log.warn(`[REUSE] Could not record the superseded refresh token of session ${sessionId}:`, err.message);
+    }
+  }
+
+  /**
+   * Drops superseded refresh tokens whose session no longer exists.
+   */
+  async function pruneSupersededRefreshTokens() {
+    try {
+      const knex = strapi.db.connection;
+      const pruned = await knex('magic_superseded_refresh_tokens')
+        .whereNotIn('session_id', knex('magic_sessions').select('document_id'))
+        .del();
+      if (pruned > 0) log.info(`[RETENTION] Pruned ${pruned} superseded refresh token(s)`);
+    } catch (err) {
+      log.debug('[RETENTION] Could not prune superseded refresh tokens:', err.message);
+    }
   }
 
   return {
@@ -66,10 +488,14 @@ module.exports = ({ strapi }) => {
      * @param {string} [params.token] - Access token (will be encrypted)
      * @param {string} [params.refreshToken] - Refresh token (will be encrypted)
      * @param {object} [params.geoData]
+     * @param {string} [params.deviceId] - documentId of the registered device
+     * @param {{rememberMe: boolean, idleTimeoutSeconds: number, expiresAt: Date}} [params.lifetime] -
+     *   Per-session lifetimes of a "remember me" login (see `utils/remember-me`)
      * @returns {Promise<object>} Created session
      * @throws {Error} When userId is missing
+     * @sideeffect Records a `login` session event
      */
-    async createSession({ userId, ip = 'unknown', userAgent = 'unknown', token, refreshToken, geoData }) {
+    async createSession({ userId, ip = 'unknown', userAgent = 'unknown', token, refreshToken, geoData, deviceId, lifetime }) {
       if (!userId) {
         throw new Error('createSession: userId is required');
       }
@@ -116,13 +542,27 @@ module.exports = ({ strapi }) => {
                   city: geoData.city,
                   region: geoData.region,
                   timezone: geoData.timezone,
+                  // Kept for impossible-travel checks on the next login.
+                  latitude: geoData.latitude ?? null,
+                  longitude: geoData.longitude ?? null,
                 }
               : null,
             securityScore: geoData?.securityScore ?? null,
+            ...locationColumns(geoData),
+            ...(deviceId ? { deviceId } : {}),
+            ...(lifetime || {}),
           },
         });
 
         log.info(`[SUCCESS] Session ${session.documentId} (${sessionId}) created for user ${userId}`);
+
+        await recordSessionEvent(strapi, {
+          type: 'login',
+          sessionId: session.documentId,
+          userId,
+          actor: { type: 'user', id: userId, ipAddress: safeIp, userAgent: safeUa },
+          details: geoData?.country_code ? { country: geoData.country_code } : null,
+        });
         return session;
       } catch (err) {
         log.error('Error creating session:', err);
@@ -135,6 +575,13 @@ module.exports = ({ strapi }) => {
      * the expected active token. This prevents two concurrent refresh
      * requests from both committing a rotation.
      *
+     * @param {Object} params
+     * @param {'refresh'|'password_change'} [params.eventType='refresh'] -
+     *   Session event recorded after a successful rotation
+     * @param {import('../utils/session-events').SessionEventActor} [params.actor]
+     * @param {string|null} [params.currentRefreshTokenHash=null] - Stored
+     *   refresh hash, needed to record it as superseded when the caller
+     *   matches by access token only
      * @returns {Promise<boolean>} Whether exactly one session was rotated
      */
     async rotateSessionTokens({
@@ -143,6 +590,9 @@ module.exports = ({ strapi }) => {
       expectedRefreshToken,
       accessToken,
       refreshToken,
+      eventType = 'refresh',
+      actor = null,
+      currentRefreshTokenHash = null,
     }) {
       if (!sessionId || !accessToken || (!expectedAccessToken && !expectedRefreshToken)) {
         return false;
@@ -157,13 +607,46 @@ module.exports = ({ strapi }) => {
         tokenHash: hashToken(accessToken),
         lastActive: new Date(),
       };
+      let supersededHash = null;
       if (refreshToken) {
         data.refreshToken = encryptToken(refreshToken);
         data.refreshTokenHash = hashToken(refreshToken);
+        supersededHash = expectedRefreshToken ? hashToken(expectedRefreshToken) : currentRefreshTokenHash;
       }
 
       const result = await strapi.db.query(SESSION_UID).updateMany({ where, data });
-      return result?.count === 1;
+      const rotated = result?.count === 1;
+      if (rotated) {
+        if (supersededHash && supersededHash !== data.refreshTokenHash) {
+          await recordSupersededRefreshToken(sessionId, supersededHash);
+        }
+        await recordSessionEvent(strapi, { type: eventType, sessionId, actor });
+      }
+      return rotated;
+    },
+
+    /**
+     * Finds the session a replayed, already rotated refresh token belonged
+     * to, by an equality lookup on the indexed superseded-token hashes.
+     * @param {string} refreshToken - Raw refresh token
+     * @returns {Promise<object|null>} The session with `user` populated and
+     *   `supersededAt`, when the token was rotated
+     */
+    async findSessionByReusedRefreshToken(refreshToken) {
+      if (!refreshToken) return null;
+      const superseded = await strapi.db.query(SUPERSEDED_TOKEN_UID).findOne({
+        where: { tokenHash: hashToken(refreshToken) },
+        select: ['sessionId', 'supersededAt'],
+        orderBy: { supersededAt: 'desc' },
+      });
+      if (!superseded) return null;
+
+      const session = await strapi.documents(SESSION_UID).findOne({
+        documentId: superseded.sessionId,
+        fields: ['documentId', 'isActive', 'ipAddress', 'userAgent', 'loginTime'],
+        populate: { user: { fields: ['documentId', 'email', 'username'] } },
+      });
+      return session ? { ...session, supersededAt: new Date(superseded.supersededAt) } : null;
     },
 
     /**
@@ -184,6 +667,7 @@ module.exports = ({ strapi }) => {
           logoutTime: new Date(),
         },
       });
+      metrics.increment('terminations', { reason: 'logout' }, result?.count || 0);
       return result?.count === 1;
     },
 
@@ -233,6 +717,7 @@ module.exports = ({ strapi }) => {
           sessionId: session.documentId,
           reason: 'logout',
           expectedFilters: selectedTokenFilters,
+          actor: { type: 'user', id: userDocumentId },
         });
         return result?.terminatedCount === 1;
       });
@@ -249,6 +734,15 @@ module.exports = ({ strapi }) => {
      *   - 'idle':     inactivity timeout cleanup
      *   - 'expired':  maxSessionAgeDays exceeded
      *   - 'blocked':  the owning user was marked blocked
+     *   - 'session_limit': evicted/replaced by the concurrent-session limit
+     *   - 'impossible_travel': login from a location the user cannot have
+     *                  reached since their previous session
+     *   - 'token_reuse': a superseded refresh token of the session was
+     *                  replayed, so its token family is considered stolen
+     *   - 'client_changed': the session's IP or user agent changed while
+     *                  session binding was set to terminate
+     *   - 'emergency': ended by the global kill switch
+     *                  (`terminateAllSessions`)
      *
      * For backwards compatibility `terminatedManually` is still set true
      * only when reason === 'manual'; logout/idle/expired/blocked paths set it
@@ -264,10 +758,19 @@ module.exports = ({ strapi }) => {
      *                                           `userId`. Used by
      *                                           /logout-other-devices so
      *                                           the caller stays logged in.
+     * @param {object} [params.filters]          Terminates every active
+     *                                           session matching these
+     *                                           filters (bulk termination).
      * @param {object} [params.expectedFilters]  Internal predicates that must
      *                                           still match before a
      *                                           single-session update.
-     * @param {'logout'|'manual'|'idle'|'expired'|'blocked'} [params.reason='manual']
+     * @param {'logout'|'manual'|'idle'|'expired'|'blocked'|'session_limit'|'impossible_travel'|'token_reuse'|'client_changed'|'emergency'} [params.reason='manual']
+     * @param {import('../utils/session-events').SessionEventActor} [params.actor]
+     *   Who terminated the session; recorded in the session event log.
+     *   Defaults to an anonymous system actor. An admin actor is also
+     *   stored on the row as `terminatedBy: { id, email }`.
+     * @param {string|null} [params.note=null]   Free-text justification,
+     *                                           stored as `terminationNote`.
      * @returns {Promise<{terminatedCount: number}>}
      */
     async terminateSession({
@@ -275,11 +778,14 @@ module.exports = ({ strapi }) => {
       userId,
       exceptSessionId = null,
       reason = 'manual',
+      filters: bulkFilters = null,
       expectedFilters = null,
+      actor = null,
+      note = null,
     }) {
       try {
         const now = new Date();
-        const validReasons = ['logout', 'manual', 'idle', 'expired', 'blocked'];
+        const validReasons = ['logout', 'manual', 'idle', 'expired', 'blocked', 'session_limit', 'impossible_travel', 'token_reuse', 'client_changed', 'emergency'];
         const finalReason = validReasons.includes(reason) ? reason : 'manual';
 
         const updateData = {
@@ -288,6 +794,14 @@ module.exports = ({ strapi }) => {
           terminationReason: finalReason,
           logoutTime: now,
         };
+        if (actor?.type === 'admin') {
+          updateData.terminatedBy = { id: actor.id ?? null, email: actor.email ?? null };
+        }
+        if (note) {
+          updateData.terminationNote = note;
+        }
+        const eventActor = actor || systemActor(null);
+        const eventDetails = note ? { reason: finalReason, note } : { reason: finalReason };
 
         if (sessionId) {
           const existing = expectedFilters
@@ -314,6 +828,13 @@ module.exports = ({ strapi }) => {
           });
 
           log.info(`Session ${sessionId} terminated (reason: ${finalReason})`);
+          await recordSessionEvent(strapi, {
+            type: 'terminated',
+            sessionId,
+            userId: expectedFilters?.user?.documentId,
+            actor: eventActor,
+            details: eventDetails,
+          });
           return { terminatedCount: 1 };
         }
 
@@ -326,37 +847,13 @@ module.exports = ({ strapi }) => {
             filters.documentId = { $ne: exceptSessionId };
           }
 
-          let terminatedCount = 0;
-          const batchSize = 500;
-
-          while (true) {
-            const activeSessions = await strapi.documents(SESSION_UID).findMany({
-              filters,
-              fields: ['documentId'],
-              limit: batchSize,
-            });
-
-            if (!activeSessions || activeSessions.length === 0) break;
-
-            let batchTerminated = 0;
-            for (const session of activeSessions) {
-              try {
-                await strapi.documents(SESSION_UID).update({
-                  documentId: session.documentId,
-                  data: updateData,
-                });
-                terminatedCount++;
-                batchTerminated++;
-              } catch (err) {
-                log.debug(`Failed to terminate session ${session.documentId}:`, err.message);
-              }
-            }
-
-            if (batchTerminated === 0) {
-              log.warn(`Could not terminate remaining active sessions for user ${userDocumentId}`);
-              break;
-            }
-          }
+          const terminatedCount = await terminateMatchingSessions(filters, {
+            updateData,
+            eventActor,
+            eventDetails,
+            userDocumentId,
+            description: `user ${userDocumentId}`,
+          });
 
           const label = exceptSessionId ? 'OTHER sessions' : 'ALL sessions';
           log.info(
@@ -365,6 +862,15 @@ module.exports = ({ strapi }) => {
           return { terminatedCount };
         }
 
+        if (bulkFilters) {
+          const terminatedCount = await terminateMatchingSessions(
+            { $and: [bulkFilters, { isActive: true }] },
+            { updateData, eventActor, eventDetails, description: 'the bulk selection' }
+          );
+          log.info(`Bulk termination ended ${terminatedCount} sessions (reason: ${finalReason})`);
+          return { terminatedCount };
+        }
+
         return { terminatedCount: 0 };
       } catch (err) {
         log.error('Error terminating session:', err);
@@ -372,6 +878,208 @@ module.exports = ({ strapi }) => {
       }
     },
 
+    /**
+     * Emergency kill switch: ends every active session with reason
+     * `emergency` in a single set-based UPDATE, e.g. after the JWT secret
+     * leaked. Unlike `terminateSession` no per-session events are written;
+     * the caller records one `emergency_termination` event instead.
+     *
+     * Exemptions filter through the user and role relations, which Strapi
+     * cannot apply to an `updateMany` (its join subquery drops the data).
+     * With exemptions the matching ids are therefore selected first and
+     * updated in batches of KILL_SWITCH_BATCH_SIZE.
+     *
+     * @param {Object} params
+     * @param {string[]} [params.exemptRoles] - Role types whose users keep
+     *   their sessions
+     * @param {string[]} [params.exemptUserIds] - User documentIds that keep
+     *   their sessions
+     * @param {import('../utils/session-events').SessionEventActor} params.actor
+     * @param {string} params.note - Justification, stored as `terminationNote`
+     * @param {boolean} [params.dryRun=false] - Only count the sessions
+     * @returns {Promise<{terminatedCount: number}|{matchedCount: number}>}
+     */
+    async terminateAllSessions({ exemptRoles = [], exemptUserIds = [], actor, note, dryRun = false }) {
+      const ownerless = { user: { id: { $null: true } } };
+      const where = { $and: [{ isActive: true }] };
+      if (exemptRoles.length > 0) {
+        where.$and.push({
+          $or: [
+            ownerless,
+            { user: { role: { id: { $null: true } } } },
+            { user: { role: { type: { $notIn: exemptRoles } } } },
+          ],
+        });
+      }
+      if (exemptUserIds.length > 0) {
+        where.$and.push({ $or: [ownerless, { user: { documentId: { $notIn: exemptUserIds } } }] });
+      }
+
+      if (dryRun) {
+        return { matchedCount: await strapi.db.query(SESSION_UID).count({ where }) };
+      }
+
+      const sessions = strapi.db.query(SESSION_UID);
+      const data = {
+        isActive: false,
+        terminatedManually: false,
+        terminationReason: 'emergency',
+        logoutTime: new Date(),
+        terminatedBy: { id: actor?.id ?? null, email: actor?.email ?? null },
+        terminationNote: note,
+      };
+
+      let terminatedCount = 0;
+      if (where.$and.length === 1) {
+        const result = await sessions.updateMany({ where, data });
+        terminatedCount = result?.count || 0;
+      } else {
+        let lastId = 0;
+        while (true) {
+          const batch = await sessions.findMany({
+            select: ['id'],
+            where: { $and: [...where.$and, { id: { $gt: lastId } }] },
+            orderBy: { id: 'asc' },
+            limit: KILL_SWITCH_BATCH_SIZE,
+          });
+          if (!batch || batch.length === 0) break;
+
+          const result = await sessions.updateMany({
+            where: { id: { $in: batch.map((row) => row.id) }, isActive: true },
+            data,
+          });
+          terminatedCount += result?.count || 0;
+          if (batch.length < KILL_SWITCH_BATCH_SIZE) break;
+          lastId = batch[batch.length - 1].id;
+        }
+      }
+      metrics.increment('terminations', { reason: 'emergency' }, terminatedCount);
+      log.warn(`[EMERGENCY] Kill switch terminated ${terminatedCount} sessions`);
+      return { terminatedCount };
+    },
+
+    /**
+     * Resolves the concurrent-session limit for a user: the entry for the
+     * user's role in `roleSessionLimits` when present, else the global
+     * `maxConcurrentSessions`. `limit: 0` means unlimited.
+     *
+     * @param {string|number} userId - User documentId or numeric id
+     * @returns {Promise<{limit: number, mode: 'evict'|'reject'}>}
+     */
+    async getSessionLimit(userId) {
+      const settings = await getPluginSettings(strapi);
+      const mode = normalizeSessionLimitMode(settings.sessionLimitMode);
+      if (!hasSessionLimits(settings)) return { limit: 0, mode };
+
+      const userDocumentId = await resolveUserDocumentId(strapi, userId);
+      if (!userDocumentId) return { limit: 0, mode };
+
+      const roleType = await resolveUserRoleType(strapi, userDocumentId);
+      return { limit: resolveSessionLimit(settings, roleType), mode };
+    },
+
+    /**
+     * Lists the sessions that count against a user's concurrent-session
+     * limit: active rows that are still inside the inactivity window and
+     * not past their maximum age. Idle or expired rows the cleanup job has
+     * not reached yet are ignored because the JWT-verify wrapper rejects
+     * them on their next request anyway. "Remember me" rows are measured
+     * against their own idle timeout and `expiresAt`, so they are selected
+     * regardless of the policy cutoff and filtered here.
+     *
+     * Ordered least recently active first. Only display-safe fields are
+     * selected so the rows can be returned to the client unchanged.
+     *
+     * @param {string|number} userId
+     * @param {Object} [options]
+     * @param {string} [options.exceptSessionId] - Session documentId to leave out
+     * @returns {Promise<Array<object>>}
+     */
+    async getLiveSessions(userId, { exceptSessionId = null } = {}) {
+      const userDocumentId = await resolveUserDocumentId(strapi, userId);
+      if (!userDocumentId) return [];
+
+      const settings = await getPluginSettings(strapi);
+      const { inactivityTimeout, maxSessionAgeDays } = await resolveUserSessionPolicy(strapi, settings, userDocumentId);
+      const now = Date.now();
+      const cutoff = new Date(now - inactivityTimeout);
+
+      const filters = {
+        user: { documentId: userDocumentId },
+        isActive: true,
+        $or: [
+          { lastActive: { $gte: cutoff } },
+          { lastActive: { $null: true }, loginTime: { $gte: cutoff } },
+          { idleTimeoutSeconds: { $notNull: true } },
+        ],
+      };
+      if (exceptSessionId) {
+        filters.documentId = { $ne: exceptSessionId };
+      }
+
+      const sessions = await strapi.documents(SESSION_UID).findMany({
+        filters,
+        fields: [
+          'documentId',
+          'sessionId',
+          'ipAddress',
+          'loginTime',
+          'lastActive',
+          'deviceType',
+          'browserName',
+          'osName',
+          'geoLocation',
+          'idleTimeoutSeconds',
+          'expiresAt',
+        ],
+        sort: [{ lastActive: 'asc' }, { loginTime: 'asc' }],
+        limit: MAX_SESSIONS_QUERY,
+      });
+
+      const live = [];
+      for (const { idleTimeoutSeconds, expiresAt, ...session } of sessions || []) {
+        const lastActiveAt = new Date(session.lastActive || session.loginTime).getTime();
+        if (now - lastActiveAt > sessionIdleTimeoutMs({ idleTimeoutSeconds }, inactivityTimeout)) continue;
+        const expiresAtMs = sessionExpiresAtMs({ expiresAt, loginTime: session.loginTime }, maxSessionAgeDays);
+        if (expiresAtMs !== null && now > expiresAtMs) continue;
+        live.push(session);
+      }
+      return live;
+    },
+
+    /**
+     * Terminates a user's least recently active sessions until no more than
+     * `limit` live sessions remain. `keepSessionId` (normally the session
+     * that was just created) counts towards the limit but is never evicted.
+     *
+     * @param {Object} params
+     * @param {string|number} params.userId
+     * @param {number} params.limit - Maximum live sessions; <= 0 is a no-op
+     * @param {string} [params.keepSessionId]
+     * @returns {Promise<{terminatedCount: number}>}
+     */
+    async evictSessionsOverLimit({ userId, limit, keepSessionId = null }) {
+      if (!Number.isFinite(limit) || limit <= 0) return { terminatedCount: 0 };
+
+      const others = await this.getLiveSessions(userId, { exceptSessionId: keepSessionId });
+      const overflow = others.length - (keepSessionId ? limit - 1 : limit);
+      if (overflow <= 0) return { terminatedCount: 0 };
+
+      let terminatedCount = 0;
+      for (const session of others.slice(0, overflow)) {
+        const result = await this.terminateSession({
+          sessionId: session.documentId,
+          reason: 'session_limit',
+          expectedFilters: { isActive: true },
+          actor: systemActor('session-limit'),
+        });
+        terminatedCount += result.terminatedCount;
+      }
+
+      log.info(`[LIMIT] Evicted ${terminatedCount} session(s) for user ${userId} (limit: ${limit})`);
+      return { terminatedCount };
+    },
+
     /**
      * Get ALL sessions (active + inactive) with enhanced display fields.
      * @returns {Promise<Array>}
@@ -384,13 +1092,94 @@ module.exports = ({ strapi }) => {
           limit: MAX_SESSIONS_QUERY,
         });
 
-        return enhanceSessions(sessions, await getEnhanceOpts(), 20);
+        const opts = await getEnhanceOpts();
+        return enhanceSessions(sessions, { ...opts, includeTerminationAudit: true }, 20);
       } catch (err) {
         log.error('Error getting all sessions:', err);
         throw err;
       }
     },
 
+    /**
+     * One page of the admin session list, filtered and sorted in the
+     * database. See `utils/session-query` for the accepted parameters.
+     *
+     * @param {object} [query] - Raw query string parameters
+     * @param {object[]} [extraClauses] - Further filters, e.g. from the
+     *   session search
+     * @returns {Promise<{data: Array, pagination: {page: number, pageSize: number,
+     *   pageCount: number, total: number}, counts: object}>} `counts` holds the
+     *   number of matching sessions per status (ignoring the `status` filter)
+     *   plus their `total`
+     */
+    async querySessions(query = {}, extraClauses = []) {
+      try {
+        const { page, pageSize, sort, status, filtersFor } = await resolveListQuery(query, extraClauses);
+        const filters = await filtersFor(status);
+        const sessionDocs = strapi.documents(SESSION_UID);
+
+        const rows = await sessionDocs.findMany({
+          filters,
+          populate: { user: { fields: ['documentId', 'email', 'username'] } },
+          sort,
+          limit: pageSize,
+          start: (page - 1) * pageSize,
+        });
+        const total = await sessionDocs.count({ filters });
+
+        const counts = { total: await sessionDocs.count({ filters: await filtersFor(null) }) };
+        for (const statusName of STATUSES) {
+          counts[statusName] = await sessionDocs.count({ filters: await filtersFor(statusName) });
+        }
+
+        const opts = await getEnhanceOpts();
+        const data = await enhanceSessions(rows, { ...opts, includeTerminationAudit: true }, 20);
+        return {
+          data,
+          pagination: { page, pageSize, pageCount: Math.ceil(total / pageSize), total },
+          counts,
+        };
+      } catch (err) {
+        log.error('Error querying sessions:', err);
+        throw err;
+      }
+    },
+
+    /**
+     * Every session matching a list request, read from the database in
+     * batches so exports are not bound by the list cap. Paging parameters
+     * are ignored; geolocation is not resolved for rows that lack it.
+     *
+     * @param {object} [query] - Raw query string parameters
+     * @param {object[]} [extraClauses] - Further filters, e.g. from the
+     *   session search
+     * @param {object} [options]
+     * @param {string|null} [options.userDocumentId] - Restricts the rows to
+     *   one user and applies that user's role policy
+     * @param {boolean} [options.includeTerminationAudit=true] - Adds who
+     *   terminated the session and the admin note
+     * @yields {object} Enhanced sessions
+     */
+    async *iterateSessions(query = {}, extraClauses = [], { userDocumentId = null, includeTerminationAudit = true } = {}) {
+      const clauses = userDocumentId ? [...extraClauses, { user: { documentId: userDocumentId } }] : extraClauses;
+      const { sort, status, filtersFor } = await resolveListQuery(query, clauses);
+      const filters = await filtersFor(status);
+      const opts = { ...(await getEnhanceOpts(userDocumentId)), geolocationService: null, includeTerminationAudit };
+
+      for (let start = 0; ; start += EXPORT_BATCH_SIZE) {
+        const rows = await strapi.documents(SESSION_UID).findMany({
+          filters,
+          populate: { user: { fields: ['documentId', 'email', 'username'] } },
+          // documentId keeps the order stable between batches on equal sort keys
+          sort: [sort, { documentId: 'asc' }],
+          limit: EXPORT_BATCH_SIZE,
+          start,
+        });
+        yield* await enhanceSessions(rows, opts, 0);
+        if (rows.length < EXPORT_BATCH_SIZE) return;
+      }
+    },
+
     /**
      * Get only sessions that are both `isActive: true` AND still within their
      * activity window.
@@ -405,7 +1194,8 @@ module.exports = ({ strapi }) => {
           limit: MAX_SESSIONS_QUERY,
         });
 
-        const enhanced = await enhanceSessions(sessions, await getEnhanceOpts(), 20);
+        const opts = await getEnhanceOpts();
+        const enhanced = await enhanceSessions(sessions, { ...opts, includeTerminationAudit: true }, 20);
         return enhanced.filter((s) => s.isTrulyActive);
       } catch (err) {
         log.error('Error getting active sessions:', err);
@@ -416,9 +1206,12 @@ module.exports = ({ strapi }) => {
     /**
      * Get all sessions for a user (any state).
      * @param {string|number} userId
+     * @param {object} [options]
+     * @param {boolean} [options.includeTerminationAudit=true] - Pass false
+     *   for Content-API callers so admin attribution is not exposed
      * @returns {Promise<Array>}
      */
-    async getUserSessions(userId) {
+    async getUserSessions(userId, { includeTerminationAudit = true } = {}) {
       try {
         const userDocumentId = await resolveUserDocumentId(strapi, userId);
         if (!userDocumentId) return [];
@@ -429,7 +1222,8 @@ module.exports = ({ strapi }) => {
           limit: MAX_SESSIONS_QUERY,
         });
 
-        return enhanceSessions(sessions, await getEnhanceOpts(), 20);
+        const opts = await getEnhanceOpts(userDocumentId);
+        return enhanceSessions(sessions, { ...opts, includeTerminationAudit }, 20);
       } catch (err) {
         log.error('Error getting user sessions:', err);
         throw err;
@@ -437,14 +1231,72 @@ module.exports = ({ strapi }) => {
     },
 
     /**
-     * In-memory coalescing cache for touch() calls. Two concurrent requests
-     * from the same session would both pass the rate-limit check (because
-     * neither has committed its update yet) and both fire an UPDATE. The
-     * cache short-circuits the second caller if ANY write was issued within
-     * `rateLimit` ms, regardless of whether the DB value is visible yet.
-     * Bounded at 10 000 entries to cap memory; evicted on every read.
+     * Reads the metadata host apps attached to a session.
+     * @param {string} sessionId - Session documentId
+     * @returns {Promise<object|null>} The metadata (empty object when none
+     *   was set), or null when the session does not exist
+     */
+    async getSessionMetadata(sessionId) {
+      if (!sessionId) return null;
+      const session = await strapi.documents(SESSION_UID).findOne({
+        documentId: sessionId,
+        fields: ['documentId', 'metadata'],
+      });
+      return session ? readSessionMetadata(session.metadata) : null;
+    },
+
+    /**
+     * Merges keys into a session's metadata. Keys set to `null` are removed.
+     *
+     * The read-modify-write is not atomic: two concurrent writers to the
+     * same session can lose each other's keys. Metadata is meant for
+     * per-session client state written by that session's own requests.
+     *
+     * @param {string} sessionId - Session documentId
+     * @param {object} patch
+     * @param {{replace?: boolean}} [options] - `replace: true` overwrites the
+     *   whole object instead of merging
+     * @returns {Promise<object|null>} The stored metadata, or null when the
+     *   session does not exist
+     * @throws {Error} ValidationError when the patch is invalid or too large
+     */
+    async setSessionMetadata(sessionId, patch, { replace = false } = {}) {
+      if (!sessionId) return null;
+      const session = await strapi.documents(SESSION_UID).findOne({
+        documentId: sessionId,
+        fields: ['documentId', 'metadata'],
+      });
+      if (!session) return null;
+
+      const metadata = mergeSessionMetadata(session.metadata, patch, { replace });
+      await strapi.documents(SESSION_UID).update({
+        documentId: session.documentId,
+        data: { metadata },
+      });
+      return metadata;
+    },
+
+    /**
+     * Metadata of the session behind the current request. Relies on
+     * `ctx.state.__magicSessionId`, which the last-seen middleware sets for
+     * authenticated requests with an active session.
+     * @param {object} ctx - Koa context
+     * @returns {Promise<object|null>} null when the request has no session
      */
-    _lastTouchCache: new Map(),
+    async getCurrentSessionMetadata(ctx) {
+      return this.getSessionMetadata(ctx?.state?.__magicSessionId);
+    },
+
+    /**
+     * `setSessionMetadata` for the session behind the current request.
+     * @param {object} ctx - Koa context
+     * @param {object} patch
+     * @param {{replace?: boolean}} [options]
+     * @returns {Promise<object|null>} null when the request has no session
+     */
+    async setCurrentSessionMetadata(ctx, patch, options) {
+      return this.setSessionMetadata(ctx?.state?.__magicSessionId, patch, options);
+    },
 
     /**
      * Update lastActive timestamp on a session (rate-limited + coalesced).
@@ -486,27 +1338,16 @@ module.exports = ({ strapi }) => {
 
         if (!session || !sessionDocId) return;
 
-        // Coalesce with in-memory cache: if we issued an UPDATE for this
-        // session within the last `rateLimit` ms, skip — even if the DB
-        // value is not yet visible to a parallel findOne.
-        const cached = this._lastTouchCache.get(sessionDocId);
-        if (cached && now.getTime() - cached < rateLimit) {
-          return;
-        }
-
         const lastActiveTime = session.lastActive ? new Date(session.lastActive).getTime() : 0;
         if (now.getTime() - lastActiveTime <= rateLimit) {
           return;
         }
 
-        // Stamp the cache BEFORE awaiting the UPDATE so a concurrent
-        // second caller sees the stamp and bails out.
-        this._lastTouchCache.set(sessionDocId, now.getTime());
-        if (this._lastTouchCache.size > 10_000) {
-          const cutoff = now.getTime() - rateLimit;
-          for (const [k, ts] of this._lastTouchCache) {
-            if (ts < cutoff) this._lastTouchCache.delete(k);
-          }
+        // Concurrent requests of one session (possibly on other instances)
+        // all pass the check above before any UPDATE commits. Only the one
+        // that claims the slot for the next `rateLimit` ms writes.
+        if (!(await getSharedState().claim(`touch:${sessionDocId}`, rateLimit))) {
+          return;
         }
 
         await strapi.documents(SESSION_UID).update({
@@ -530,6 +1371,15 @@ module.exports = ({ strapi }) => {
      * Processes in batches by collecting IDs first, then updating — this
      * avoids pagination-skew issues caused by mutating the queried set.
      *
+     * When `rolePolicies` are configured, each session is measured against
+     * its owner's idle timeout. The scan starts from the shortest timeout
+     * and the DB-direct fast path is skipped, since one UPDATE cannot apply
+     * different cutoffs per role.
+     *
+     * "Remember me" sessions carry their own `idleTimeoutSeconds` and are
+     * always measured against it. The DB-direct UPDATE leaves them out and
+     * they are handled by the per-session scan afterwards.
+     *
      * @param {Object} [options]
      * @param {boolean} [options.useDbDirect=false]  When true, performs a
      *   single knex UPDATE which is orders of magnitude faster for large
@@ -541,94 +1391,49 @@ module.exports = ({ strapi }) => {
     async cleanupInactiveSessions({ useDbDirect = false } = {}) {
       try {
         const settings = await getPluginSettings(strapi);
-        const inactivityTimeout = settings.inactivityTimeout || 15 * 60 * 1000;
+        const perRole = hasRolePolicies(settings);
+        const inactivityTimeout = getMinInactivityTimeout(settings);
 
         const now = new Date();
         const cutoffTime = new Date(now.getTime() - inactivityTimeout);
 
         log.info(`[CLEANUP] Cleaning up sessions inactive since before ${cutoffTime.toISOString()}`);
 
-        if (useDbDirect) {
-          // Fast path: single SQL UPDATE. Drains the entire backlog in one
-          // statement, regardless of size. Uses snake_case since Strapi
-          // content-type field names map to snake_case columns by default.
-          // `terminated_manually` stays false because this cleanup is NOT
-          // a manual termination — we communicate the real cause via the
-          // new `termination_reason` column.
+        if (useDbDirect && perRole) {
+          log.info('[CLEANUP] Role policies configured, using per-session cleanup instead of DB-direct');
+        } else if (useDbDirect) {
+          // Fast path: set-based UPDATEs in batches of ids, without a
+          // Document Service round trip per session. `terminatedManually`
+          // stays false because this cleanup is NOT a manual termination —
+          // the real cause goes into `terminationReason`.
+          let deactivated = null;
           try {
-            const deactivated = await strapi.db.connection('magic_sessions')
-              .where('is_active', true)
-              .andWhere(function whereIdle() {
-                this.where('last_active', '<', cutoffTime)
-                  .orWhere(function whereNullLastActive() {
-                    this.whereNull('last_active').andWhere('login_time', '<', cutoffTime);
-                  });
-              })
-              .update({
-                is_active: false,
-                terminated_manually: false,
-                termination_reason: 'idle',
-                logout_time: now,
-              });
+            deactivated = await deactivateIdleSessionsDirect({ cutoffTime, now });
             log.info(`[SUCCESS] Cleanup (db-direct) complete: ${deactivated} sessions deactivated`);
-            return deactivated;
           } catch (err) {
             log.warn('[CLEANUP] DB-direct cleanup failed, falling back to Document Service:', err.message);
           }
-        }
-
-        const idsToDeactivate = [];
-        const BATCH = 500;
-        let start = 0;
 
-        while (true) {
-          const batch = await strapi.documents(SESSION_UID).findMany({
-            filters: { isActive: true },
-            fields: ['documentId', 'lastActive', 'loginTime'],
-            limit: BATCH,
-            start,
-            sort: { loginTime: 'asc' },
-          });
-
-          if (!batch || batch.length === 0) break;
-
-          for (const session of batch) {
-            const lastActiveTime = session.lastActive
-              ? new Date(session.lastActive)
-              : (session.loginTime ? new Date(session.loginTime) : null);
-
-            if (lastActiveTime && lastActiveTime < cutoffTime) {
-              idsToDeactivate.push(session.documentId);
-            }
-          }
-
-          if (batch.length < BATCH) break;
-          start += BATCH;
-
-          if (start > 50000) {
-            log.warn('[CLEANUP] Reached safety cap of 50k scanned sessions; consider enabling useDbDirect for this installation size.');
-            break;
-          }
-        }
-
-        let deactivatedCount = 0;
-        for (const documentId of idsToDeactivate) {
-          try {
-            await strapi.documents(SESSION_UID).update({
-              documentId,
-              data: {
-                isActive: false,
-                terminatedManually: false,
-                terminationReason: 'idle',
-                logoutTime: now,
-              },
+          if (deactivated !== null) {
+            const persistent = await deactivateIdleSessions({
+              settings,
+              filters: { idleTimeoutSeconds: { $notNull: true } },
+              cutoffTime,
+              now,
+              perRole: false,
             });
-            deactivatedCount++;
-          } catch (err) {
-            log.debug(`[CLEANUP] Failed to deactivate session ${documentId}:`, err.message);
+            return deactivated + persistent;
           }
         }
 
+        const deactivatedCount = await deactivateIdleSessions({
+          settings,
+          filters: {},
+          cutoffTime,
+          now,
+          perRole,
+        });
+
         log.info(`[SUCCESS] Cleanup complete: ${deactivatedCount} sessions deactivated`);
         return deactivatedCount;
       } catch (err) {
@@ -645,6 +1450,7 @@ module.exports = ({ strapi }) => {
     async deleteSession(sessionId) {
       try {
         await strapi.documents(SESSION_UID).delete({ documentId: sessionId });
+        await deleteSessionEvents([sessionId]);
         log.info(`[DELETE] Session ${sessionId} permanently deleted`);
         return true;
       } catch (err) {
@@ -660,10 +1466,15 @@ module.exports = ({ strapi }) => {
      * than `retentionDays`, so recently-terminated sessions stay queryable
      * for audits.
      *
+     * With `archiveMode` enabled every batch is copied to the session
+     * archive first; a batch that cannot be archived is not deleted, and
+     * the run stops there.
+     *
      * @param {Object} [options]
      * @param {number} [options.retentionDays]    Overrides the stored setting.
      * @param {boolean} [options.useDbDirect]     Fast-path via single SQL
-     *   DELETE. Bypasses lifecycle hooks; use only when necessary.
+     *   DELETE. Bypasses lifecycle hooks; use only when necessary. Ignored
+     *   while archiving, which has to read every row anyway.
      * @returns {Promise<number>} Number of sessions deleted
      */
     async deleteOldSessions({ retentionDays, useDbDirect } = {}) {
@@ -679,7 +1490,8 @@ module.exports = ({ strapi }) => {
         }
 
         const cutoffDate = new Date(Date.now() - effectiveDays * 24 * 60 * 60 * 1000);
-        const wantDbDirect = useDbDirect ?? settings.cleanupUseDbDirect === true;
+        const archiving = normalizeArchiveMode(settings.archiveMode) !== 'off';
+        const wantDbDirect = !archiving && (useDbDirect ?? settings.cleanupUseDbDirect === true);
 
         log.info(`[RETENTION] Deleting inactive sessions older than ${effectiveDays} days (before ${cutoffDate.toISOString()})`);
 
@@ -700,6 +1512,8 @@ module.exports = ({ strapi }) => {
               })
               .del();
             log.info(`[SUCCESS] Retention (db-direct) deleted ${deleted} old session(s)`);
+            await pruneSessionEvents(cutoffDate);
+            await pruneSupersededRefreshTokens();
             return deleted;
           } catch (err) {
             log.warn('[RETENTION] DB-direct delete failed, falling back to Document Service:', err.message);
@@ -712,21 +1526,25 @@ module.exports = ({ strapi }) => {
 
         while (true) {
           const batch = await strapi.documents(SESSION_UID).findMany({
-            filters: {
-              isActive: false,
-              $or: [
-                { logoutTime: { $lt: cutoffDate } },
-                { logoutTime: { $null: true }, lastActive: { $lt: cutoffDate } },
-                { logoutTime: { $null: true }, lastActive: { $null: true }, loginTime: { $lt: cutoffDate } },
-              ],
-            },
-            fields: ['documentId'],
+            filters: endedBefore(cutoffDate),
+            ...(archiving
+              ? { populate: { user: { fields: ['documentId', 'email', 'username'] } } }
+              : { fields: ['documentId'] }),
             sort: { loginTime: 'asc' },
             limit: BATCH,
           });
 
           if (!batch || batch.length === 0) break;
 
+          if (archiving) {
+            try {
+              await strapi.plugin('magic-sessionmanager').service('session-archive').archiveSessions(batch, settings);
+            } catch (err) {
+              log.error('[RETENTION] Archiving failed, keeping the remaining sessions:', err.message);
+              break;
+            }
+          }
+
           const deletedBeforeBatch = deletedCount;
           for (const session of batch) {
             try {
@@ -751,6 +1569,8 @@ module.exports = ({ strapi }) => {
         }
 
         log.info(`[SUCCESS] Retention deleted ${deletedCount} old session(s)`);
+        await pruneSessionEvents(cutoffDate);
+        await pruneSupersededRefreshTokens();
         return deletedCount;
       } catch (err) {
         log.error('Error in retention cleanup:', err);
@@ -758,6 +1578,148 @@ module.exports = ({ strapi }) => {
       }
     },
 
+    /**
+     * Fills `countryCode` and `city` of sessions created before those
+     * columns existed from their stored `geoLocation`, so country filters,
+     * search and bulk termination include them. Idempotent; once a run
+     * completes it is recorded in the plugin store and later calls return
+     * right away.
+     * @returns {Promise<number>} Number of sessions updated
+     */
+    async backfillLocationColumns() {
+      const store = strapi.store({ type: 'plugin', name: 'magic-sessionmanager' });
+      if ((await store.get({ key: LOCATION_BACKFILL_KEY })) === true) return 0;
+
+      const sessions = strapi.db.query(SESSION_UID);
+      let updated = 0;
+      let lastId = 0;
+      while (true) {
+        const batch = await sessions.findMany({
+          where: { id: { $gt: lastId }, countryCode: { $null: true }, geoLocation: { $notNull: true } },
+          select: ['id', 'geoLocation'],
+          orderBy: { id: 'asc' },
+          limit: BACKFILL_BATCH_SIZE,
+        });
+        if (!batch || batch.length === 0) break;
+
+        for (const row of batch) {
+          let geo = row.geoLocation;
+          if (typeof geo === 'string') {
+            try {
+              geo = JSON.parse(geo);
+            } catch {
+              geo = null;
+            }
+          }
+          const columns = locationColumns(geo);
+          if (!columns.countryCode && !columns.city) continue;
+          await sessions.update({ where: { id: row.id }, data: columns });
+          updated++;
+        }
+        if (batch.length < BACKFILL_BATCH_SIZE) break;
+        lastId = batch[batch.length - 1].id;
+      }
+
+      await store.set({ key: LOCATION_BACKFILL_KEY, value: true });
+      log.info(`[BACKFILL] Country and city filled for ${updated} existing session(s)`);
+      return updated;
+    },
+
+    /**
+     * Whether `backfillLocationColumns` has completed, i.e. `countryCode`
+     * can be relied on for every session with a known location.
+     * @returns {Promise<boolean>}
+     */
+    async isLocationBackfilled() {
+      const store = strapi.store({ type: 'plugin', name: 'magic-sessionmanager' });
+      return (await store.get({ key: LOCATION_BACKFILL_KEY })) === true;
+    },
+
+    /**
+     * GDPR mode: pseudonymizes inactive sessions that ended more than
+     * `anonymizeAfterDays` ago (IPs truncated to /24 or /48, geo reduced to
+     * the country, user agents reduced to device, browser and OS), then the
+     * event log entries, archived sessions and devices of the same age.
+     * Active sessions are left alone, as session binding still compares
+     * their IP and user agent.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.anonymizeAfterDays] Overrides the stored setting.
+     * @returns {Promise<{sessions: number, events: number, archived: number, devices: number}>}
+     *   Rows anonymized
+     */
+    async anonymizeOldSessions({ anonymizeAfterDays } = {}) {
+      const settings = await getPluginSettings(strapi);
+      const days = normalizeAnonymizeAfterDays(anonymizeAfterDays ?? settings.anonymizeAfterDays);
+      if (days === 0) return { sessions: 0, events: 0, archived: 0, devices: 0 };
+
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const BATCH = 200;
+      let sessions = 0;
+      // Rows that failed would be selected again forever
+      const failed = [];
+
+      while (true) {
+        const clauses = [endedBefore(cutoff), { anonymizedAt: { $null: true } }];
+        if (failed.length > 0) clauses.push({ documentId: { $notIn: failed } });
+        const batch = await strapi.documents(SESSION_UID).findMany({
+          filters: { $and: clauses },
+          fields: [
+            'documentId',
+            'ipAddress',
+            'lastIpAddress',
+            'userAgent',
+            'deviceType',
+            'browserName',
+            'osName',
+            'geoLocation',
+            'countryCode',
+          ],
+          limit: BATCH,
+        });
+        if (!batch || batch.length === 0) break;
+
+        const now = new Date();
+        for (const session of batch) {
+          try {
+            await strapi.documents(SESSION_UID).update({
+              documentId: session.documentId,
+              data: anonymizeSessionData(session, now),
+            });
+            sessions++;
+          } catch (err) {
+            failed.push(session.documentId);
+            log.debug(`[ANONYMIZE] Failed to anonymize session ${session.documentId}:`, err.message);
+          }
+        }
+        if (batch.length < BATCH) break;
+      }
+      if (failed.length > 0) {
+        log.warn(`[ANONYMIZE] ${failed.length} session(s) could not be anonymized; the next run retries them`);
+      }
+
+      const plugin = strapi.plugin('magic-sessionmanager');
+      const anonymizeWith = async (serviceName, what) => {
+        try {
+          return await plugin.service(serviceName).anonymize({ before: cutoff });
+        } catch (err) {
+          log.warn(`[ANONYMIZE] Could not anonymize ${what}:`, err.message);
+          return 0;
+        }
+      };
+      const events = await anonymizeWith('session-event', 'session events');
+      const archived = await anonymizeWith('session-archive', 'archived sessions');
+      const devices = await anonymizeWith('device', 'devices');
+
+      if (sessions > 0 || events > 0 || archived > 0 || devices > 0) {
+        log.info(
+          `[ANONYMIZE] Anonymized ${sessions} session(s), ${events} event(s), ${archived} archived session(s) ` +
+          `and ${devices} device(s) older than ${days} days`
+        );
+      }
+      return { sessions, events, archived, devices };
+    },
+
     /**
      * Permanently deletes all inactive sessions.
      * Uses an inner scan loop that tolerates partial failures.
@@ -786,8 +1748,12 @@ module.exports = ({ strapi }) => {
             )
           );
 
-          const successful = deleteResults.filter((r) => r.status === 'fulfilled').length;
+          const deletedIds = batch
+            .filter((_, index) => deleteResults[index].status === 'fulfilled')
+            .map((session) => session.documentId);
+          const successful = deletedIds.length;
           deletedCount += successful;
+          await deleteSessionEvents(deletedIds);
 
           if (successful === 0) {
             consecutiveEmptyLoops++;
@@ -809,5 +1775,71 @@ module.exports = ({ strapi }) => {
         throw err;
       }
     },
+
+    /**
+     * Right to erasure: deletes a user's sessions together with their event
+     * trail, archived copies and cached geolocation results. By default only
+     * ended sessions go (the user's own purge); with `includeActive` every
+     * session row, the user's devices and all remaining events of the user
+     * are erased. Records of earlier erasures are kept.
+     *
+     * Active sessions are terminated before they are deleted, so their JWTs
+     * are rejected even while the erasure is still running. Once the rows
+     * are gone, the JWT check rejects the user's older tokens by the
+     * `history_erased` record (`session-event.wasHistoryErasedSince`).
+     *
+     * @param {string} userDocumentId
+     * @param {Object} [options]
+     * @param {boolean} [options.includeActive=false]
+     * @returns {Promise<{sessions: number, events: number, archived: number, devices: number}>}
+     * @throws {Error} When a step fails; calling it again resumes the erasure
+     */
+    async eraseUserHistory(userDocumentId, { includeActive = false } = {}) {
+      const plugin = strapi.plugin('magic-sessionmanager');
+      const eventService = plugin.service('session-event');
+      const filters = includeActive
+        ? { user: { documentId: userDocumentId } }
+        : { user: { documentId: userDocumentId }, isActive: false };
+      const erased = { sessions: 0, events: 0, archived: 0, devices: 0 };
+      const ipAddresses = new Set();
+
+      if (includeActive) {
+        await this.terminateSession({ userId: userDocumentId, reason: 'manual', actor: systemActor('erasure') });
+      }
+
+      while (true) {
+        const batch = await strapi.documents(SESSION_UID).findMany({
+          filters,
+          fields: ['documentId', 'ipAddress', 'lastIpAddress'],
+          limit: ERASE_BATCH_SIZE,
+        });
+        if (!batch || batch.length === 0) break;
+
+        // Events go first, so a failed run leaves sessions to find again
+        const sessionIds = batch.map((session) => session.documentId);
+        erased.events += await eventService.deleteForSessions(sessionIds);
+        await strapi.db.query(SUPERSEDED_TOKEN_UID).deleteMany({ where: { sessionId: { $in: sessionIds } } });
+        for (const session of batch) {
+          await strapi.documents(SESSION_UID).delete({ documentId: session.documentId });
+          erased.sessions++;
+          if (session.ipAddress) ipAddresses.add(session.ipAddress);
+          if (session.lastIpAddress) ipAddresses.add(session.lastIpAddress);
+        }
+        if (batch.length < ERASE_BATCH_SIZE) break;
+      }
+
+      erased.events += await eventService.deleteForUser(userDocumentId, { sessionlessOnly: !includeActive });
+      erased.archived = await plugin.service('session-archive').eraseUser(userDocumentId);
+      if (includeActive) {
+        erased.devices = await plugin.service('device').deleteUserDevices(userDocumentId);
+      }
+      plugin.service('geolocation').forgetIps([...ipAddresses]);
+
+      log.info(
+        `[ERASE] Erased ${includeActive ? 'all' : 'inactive'} session history of user ${userDocumentId}: ` +
+        `${erased.sessions} sessions, ${erased.events} events, ${erased.archived} archived, ${erased.devices} devices`
+      );
+      return erased;
+    },
   };
 };
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Pseudonymization used by the GDPR anonymization job.
+ *
+ * After `anonymizeAfterDays` an ended session keeps what aggregate history
+ * needs and loses what identifies a person or a device:
+ *   - IPv4 addresses are truncated to their /24, IPv6 addresses to their /48
+ *   - `geoLocation` is reduced to the country, `city` is cleared
+ *   - the raw user agents are replaced by the parsed device type, browser
+ *     and OS (major version only)
+ *
+ * Archived copies of such sessions get the same treatment, and a device
+ * not seen for that long keeps only the network of its last IP.
+ *
+ * Rows are stamped with `anonymizedAt` so the job rewrites each row once.
+ */
+
+const net = require('node:net');
+const { parseUserAgent } = require('./user-agent-parser');
+
+const MAX_ANONYMIZE_AFTER_DAYS = 3650;
+
+/**
+ * `0` disables the job; other values are clamped to 1..MAX_ANONYMIZE_AFTER_DAYS.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function normalizeAnonymizeAfterDays(value) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.min(n, MAX_ANONYMIZE_AFTER_DAYS);
+}
+
+/**
+ * @param {string} address - A valid IPv6 address without zone index
+ * @returns {number[]} The eight 16-bit groups
+ */
+function ipv6Groups(address) {
+  let value = address;
+  const embedded = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(value);
+  if (embedded) {
+    const [a, b, c, d] = embedded.slice(1).map(Number);
+    value = `${value.slice(0, embedded.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = value.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(zeros).fill('0'), ...tailGroups].map((group) => Number.parseInt(group, 16));
+}
+
+/**
+ * Truncates an address to its /24 (IPv4, also inside `::ffff:`) or /48
+ * (IPv6) network.
+ * @param {unknown} ip
+ * @returns {string|null} Network address, or null when `ip` is not an IP
+ */
+function truncateIp(ip) {
+  if (typeof ip !== 'string') return null;
+  const value = ip.trim().split('%')[0];
+
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(value);
+  if (mapped) {
+    const v4 = truncateIp(mapped[1]);
+    return v4 ? `::ffff:${v4}` : null;
+  }
+
+  const version = net.isIP(value);
+  if (version === 4) return `${value.split('.').slice(0, 3).join('.')}.0`;
+  if (version === 6) {
+    // Keep the first three groups; drop trailing zero groups so the result
+    // is the compressed form ("2001:db8::", not "2001:db8:0::").
+    const network = ipv6Groups(value).slice(0, 3);
+    while (network.length > 0 && network[network.length - 1] === 0) network.pop();
+    return `${network.map((group) => group.toString(16)).join(':')}::`;
+  }
+  return null;
+}
+
+/**
+ * @param {unknown} geo - Stored `geoLocation`, possibly JSON-encoded
+ * @returns {{country: string|null, country_code: string|null, country_flag: string|null}|null}
+ */
+function reduceGeo(geo) {
+  let value = geo;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  if (!value || typeof value !== 'object' || (!value.country && !value.country_code)) return null;
+  return {
+    country: value.country || null,
+    country_code: value.country_code || null,
+    country_flag: value.country_flag || null,
+  };
+}
+
+/**
+ * "Chrome 120.0.6099.109" -> "Chrome 120"
+ * @param {string|null|undefined} name
+ * @returns {string|null}
+ */
+function majorVersionOnly(name) {
+  return typeof name === 'string' && name ? name.replace(/(\d+)(?:\.\d+)+/g, '$1') : null;
+}
+
+/**
+ * @param {unknown} userAgent
+ * @returns {{deviceType: string, browserName: string, osName: string}}
+ */
+function clientFromUserAgent(userAgent) {
+  const parsed = parseUserAgent(typeof userAgent === 'string' ? userAgent : null);
+  const withVersion = (name, version) => (version ? `${name} ${version}` : name);
+  return {
+    deviceType: parsed.deviceType,
+    browserName: majorVersionOnly(withVersion(parsed.browserName, parsed.browserVersion)),
+    osName: majorVersionOnly(withVersion(parsed.osName, parsed.osVersion)),
+  };
+}
+
+/**
+ * Update that pseudonymizes a session row.
+ * @param {object} session - Raw session row
+ * @param {Date} [now]
+ * @returns {object} Data for `documents(SESSION_UID).update`
+ */
+function anonymizeSessionData(session, now = new Date()) {
+  const client = clientFromUserAgent(session.userAgent);
+  const geoLocation = reduceGeo(session.geoLocation);
+  const countryCode = session.countryCode || geoLocation?.country_code || null;
+
+  return {
+    // ipAddress is a required column
+    ipAddress: truncateIp(session.ipAddress) || 'unknown',
+    lastIpAddress: truncateIp(session.lastIpAddress),
+    userAgent: null,
+    lastUserAgent: null,
+    deviceType: session.deviceType || client.deviceType,
+    browserName: majorVersionOnly(session.browserName) || client.browserName,
+    osName: majorVersionOnly(session.osName) || client.osName,
+    geoLocation,
+    countryCode: countryCode ? String(countryCode).substring(0, 2).toUpperCase() : null,
+    city: null,
+    anonymizedAt: now,
+  };
+}
+
+/**
+ * Update that pseudonymizes a session archive record (see
+ * `utils/session-archive.toArchiveRecord`), in the table or in a file.
+ * @param {object} record - Archive record
+ * @param {Date} [now]
+ * @returns {object}
+ */
+function anonymizeArchiveRecordData(record, now = new Date()) {
+  return {
+    ipAddress: truncateIp(record.ipAddress),
+    lastIpAddress: truncateIp(record.lastIpAddress),
+    city: null,
+    browser: majorVersionOnly(record.browser),
+    os: majorVersionOnly(record.os),
+    userAgent: null,
+    anonymizedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Update that pseudonymizes a device row.
+ * @param {object} device - Raw device row
+ * @param {Date} [now]
+ * @returns {object}
+ */
+function anonymizeDeviceData(device, now = new Date()) {
+  return {
+    lastIpAddress: truncateIp(device.lastIpAddress),
+    anonymizedAt: now,
+  };
+}
+
+/**
+ * Truncates IP strings and replaces user-agent strings anywhere in an
+ * event's `details` (e.g. `client_changed` stores `{ ipAddress: {from, to},
+ * userAgent: {from, to} }`).
+ * @param {unknown} value
+ * @param {string} [key] - Nearest enclosing property name
+ * @returns {unknown}
+ */
+function anonymizeDetails(value, key = '') {
+  const isUserAgent = /useragent/i.test(key);
+  if (typeof value === 'string') {
+    if (isUserAgent) {
+      const client = clientFromUserAgent(value);
+      return `${client.browserName} on ${client.osName}`;
+    }
+    return net.isIP(value) ? truncateIp(value) : value;
+  }
+  if (Array.isArray(value)) return value.map((item) => anonymizeDetails(item, key));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [name, anonymizeDetails(item, isUserAgent ? key : name)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Update that pseudonymizes a session event row.
+ * @param {object} event - Raw session event row
+ * @param {Date} [now]
+ * @returns {object}
+ */
+function anonymizeEventData(event, now = new Date()) {
+  return {
+    ipAddress: truncateIp(event.ipAddress),
+    userAgent: null,
+    details: anonymizeDetails(event.details ?? null),
+    anonymizedAt: now,
+  };
+}
+
+module.exports = {
+  anonymizeArchiveRecordData,
+  anonymizeDeviceData,
+  anonymizeEventData,
+  anonymizeSessionData,
+  normalizeAnonymizeAfterDays,
+  reduceGeo,
+  truncateIp,
+};
@@ -59,6 +59,24 @@ function classifyJwtIssuingRequest(path, method) {
   return null;
 }
 
+/**
+ * Bounded label for a session-creating request, for the login metrics:
+ * provider callbacks and the passwordless routes are collapsed into one
+ * pattern each.
+ * @param {string} path
+ * @param {string} method
+ * @returns {string|null} null for requests that do not create a session
+ */
+function loginRouteLabel(path, method) {
+  if (classifyJwtIssuingRequest(path, method) !== 'new-session') return null;
+  const key = requestKey(path, method);
+  if (NEW_SESSION_ROUTES.has(key)) return key;
+  const normalizedMethod = String(method || '').toUpperCase();
+  if (isMagicLinkLogin(path, normalizedMethod)) return `${normalizedMethod} /api/magic-link/login`;
+  if (path.startsWith('/api/passwordless/')) return `${normalizedMethod} /api/passwordless/*`;
+  return `${normalizedMethod} /api/auth/:provider/callback`;
+}
+
 function shouldRunPreAuthGeoGuard(path, method) {
   return classifyJwtIssuingRequest(path, method) === 'new-session';
 }
@@ -70,5 +88,6 @@ function isFailedLoginTrackedPath(path, method) {
 module.exports = {
   classifyJwtIssuingRequest,
   isFailedLoginTrackedPath,
+  loginRouteLabel,
   shouldRunPreAuthGeoGuard,
 };
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Criteria of the admin bulk termination (`POST /sessions/bulk-terminate`).
+ *
+ * Every criterion narrows the selection; at least one is required so a bulk
+ * request can never end every session by accident:
+ *
+ *   country           ISO country code of the login location
+ *   ip                exact address or CIDR range (login or last-seen IP)
+ *   role              users-permissions role type of the session owner
+ *   olderThanHours    login more than this many hours ago
+ *
+ * Only active sessions are ever selected.
+ */
+
+const { ipFilter } = require('./session-search');
+
+const ROLE_TYPE_PATTERN = /^[a-z0-9_-]{1,100}$/i;
+const MAX_OLDER_THAN_HOURS = 24 * 365;
+
+/**
+ * @param {unknown} body - Request body, criteria under `criteria`
+ * @param {Date} [now]
+ * @returns {{filters: object|null, criteria: object, error?: string}}
+ *   `filters` are Document Service filters for the matching active sessions;
+ *   `criteria` is the normalized input, safe to echo and to log
+ */
+function parseBulkTerminationCriteria(body, now = new Date()) {
+  const raw = body?.criteria;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { filters: null, criteria: {}, error: 'criteria must be an object' };
+  }
+
+  const criteria = {};
+  const clauses = [{ isActive: true }];
+
+  if (raw.country !== undefined && raw.country !== '') {
+    if (typeof raw.country !== 'string' || !/^[a-z]{2}$/i.test(raw.country)) {
+      return { filters: null, criteria, error: 'country must be a two-letter ISO code' };
+    }
+    criteria.country = raw.country.toUpperCase();
+    clauses.push({ countryCode: criteria.country });
+  }
+
+  if (raw.ip !== undefined && raw.ip !== '') {
+    const ip = typeof raw.ip === 'string' ? ipFilter(raw.ip.trim()) : null;
+    if (!ip) return { filters: null, criteria, error: 'ip must be an IP address or CIDR range' };
+    if (ip.error) return { filters: null, criteria, error: ip.error };
+    criteria.ip = raw.ip.trim();
+    clauses.push(ip.clause);
+  }
+
+  if (raw.role !== undefined && raw.role !== '') {
+    if (typeof raw.role !== 'string' || !ROLE_TYPE_PATTERN.test(raw.role)) {
+      return { filters: null, criteria, error: 'role must be a role type' };
+    }
+    criteria.role = raw.role;
+    clauses.push({ user: { role: { type: raw.role } } });
+  }
+
+  if (raw.olderThanHours !== undefined && raw.olderThanHours !== '') {
+    const hours = Number(raw.olderThanHours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_OLDER_THAN_HOURS) {
+      return {
+        filters: null,
+        criteria,
+        error: `olderThanHours must be a whole number between 1 and ${MAX_OLDER_THAN_HOURS}`,
+      };
+    }
+    criteria.olderThanHours = hours;
+    clauses.push({ loginTime: { $lt: new Date(now.getTime() - hours * 60 * 60 * 1000) } });
+  }
+
+  if (clauses.length === 1) {
+    return { filters: null, criteria, error: 'At least one of country, ip, role or olderThanHours is required' };
+  }
+  return { filters: { $and: clauses }, criteria };
+}
+
+module.exports = { parseBulkTerminationCriteria };
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Stable device identifiers for the trusted-device registry.
+ *
+ * A device is identified either by an id the client sends in the
+ * `X-Device-Id` header (native apps that keep their own install id) or by a
+ * random id the plugin hands out in a signed, HttpOnly cookie (browsers).
+ * The id is a bearer secret for "this is a known device", so only its hash
+ * is stored and the header form must be long enough not to be guessable.
+ */
+
+const crypto = require('crypto');
+const { hashToken, signValue, verifySignedValue } = require('./encryption');
+
+const DEVICE_HEADER = 'x-device-id';
+const DEVICE_COOKIE_NAME = 'magic_sm_device';
+const DEVICE_COOKIE_MAX_AGE_MS = 400 * 24 * 60 * 60 * 1000;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+function normalizeDeviceId(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return DEVICE_ID_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Reads the device id of a request: the header wins over the cookie, and a
+ * cookie with a bad signature is ignored.
+ * @param {object} ctx - Koa context
+ * @returns {{deviceId: string, source: 'header'|'cookie'}|null}
+ */
+function readDeviceId(ctx) {
+  const headers = ctx?.request?.headers || ctx?.request?.header || {};
+  const fromHeader = normalizeDeviceId(headers[DEVICE_HEADER]);
+  if (fromHeader) return { deviceId: fromHeader, source: 'header' };
+
+  let cookie = null;
+  try {
+    cookie = ctx?.cookies?.get(DEVICE_COOKIE_NAME);
+  } catch {
+    cookie = null;
+  }
+  const fromCookie = normalizeDeviceId(verifySignedValue(cookie));
+  return fromCookie ? { deviceId: fromCookie, source: 'cookie' } : null;
+}
+
+/**
+ * Generates a device id and sets it as a signed cookie on the response.
+ * @param {object} ctx - Koa context
+ * @returns {string|null} The new device id, or null if the cookie could not be set
+ */
+function issueDeviceCookie(ctx) {
+  const deviceId = crypto.randomBytes(24).toString('base64url');
+  try {
+    ctx.cookies.set(DEVICE_COOKIE_NAME, signValue(deviceId), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: ctx.secure === true,
+      maxAge: DEVICE_COOKIE_MAX_AGE_MS,
+      overwrite: true,
+    });
+    return deviceId;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} deviceId
+ * @returns {string} SHA-256 hex digest stored in `deviceIdHash`
+ */
+function hashDeviceId(deviceId) {
+  return hashToken(`device:${deviceId}`);
+}
+
+module.exports = {
+  DEVICE_COOKIE_NAME,
+  DEVICE_HEADER,
+  hashDeviceId,
+  issueDeviceCookie,
+  normalizeDeviceId,
+  readDeviceId,
+};
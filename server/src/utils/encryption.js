@@ -154,10 +154,43 @@ function hashToken(token) {
   return crypto.createHash('sha256').update(token).digest('hex');
 }
 
+/**
+ * Appends an HMAC-SHA256 signature (keyed from the encryption key) so a
+ * value handed to the client, e.g. in a cookie, cannot be forged.
+ * @param {string} value
+ * @returns {string} `value.signature`
+ */
+function signValue(value) {
+  const signature = crypto
+    .createHmac('sha256', getEncryptionKey())
+    .update(`magic-sessionmanager:signed:${value}`)
+    .digest('base64url');
+  return `${value}.${signature}`;
+}
+
+/**
+ * Verifies a value produced by `signValue`.
+ * @param {string} signed
+ * @returns {string|null} The original value, or null if the signature is invalid
+ */
+function verifySignedValue(signed) {
+  if (typeof signed !== 'string') return null;
+  const separator = signed.lastIndexOf('.');
+  if (separator < 1) return null;
+
+  const value = signed.slice(0, separator);
+  const expected = Buffer.from(signValue(value));
+  const actual = Buffer.from(signed);
+  if (expected.length !== actual.length) return null;
+  return crypto.timingSafeEqual(expected, actual) ? value : null;
+}
+
 module.exports = {
   encryptToken,
   decryptToken,
   generateSessionId,
   hashToken,
+  signValue,
+  verifySignedValue,
 };
 
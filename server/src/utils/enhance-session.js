@@ -1,6 +1,9 @@
 'use strict';
 
 const { parseUserAgent } = require('./user-agent-parser');
+const { readSessionMetadata } = require('./session-metadata');
+const { sessionIdleTimeoutMs } = require('./remember-me');
+const { locationColumns } = require('./session-query');
 
 const SESSION_UID = 'plugin::magic-sessionmanager.session';
 
@@ -20,18 +23,24 @@ function shouldResolveGeoData(settings = {}) {
  * @param {object} session - Raw session from DB
  * @param {object} [opts]
  * @param {number} [opts.inactivityTimeout] - ms before a session counts as idle
+ * @param {function(object): Promise<number>} [opts.resolveInactivityTimeout] -
+ *   Per-session idle timeout (role policies); overrides `inactivityTimeout`
  * @param {object} [opts.geolocationService]
  * @param {{remaining: number}} [opts.geoCounter] - Shared geo lookup budget
  * @param {object} [opts.strapi]
+ * @param {boolean} [opts.includeTerminationAudit=false] - Keep the acting
+ *   admin (`terminatedBy`) and `terminationNote`; admin responses only
  * @param {Date}   [opts.now]
  * @returns {Promise<object>} Enhanced session (safe for API response)
  */
 async function enhanceSession(session, opts = {}) {
   const {
     inactivityTimeout = 15 * 60 * 1000,
+    resolveInactivityTimeout,
     geolocationService,
     geoCounter,
     strapi,
+    includeTerminationAudit = false,
     now = new Date(),
   } = opts;
 
@@ -48,7 +57,11 @@ async function enhanceSession(session, opts = {}) {
     lastActiveTime = new Date(0);
   }
   const timeSinceActive = Math.max(0, now - lastActiveTime);
-  const isTrulyActive = !!session.isActive && timeSinceActive < inactivityTimeout;
+  const idleTimeout = sessionIdleTimeoutMs(
+    session,
+    resolveInactivityTimeout ? await resolveInactivityTimeout(session) : inactivityTimeout
+  );
+  const isTrulyActive = !!session.isActive && timeSinceActive < idleTimeout;
 
   const parsedUA = parseUserAgent(session.userAgent);
   const deviceType = session.deviceType || parsedUA.deviceType;
@@ -72,8 +85,11 @@ async function enhanceSession(session, opts = {}) {
     }
   }
 
+  // An anonymized session only has its truncated network left; looking it
+  // up again would bring back the city the anonymization removed.
   if (
     !geoLocation &&
+    !session.anonymizedAt &&
     session.ipAddress &&
     geolocationService &&
     geoCounter &&
@@ -100,6 +116,7 @@ async function enhanceSession(session, opts = {}) {
               data: {
                 geoLocation,
                 securityScore: geoData.securityScore ?? null,
+                ...locationColumns(geoData),
               },
             })
             .catch(() => { /* fire-and-forget */ });
@@ -121,6 +138,11 @@ async function enhanceSession(session, opts = {}) {
     ...safeSession
   } = session;
 
+  if (!includeTerminationAudit) {
+    delete safeSession.terminatedBy;
+    delete safeSession.terminationNote;
+  }
+
   return {
     ...safeSession,
     id: session.documentId,
@@ -128,6 +150,8 @@ async function enhanceSession(session, opts = {}) {
     browserName,
     osName,
     geoLocation,
+    label: session.label || null,
+    metadata: readSessionMetadata(session.metadata),
     isTrulyActive,
     minutesSinceActive: Math.floor(timeSinceActive / 1000 / 60),
   };
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Local MaxMind database maintenance: the stored MaxMind credentials and the
+ * download/update of the `.mmdb` file. Used by the GeoIP admin endpoints and
+ * by the "Run now" action of the maintenance panel.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { resolveConfig, updateGeoIpDatabase } = require('../../../scripts/geoip-updater.cjs');
+const {
+  getPluginSettings,
+  invalidateSettingsCache,
+  normalizeGeoIpDatabasePath,
+} = require('./settings-loader');
+
+const CREDENTIALS_KEY = 'geoipCredentials';
+const DEFAULT_CITY_DATABASE_PATH = path.resolve(process.cwd(), 'data', 'GeoLite2-City.mmdb');
+const DEFAULT_COUNTRY_DATABASE_PATH = path.resolve(process.cwd(), 'data', 'GeoLite2-Country.mmdb');
+
+function getGeoIpStore(strapi) {
+  return strapi.store({
+    type: 'plugin',
+    name: 'magic-sessionmanager',
+  });
+}
+
+async function getStoredCredentials(strapi) {
+  const store = getGeoIpStore(strapi);
+  const credentials = await store.get({ key: CREDENTIALS_KEY });
+  if (!credentials || typeof credentials !== 'object') {
+    return {};
+  }
+  return {
+    accountId: typeof credentials.accountId === 'string' ? credentials.accountId : '',
+    licenseKey: typeof credentials.licenseKey === 'string' ? credentials.licenseKey : '',
+  };
+}
+
+async function setStoredCredentials(strapi, credentials) {
+  const store = getGeoIpStore(strapi);
+  await store.set({
+    key: CREDENTIALS_KEY,
+    value: credentials,
+  });
+}
+
+function buildUpdaterConfig(settings, storedCredentials, force = false) {
+  const outputPath = normalizeGeoIpDatabasePath(settings.geoIpDatabasePath);
+  const existingDefaultPath = !outputPath && fs.existsSync(DEFAULT_CITY_DATABASE_PATH)
+    ? DEFAULT_CITY_DATABASE_PATH
+    : !outputPath && fs.existsSync(DEFAULT_COUNTRY_DATABASE_PATH)
+      ? DEFAULT_COUNTRY_DATABASE_PATH
+      : '';
+
+  return resolveConfig(process.env, force ? ['--force'] : [], {
+    accountId: process.env.MAXMIND_ACCOUNT_ID || storedCredentials.accountId || '',
+    licenseKey: process.env.MAXMIND_LICENSE_KEY || storedCredentials.licenseKey || '',
+    outputPath: outputPath || existingDefaultPath || undefined,
+    force,
+  });
+}
+
+/**
+ * Downloads the configured MaxMind edition when the remote file is newer
+ * than the local one (or always with `force`).
+ *
+ * @param {object} strapi
+ * @param {{force?: boolean}} [options]
+ * @returns {Promise<{changed: boolean, outputPath: string, message: string}>}
+ * @throws {Error} With `code: 'MISSING_CREDENTIALS'` when no MaxMind
+ *   credentials are configured, or when the download fails
+ */
+async function refreshGeoIpDatabase(strapi, { force = false } = {}) {
+  const settings = await getPluginSettings(strapi);
+  const storedCredentials = await getStoredCredentials(strapi);
+  const config = buildUpdaterConfig(settings, storedCredentials, force);
+
+  if (!config.accountId || !config.licenseKey) {
+    throw Object.assign(new Error('MaxMind credentials are required before downloading GeoIP data'), {
+      code: 'MISSING_CREDENTIALS',
+    });
+  }
+
+  const result = await updateGeoIpDatabase(config);
+  await invalidateSettingsCache();
+  return result;
+}
+
+module.exports = {
+  buildUpdaterConfig,
+  getStoredCredentials,
+  refreshGeoIpDatabase,
+  setStoredCredentials,
+};
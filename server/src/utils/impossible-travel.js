@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Impossible-travel detection.
+ *
+ * A login is compared with the user's previous session: the great-circle
+ * distance between the two geolocated positions divided by the time between
+ * the logins gives the speed the user would have had to travel at. Above
+ * `impossibleTravelSpeedKmh` the login is flagged.
+ *
+ * GeoIP coordinates are city-level at best, so hops below
+ * MIN_TRAVEL_DISTANCE_KM (neighbouring cities, mobile carrier NAT) are never
+ * flagged however quickly they happen.
+ *
+ * Kept pure so the rules can be tested without booting Strapi.
+ */
+
+const IMPOSSIBLE_TRAVEL_ACTIONS = new Set(['alert', 'terminate', 'block']);
+const DEFAULT_MAX_SPEED_KMH = 1000;
+const MIN_MAX_SPEED_KMH = 100;
+const MAX_MAX_SPEED_KMH = 20000;
+const MIN_TRAVEL_DISTANCE_KM = 200;
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * @param {unknown} value
+ * @returns {'alert'|'terminate'|'block'}
+ */
+function normalizeImpossibleTravelAction(value) {
+  return IMPOSSIBLE_TRAVEL_ACTIONS.has(value) ? value : 'alert';
+}
+
+/**
+ * Coerces the speed threshold to an integer in
+ * MIN_MAX_SPEED_KMH..MAX_MAX_SPEED_KMH.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function normalizeMaxSpeedKmh(value) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return DEFAULT_MAX_SPEED_KMH;
+  return Math.max(MIN_MAX_SPEED_KMH, Math.min(n, MAX_MAX_SPEED_KMH));
+}
+
+/**
+ * Stored `geoLocation` values may still be JSON-encoded.
+ * @param {unknown} geo
+ * @returns {object|null}
+ */
+function parseGeo(geo) {
+  if (typeof geo === 'string') {
+    try {
+      return parseGeo(JSON.parse(geo));
+    } catch {
+      return null;
+    }
+  }
+  return geo && typeof geo === 'object' ? geo : null;
+}
+
+/**
+ * Reads `{ latitude, longitude }` from a geo lookup result or a stored
+ * `geoLocation`.
+ * @param {unknown} geo
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function coordinatesOf(geo) {
+  const parsed = parseGeo(geo);
+  if (!parsed) return null;
+
+  const latitude = Number(parsed.latitude);
+  const longitude = Number(parsed.longitude);
+  if (parsed.latitude === null || parsed.latitude === undefined) return null;
+  if (parsed.longitude === null || parsed.longitude === undefined) return null;
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+/**
+ * Haversine distance between two points, in kilometres.
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number}
+ */
+function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Compares a login with the previous session of the same user.
+ *
+ * @param {Object} params
+ * @param {{geoLocation: object|string, loginTime: string|Date}|null} params.previous
+ * @param {object} params.currentGeo - Geo lookup of the new login
+ * @param {Date} [params.now] - Time of the new login
+ * @param {number} [params.maxSpeedKmh]
+ * @returns {{impossible: boolean, distanceKm: number, hours: number, speedKmh: number,
+ *   previousLoginTime: string, previousLocation: string|null}|null}
+ *   null when either side lacks coordinates or a usable login time
+ */
+function evaluateTravel({ previous, currentGeo, now = new Date(), maxSpeedKmh = DEFAULT_MAX_SPEED_KMH }) {
+  if (!previous?.loginTime) return null;
+  const from = coordinatesOf(previous.geoLocation);
+  const to = coordinatesOf(currentGeo);
+  if (!from || !to) return null;
+
+  const previousTime = new Date(previous.loginTime).getTime();
+  if (!Number.isFinite(previousTime)) return null;
+
+  const km = distanceKm(from, to);
+  // Logins in the same second would divide by zero; treat them as one
+  // second apart, which still yields an absurd speed for any real distance.
+  const hours = Math.max(now.getTime() - previousTime, 1000) / 3600000;
+  const speedKmh = km / hours;
+
+  const previousGeo = parseGeo(previous.geoLocation);
+  const previousLocation = [previousGeo?.city, previousGeo?.country].filter(Boolean).join(', ') || null;
+
+  return {
+    impossible: km >= MIN_TRAVEL_DISTANCE_KM && speedKmh > normalizeMaxSpeedKmh(maxSpeedKmh),
+    distanceKm: Math.round(km),
+    hours: Math.round(hours * 100) / 100,
+    speedKmh: Math.round(speedKmh),
+    previousLoginTime: new Date(previousTime).toISOString(),
+    previousLocation,
+  };
+}
+
+/**
+ * One-line summary used as termination note and in log output.
+ * @param {{distanceKm: number, hours: number, speedKmh: number, previousLocation: string|null}} travel
+ * @returns {string}
+ */
+function describeTravel(travel) {
+  const from = travel.previousLocation ? ` from ${travel.previousLocation}` : '';
+  return `Impossible travel: ${travel.distanceKm} km${from} in ${travel.hours} h (${travel.speedKmh} km/h)`;
+}
+
+module.exports = {
+  DEFAULT_MAX_SPEED_KMH,
+  MIN_TRAVEL_DISTANCE_KM,
+  coordinatesOf,
+  describeTravel,
+  distanceKm,
+  evaluateTravel,
+  normalizeImpossibleTravelAction,
+  normalizeMaxSpeedKmh,
+};
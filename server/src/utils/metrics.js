@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * In-process metrics in the Prometheus text exposition format (0.0.4).
+ *
+ * The plugin records into this registry unconditionally; the values only
+ * leave the process through the opt-in, token-protected endpoint mounted
+ * in `bootstrap.js` (static `metrics` config). Counters are per process,
+ * so Prometheus scrapes every instance and sums them. The active-session
+ * gauge is the exception: it is read from the database on each scrape and
+ * is therefore the same on every instance.
+ *
+ * Label values come from fixed sets (auth routes, termination reasons,
+ * job names...), which keeps the number of series bounded.
+ */
+
+const PREFIX = 'magic_sessionmanager_';
+
+/** Seconds; geo lookups hit a local file, a cache or ipapi.co with a 5 s timeout */
+const GEO_LOOKUP_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+/** Seconds; jobs range from a few ms to minutes on large session tables */
+const JOB_DURATION_BUCKETS = [0.05, 0.1, 0.5, 1, 5, 15, 30, 60, 300, 900];
+
+/**
+ * @typedef {Object} MetricDefinition
+ * @property {string} name - Without PREFIX
+ * @property {'counter'|'gauge'|'histogram'} type
+ * @property {string} help
+ * @property {string[]} labels
+ * @property {number[]} [buckets] - Histograms only, ascending
+ */
+
+/** @type {Record<string, MetricDefinition>} */
+const METRICS = {
+  logins: {
+    name: 'logins_total',
+    type: 'counter',
+    help: 'Login attempts on JWT-issuing auth routes by route and result',
+    labels: ['route', 'result'],
+  },
+  activeSessions: {
+    name: 'active_sessions',
+    type: 'gauge',
+    help: 'Sessions currently marked active in the database',
+    labels: [],
+  },
+  terminations: {
+    name: 'session_terminations_total',
+    type: 'counter',
+    help: 'Terminated sessions by termination reason',
+    labels: ['reason'],
+  },
+  jwtRejections: {
+    name: 'jwt_rejections_total',
+    type: 'counter',
+    help: 'JWTs rejected by the session check by reason',
+    labels: ['reason'],
+  },
+  failOpen: {
+    name: 'fail_open_total',
+    type: 'counter',
+    help: 'Requests let through because the session check failed (fail-open)',
+    labels: [],
+  },
+  geoLookups: {
+    name: 'geo_lookup_duration_seconds',
+    type: 'histogram',
+    help: 'IP geolocation lookups by provider and result status',
+    labels: ['provider', 'status'],
+    buckets: GEO_LOOKUP_BUCKETS,
+  },
+  tooManyRequests: {
+    name: 'too_many_requests_total',
+    type: 'counter',
+    help: 'Requests answered with 429 by the rate limiter or the failed-login and re-authentication lockouts',
+    labels: ['limiter'],
+  },
+  notifications: {
+    name: 'notification_deliveries_total',
+    type: 'counter',
+    help: 'Email and webhook deliveries by channel and result',
+    labels: ['channel', 'result'],
+  },
+  jobDuration: {
+    name: 'job_duration_seconds',
+    type: 'histogram',
+    help: 'Background maintenance job runs by job and status',
+    labels: ['job', 'status'],
+    buckets: JOB_DURATION_BUCKETS,
+  },
+};
+
+const series = new Map(); // metric key → Map<label key, sample>
+
+function samplesOf(metric) {
+  if (!METRICS[metric]) throw new Error(`Unknown metric "${metric}"`);
+  if (!series.has(metric)) series.set(metric, new Map());
+  return series.get(metric);
+}
+
+/**
+ * Returns the sample for one label combination, creating it at zero.
+ * Missing labels are recorded as empty strings.
+ */
+function sampleFor(metric, labels) {
+  const samples = samplesOf(metric);
+  const { labels: names, buckets } = METRICS[metric];
+  const values = names.map((name) => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+  const key = values.join('\u0000');
+  if (!samples.has(key)) {
+    samples.set(key, buckets
+      ? { values, counts: buckets.map(() => 0), count: 0, sum: 0 }
+      : { values, value: 0 });
+  }
+  return samples.get(key);
+}
+
+/**
+ * @param {string} metric - A key of METRICS of type counter
+ * @param {Record<string, string>} [labels]
+ * @param {number} [amount=1]
+ */
+function increment(metric, labels = {}, amount = 1) {
+  if (!(amount > 0)) return;
+  sampleFor(metric, labels).value += amount;
+}
+
+/**
+ * @param {string} metric - A key of METRICS of type gauge
+ * @param {Record<string, string>} labels
+ * @param {number} value
+ */
+function setGauge(metric, labels, value) {
+  sampleFor(metric, labels).value = value;
+}
+
+/**
+ * @param {string} metric - A key of METRICS of type histogram
+ * @param {Record<string, string>} labels
+ * @param {number} seconds
+ */
+function observe(metric, labels, seconds) {
+  const sample = sampleFor(metric, labels);
+  const { buckets } = METRICS[metric];
+  for (let i = 0; i < buckets.length; i++) {
+    if (seconds <= buckets[i]) sample.counts[i]++;
+  }
+  sample.count++;
+  sample.sum += seconds;
+}
+
+/** Seconds elapsed since a `process.hrtime.bigint()` reading. */
+function secondsSince(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+const formatNumber = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+/**
+ * @returns {string} Every metric in the Prometheus text format
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const [metric, { name, type, help, labels, buckets }] of Object.entries(METRICS)) {
+    const fullName = `${PREFIX}${name}`;
+    lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+
+    const samples = series.get(metric);
+    if (!samples || samples.size === 0) {
+      // Unlabelled metrics exist from the start; labelled ones appear with their first sample
+      if (labels.length === 0 && !buckets) lines.push(`${fullName} 0`);
+      continue;
+    }
+
+    for (const sample of samples.values()) {
+      if (!buckets) {
+        lines.push(`${fullName}${formatLabels(labels, sample.values)} ${formatNumber(sample.value)}`);
+        continue;
+      }
+      buckets.forEach((le, i) => {
+        lines.push(`${fullName}_bucket${formatLabels(labels, sample.values, `le="${le}"`)} ${sample.counts[i]}`);
+      });
+      lines.push(`${fullName}_bucket${formatLabels(labels, sample.values, 'le="+Inf"')} ${sample.count}`);
+      lines.push(`${fullName}_sum${formatLabels(labels, sample.values)} ${formatNumber(sample.sum)}`);
+      lines.push(`${fullName}_count${formatLabels(labels, sample.values)} ${sample.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/** Drops every recorded sample (tests). */
+function resetMetrics() {
+  series.clear();
+}
+
+module.exports = {
+  increment,
+  observe,
+  renderMetrics,
+  resetMetrics,
+  secondsSince,
+  setGauge,
+};
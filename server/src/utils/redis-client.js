@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * Minimal client for the Redis serialization protocol (RESP2): commands,
+ * replies and pub/sub, which is all the shared-state store needs. It works
+ * with Redis, Valkey, KeyDB and other servers that speak the protocol, and
+ * keeps the plugin free of a Redis client dependency.
+ *
+ * A connection never queues commands while it is down: they fail at once,
+ * so callers can fall back instead of stalling requests. A server that
+ * stops answering without closing the connection (a black-holed host) is
+ * detected by TCP keepalive and by MAX_CONSECUTIVE_TIMEOUTS command
+ * timeouts in a row, after which the connection is dropped. It reconnects
+ * in the background with exponential backoff.
+ *
+ * URLs: `redis://[user:password@]host[:port][/db]`, `rediss://` for TLS.
+ */
+
+const net = require('node:net');
+const tls = require('node:tls');
+
+const DEFAULT_PORT = 6379;
+const DEFAULT_COMMAND_TIMEOUT_MS = 1000;
+const MIN_RECONNECT_DELAY_MS = 100;
+const MAX_RECONNECT_DELAY_MS = 30_000;
+const CONNECTION_WARN_INTERVAL_MS = 60_000;
+const KEEPALIVE_INITIAL_DELAY_MS = 10_000;
+const MAX_CONSECUTIVE_TIMEOUTS = 3;
+
+/**
+ * @param {string} url
+ * @returns {{host: string, port: number, tls: boolean, username: string|null, password: string|null, db: number}}
+ * @throws {Error} On a malformed URL or an unsupported scheme
+ */
+function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+    throw new Error(`Unsupported shared-state URL scheme "${parsed.protocol}" (use redis:// or rediss://)`);
+  }
+  const db = Number.parseInt(parsed.pathname.slice(1), 10);
+  return {
+    host: parsed.hostname.replace(/^\[|\]$/g, '') || '127.0.0.1',
+    port: parsed.port ? Number(parsed.port) : DEFAULT_PORT,
+    tls: parsed.protocol === 'rediss:',
+    username: parsed.username ? decodeURIComponent(parsed.username) : null,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+    db: Number.isFinite(db) && db > 0 ? db : 0,
+  };
+}
+
+/**
+ * @param {Array<string|number>} args - Command name and arguments
+ * @returns {string} The command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Incremental RESP2 reply parser. Error replies are passed on as Error
+ * instances.
+ * @param {(reply: unknown) => void} onReply
+ * @returns {(chunk: Buffer) => void} Feeds received bytes
+ */
+function createReplyParser(onReply) {
+  let buffer = Buffer.alloc(0);
+
+  /**
+   * @param {number} offset
+   * @returns {{value: unknown, next: number}|null} null while incomplete
+   */
+  function parseAt(offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = buffer[offset];
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case 0x2b: // +
+        return { value: line, next };
+      case 0x2d: // -
+        return { value: Object.assign(new Error(line), { name: 'RedisReplyError' }), next };
+      case 0x3a: // :
+        return { value: Number(line), next };
+      case 0x24: { // $
+        const length = Number(line);
+        if (length < 0) return { value: null, next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+      }
+      case 0x2a: { // *
+        const count = Number(line);
+        if (count < 0) return { value: null, next };
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const item = parseAt(cursor);
+          if (!item) return null;
+          items.push(item.value);
+          cursor = item.next;
+        }
+        return { value: items, next: cursor };
+      }
+      default:
+        throw new Error(`Unexpected RESP reply type 0x${Number(type).toString(16)}`);
+    }
+  }
+
+  return (chunk) => {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    while (offset < buffer.length) {
+      const reply = parseAt(offset);
+      if (!reply) break;
+      offset = reply.next;
+      onReply(reply.value);
+    }
+    buffer = buffer.subarray(offset);
+  };
+}
+
+/**
+ * Opens a connection and keeps it open until `close()`.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {{warn: Function, debug: Function}} [options.log]
+ * @param {number} [options.commandTimeoutMs=1000]
+ * @param {(channel: string, message: string) => void} [options.onMessage] -
+ *   Makes this a subscriber connection that receives pub/sub messages
+ * @param {(send: Function) => Promise<void>} [options.onReady] - Runs after
+ *   every (re)connect, e.g. to subscribe again
+ * @returns {{command: (args: Array<string|number>) => Promise<unknown>, waitUntilReady: (timeoutMs: number) => Promise<boolean>, close: () => void}}
+ */
+function createRedisConnection(url, { log = null, commandTimeoutMs = DEFAULT_COMMAND_TIMEOUT_MS, onMessage = null, onReady = null } = {}) {
+  const options = parseRedisUrl(url);
+  const pending = [];
+  const readyWaiters = new Set();
+  let socket = null;
+  let ready = false;
+  let closed = false;
+  let reconnectDelay = MIN_RECONNECT_DELAY_MS;
+  let reconnectTimer = null;
+  let warnedAt = 0;
+  let consecutiveTimeouts = 0;
+
+  function settle(entry, value) {
+    if (entry.settled) return;
+    entry.settled = true;
+    clearTimeout(entry.timer);
+    if (value instanceof Error) entry.reject(value);
+    else entry.resolve(value);
+  }
+
+  function handleReply(value) {
+    if (onMessage && Array.isArray(value) && value[0] === 'message') {
+      onMessage(value[1], value[2]);
+      return;
+    }
+    // Timed-out entries stay queued until their reply arrives, so later
+    // replies are still matched with the right command.
+    consecutiveTimeouts = 0;
+    const entry = pending.shift();
+    if (entry) settle(entry, value);
+  }
+
+  function handleTimeout(entry, command, target) {
+    settle(entry, new Error(`Redis command ${command} timed out after ${commandTimeoutMs}ms`));
+    consecutiveTimeouts++;
+    if (consecutiveTimeouts < MAX_CONSECUTIVE_TIMEOUTS || target !== socket || target.destroyed) return;
+
+    // The server is unreachable without the socket noticing; fail the
+    // following commands at once instead of letting each one time out
+    warn(`Redis ${options.host}:${options.port} did not answer ${consecutiveTimeouts} commands in a row; reconnecting`);
+    setReady(false);
+    target.destroy();
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, settled: false, timer: null };
+      const target = socket;
+      entry.timer = setTimeout(() => handleTimeout(entry, args[0], target), commandTimeoutMs);
+      entry.timer.unref?.();
+      pending.push(entry);
+      target.write(encodeCommand(args));
+    });
+  }
+
+  function setReady(value) {
+    ready = value;
+    if (!value) return;
+    for (const wake of readyWaiters) wake(true);
+    readyWaiters.clear();
+  }
+
+  function warn(message) {
+    const now = Date.now();
+    if (now - warnedAt < CONNECTION_WARN_INTERVAL_MS) return;
+    warnedAt = now;
+    log?.warn(`[SHARED-STATE] ${message}`);
+  }
+
+  function scheduleReconnect() {
+    reconnectTimer = setTimeout(connect, reconnectDelay);
+    reconnectTimer.unref?.();
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  }
+
+  function connect() {
+    const parse = createReplyParser(handleReply);
+    const connectEvent = options.tls ? 'secureConnect' : 'connect';
+    socket = options.tls
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+    socket.setNoDelay(true);
+    socket.setKeepAlive(true, KEEPALIVE_INITIAL_DELAY_MS);
+
+    socket.on(connectEvent, async () => {
+      try {
+        if (options.password) {
+          await send(options.username ? ['AUTH', options.username, options.password] : ['AUTH', options.password]);
+        }
+        if (options.db) await send(['SELECT', options.db]);
+        if (onReady) await onReady(send);
+        reconnectDelay = MIN_RECONNECT_DELAY_MS;
+        consecutiveTimeouts = 0;
+        setReady(true);
+        log?.debug(`[SHARED-STATE] Connected to ${options.host}:${options.port}`);
+      } catch (err) {
+        warn(`Redis handshake with ${options.host}:${options.port} failed: ${err.message}`);
+        socket.destroy();
+      }
+    });
+    socket.on('data', (chunk) => {
+      try {
+        parse(chunk);
+      } catch (err) {
+        socket.destroy(err);
+      }
+    });
+    socket.on('error', (err) => {
+      warn(`Redis connection to ${options.host}:${options.port} failed: ${err.message}`);
+    });
+    socket.on('close', () => {
+      setReady(false);
+      while (pending.length > 0) settle(pending.shift(), new Error('Redis connection closed'));
+      if (!closed) scheduleReconnect();
+    });
+  }
+
+  connect();
+
+  return {
+    /**
+     * @param {Array<string|number>} args
+     * @returns {Promise<unknown>} The reply
+     * @throws {Error} When not connected, on timeout or on an error reply
+     */
+    command(args) {
+      if (!ready) return Promise.reject(new Error('Redis is not connected'));
+      return send(args);
+    },
+
+    /**
+     * @param {number} timeoutMs
+     * @returns {Promise<boolean>} Whether the connection became ready in time
+     */
+    waitUntilReady(timeoutMs) {
+      if (ready) return Promise.resolve(true);
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          readyWaiters.delete(wake);
+          resolve(false);
+        }, timeoutMs);
+        const wake = (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        };
+        readyWaiters.add(wake);
+      });
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      setReady(false);
+      socket?.destroy();
+    },
+  };
+}
+
+module.exports = {
+  createRedisConnection,
+  createReplyParser,
+  encodeCommand,
+  parseRedisUrl,
+};
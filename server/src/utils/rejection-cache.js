@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * Short-lived in-memory cache that lets the JWT-verify wrapper tell the
+ * Short-lived cache that lets the JWT-verify wrapper tell the
  * Koa response middleware WHY it rejected a particular token.
  *
  * The JWT verify function runs deep inside the users-permissions auth
@@ -12,35 +12,28 @@
  * reason into the response (`X-Session-Terminated-Reason` header and a
  * `reason` field in the JSON body).
  *
- * Entries auto-expire after 60 s — long enough to survive the request
- * lifecycle but short enough that a token hash cannot accumulate stale
- * reasons. The map is bounded to `MAX_ENTRIES` (10 000) with an
- * opportunistic prune on every write to prevent unbounded growth under
- * rejection storms.
+ * Entries live in the shared-state store, so the reason still reaches
+ * the client when the instance answering differs from the one that
+ * terminated the session. They expire after 60 s — long enough to survive
+ * the request lifecycle but short enough that a token hash cannot
+ * accumulate stale reasons.
  */
 
-const TTL_MS = 60 * 1000;
-const MAX_ENTRIES = 10_000;
+const { getSharedState } = require('./shared-state');
 
-const cache = new Map();
+const TTL_MS = 60 * 1000;
 
-const prune = () => {
-  const now = Date.now();
-  for (const [k, v] of cache) {
-    if (v.expiresAt <= now) cache.delete(k);
-  }
-};
+const cacheKey = (tokenHash) => `rejection:${tokenHash}`;
 
 /**
  * Records why a token was rejected by the JWT-verify wrapper.
  *
  * @param {string} tokenHash  SHA-256 hex digest of the raw JWT
- * @param {'logout'|'manual'|'idle'|'expired'|'blocked'} reason
+ * @param {'logout'|'manual'|'idle'|'expired'|'blocked'|'session_limit'|'impossible_travel'|'token_reuse'|'client_changed'|'emergency'} reason
  */
-function setSessionRejectionReason(tokenHash, reason) {
+async function setSessionRejectionReason(tokenHash, reason) {
   if (!tokenHash || !reason) return;
-  if (cache.size >= MAX_ENTRIES) prune();
-  cache.set(tokenHash, { reason, expiresAt: Date.now() + TTL_MS });
+  await getSharedState().set(cacheKey(tokenHash), reason, TTL_MS);
 }
 
 /**
@@ -49,15 +42,11 @@ function setSessionRejectionReason(tokenHash, reason) {
  * the same reason is never delivered twice.
  *
  * @param {string} tokenHash
- * @returns {string|null}
+ * @returns {Promise<string|null>}
  */
-function consumeSessionRejectionReason(tokenHash) {
+async function consumeSessionRejectionReason(tokenHash) {
   if (!tokenHash) return null;
-  const entry = cache.get(tokenHash);
-  if (!entry) return null;
-  cache.delete(tokenHash);
-  if (entry.expiresAt <= Date.now()) return null;
-  return entry.reason;
+  return (await getSharedState().take(cacheKey(tokenHash))) ?? null;
 }
 
 module.exports = {
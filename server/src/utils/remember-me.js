@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * "Remember me" (persistent) sessions.
+ *
+ * A login that sends `rememberMe: true` while `enableRememberMe` is on gets a
+ * session with its own lifetimes stored on the row: `idleTimeoutSeconds`
+ * (sliding, from `rememberMeIdleDays`) and `expiresAt` (absolute, from
+ * `rememberMeMaxAgeDays`). Rows without them follow the global or role
+ * policy, so these helpers take that policy value as the fallback.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {object} body - Login request body
+ * @param {object} settings - Runtime settings
+ * @returns {boolean}
+ */
+function wantsPersistentSession(body, settings) {
+  return settings.enableRememberMe === true && body?.rememberMe === true;
+}
+
+/**
+ * Row fields of a new persistent session.
+ * @param {object} settings - Runtime settings
+ * @param {Date} [now]
+ * @returns {{rememberMe: true, idleTimeoutSeconds: number, expiresAt: Date}}
+ */
+function persistentSessionFields(settings, now = new Date()) {
+  const idleDays = Number(settings.rememberMeIdleDays) || 14;
+  const maxAgeDays = Number(settings.rememberMeMaxAgeDays) || 90;
+  return {
+    rememberMe: true,
+    idleTimeoutSeconds: Math.round((idleDays * DAY_MS) / 1000),
+    expiresAt: new Date(now.getTime() + maxAgeDays * DAY_MS),
+  };
+}
+
+/**
+ * @param {{idleTimeoutSeconds?: number|null}} session
+ * @param {number} fallbackMs - Global / role idle timeout
+ * @returns {number} Idle timeout of this session in ms
+ */
+function sessionIdleTimeoutMs(session, fallbackMs) {
+  const seconds = Number(session?.idleTimeoutSeconds);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : fallbackMs;
+}
+
+/**
+ * @param {{expiresAt?: string|Date|null, loginTime?: string|Date}} session
+ * @param {number} maxAgeDays - Global / role absolute lifetime
+ * @returns {number|null} Epoch ms after which the session is expired, or
+ *   null when it has no login time
+ */
+function sessionExpiresAtMs(session, maxAgeDays) {
+  if (session?.expiresAt) {
+    const expiresAt = new Date(session.expiresAt).getTime();
+    if (Number.isFinite(expiresAt)) return expiresAt;
+  }
+  if (!session?.loginTime) return null;
+  return new Date(session.loginTime).getTime() + maxAgeDays * DAY_MS;
+}
+
+module.exports = {
+  persistentSessionFields,
+  sessionExpiresAtMs,
+  sessionIdleTimeoutMs,
+  wantsPersistentSession,
+};
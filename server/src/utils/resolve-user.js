@@ -4,8 +4,9 @@
  * Centralized user documentId resolver with LRU cache.
  * Wraps the deprecated entityService call so it only exists in one place.
  * When Strapi removes entityService, only this file needs updating.
+ * Also resolves a user's role type for role-keyed settings.
  *
- * TTL: 5 minutes, Max size: 1000 entries
+ * TTL: 5 minutes (roles: 1 minute), Max size: 1000 entries
  */
 
 const USER_UID = 'plugin::users-permissions.user';
@@ -14,6 +15,11 @@ const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000;
 const CACHE_MAX_SIZE = 1000;
 
+// Role assignments are security-relevant (they select session limits and
+// policies), so they are cached for a much shorter window than documentIds.
+const roleCache = new Map();
+const ROLE_CACHE_TTL = 60 * 1000;
+
 /**
  * Evicts expired and excess entries from the cache.
  */
@@ -68,4 +74,38 @@ async function resolveUserDocumentId(strapi, userId) {
   return null;
 }
 
-module.exports = { resolveUserDocumentId };
+/**
+ * Resolves the users-permissions role `type` (e.g. `authenticated`) of a user.
+ * Returns null when the user has no role or the lookup fails, so callers fall
+ * back to the global settings.
+ *
+ * @param {object} strapi
+ * @param {string} userDocumentId
+ * @returns {Promise<string|null>}
+ */
+async function resolveUserRoleType(strapi, userDocumentId) {
+  if (!userDocumentId) return null;
+
+  const cached = roleCache.get(userDocumentId);
+  if (cached && Date.now() - cached.ts < ROLE_CACHE_TTL) {
+    return cached.roleType;
+  }
+
+  if (roleCache.size >= CACHE_MAX_SIZE) roleCache.clear();
+
+  try {
+    const user = await strapi.documents(USER_UID).findOne({
+      documentId: userDocumentId,
+      fields: ['documentId'],
+      populate: { role: { fields: ['type'] } },
+    });
+
+    const roleType = user?.role?.type || null;
+    roleCache.set(userDocumentId, { roleType, ts: Date.now() });
+    return roleType;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { resolveUserDocumentId, resolveUserRoleType };
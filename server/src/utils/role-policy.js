@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Per-role session policies.
+ *
+ * `rolePolicies` maps a users-permissions role `type` to overrides of the
+ * global `inactivityTimeout`, `maxSessionAgeDays` and
+ * `strictSessionEnforcement` settings. Any field left out of a role entry
+ * inherits the global value.
+ *
+ * Units follow the rest of the settings: the admin UI stores the idle
+ * timeout in minutes, the runtime shape (and static `config/plugins.js`
+ * config) uses milliseconds. `settings-loader` converts stored values with
+ * `toRuntimeRolePolicies`.
+ */
+
+const { resolveUserRoleType } = require('./resolve-user');
+
+const ROLE_TYPE_PATTERN = /^[a-z0-9_-]{1,100}$/i;
+const DEFAULT_INACTIVITY_TIMEOUT = 15 * 60 * 1000;
+const DEFAULT_MAX_SESSION_AGE_DAYS = 30;
+
+function toOptionalInt(value, min, max) {
+  if (value === null || value === undefined || value === '') return undefined;
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return undefined;
+  return Math.max(min, Math.min(n, max));
+}
+
+/**
+ * Sanitizes the role → policy map in admin-UI units (idle timeout in
+ * minutes). Unknown keys, invalid role types and empty entries are dropped.
+ * @param {unknown} value
+ * @returns {Record<string, {inactivityTimeout?: number, maxSessionAgeDays?: number, strictSessionEnforcement?: boolean}>}
+ */
+function sanitizeRolePolicies(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+
+  const out = {};
+  for (const [roleType, policy] of Object.entries(value)) {
+    if (!ROLE_TYPE_PATTERN.test(roleType)) continue;
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) continue;
+
+    const entry = {};
+    const inactivityTimeout = toOptionalInt(policy.inactivityTimeout, 1, 1440);
+    if (inactivityTimeout !== undefined) entry.inactivityTimeout = inactivityTimeout;
+    const maxSessionAgeDays = toOptionalInt(policy.maxSessionAgeDays, 1, 365);
+    if (maxSessionAgeDays !== undefined) entry.maxSessionAgeDays = maxSessionAgeDays;
+    if (typeof policy.strictSessionEnforcement === 'boolean') {
+      entry.strictSessionEnforcement = policy.strictSessionEnforcement;
+    }
+
+    if (Object.keys(entry).length > 0) out[roleType] = entry;
+  }
+  return out;
+}
+
+/**
+ * Converts a stored (UI-unit) policy map to runtime units.
+ * @param {unknown} value
+ * @returns {object}
+ */
+function toRuntimeRolePolicies(value) {
+  const sanitized = sanitizeRolePolicies(value);
+  for (const policy of Object.values(sanitized)) {
+    if (policy.inactivityTimeout !== undefined) {
+      policy.inactivityTimeout *= 60 * 1000;
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * @param {object} settings - Runtime settings
+ * @returns {boolean}
+ */
+function hasRolePolicies(settings = {}) {
+  const policies = settings.rolePolicies;
+  return !!policies && typeof policies === 'object' && Object.keys(policies).length > 0;
+}
+
+/**
+ * Merges the global settings with the policy of `roleType`.
+ * @param {object} settings - Runtime settings
+ * @param {string|null} [roleType]
+ * @returns {{inactivityTimeout: number, maxSessionAgeDays: number, strictSessionEnforcement: boolean}}
+ */
+function resolveSessionPolicy(settings = {}, roleType = null) {
+  const policy = {
+    inactivityTimeout: settings.inactivityTimeout || DEFAULT_INACTIVITY_TIMEOUT,
+    maxSessionAgeDays: settings.maxSessionAgeDays || DEFAULT_MAX_SESSION_AGE_DAYS,
+    strictSessionEnforcement: settings.strictSessionEnforcement === true,
+  };
+  if (!roleType || !hasRolePolicies(settings)) return policy;
+
+  const override = settings.rolePolicies[roleType];
+  if (!override || typeof override !== 'object') return policy;
+
+  if (Number.isFinite(override.inactivityTimeout) && override.inactivityTimeout > 0) {
+    policy.inactivityTimeout = override.inactivityTimeout;
+  }
+  if (Number.isFinite(override.maxSessionAgeDays) && override.maxSessionAgeDays > 0) {
+    policy.maxSessionAgeDays = override.maxSessionAgeDays;
+  }
+  if (typeof override.strictSessionEnforcement === 'boolean') {
+    policy.strictSessionEnforcement = override.strictSessionEnforcement;
+  }
+  return policy;
+}
+
+/**
+ * Resolves the effective policy for a session owner. Skips the role lookup
+ * when no role policies are configured.
+ * @param {object} strapi
+ * @param {object} settings - Runtime settings
+ * @param {string} userDocumentId
+ * @returns {Promise<{inactivityTimeout: number, maxSessionAgeDays: number, strictSessionEnforcement: boolean}>}
+ */
+async function resolveUserSessionPolicy(strapi, settings, userDocumentId) {
+  if (!userDocumentId || !hasRolePolicies(settings)) {
+    return resolveSessionPolicy(settings);
+  }
+  const roleType = await resolveUserRoleType(strapi, userDocumentId);
+  return resolveSessionPolicy(settings, roleType);
+}
+
+/**
+ * Shortest idle timeout across the global setting and all role policies.
+ * Sessions idle for less than this cannot be expired under any policy.
+ * @param {object} settings - Runtime settings
+ * @returns {number}
+ */
+function getMinInactivityTimeout(settings = {}) {
+  let min = settings.inactivityTimeout || DEFAULT_INACTIVITY_TIMEOUT;
+  if (!hasRolePolicies(settings)) return min;
+  for (const policy of Object.values(settings.rolePolicies)) {
+    if (Number.isFinite(policy?.inactivityTimeout) && policy.inactivityTimeout > 0) {
+      min = Math.min(min, policy.inactivityTimeout);
+    }
+  }
+  return min;
+}
+
+module.exports = {
+  getMinInactivityTimeout,
+  hasRolePolicies,
+  resolveSessionPolicy,
+  resolveUserSessionPolicy,
+  sanitizeRolePolicies,
+  toRuntimeRolePolicies,
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Record shape, settings normalization and search of the session archive.
+ *
+ * Before the retention job deletes an expired session it can copy the row
+ * into the `magic_sessions_archive` table (`archiveMode: 'table'`) or into
+ * gzip-compressed NDJSON files under `archiveDirectory`
+ * (`archiveMode: 'file'`). An archive record holds the columns of the admin
+ * export, so tokens and token hashes never reach the archive.
+ *
+ * With GDPR mode on, records of sessions that ended more than
+ * `anonymizeAfterDays` ago are pseudonymized like the session rows, on
+ * archiving or later by the anonymization job.
+ */
+
+const { anonymizeArchiveRecordData } = require('./anonymize');
+const { EXPORT_COLUMNS } = require('./session-export');
+const { MAX_PAGE_SIZE } = require('./session-query');
+const { parseUserAgent } = require('./user-agent-parser');
+
+const ARCHIVE_MODES = new Set(['off', 'table', 'file']);
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 2555;
+const MAX_ARCHIVE_RETENTION_DAYS = 3650;
+const ARCHIVE_FILE_PREFIX = 'sessions-archive-';
+const ARCHIVE_FILE_SUFFIX = '.ndjson.gz';
+const DEFAULT_ARCHIVE_PAGE_SIZE = 25;
+const MAX_ARCHIVE_QUERY_LENGTH = 200;
+
+// Fields the free-text `q` parameter is matched against.
+const SEARCH_FIELDS = [
+  'sessionId',
+  'userId',
+  'userEmail',
+  'username',
+  'ipAddress',
+  'lastIpAddress',
+  'countryCode',
+  'city',
+];
+
+/**
+ * @param {unknown} value
+ * @returns {'off'|'table'|'file'}
+ */
+function normalizeArchiveMode(value) {
+  return ARCHIVE_MODES.has(value) ? value : 'off';
+}
+
+/**
+ * `-1` keeps archived sessions forever; other values are clamped to
+ * 1..MAX_ARCHIVE_RETENTION_DAYS.
+ * @param {unknown} value
+ * @param {number} [fallback]
+ * @returns {number}
+ */
+function normalizeArchiveRetentionDays(value, fallback = DEFAULT_ARCHIVE_RETENTION_DAYS) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  if (n === -1) return -1;
+  return Math.max(1, Math.min(n, MAX_ARCHIVE_RETENTION_DAYS));
+}
+
+/**
+ * Whether an archive record is due for anonymization: not anonymized yet
+ * and the session ended (logout, else last activity, else login) before
+ * `before`.
+ * @param {object} record - Archive record
+ * @param {Date} before
+ * @returns {boolean}
+ */
+function isAnonymizationDue(record, before) {
+  if (record.anonymizedAt) return false;
+  const ended = record.logoutTime || record.lastActive || record.loginTime;
+  return !!ended && new Date(ended) < before;
+}
+
+/**
+ * Query Engine counterpart of `isAnonymizationDue` (table mode).
+ * @param {Date} before
+ * @returns {object}
+ */
+function anonymizationDueFilters(before) {
+  return {
+    anonymizedAt: { $null: true },
+    $or: [
+      { logoutTime: { $lt: before } },
+      { logoutTime: { $null: true }, lastActive: { $lt: before } },
+      { logoutTime: { $null: true }, lastActive: { $null: true }, loginTime: { $lt: before } },
+    ],
+  };
+}
+
+/**
+ * Maps a raw session row (with `user` populated) to its archive record.
+ * @param {object} session
+ * @param {Date} [archivedAt]
+ * @param {Object} [options]
+ * @param {Date|null} [options.anonymizeBefore] - Anonymize the record when
+ *   the session ended before this date (GDPR mode)
+ * @returns {object}
+ */
+function toArchiveRecord(session, archivedAt = new Date(), { anonymizeBefore = null } = {}) {
+  const parsed = session.browserName && session.osName ? null : parseUserAgent(session.userAgent);
+  const source = parsed
+    ? { ...session, browserName: session.browserName || parsed.browserName, osName: session.osName || parsed.osName }
+    : session;
+
+  const record = { sessionId: session.documentId };
+  for (const [column, read] of Object.entries(EXPORT_COLUMNS)) {
+    if (column !== 'id') record[column] = read(source);
+  }
+  record.archivedAt = archivedAt.toISOString();
+  record.anonymizedAt = session.anonymizedAt ? new Date(session.anonymizedAt).toISOString() : null;
+  if (anonymizeBefore && isAnonymizationDue(record, anonymizeBefore)) {
+    Object.assign(record, anonymizeArchiveRecordData(record, archivedAt));
+  }
+  return record;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses `GET /archive/search?q=&from=&to=&page=&pageSize=`.
+ * @param {object} query - `ctx.query`
+ * @returns {{q: string, from: Date|null, to: Date|null, page: number, pageSize: number, error?: string}}
+ */
+function parseArchiveSearch(query = {}) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
+  const pageSize = Math.max(
+    1,
+    Math.min(Number.parseInt(query.pageSize, 10) || DEFAULT_ARCHIVE_PAGE_SIZE, MAX_PAGE_SIZE)
+  );
+  const search = { q, from: toDate(query.from), to: toDate(query.to), page, pageSize };
+
+  if (q.length > MAX_ARCHIVE_QUERY_LENGTH) {
+    return { ...search, error: `q must be at most ${MAX_ARCHIVE_QUERY_LENGTH} characters` };
+  }
+  for (const key of ['from', 'to']) {
+    if (query[key] && !search[key]) return { ...search, error: `${key} must be an ISO date` };
+  }
+  return search;
+}
+
+/**
+ * Document Service filters of an archive search (table mode).
+ * @param {ReturnType<typeof parseArchiveSearch>} search
+ * @returns {object}
+ */
+function archiveFilters({ q, from, to }) {
+  const clauses = [];
+  if (q) clauses.push({ $or: SEARCH_FIELDS.map((field) => ({ [field]: { $containsi: q } })) });
+  if (from) clauses.push({ loginTime: { $gte: from } });
+  if (to) clauses.push({ loginTime: { $lte: to } });
+  return clauses.length > 0 ? { $and: clauses } : {};
+}
+
+/**
+ * In-memory counterpart of `archiveFilters`, used to scan archive files.
+ * @param {object} record - Archive record
+ * @param {ReturnType<typeof parseArchiveSearch>} search
+ * @returns {boolean}
+ */
+function matchesArchiveSearch(record, { q, from, to }) {
+  if (q) {
+    const needle = q.toLowerCase();
+    const hit = SEARCH_FIELDS.some(
+      (field) => typeof record[field] === 'string' && record[field].toLowerCase().includes(needle)
+    );
+    if (!hit) return false;
+  }
+  if (from || to) {
+    const loginTime = record.loginTime ? new Date(record.loginTime) : null;
+    if (!loginTime || Number.isNaN(loginTime.getTime())) return false;
+    if (from && loginTime < from) return false;
+    if (to && loginTime > to) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {string} name - File name inside the archive directory
+ * @returns {boolean}
+ */
+function isArchiveFileName(name) {
+  return name.startsWith(ARCHIVE_FILE_PREFIX) && name.endsWith(ARCHIVE_FILE_SUFFIX);
+}
+
+module.exports = {
+  ARCHIVE_FILE_PREFIX,
+  ARCHIVE_FILE_SUFFIX,
+  DEFAULT_ARCHIVE_RETENTION_DAYS,
+  anonymizationDueFilters,
+  archiveFilters,
+  isAnonymizationDue,
+  isArchiveFileName,
+  matchesArchiveSearch,
+  normalizeArchiveMode,
+  normalizeArchiveRetentionDays,
+  parseArchiveSearch,
+  toArchiveRecord,
+};
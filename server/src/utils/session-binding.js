@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Session binding: compares the client of an authenticated request with the
+ * client last seen on its session.
+ *
+ * IP and user-agent changes each have their own action:
+ *   - 'ignore':    no comparison at all (default)
+ *   - 'record':    store the new value on the session and log an event
+ *   - 'alert':     record, then email the user and fire a webhook
+ *   - 'terminate': record, then end the session with reason `client_changed`
+ *
+ * `ipChangeTolerance` softens IP changes: 'subnet' accepts a new address in
+ * the same IPv4 /24 or IPv6 /64, 'country' one that geolocates to the
+ * session's login country. A tolerated change is still stored on the row.
+ *
+ * Kept pure (apart from the injected country lookup) so the rules can be
+ * tested without booting Strapi.
+ */
+
+const BINDING_ACTIONS = ['ignore', 'record', 'alert', 'terminate'];
+const IP_TOLERANCES = new Set(['none', 'subnet', 'country']);
+const MAX_USER_AGENT_LENGTH = 500;
+
+/**
+ * @param {unknown} value
+ * @returns {'ignore'|'record'|'alert'|'terminate'}
+ */
+function normalizeBindingAction(value) {
+  return BINDING_ACTIONS.includes(value) ? value : 'ignore';
+}
+
+/**
+ * @param {unknown} value
+ * @returns {'none'|'subnet'|'country'}
+ */
+function normalizeIpTolerance(value) {
+  return IP_TOLERANCES.has(value) ? value : 'none';
+}
+
+/**
+ * Network prefix of an address: the first three octets of an IPv4 address
+ * (also when IPv4-mapped) or the first four groups of an IPv6 address.
+ * @param {string} ip
+ * @returns {string|null}
+ */
+function networkPrefix(ip) {
+  if (typeof ip !== 'string' || !ip) return null;
+  const mapped = ip.toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+  const v4 = mapped.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}$/);
+  if (v4) return `${v4[1]}.${v4[2]}.${v4[3]}`;
+
+  if (!mapped.includes(':')) return null;
+  const [head, tail = null] = mapped.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (missing < 0 || (tail === null && missing !== 0)) return null;
+  const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+  return groups
+    .slice(0, 4)
+    .map((group) => group.replace(/^0+(?=.)/, ''))
+    .join(':');
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameSubnet(a, b) {
+  const prefix = networkPrefix(a);
+  return prefix !== null && prefix === networkPrefix(b);
+}
+
+/**
+ * @param {unknown} geo - Stored `geoLocation`, possibly JSON-encoded
+ * @returns {object|null}
+ */
+function parseGeo(geo) {
+  if (typeof geo !== 'string') return geo && typeof geo === 'object' ? geo : null;
+  try {
+    return JSON.parse(geo);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {...string} actions
+ * @returns {'ignore'|'record'|'alert'|'terminate'} The most severe action
+ */
+function strongestAction(...actions) {
+  return actions.reduce(
+    (strongest, action) =>
+      BINDING_ACTIONS.indexOf(action) > BINDING_ACTIONS.indexOf(strongest) ? action : strongest,
+    'ignore'
+  );
+}
+
+/**
+ * Compares a request with its session.
+ *
+ * @param {Object} params
+ * @param {object} params.session - Row with `ipAddress`, `userAgent`,
+ *   `lastIpAddress`, `lastUserAgent` and `geoLocation`
+ * @param {string} params.ip - Client IP of the request
+ * @param {string} [params.userAgent] - User-Agent of the request
+ * @param {object} params.settings - Runtime settings
+ * @param {(ip: string) => Promise<string|null>} [params.lookupCountry] -
+ *   Resolves an IP to an ISO country code, for the 'country' tolerance
+ * @returns {Promise<{action: string, update: object, changes: object}|null>}
+ *   null when nothing changed; otherwise the action to apply, the fields to
+ *   store on the session and the `{from, to}` pairs of each change that
+ *   counted
+ */
+async function evaluateSessionBinding({ session, ip, userAgent, settings, lookupCountry = null }) {
+  const ipAction = normalizeBindingAction(settings.ipChangeAction);
+  const userAgentAction = normalizeBindingAction(settings.userAgentChangeAction);
+  if (ipAction === 'ignore' && userAgentAction === 'ignore') return null;
+
+  const update = {};
+  const changes = {};
+  let action = 'ignore';
+
+  const previousIp = session.lastIpAddress || session.ipAddress;
+  if (ipAction !== 'ignore' && ip && ip !== 'unknown' && previousIp && ip !== previousIp) {
+    update.lastIpAddress = ip.substring(0, 45);
+
+    const tolerance = normalizeIpTolerance(settings.ipChangeTolerance);
+    let tolerated = tolerance === 'subnet' && isSameSubnet(previousIp, ip);
+    if (tolerance === 'country' && lookupCountry) {
+      const loginCountry = parseGeo(session.geoLocation)?.country_code || null;
+      tolerated = !!loginCountry && (await lookupCountry(ip)) === loginCountry;
+    }
+
+    if (!tolerated) {
+      changes.ipAddress = { from: previousIp, to: update.lastIpAddress };
+      action = strongestAction(action, ipAction);
+    }
+  }
+
+  const currentUserAgent =
+    typeof userAgent === 'string' && userAgent ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null;
+  const previousUserAgent = session.lastUserAgent || session.userAgent;
+  if (
+    userAgentAction !== 'ignore' &&
+    currentUserAgent &&
+    previousUserAgent &&
+    currentUserAgent !== previousUserAgent
+  ) {
+    update.lastUserAgent = currentUserAgent;
+    changes.userAgent = { from: previousUserAgent, to: currentUserAgent };
+    action = strongestAction(action, userAgentAction);
+  }
+
+  if (Object.keys(update).length === 0) return null;
+  return { action, update, changes };
+}
+
+module.exports = {
+  evaluateSessionBinding,
+  isSameSubnet,
+  networkPrefix,
+  normalizeBindingAction,
+  normalizeIpTolerance,
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Helpers for writing to the session event log (`session-event` content
+ * type) from services, middlewares and controllers.
+ *
+ * Recording is best-effort: an audit write must never break the login,
+ * refresh or termination it describes, so `recordSessionEvent` swallows
+ * every error (including the event service not being available, e.g. in
+ * partially booted test harnesses).
+ */
+
+const getClientIp = require('./getClientIp');
+const metrics = require('./metrics');
+
+/**
+ * Describes who caused a transition and from where. `ipAddress` and
+ * `userAgent` are those of the request that triggered it.
+ *
+ * @typedef {object} SessionEventActor
+ * @property {'user'|'admin'|'system'} type
+ * @property {string} [id] - User/admin id, or the system job name
+ * @property {string} [email] - Admin email (admin actors only)
+ * @property {string} [ipAddress]
+ * @property {string} [userAgent]
+ */
+
+/**
+ * Builds an actor from a Koa context. `ctx.state.user` is the admin user on
+ * admin routes and the users-permissions user on Content-API routes.
+ * @param {object} ctx
+ * @param {'user'|'admin'} type
+ * @returns {SessionEventActor}
+ */
+function actorFromContext(ctx, type) {
+  const user = ctx?.state?.user;
+  const headers = ctx?.request?.headers || ctx?.request?.header || {};
+  const id = type === 'admin' ? user?.id : user?.documentId || user?.id;
+  const actor = {
+    type,
+    id: id !== undefined && id !== null ? String(id) : undefined,
+    ipAddress: ctx ? getClientIp(ctx) : undefined,
+    userAgent: headers['user-agent'],
+  };
+  if (type === 'admin' && user?.email) actor.email = user.email;
+  return actor;
+}
+
+/**
+ * @param {string} job - Name of the job or component, e.g. `idle-cleanup`
+ * @returns {SessionEventActor}
+ */
+function systemActor(job) {
+  return { type: 'system', id: job };
+}
+
+/**
+ * Records a session event without ever throwing.
+ * @param {object} strapi
+ * @param {object} event - See the `session-event` service `record()`
+ * @returns {Promise<void>}
+ */
+async function recordSessionEvent(strapi, event) {
+  // Every per-session termination path records this event, so it doubles
+  // as the termination counter; set-based UPDATEs count on their own.
+  if (event?.type === 'terminated') {
+    metrics.increment('terminations', { reason: event.details?.reason || 'manual' });
+  }
+  try {
+    await strapi.plugin('magic-sessionmanager').service('session-event').record(event);
+  } catch (err) {
+    strapi?.log?.debug?.(`[magic-sessionmanager] Session event not recorded: ${err.message}`);
+  }
+}
+
+/**
+ * Records many events in one insert without ever throwing. Counts the
+ * terminations among them like `recordSessionEvent`.
+ * @param {object} strapi
+ * @param {object[]} events - See the `session-event` service `recordMany()`
+ * @returns {Promise<void>}
+ */
+async function recordSessionEvents(strapi, events) {
+  if (!Array.isArray(events) || events.length === 0) return;
+
+  const terminations = new Map();
+  for (const event of events) {
+    if (event?.type !== 'terminated') continue;
+    const reason = event.details?.reason || 'manual';
+    terminations.set(reason, (terminations.get(reason) || 0) + 1);
+  }
+  for (const [reason, count] of terminations) {
+    metrics.increment('terminations', { reason }, count);
+  }
+  try {
+    await strapi.plugin('magic-sessionmanager').service('session-event').recordMany(events);
+  } catch (err) {
+    strapi?.log?.debug?.(`[magic-sessionmanager] ${events.length} session event(s) not recorded: ${err.message}`);
+  }
+}
+
+module.exports = { actorFromContext, systemActor, recordSessionEvent, recordSessionEvents };
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Column set and row encoding of the admin session export
+ * (`GET /sessions/export`) and of the self-service export
+ * (`GET /my-sessions/export`).
+ *
+ * Only the columns listed in EXPORT_COLUMNS can be exported. Tokens, token
+ * hashes and the refresh-token history are deliberately not among them, so
+ * no `columns` parameter can ever put credentials into an export file.
+ */
+
+/**
+ * @param {string|Date|null|undefined} value
+ * @returns {string|null}
+ */
+function isoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Status as shown in the admin list; mirrors `admin/src/utils/sessionStatus.mjs`.
+ * @param {object} session - Enhanced session
+ * @returns {'active'|'idle'|'loggedout'|'terminated'}
+ */
+function sessionStatus(session) {
+  if (session.isActive) return session.isTrulyActive ? 'active' : 'idle';
+  if (session.terminationReason === 'logout') return 'loggedout';
+  if (session.terminationReason === 'idle') return 'idle';
+  if (session.terminationReason) return 'terminated';
+  return session.logoutTime ? 'loggedout' : 'terminated';
+}
+
+const EXPORT_COLUMNS = {
+  id: (s) => s.documentId,
+  status: sessionStatus,
+  userId: (s) => s.user?.documentId ?? null,
+  userEmail: (s) => s.user?.email ?? null,
+  username: (s) => s.user?.username ?? null,
+  ipAddress: (s) => s.ipAddress ?? null,
+  lastIpAddress: (s) => s.lastIpAddress ?? null,
+  countryCode: (s) => s.countryCode ?? s.geoLocation?.country_code ?? null,
+  country: (s) => s.geoLocation?.country ?? null,
+  city: (s) => s.city ?? s.geoLocation?.city ?? null,
+  deviceType: (s) => s.deviceType ?? null,
+  browser: (s) => s.browserName ?? null,
+  os: (s) => s.osName ?? null,
+  userAgent: (s) => s.userAgent ?? null,
+  label: (s) => s.label ?? null,
+  rememberMe: (s) => s.rememberMe === true,
+  loginTime: (s) => isoDate(s.loginTime),
+  lastActive: (s) => isoDate(s.lastActive),
+  logoutTime: (s) => isoDate(s.logoutTime),
+  expiresAt: (s) => isoDate(s.expiresAt),
+  terminationReason: (s) => s.terminationReason ?? null,
+  terminatedBy: (s) => s.terminatedBy?.email ?? s.terminatedBy?.type ?? null,
+  terminationNote: (s) => s.terminationNote ?? null,
+  securityScore: (s) => s.securityScore ?? null,
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'id',
+  'status',
+  'userEmail',
+  'username',
+  'ipAddress',
+  'countryCode',
+  'city',
+  'deviceType',
+  'browser',
+  'os',
+  'loginTime',
+  'lastActive',
+  'logoutTime',
+  'terminationReason',
+];
+
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+/**
+ * Columns of a user's own export. The admin attribution (`terminatedBy`,
+ * `terminationNote`) and the internal security score are left out.
+ */
+const OWN_EXPORT_COLUMNS = [
+  'id',
+  'status',
+  'ipAddress',
+  'lastIpAddress',
+  'countryCode',
+  'country',
+  'city',
+  'deviceType',
+  'browser',
+  'os',
+  'userAgent',
+  'label',
+  'rememberMe',
+  'loginTime',
+  'lastActive',
+  'logoutTime',
+  'expiresAt',
+  'terminationReason',
+];
+
+const OWN_EXPORT_FORMATS = {
+  json: { type: 'application/json; charset=utf-8', extension: 'json' },
+  csv: EXPORT_FORMATS.csv,
+};
+
+/**
+ * @param {unknown} value - Comma-separated column names
+ * @returns {{columns: string[], error?: string}}
+ */
+function parseExportColumns(value) {
+  if (value === undefined || value === '') return { columns: DEFAULT_EXPORT_COLUMNS };
+  if (typeof value !== 'string') return { columns: [], error: 'columns must be a comma-separated list' };
+
+  const columns = [...new Set(value.split(',').map((column) => column.trim()).filter(Boolean))];
+  const unknown = columns.filter((column) => !Object.hasOwn(EXPORT_COLUMNS, column));
+  if (unknown.length > 0) {
+    return { columns: [], error: `Unknown export column(s): ${unknown.join(', ')}` };
+  }
+  return columns.length > 0 ? { columns } : { columns: [], error: 'At least one column is required' };
+}
+
+/**
+ * Quotes a CSV field. Values a spreadsheet would run as a formula get a
+ * leading apostrophe (OWASP CSV injection guidance).
+ * @param {unknown} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string[]} columns
+ * @returns {string} The CSV header line
+ */
+function csvHeader(columns) {
+  return `${columns.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * @param {object} session - Enhanced session
+ * @param {string[]} columns
+ * @param {'csv'|'ndjson'} format
+ * @returns {string} One line of the export, including the line break
+ */
+function formatExportRow(session, columns, format) {
+  if (format === 'csv') {
+    return `${columns.map((column) => csvField(EXPORT_COLUMNS[column](session))).join(',')}\r\n`;
+  }
+  return `${JSON.stringify(exportRecord(session, columns))}\n`;
+}
+
+/**
+ * @param {object} session - Enhanced session
+ * @param {string[]} columns
+ * @returns {object} The selected columns as a plain object
+ */
+function exportRecord(session, columns) {
+  const row = {};
+  for (const column of columns) row[column] = EXPORT_COLUMNS[column](session);
+  return row;
+}
+
+module.exports = {
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  OWN_EXPORT_COLUMNS,
+  OWN_EXPORT_FORMATS,
+  csvHeader,
+  exportRecord,
+  formatExportRow,
+  parseExportColumns,
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Concurrent-session limit helpers.
+ *
+ * The effective limit for a user is resolved from the global
+ * `maxConcurrentSessions` setting and the optional `roleSessionLimits` map,
+ * which is keyed by users-permissions role `type` (e.g. `authenticated`).
+ * A role entry always wins over the global value, so a role can be exempted
+ * with `0` even while a global limit is active. `0` means unlimited.
+ *
+ * Kept pure so the resolution rules can be tested without booting Strapi.
+ */
+
+const SESSION_LIMIT_MODES = new Set(['evict', 'reject']);
+const MAX_SESSION_LIMIT = 1000;
+const ROLE_TYPE_PATTERN = /^[a-z0-9_-]{1,100}$/i;
+
+/**
+ * Coerces a limit to an integer in 0..MAX_SESSION_LIMIT.
+ * @param {unknown} value
+ * @param {number} [fallback=0]
+ * @returns {number}
+ */
+function normalizeSessionLimit(value, fallback = 0) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 0) return fallback;
+  return Math.min(n, MAX_SESSION_LIMIT);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {'evict'|'reject'}
+ */
+function normalizeSessionLimitMode(value) {
+  return SESSION_LIMIT_MODES.has(value) ? value : 'evict';
+}
+
+/**
+ * Sanitizes the role → limit map. Entries with an empty value are dropped so
+ * the role inherits the global limit.
+ * @param {unknown} value
+ * @returns {Record<string, number>}
+ */
+function normalizeRoleSessionLimits(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+
+  const out = {};
+  for (const [roleType, limit] of Object.entries(value)) {
+    if (!ROLE_TYPE_PATTERN.test(roleType)) continue;
+    if (limit === null || limit === undefined || limit === '') continue;
+    const n = Number.parseInt(limit, 10);
+    if (!Number.isFinite(n) || n < 0) continue;
+    out[roleType] = Math.min(n, MAX_SESSION_LIMIT);
+  }
+  return out;
+}
+
+/**
+ * Returns true when any limit is configured, so callers can skip the role
+ * lookup entirely on installations that do not use the feature.
+ * @param {object} settings
+ * @returns {boolean}
+ */
+function hasSessionLimits(settings = {}) {
+  if (normalizeSessionLimit(settings.maxConcurrentSessions) > 0) return true;
+  return Object.keys(normalizeRoleSessionLimits(settings.roleSessionLimits)).length > 0;
+}
+
+/**
+ * Resolves the limit for a role. Returns 0 (unlimited) when nothing applies.
+ * @param {object} settings
+ * @param {string|null} [roleType]
+ * @returns {number}
+ */
+function resolveSessionLimit(settings = {}, roleType = null) {
+  const roleLimits = normalizeRoleSessionLimits(settings.roleSessionLimits);
+  if (roleType && Object.prototype.hasOwnProperty.call(roleLimits, roleType)) {
+    return roleLimits[roleType];
+  }
+  return normalizeSessionLimit(settings.maxConcurrentSessions);
+}
+
+module.exports = {
+  MAX_SESSION_LIMIT,
+  hasSessionLimits,
+  normalizeRoleSessionLimits,
+  normalizeSessionLimit,
+  normalizeSessionLimitMode,
+  resolveSessionLimit,
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Rules for the free-form `metadata` object host apps attach to a session
+ * (selected tenant, app version, feature-flag bucket, ...).
+ *
+ * Metadata is a JSON object capped at MAX_SESSION_METADATA_BYTES once
+ * serialized, so a misbehaving client cannot grow session rows without
+ * bound. Writes merge top-level keys; a key set to `null` is removed.
+ */
+
+// See policies/session-required.js for why `errors` is not destructured.
+const errors = require('@strapi/utils').errors;
+
+const MAX_SESSION_METADATA_BYTES = 8 * 1024;
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Stored metadata as an object; legacy or malformed values read as empty.
+ * @param {unknown} value - Raw `metadata` attribute
+ * @returns {object}
+ */
+function readSessionMetadata(value) {
+  if (typeof value === 'string') {
+    try {
+      return readSessionMetadata(JSON.parse(value));
+    } catch {
+      return {};
+    }
+  }
+  return isPlainObject(value) ? value : {};
+}
+
+/**
+ * Applies a patch to the current metadata.
+ *
+ * @param {unknown} current - Raw `metadata` attribute
+ * @param {object} patch - Keys to set; `null` values remove the key
+ * @param {{replace?: boolean}} [options] - `replace: true` drops every key
+ *   not in the patch
+ * @returns {object} The new metadata
+ * @throws {errors.ValidationError} When the patch is not an object or the
+ *   result exceeds MAX_SESSION_METADATA_BYTES
+ */
+function mergeSessionMetadata(current, patch, { replace = false } = {}) {
+  if (!isPlainObject(patch)) {
+    throw new errors.ValidationError('Session metadata must be an object');
+  }
+
+  const next = replace ? {} : { ...readSessionMetadata(current) };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null || value === undefined) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(next), 'utf8');
+  if (size > MAX_SESSION_METADATA_BYTES) {
+    throw new errors.ValidationError(
+      `Session metadata must be at most ${MAX_SESSION_METADATA_BYTES} bytes (got ${size})`
+    );
+  }
+  return next;
+}
+
+module.exports = {
+  MAX_SESSION_METADATA_BYTES,
+  mergeSessionMetadata,
+  readSessionMetadata,
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * Translates the query string of the admin session list
+ * (`GET /magic-sessionmanager/sessions?page=1&pageSize=25&...`) into
+ * Document Service filters, so paging, filtering and sorting happen in the
+ * database instead of in the browser.
+ *
+ * Supported parameters:
+ *   - page, pageSize        1-based page, 1..MAX_PAGE_SIZE rows
+ *   - sort                  `field:asc|desc`, field from SORTABLE_FIELDS
+ *   - user                  email / username substring or user documentId
+ *   - status                active | idle | loggedout | terminated
+ *   - terminationReason     one of the session `terminationReason` values
+ *   - country               ISO country code
+ *   - deviceType            Desktop | Mobile | Tablet | ...
+ *   - ip                    address prefix, matched on the login and last IP
+ *   - from, to              login time range (ISO dates)
+ *
+ * `active` and `idle` are decided with the global inactivity timeout; role
+ * policies and "remember me" sessions may still show a different live
+ * status on the enhanced row.
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = new Set(['loginTime', 'lastActive', 'logoutTime', 'ipAddress', 'deviceType', 'countryCode']);
+const STATUSES = new Set(['active', 'idle', 'loggedout', 'terminated']);
+const TERMINATION_REASONS = new Set([
+  'logout',
+  'manual',
+  'idle',
+  'expired',
+  'blocked',
+  'session_limit',
+  'impossible_travel',
+  'token_reuse',
+  'client_changed',
+  'emergency',
+]);
+const FILTER_PARAMS = ['user', 'status', 'terminationReason', 'country', 'deviceType', 'ip', 'from', 'to'];
+
+/**
+ * The filterable copies of a geo lookup: `countryCode` (the `country`
+ * filter and sort) and `city`. Written together with `geoLocation`, and
+ * backfilled from it for sessions created before the columns existed.
+ * @param {object|null} geo - Geo lookup or stored `geoLocation`
+ * @returns {{countryCode?: string, city?: string}}
+ */
+function locationColumns(geo) {
+  return {
+    ...(geo?.country_code ? { countryCode: String(geo.country_code).substring(0, 2).toUpperCase() } : {}),
+    ...(geo?.city ? { city: String(geo.city).substring(0, 100) } : {}),
+  };
+}
+
+/**
+ * True when the request asks for the paged list. Without any of these
+ * parameters `GET /sessions` keeps returning the legacy unpaged list.
+ * @param {object} query - `ctx.query`
+ * @returns {boolean}
+ */
+function isPagedSessionQuery(query = {}) {
+  return ['page', 'pageSize', 'sort', ...FILTER_PARAMS].some(
+    (key) => query[key] !== undefined && query[key] !== ''
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} fallback
+ * @param {number} max
+ * @returns {number}
+ */
+function toPositiveInt(value, fallback, max) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, max);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Session filter for one of the admin list statuses; mirrors
+ * `admin/src/utils/sessionStatus.mjs`.
+ *
+ * When idle timeouts differ per role or per session, pass the cutoff of the
+ * shortest one plus `idleActiveIds`: the active sessions last seen before
+ * that cutoff that are idle under their own timeout. Active sessions last
+ * seen before the cutoff but not in the list are then still active.
+ *
+ * @param {string} status
+ * @param {Date} idleCutoff - Sessions last active before this are idle
+ * @param {string[]|null} [idleActiveIds]
+ * @returns {object|null}
+ */
+function statusFilter(status, idleCutoff, idleActiveIds = null) {
+  // Written out both ways instead of negating: `lastActive` may be NULL,
+  // and NOT over a NULL comparison matches nothing in SQL.
+  const recentlyActive = {
+    $or: [
+      { lastActive: { $gte: idleCutoff } },
+      { lastActive: { $null: true }, loginTime: { $gte: idleCutoff } },
+    ],
+  };
+  const longInactive = {
+    $or: [
+      { lastActive: { $lt: idleCutoff } },
+      { lastActive: { $null: true }, loginTime: { $lt: idleCutoff } },
+    ],
+  };
+
+  const exact = Array.isArray(idleActiveIds);
+
+  switch (status) {
+    case 'active':
+      if (exact) {
+        return idleActiveIds.length > 0
+          ? { isActive: true, documentId: { $notIn: idleActiveIds } }
+          : { isActive: true };
+      }
+      return { $and: [{ isActive: true }, recentlyActive] };
+    case 'idle':
+      if (exact) {
+        return idleActiveIds.length > 0
+          ? {
+              $or: [
+                { isActive: true, documentId: { $in: idleActiveIds } },
+                { isActive: false, terminationReason: 'idle' },
+              ],
+            }
+          : { isActive: false, terminationReason: 'idle' };
+      }
+      return {
+        $or: [
+          { $and: [{ isActive: true }, longInactive] },
+          { isActive: false, terminationReason: 'idle' },
+        ],
+      };
+    case 'loggedout':
+      return {
+        isActive: false,
+        $or: [
+          { terminationReason: 'logout' },
+          { terminationReason: { $null: true }, logoutTime: { $notNull: true } },
+        ],
+      };
+    case 'terminated':
+      return {
+        isActive: false,
+        $or: [
+          { terminationReason: { $notIn: ['logout', 'idle'] } },
+          { terminationReason: { $null: true }, logoutTime: { $null: true } },
+        ],
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Filters for every parameter except `status`, which the caller combines
+ * with them (the status counts are computed per status on top of these).
+ * @param {object} query - `ctx.query`
+ * @returns {object[]} Filter clauses to be combined with `$and`
+ */
+function buildSessionFilters(query = {}) {
+  const clauses = [];
+
+  const user = typeof query.user === 'string' ? query.user.trim() : '';
+  if (user) {
+    clauses.push({
+      $or: [
+        { user: { email: { $containsi: user } } },
+        { user: { username: { $containsi: user } } },
+        { user: { documentId: user } },
+      ],
+    });
+  }
+
+  if (TERMINATION_REASONS.has(query.terminationReason)) {
+    clauses.push({ terminationReason: query.terminationReason });
+  }
+
+  if (typeof query.country === 'string' && /^[a-z]{2}$/i.test(query.country)) {
+    clauses.push({ countryCode: query.country.toUpperCase() });
+  }
+
+  if (typeof query.deviceType === 'string' && query.deviceType.trim()) {
+    clauses.push({ deviceType: { $eqi: query.deviceType.trim() } });
+  }
+
+  const ip = typeof query.ip === 'string' ? query.ip.trim() : '';
+  if (ip) {
+    clauses.push({
+      $or: [{ ipAddress: { $startsWith: ip } }, { lastIpAddress: { $startsWith: ip } }],
+    });
+  }
+
+  const from = toDate(query.from);
+  const to = toDate(query.to);
+  if (from) clauses.push({ loginTime: { $gte: from } });
+  if (to) clauses.push({ loginTime: { $lte: to } });
+
+  return clauses;
+}
+
+/**
+ * Parses the full list request.
+ * @param {object} query - `ctx.query`
+ * @returns {{page: number, pageSize: number, sort: object, status: string|null, clauses: object[]}}
+ */
+function parseSessionQuery(query = {}) {
+  const [field, direction] = typeof query.sort === 'string' ? query.sort.split(':') : [];
+  return {
+    page: toPositiveInt(query.page, 1, Number.MAX_SAFE_INTEGER),
+    pageSize: toPositiveInt(query.pageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    sort: SORTABLE_FIELDS.has(field)
+      ? { [field]: direction === 'asc' ? 'asc' : 'desc' }
+      : { loginTime: 'desc' },
+    status: STATUSES.has(query.status) ? query.status : null,
+    clauses: buildSessionFilters(query),
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  STATUSES,
+  buildSessionFilters,
+  isPagedSessionQuery,
+  locationColumns,
+  parseSessionQuery,
+  statusFilter,
+};
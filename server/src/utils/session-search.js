@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Parses the admin session search box (`GET /sessions/search?q=...`) into
+ * Document Service filters.
+ *
+ * The query is split into terms that must all match. A term may name its
+ * field (`country:BR`, `city:"São Paulo"`, `browser:firefox`) or be bare, in
+ * which case an address or CIDR range searches the IP columns and anything
+ * else is matched against every searchable field:
+ *
+ *   user     email / username substring, or the user documentId
+ *   ip       exact address or CIDR range, login and last-seen IP
+ *   country  ISO country code
+ *   city     city substring
+ *   browser  browser name substring
+ *   os       operating system substring
+ *   session  session documentId or sessionId
+ *
+ * IPv4 ranges of any length from /8 are expanded to octet prefixes, so they
+ * stay plain string comparisons on every database. IPv6 ranges have to end
+ * on a group boundary (/16, /32, ... /112) and are compared against the
+ * address as written, so a `::` inside the prefix part is not matched.
+ */
+
+const MAX_SEARCH_LENGTH = 200;
+const MAX_SEARCH_TERMS = 5;
+const MIN_IPV4_PREFIX = 8;
+const FIELDS = new Set(['user', 'ip', 'country', 'city', 'browser', 'os', 'session']);
+const TERM_PATTERN = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+
+/**
+ * @param {string} value
+ * @returns {number[]|null} The four octets, or null when not an IPv4 address
+ */
+function parseIpv4(value) {
+  const match = value.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  return octets.every((octet) => octet <= 255) ? octets : null;
+}
+
+/**
+ * @param {string} value
+ * @returns {string[]|null} The eight groups without leading zeros, or null
+ *   when not an IPv6 address
+ */
+function parseIpv6(value) {
+  if (!/^[0-9a-f:]+$/i.test(value) || !value.includes(':')) return null;
+  const [head, tail = null, extra] = value.toLowerCase().split('::');
+  if (extra !== undefined) return null;
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (missing < 0 || (tail === null && missing !== 0)) return null;
+  const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/.test(group))) return null;
+  return groups.map((group) => group.replace(/^0+(?=.)/, ''));
+}
+
+/**
+ * @param {object} condition - Condition on a single IP column
+ * @returns {object} The condition applied to the login and last-seen IP
+ */
+function onIpColumns(condition) {
+  return { $or: [{ ipAddress: condition }, { lastIpAddress: condition }] };
+}
+
+/**
+ * Filter for an exact address or a CIDR range.
+ * @param {string} value
+ * @returns {{clause?: object, error?: string}|null} Null when the value is
+ *   not an address at all
+ */
+function ipFilter(value) {
+  const [address, bits, ...rest] = value.split('/');
+  const v4 = parseIpv4(address);
+  const v6 = v4 ? null : parseIpv6(address);
+  if (rest.length > 0 || (!v4 && !v6)) return null;
+  if (bits !== undefined && !/^\d{1,3}$/.test(bits)) {
+    return { error: `Invalid CIDR prefix length in "${value}"` };
+  }
+  const prefixLength = bits === undefined ? null : Number(bits);
+
+  if (v4) {
+    if (prefixLength === null || prefixLength === 32) {
+      return { clause: onIpColumns({ $eq: v4.join('.') }) };
+    }
+    if (prefixLength < MIN_IPV4_PREFIX || prefixLength > 32) {
+      return { error: `IPv4 ranges must be between /${MIN_IPV4_PREFIX} and /32` };
+    }
+
+    const fullOctets = Math.floor(prefixLength / 8);
+    const head = v4.slice(0, fullOctets).join('.');
+    const hostBits = 8 - (prefixLength % 8);
+    if (hostBits === 8) {
+      return { clause: onIpColumns({ $startsWith: `${head}.` }) };
+    }
+
+    const first = v4[fullOctets] & (0xff << hostBits) & 0xff;
+    const octets = Array.from({ length: 2 ** hostBits }, (_, i) => first + i);
+    if (fullOctets === 3) {
+      return { clause: onIpColumns({ $in: octets.map((octet) => `${head}.${octet}`) }) };
+    }
+    return {
+      clause: {
+        $or: octets.map((octet) => onIpColumns({ $startsWith: `${head}.${octet}.` })),
+      },
+    };
+  }
+
+  if (prefixLength === null || prefixLength === 128) {
+    const candidates = [...new Set([address.toLowerCase(), v6.join(':')])];
+    return { clause: onIpColumns({ $in: candidates }) };
+  }
+  if (prefixLength < 16 || prefixLength > 112 || prefixLength % 16 !== 0) {
+    return { error: 'IPv6 ranges must be a multiple of /16 between /16 and /112' };
+  }
+  return { clause: onIpColumns({ $startsWith: `${v6.slice(0, prefixLength / 16).join(':')}:` }) };
+}
+
+/**
+ * Filter for one search term.
+ * @param {string|null} field - Named field, or null for a bare term
+ * @param {string} value
+ * @returns {{clause?: object, error?: string}}
+ */
+function termFilter(field, value) {
+  const userClause = {
+    $or: [
+      { user: { email: { $containsi: value } } },
+      { user: { username: { $containsi: value } } },
+      { user: { documentId: value } },
+    ],
+  };
+  const sessionClause = { $or: [{ documentId: value }, { sessionId: value }] };
+  const countryClause = /^[a-z]{2}$/i.test(value) ? { countryCode: value.toUpperCase() } : null;
+
+  switch (field) {
+    case 'user':
+      return { clause: userClause };
+    case 'ip':
+      return ipFilter(value) || { error: `"${value}" is not an IP address or CIDR range` };
+    case 'country':
+      return countryClause
+        ? { clause: countryClause }
+        : { error: 'Country must be a two-letter ISO code' };
+    case 'city':
+      return { clause: { city: { $containsi: value } } };
+    case 'browser':
+      return { clause: { browserName: { $containsi: value } } };
+    case 'os':
+      return { clause: { osName: { $containsi: value } } };
+    case 'session':
+      return { clause: sessionClause };
+    default: {
+      const ip = ipFilter(value);
+      if (ip) return ip;
+      return {
+        clause: {
+          $or: [
+            ...userClause.$or,
+            ...sessionClause.$or,
+            ...(countryClause ? [countryClause] : []),
+            { city: { $containsi: value } },
+            { browserName: { $containsi: value } },
+            { osName: { $containsi: value } },
+          ],
+        },
+      };
+    }
+  }
+}
+
+/**
+ * @param {unknown} q - Raw search string
+ * @returns {{clauses: object[], error?: string}} Filter clauses to be
+ *   combined with `$and`, or the reason the search is invalid
+ */
+function parseSessionSearch(q) {
+  const search = typeof q === 'string' ? q.trim() : '';
+  if (!search) return { clauses: [], error: 'Search query is required' };
+  if (search.length > MAX_SEARCH_LENGTH) {
+    return { clauses: [], error: `Search query must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+
+  const clauses = [];
+  for (const [, rawField, quoted, bare] of search.matchAll(TERM_PATTERN)) {
+    const field = rawField && FIELDS.has(rawField.toLowerCase()) ? rawField.toLowerCase() : null;
+    // `2001:db8::1` parses as field "2001"; unknown fields stay part of the term.
+    const value = (field || !rawField ? quoted ?? bare : `${rawField}:${quoted ?? bare}`).trim();
+    if (!value) continue;
+
+    const { clause, error } = termFilter(field, value);
+    if (error) return { clauses: [], error };
+    clauses.push(clause);
+  }
+
+  if (clauses.length === 0) return { clauses: [], error: 'Search query is required' };
+  if (clauses.length > MAX_SEARCH_TERMS) {
+    return { clauses: [], error: `Search query may have at most ${MAX_SEARCH_TERMS} terms` };
+  }
+  return { clauses };
+}
+
+module.exports = {
+  ipFilter,
+  parseSessionSearch,
+};
@@ -9,18 +9,37 @@
  * (milliseconds).
  *
  * The merged settings are cached in-memory for a short TTL to avoid DB reads
- * on every request. Admin-side updates call `invalidateSettingsCache()` to
- * force an immediate reload.
+ * on every request, and the raw stored settings are shared through the
+ * shared-state store so other instances skip the DB read as well.
+ * Admin-side updates call `invalidateSettingsCache()`, which drops both and
+ * tells every instance to reload.
  */
 
+const {
+  normalizeRoleSessionLimits,
+  normalizeSessionLimit,
+  normalizeSessionLimitMode,
+} = require('./session-limit');
+const { toRuntimeRolePolicies } = require('./role-policy');
+const { normalizeImpossibleTravelAction, normalizeMaxSpeedKmh } = require('./impossible-travel');
+const { normalizeBindingAction, normalizeIpTolerance } = require('./session-binding');
+const { normalizeArchiveMode, normalizeArchiveRetentionDays } = require('./session-archive');
+const { normalizeAnonymizeAfterDays } = require('./anonymize');
+const { getSharedState } = require('./shared-state');
+
 const PLUGIN_ID = 'magic-sessionmanager';
 const SETTINGS_KEY = 'settings';
 const CACHE_TTL_MS = 30 * 1000;
+const SHARED_SETTINGS_KEY = 'settings';
+const INVALIDATION_CHANNEL = 'settings-invalidated';
 const GEO_IP_PROVIDERS = new Set(['auto', 'local-mmdb', 'ipapi', 'disabled']);
 const GEO_LOOKUP_FAILURE_MODES = new Set(['auto', 'allow', 'block']);
+const REFRESH_TOKEN_REUSE_SCOPES = new Set(['session', 'user']);
 
 let cached = null;
 let cachedAt = 0;
+// Bumped by every invalidation; a read that overlapped one does not cache
+let generation = 0;
 
 /**
  * Safely coerces a value to a positive integer within bounds.
@@ -64,6 +83,19 @@ function getSessionCreationGraceMs(settings = {}) {
   return toIntInRange(settings.sessionCreationGraceMs, 5000, 0, 30000);
 }
 
+/**
+ * Reads how long after its rotation a replayed refresh token is still taken
+ * for a concurrent refresh rather than theft. Preserves an explicit `0`.
+ * @param {object} settings
+ * @returns {number} Seconds, 0..300
+ */
+function getRefreshTokenReuseGraceSeconds(settings = {}) {
+  if (!settings || settings.refreshTokenReuseGraceSeconds === undefined) {
+    return 30;
+  }
+  return toIntInRange(settings.refreshTokenReuseGraceSeconds, 30, 0, 300);
+}
+
 function normalizeGeoIpProvider(value) {
   return GEO_IP_PROVIDERS.has(value) ? value : 'auto';
 }
@@ -72,6 +104,10 @@ function normalizeGeoLookupFailureMode(value) {
   return GEO_LOOKUP_FAILURE_MODES.has(value) ? value : 'auto';
 }
 
+function normalizeRefreshTokenReuseScope(value) {
+  return REFRESH_TOKEN_REUSE_SCOPES.has(value) ? value : 'session';
+}
+
 function normalizeGeoIpDatabasePath(value) {
   if (typeof value !== 'string') return '';
   return value.replace(/\0/g, '').trim().slice(0, 1024);
@@ -101,12 +137,38 @@ function normalizeStoredSettings(stored) {
   if (stored.retentionDays !== undefined) {
     out.retentionDays = normalizeRetentionDays(stored.retentionDays, 90);
   }
+  // archiveDirectory is deliberately not read from the store: only the
+  // static config decides where archive files are written.
+  if (stored.archiveMode !== undefined) {
+    out.archiveMode = normalizeArchiveMode(stored.archiveMode);
+  }
+  if (stored.archiveRetentionDays !== undefined) {
+    out.archiveRetentionDays = normalizeArchiveRetentionDays(stored.archiveRetentionDays);
+  }
+  if (stored.anonymizeAfterDays !== undefined) {
+    out.anonymizeAfterDays = normalizeAnonymizeAfterDays(stored.anonymizeAfterDays);
+  }
   if (stored.maxSessionAgeDays !== undefined) {
     out.maxSessionAgeDays = toIntInRange(stored.maxSessionAgeDays, 30, 1, 365);
   }
+  if (stored.rememberMeIdleDays !== undefined) {
+    out.rememberMeIdleDays = toIntInRange(stored.rememberMeIdleDays, 14, 1, 365);
+  }
+  if (stored.rememberMeMaxAgeDays !== undefined) {
+    out.rememberMeMaxAgeDays = toIntInRange(stored.rememberMeMaxAgeDays, 90, 1, 365);
+  }
   if (stored.maxFailedLogins !== undefined) {
     out.maxFailedLogins = toIntInRange(stored.maxFailedLogins, 5, 0, 100);
   }
+  if (stored.trustedDeviceDays !== undefined) {
+    out.trustedDeviceDays = toIntInRange(stored.trustedDeviceDays, 90, 1, 365);
+  }
+  if (stored.impossibleTravelSpeedKmh !== undefined) {
+    out.impossibleTravelSpeedKmh = normalizeMaxSpeedKmh(stored.impossibleTravelSpeedKmh);
+  }
+  if (stored.impossibleTravelAction !== undefined) {
+    out.impossibleTravelAction = normalizeImpossibleTravelAction(stored.impossibleTravelAction);
+  }
 
   const passthroughBooleans = [
     'enableGeolocation',
@@ -119,6 +181,12 @@ function normalizeStoredSettings(stored) {
     'enableWebhooks',
     'enableGeofencing',
     'strictSessionEnforcement',
+    'enableRememberMe',
+    'detectRefreshTokenReuse',
+    'enableDeviceTracking',
+    'trustedDeviceGeoBypass',
+    'trustedDeviceSuppressAlerts',
+    'enableImpossibleTravel',
     // Opt-in: use a single-statement SQL UPDATE in the cleanup job instead
     // of batching via the Document Service. Bypasses lifecycle hooks but
     // drains the backlog in one query on very large installations.
@@ -145,6 +213,18 @@ function normalizeStoredSettings(stored) {
   if (stored.rateLimitWindowSeconds !== undefined) {
     out.rateLimitWindowSeconds = toIntInRange(stored.rateLimitWindowSeconds, 60, 10, 3600);
   }
+  if (stored.maxConcurrentSessions !== undefined) {
+    out.maxConcurrentSessions = normalizeSessionLimit(stored.maxConcurrentSessions);
+  }
+  if (stored.sessionLimitMode !== undefined) {
+    out.sessionLimitMode = normalizeSessionLimitMode(stored.sessionLimitMode);
+  }
+  if (stored.roleSessionLimits !== undefined) {
+    out.roleSessionLimits = normalizeRoleSessionLimits(stored.roleSessionLimits);
+  }
+  if (stored.rolePolicies !== undefined) {
+    out.rolePolicies = toRuntimeRolePolicies(stored.rolePolicies);
+  }
   for (const key of passthroughBooleans) {
     if (stored[key] !== undefined) out[key] = !!stored[key];
   }
@@ -161,6 +241,21 @@ function normalizeStoredSettings(stored) {
   if (Array.isArray(stored.blockedCountries)) {
     out.blockedCountries = stored.blockedCountries;
   }
+  if (stored.ipChangeAction !== undefined) {
+    out.ipChangeAction = normalizeBindingAction(stored.ipChangeAction);
+  }
+  if (stored.ipChangeTolerance !== undefined) {
+    out.ipChangeTolerance = normalizeIpTolerance(stored.ipChangeTolerance);
+  }
+  if (stored.userAgentChangeAction !== undefined) {
+    out.userAgentChangeAction = normalizeBindingAction(stored.userAgentChangeAction);
+  }
+  if (stored.refreshTokenReuseScope !== undefined) {
+    out.refreshTokenReuseScope = normalizeRefreshTokenReuseScope(stored.refreshTokenReuseScope);
+  }
+  if (stored.refreshTokenReuseGraceSeconds !== undefined) {
+    out.refreshTokenReuseGraceSeconds = getRefreshTokenReuseGraceSeconds(stored);
+  }
   if (stored.geoIpProvider !== undefined) {
     out.geoIpProvider = normalizeGeoIpProvider(stored.geoIpProvider);
   }
@@ -194,11 +289,19 @@ async function getPluginSettings(strapi) {
   }
 
   const staticConfig = strapi.config.get(`plugin::${PLUGIN_ID}`) || {};
+  const readGeneration = generation;
   let storedSettings = {};
 
   try {
-    const pluginStore = strapi.store({ type: 'plugin', name: PLUGIN_ID });
-    const raw = await pluginStore.get({ key: SETTINGS_KEY });
+    const sharedState = getSharedState();
+    let raw = await sharedState.get(SHARED_SETTINGS_KEY);
+    if (raw === undefined) {
+      const pluginStore = strapi.store({ type: 'plugin', name: PLUGIN_ID });
+      raw = (await pluginStore.get({ key: SETTINGS_KEY })) ?? null;
+      if (generation === readGeneration) {
+        await sharedState.set(SHARED_SETTINGS_KEY, raw, CACHE_TTL_MS);
+      }
+    }
     storedSettings = normalizeStoredSettings(raw);
   } catch (err) {
     strapi.log.debug(`[${PLUGIN_ID}] settings-loader: store read failed, using static config only:`, err.message);
@@ -206,8 +309,11 @@ async function getPluginSettings(strapi) {
 
   const merged = { ...staticConfig, ...storedSettings };
 
-  cached = merged;
-  cachedAt = now;
+  // Settings read before an invalidation finished may be the old ones
+  if (generation === readGeneration) {
+    cached = merged;
+    cachedAt = now;
+  }
   return merged;
 }
 
@@ -222,23 +328,57 @@ function getPluginSettingsSync(strapi) {
   return strapi.config.get(`plugin::${PLUGIN_ID}`) || {};
 }
 
+function clearLocalCache() {
+  generation++;
+  cached = null;
+  cachedAt = 0;
+}
+
 /**
- * Invalidate the cache so next call re-reads from store.
+ * Invalidate the cache so next call re-reads from store, on this instance
+ * and (through the shared-state store) on all others.
  * Called by settings controller after updates.
+ *
+ * The shared copy is deleted before the other instances are told, so none
+ * of them can reload it; reads that overlap the delete are not cached.
+ * @returns {Promise<void>}
  */
-function invalidateSettingsCache() {
-  cached = null;
-  cachedAt = 0;
+async function invalidateSettingsCache() {
+  clearLocalCache();
+  const sharedState = getSharedState();
+  try {
+    await sharedState.delete(SHARED_SETTINGS_KEY);
+  } catch {
+    // The failover store answers from memory; nothing else to clear
+  }
+  clearLocalCache();
+  try {
+    await sharedState.publish(INVALIDATION_CHANNEL, String(Date.now()));
+  } catch {
+    // Other instances pick the change up when their cache expires
+  }
+}
+
+/**
+ * Drops the local cache whenever another instance invalidates the settings.
+ * Called once at bootstrap, after the shared-state store is configured.
+ * @returns {Promise<void>}
+ */
+function listenForSettingsInvalidation() {
+  return getSharedState().subscribe(INVALIDATION_CHANNEL, clearLocalCache);
 }
 
 module.exports = {
   getPluginSettings,
   getPluginSettingsSync,
   invalidateSettingsCache,
+  listenForSettingsInvalidation,
   normalizeStoredSettings,
   normalizeRetentionDays,
   getSessionCreationGraceMs,
+  getRefreshTokenReuseGraceSeconds,
   normalizeGeoIpProvider,
   normalizeGeoIpDatabasePath,
   normalizeGeoLookupFailureMode,
+  normalizeRefreshTokenReuseScope,
 };
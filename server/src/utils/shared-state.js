@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * Shared state for state that must agree across Strapi instances: rate-limit
+ * buckets, the failed-login lockout, JWT rejection reasons, the lastActive
+ * touch throttle and the settings cache.
+ *
+ * Two drivers, chosen by the static `sharedState` plugin config:
+ *   - 'memory' (default): process-local, fine for a single instance
+ *   - 'redis': any server speaking the Redis protocol, so every instance
+ *     behind a load balancer sees the same counters
+ *
+ * Each failed operation of the Redis driver is answered by a process-local
+ * memory store instead, which is how the plugin behaved before this store
+ * existed. A closed connection fails at once; a server that stops
+ * answering costs a few command timeouts (`commandTimeoutMs`) until the
+ * client drops the connection, after which operations fail at once too.
+ * Keys and pub/sub channels are namespaced with `keyPrefix`.
+ *
+ * Values must be JSON-serializable.
+ */
+
+const { createRedisConnection } = require('./redis-client');
+const { createLogger } = require('./logger');
+
+const PLUGIN_ID = 'magic-sessionmanager';
+const DEFAULT_KEY_PREFIX = `${PLUGIN_ID}:`;
+const DEFAULT_MAX_ENTRIES = 50_000;
+const CONNECT_TIMEOUT_MS = 2000;
+const FAILOVER_WARN_INTERVAL_MS = 60_000;
+
+const TAKE_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if value then redis.call('DEL', KEYS[1]) end
+return value`;
+
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return {count, ttl}`;
+
+/**
+ * @typedef {Object} SharedStateStore
+ * @property {string} name - 'memory' or 'redis'
+ * @property {(key: string) => Promise<unknown>} get - undefined when missing
+ * @property {(key: string, value: unknown, ttlMs: number) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(key: string) => Promise<unknown>} take - get and delete in one step
+ * @property {(key: string, ttlMs: number) => Promise<{count: number, ttlMs: number}>} increment -
+ *   The TTL starts with the first increment and is not extended by later ones
+ * @property {(key: string, ttlMs: number) => Promise<boolean>} claim - Sets
+ *   the key only if absent; true when this caller set it
+ * @property {(channel: string, message: string) => Promise<void>} publish
+ * @property {(channel: string, handler: (message: string) => void) => Promise<void>} subscribe
+ * @property {() => Promise<void>} close
+ */
+
+/** @param {number} ttlMs */
+const toTtl = (ttlMs) => Math.max(1, Math.ceil(Number(ttlMs) || 0));
+
+/**
+ * @param {{maxEntries?: number}} [options]
+ * @returns {SharedStateStore}
+ */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }
+  const channels = new Map(); // channel → Set<handler>
+
+  const read = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const write = (key, value, ttlMs) => {
+    const now = Date.now();
+    if (!entries.has(key) && entries.size >= maxEntries) {
+      for (const [k, v] of entries) {
+        if (v.expiresAt <= now) entries.delete(k);
+      }
+      // Still full: drop the oldest insertions
+      const excess = entries.size - maxEntries + 1;
+      if (excess > 0) {
+        let dropped = 0;
+        for (const k of entries.keys()) {
+          if (dropped++ >= excess) break;
+          entries.delete(k);
+        }
+      }
+    }
+    const entry = { value, expiresAt: now + toTtl(ttlMs) };
+    entries.set(key, entry);
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return read(key)?.value;
+    },
+
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async take(key) {
+      const entry = read(key);
+      entries.delete(key);
+      return entry?.value;
+    },
+
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      const entry = read(key, now) || write(key, 0, ttlMs);
+      entry.value += 1;
+      return { count: entry.value, ttlMs: entry.expiresAt - now };
+    },
+
+    async claim(key, ttlMs) {
+      if (read(key)) return false;
+      write(key, 1, ttlMs);
+      return true;
+    },
+
+    async publish(channel, message) {
+      for (const handler of channels.get(channel) || []) handler(message);
+    },
+
+    async subscribe(channel, handler) {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(handler);
+    },
+
+    async close() {
+      entries.clear();
+      channels.clear();
+    },
+  };
+}
+
+/**
+ * @param {{url: string, keyPrefix?: string, log?: object, commandTimeoutMs?: number}} options
+ * @returns {SharedStateStore & {waitUntilReady: (timeoutMs: number) => Promise<boolean>}}
+ */
+function createRedisStore({ url, keyPrefix = DEFAULT_KEY_PREFIX, log = null, commandTimeoutMs }) {
+  const connection = createRedisConnection(url, { log, commandTimeoutMs });
+  const handlers = new Map(); // prefixed channel → Set<handler>
+  let subscriber = null;
+
+  const k = (key) => `${keyPrefix}${key}`;
+  const decode = (raw) => (raw === null || raw === undefined ? undefined : JSON.parse(raw));
+
+  // Pub/sub needs its own connection: a subscribed connection only accepts
+  // (UN)SUBSCRIBE commands.
+  const getSubscriber = () => {
+    if (!subscriber) {
+      subscriber = createRedisConnection(url, {
+        log,
+        commandTimeoutMs,
+        onMessage: (channel, message) => {
+          for (const handler of handlers.get(channel) || []) handler(message);
+        },
+        onReady: async (send) => {
+          for (const channel of handlers.keys()) await send(['SUBSCRIBE', channel]);
+        },
+      });
+    }
+    return subscriber;
+  };
+
+  return {
+    name: 'redis',
+
+    waitUntilReady: (timeoutMs) => connection.waitUntilReady(timeoutMs),
+
+    async get(key) {
+      return decode(await connection.command(['GET', k(key)]));
+    },
+
+    async set(key, value, ttlMs) {
+      await connection.command(['SET', k(key), JSON.stringify(value), 'PX', toTtl(ttlMs)]);
+    },
+
+    async delete(key) {
+      await connection.command(['DEL', k(key)]);
+    },
+
+    async take(key) {
+      return decode(await connection.command(['EVAL', TAKE_SCRIPT, 1, k(key)]));
+    },
+
+    async increment(key, ttlMs) {
+      const [count, ttl] = await connection.command(['EVAL', INCREMENT_SCRIPT, 1, k(key), toTtl(ttlMs)]);
+      return { count, ttlMs: ttl };
+    },
+
+    async claim(key, ttlMs) {
+      return (await connection.command(['SET', k(key), '1', 'PX', toTtl(ttlMs), 'NX'])) === 'OK';
+    },
+
+    async publish(channel, message) {
+      await connection.command(['PUBLISH', k(channel), message]);
+    },
+
+    async subscribe(channel, handler) {
+      const prefixed = k(channel);
+      const isNew = !handlers.has(prefixed);
+      if (isNew) handlers.set(prefixed, new Set());
+      handlers.get(prefixed).add(handler);
+      const conn = getSubscriber();
+      // Before the first connect, onReady subscribes to every channel
+      if (isNew) await conn.command(['SUBSCRIBE', prefixed]).catch(() => {});
+    },
+
+    async close() {
+      connection.close();
+      subscriber?.close();
+      handlers.clear();
+    },
+  };
+}
+
+/**
+ * Answers every failed `primary` operation with `fallback`. Operations are
+ * started on `primary` synchronously, so the caller's command order holds.
+ *
+ * @param {SharedStateStore} primary
+ * @param {SharedStateStore} fallback
+ * @param {{warn: Function}} log
+ * @returns {SharedStateStore}
+ */
+function createFailoverStore(primary, fallback, log) {
+  let warnedAt = 0;
+
+  const run = (op) => (...args) => primary[op](...args).catch((err) => {
+    const now = Date.now();
+    if (now - warnedAt >= FAILOVER_WARN_INTERVAL_MS) {
+      warnedAt = now;
+      log.warn(`[SHARED-STATE] ${primary.name} unavailable (${err.message}); using process-local state`);
+    }
+    return fallback[op](...args);
+  });
+
+  return {
+    name: primary.name,
+    get: run('get'),
+    set: run('set'),
+    delete: run('delete'),
+    take: run('take'),
+    increment: run('increment'),
+    claim: run('claim'),
+    publish: run('publish'),
+    // Failed publishes reach local subscribers through the fallback
+    async subscribe(channel, handler) {
+      await Promise.all([primary.subscribe(channel, handler), fallback.subscribe(channel, handler)]);
+    },
+    async close() {
+      await Promise.all([primary.close(), fallback.close()]);
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * The store configured at bootstrap, or a memory store before that (and in
+ * tests).
+ * @returns {SharedStateStore}
+ */
+function getSharedState() {
+  if (!activeStore) activeStore = createMemoryStore();
+  return activeStore;
+}
+
+/**
+ * Creates the store from the static `sharedState` config. With the Redis
+ * driver it waits briefly for the first connection; startup continues on
+ * process-local state if Redis is not reachable yet.
+ *
+ * @param {object} strapi
+ * @returns {Promise<SharedStateStore>}
+ */
+async function configureSharedState(strapi) {
+  const log = createLogger(strapi);
+  const config = (strapi.config.get(`plugin::${PLUGIN_ID}`) || {}).sharedState || {};
+
+  await closeSharedState();
+  if (config.driver !== 'redis') {
+    activeStore = createMemoryStore();
+    return activeStore;
+  }
+
+  const redis = createRedisStore({ url: config.url, keyPrefix: config.keyPrefix || DEFAULT_KEY_PREFIX, log });
+  activeStore = createFailoverStore(redis, createMemoryStore(), log);
+  if (await redis.waitUntilReady(CONNECT_TIMEOUT_MS)) {
+    log.info('[SHARED-STATE] Using Redis for rate limits, lockouts and caches');
+  } else {
+    log.warn('[SHARED-STATE] Redis not reachable yet; using process-local state until it is');
+  }
+  return activeStore;
+}
+
+/**
+ * Closes the active store's connections. Called from the destroy hook.
+ * @returns {Promise<void>}
+ */
+async function closeSharedState() {
+  const store = activeStore;
+  activeStore = null;
+  if (store) await store.close();
+}
+
+module.exports = {
+  closeSharedState,
+  configureSharedState,
+  createFailoverStore,
+  createMemoryStore,
+  createRedisStore,
+  getSharedState,
+};
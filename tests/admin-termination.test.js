@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const sessionController = require('../server/src/controllers/session');
+const { enhanceSession } = require('../server/src/utils/enhance-session');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+function createStrapi(sessions) {
+  const strapi = {
+    log,
+    config: { get: () => ({}) },
+    documents() {
+      return {
+        findOne: async ({ documentId }) => sessions[documentId] || null,
+        update: async ({ documentId, data }) => Object.assign(sessions[documentId], data),
+      };
+    },
+  };
+  const sessionService = createSessionService({ strapi });
+  strapi.plugin = () => ({
+    service: (name) => {
+      if (name === 'session') return sessionService;
+      throw new Error(`Unexpected service ${name}`);
+    },
+  });
+  return strapi;
+}
+
+function createAdminCtx(body) {
+  return {
+    params: { sessionId: 'session-1' },
+    request: { body, headers: {} },
+    state: { user: { id: 7, email: 'oncall@example.com' } },
+    badRequest(message) {
+      this.status = 400;
+      this.error = message;
+    },
+  };
+}
+
+test('admin termination stores the acting admin and note and echoes them', async () => {
+  const sessions = { 'session-1': { documentId: 'session-1', isActive: true } };
+  global.strapi = createStrapi(sessions);
+
+  const ctx = createAdminCtx({ note: '  INC-4711 credential stuffing  ' });
+  await sessionController.terminateSingleSession(ctx);
+
+  assert.equal(sessions['session-1'].isActive, false);
+  assert.equal(sessions['session-1'].terminationReason, 'manual');
+  assert.deepEqual(sessions['session-1'].terminatedBy, { id: '7', email: 'oncall@example.com' });
+  assert.equal(sessions['session-1'].terminationNote, 'INC-4711 credential stuffing');
+  assert.equal(ctx.body.terminatedCount, 1);
+  assert.deepEqual(ctx.body.terminatedBy, { id: '7', email: 'oncall@example.com' });
+  assert.equal(ctx.body.note, 'INC-4711 credential stuffing');
+});
+
+test('admin termination rejects an oversized or non-string note', async () => {
+  const sessions = { 'session-1': { documentId: 'session-1', isActive: true } };
+  global.strapi = createStrapi(sessions);
+
+  const tooLong = createAdminCtx({ note: 'x'.repeat(501) });
+  await sessionController.terminateSingleSession(tooLong);
+  assert.equal(tooLong.status, 400);
+
+  const wrongType = createAdminCtx({ note: { text: 'nope' } });
+  await sessionController.terminateSingleSession(wrongType);
+  assert.equal(wrongType.status, 400);
+
+  assert.equal(sessions['session-1'].isActive, true);
+});
+
+test('enhanceSession hides admin attribution unless asked for it', async () => {
+  const session = {
+    documentId: 'session-1',
+    isActive: false,
+    loginTime: new Date().toISOString(),
+    terminatedBy: { id: '7', email: 'oncall@example.com' },
+    terminationNote: 'INC-4711',
+  };
+
+  const publicView = await enhanceSession(session);
+  assert.equal('terminatedBy' in publicView, false);
+  assert.equal('terminationNote' in publicView, false);
+
+  const adminView = await enhanceSession(session, { includeTerminationAudit: true });
+  assert.deepEqual(adminView.terminatedBy, { id: '7', email: 'oncall@example.com' });
+  assert.equal(adminView.terminationNote, 'INC-4711');
+});
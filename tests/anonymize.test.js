@@ -0,0 +1,192 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const { enhanceSession } = require('../server/src/utils/enhance-session');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+const {
+  anonymizeEventData,
+  anonymizeSessionData,
+  normalizeAnonymizeAfterDays,
+  truncateIp,
+} = require('../server/src/utils/anonymize');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+const CHROME_ON_WINDOWS =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.109 Safari/537.36';
+
+test('IPs are truncated to /24 and /48, geo to the country and user agents to browser and OS', () => {
+  assert.equal(truncateIp('203.0.113.77'), '203.0.113.0');
+  assert.equal(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+  assert.equal(truncateIp('2001:db8::1'), '2001:db8::');
+  assert.equal(truncateIp('64:ff9b:1::203.0.113.5'), '64:ff9b:1::');
+  assert.equal(truncateIp('::ffff:198.51.100.9'), '::ffff:198.51.100.0');
+  assert.equal(truncateIp('fe80::1%eth0'), 'fe80::');
+  assert.equal(truncateIp('unknown'), null);
+
+  const data = anonymizeSessionData(
+    {
+      ipAddress: '203.0.113.77',
+      lastIpAddress: '2001:db8:85a3:8d3::1',
+      userAgent: CHROME_ON_WINDOWS,
+      browserName: 'Chrome 120.0.6099.109',
+      geoLocation: { country: 'Germany', country_code: 'DE', country_flag: 'DE', city: 'Berlin', region: 'BE', timezone: 'Europe/Berlin' },
+    },
+    new Date('2026-10-19T00:00:00Z')
+  );
+  assert.deepEqual(data, {
+    ipAddress: '203.0.113.0',
+    lastIpAddress: '2001:db8:85a3::',
+    userAgent: null,
+    lastUserAgent: null,
+    deviceType: 'desktop',
+    browserName: 'Chrome 120',
+    osName: 'Windows 10/11',
+    geoLocation: { country: 'Germany', country_code: 'DE', country_flag: 'DE' },
+    countryCode: 'DE',
+    city: null,
+    anonymizedAt: new Date('2026-10-19T00:00:00Z'),
+  });
+
+  const event = anonymizeEventData({
+    ipAddress: '198.51.100.23',
+    userAgent: CHROME_ON_WINDOWS,
+    details: { action: 'record', ipAddress: { from: '198.51.100.23', to: '192.0.2.4' }, userAgent: { from: CHROME_ON_WINDOWS, to: null } },
+  });
+  assert.equal(event.ipAddress, '198.51.100.0');
+  assert.equal(event.userAgent, null);
+  assert.deepEqual(event.details, {
+    action: 'record',
+    ipAddress: { from: '198.51.100.0', to: '192.0.2.0' },
+    userAgent: { from: 'Chrome 120 on Windows 10/11', to: null },
+  });
+
+  assert.equal(normalizeAnonymizeAfterDays('30'), 30);
+  assert.equal(normalizeAnonymizeAfterDays(-5), 0);
+  assert.equal(normalizeAnonymizeAfterDays('nope'), 0);
+});
+
+test('anonymizeOldSessions rewrites ended sessions past the cutoff, then their events, archive and devices', async () => {
+  invalidateSettingsCache();
+  const rows = new Map([
+    ['s1', { documentId: 's1', ipAddress: '203.0.113.77', userAgent: CHROME_ON_WINDOWS, geoLocation: { country: 'Germany', country_code: 'DE', city: 'Berlin' } }],
+  ]);
+  const findManyCalls = [];
+  const eventCalls = [];
+  const strapi = {
+    log,
+    config: { get: (key, fallback) => (key === 'plugin::magic-sessionmanager' ? { anonymizeAfterDays: 30 } : fallback) },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async (params) => {
+        findManyCalls.push(params);
+        return [...rows.values()].filter((row) => !row.anonymizedAt);
+      },
+      update: async ({ documentId, data }) => Object.assign(rows.get(documentId), data),
+    }),
+    plugin: () => ({
+      service: (name) => ({
+        anonymize: async (params) => {
+          eventCalls.push({ name, ...params });
+          return { 'session-event': 4, 'session-archive': 2, device: 1 }[name];
+        },
+      }),
+    }),
+  };
+
+  try {
+    const service = createSessionService({ strapi });
+    const before = Date.now();
+    assert.deepEqual(await service.anonymizeOldSessions(), { sessions: 1, events: 4, archived: 2, devices: 1 });
+
+    const { $and } = findManyCalls[0].filters;
+    assert.equal($and[0].isActive, false);
+    assert.deepEqual($and[1], { anonymizedAt: { $null: true } });
+    const cutoff = $and[0].$or[0].logoutTime.$lt.getTime();
+    assert.ok(Math.abs(before - 30 * 24 * 60 * 60 * 1000 - cutoff) < 1000);
+    assert.deepEqual(eventCalls.map((call) => call.name), ['session-event', 'session-archive', 'device']);
+    assert.ok(eventCalls.every((call) => call.before.getTime() === cutoff));
+    assert.equal(rows.get('s1').ipAddress, '203.0.113.0');
+    assert.equal(rows.get('s1').city, null);
+
+    assert.deepEqual(
+      await service.anonymizeOldSessions({ anonymizeAfterDays: 0 }),
+      { sessions: 0, events: 0, archived: 0, devices: 0 }
+    );
+    assert.equal(findManyCalls.length, 1);
+  } finally {
+    invalidateSettingsCache();
+  }
+});
+
+test('anonymizeOldSessions skips sessions that failed instead of selecting them again', async () => {
+  invalidateSettingsCache();
+  const rows = Array.from({ length: 450 }, (_, index) => ({ documentId: `s${index}`, ipAddress: '203.0.113.77' }));
+  const failing = new Set(rows.slice(0, 200).map((row) => row.documentId));
+  const warnings = [];
+  let reads = 0;
+  const strapi = {
+    log: { ...log, warn: (message) => warnings.push(message) },
+    config: { get: (key, fallback) => (key === 'plugin::magic-sessionmanager' ? { anonymizeAfterDays: 30 } : fallback) },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async ({ filters, limit }) => {
+        reads++;
+        const excluded = filters.$and[2]?.documentId.$notIn || [];
+        return rows.filter((row) => !row.anonymizedAt && !excluded.includes(row.documentId)).slice(0, limit);
+      },
+      update: async ({ documentId, data }) => {
+        if (failing.has(documentId)) throw new Error('row locked');
+        Object.assign(rows.find((row) => row.documentId === documentId), data);
+      },
+    }),
+    plugin: () => ({ service: () => ({ anonymize: async () => 0 }) }),
+  };
+
+  try {
+    const result = await createSessionService({ strapi }).anonymizeOldSessions();
+
+    assert.equal(result.sessions, 250);
+    assert.equal(reads, 3);
+    assert.ok(rows.slice(200).every((row) => row.anonymizedAt));
+    assert.ok(warnings.some((message) => message.includes('200 session(s) could not be anonymized')));
+  } finally {
+    invalidateSettingsCache();
+  }
+});
+
+test('anonymized sessions are not geo-located again from their truncated IP', async () => {
+  let lookups = 0;
+  const geolocationService = {
+    getIpInfo: async () => {
+      lookups++;
+      return { _status: 'ok', country: 'Germany', country_code: 'DE', city: 'Berlin' };
+    },
+  };
+  const session = {
+    documentId: 's1',
+    isActive: false,
+    ipAddress: '203.0.113.0',
+    geoLocation: null,
+    browserName: 'Chrome 120',
+    osName: 'Windows 10/11',
+    deviceType: 'desktop',
+    loginTime: '2026-01-01T00:00:00.000Z',
+  };
+
+  const anonymized = await enhanceSession(
+    { ...session, anonymizedAt: '2026-02-01T00:00:00.000Z' },
+    { geolocationService, geoCounter: { remaining: 5 } }
+  );
+  assert.equal(lookups, 0);
+  assert.equal(anonymized.geoLocation, null);
+  assert.equal(anonymized.browserName, 'Chrome 120');
+
+  await enhanceSession(session, { geolocationService, geoCounter: { remaining: 5 } });
+  assert.equal(lookups, 1);
+});
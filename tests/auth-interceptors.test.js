@@ -149,6 +149,124 @@ test('login fails closed and strips issued tokens when session creation fails',
   assert.equal(ctx.body?.refreshToken, undefined);
 });
 
+test('login over the session limit in reject mode answers 409 without tokens', async () => {
+  let created = false;
+  const sessionService = {
+    getSessionLimit: async () => ({ limit: 2, mode: 'reject' }),
+    getLiveSessions: async () => [
+      { documentId: 'session-a', ipAddress: '203.0.113.1', tokenHash: 'never-exposed' },
+      { documentId: 'session-b', ipAddress: '203.0.113.2' },
+    ],
+    createSession: async () => {
+      created = true;
+    },
+  };
+  const strapi = createStrapi({ sessionService, settings: { maxConcurrentSessions: 2 } });
+  bootstrap.__private.mountLoginInterceptor({ strapi, log: strapi.log, sessionService });
+
+  const ctx = createContext({
+    path: '/api/auth/local',
+    body: { jwt: 'issued-access', refreshToken: 'issued-refresh', user: { documentId: 'user-1' } },
+  });
+  await strapi.middleware[0](ctx, () => ctx.downstream());
+
+  assert.equal(ctx.status, 409);
+  assert.equal(ctx.body.jwt, undefined);
+  assert.equal(ctx.body.error.details.reason, 'session_limit');
+  assert.deepEqual(ctx.body.error.details.sessions.map((s) => s.id), ['session-a', 'session-b']);
+  assert.equal(ctx.body.error.details.sessions[0].tokenHash, undefined);
+  assert.equal(ctx.state.__magicSessionLimitRejected, true);
+  assert.equal(created, false);
+});
+
+test('login in reject mode replaces the session named by replaceSessionId', async () => {
+  const terminated = [];
+  const sessionService = {
+    getSessionLimit: async () => ({ limit: 1, mode: 'reject' }),
+    getLiveSessions: async () => [{ documentId: 'session-a' }],
+    terminateSession: async (args) => {
+      terminated.push(args);
+      return { terminatedCount: 1 };
+    },
+    createSession: async () => ({ documentId: 'session-new' }),
+  };
+  const strapi = createStrapi({ sessionService, settings: { maxConcurrentSessions: 1 } });
+  bootstrap.__private.mountLoginInterceptor({ strapi, log: strapi.log, sessionService });
+
+  const ctx = createContext({
+    path: '/api/auth/local',
+    requestBody: { identifier: 'user@example.com', replaceSessionId: 'session-a' },
+    body: { jwt: 'issued-access', user: { documentId: 'user-1' } },
+  });
+  await strapi.middleware[0](ctx, () => ctx.downstream());
+
+  assert.equal(ctx.status, 200);
+  assert.equal(ctx.body.jwt, 'issued-access');
+  assert.equal(terminated.length, 1);
+  assert.equal(terminated[0].sessionId, 'session-a');
+  assert.equal(terminated[0].reason, 'session_limit');
+});
+
+test('login in reject mode keeps the session named by replaceSessionId until the new one exists', async () => {
+  const calls = [];
+  let failCreate = true;
+  const sessionService = {
+    getSessionLimit: async () => ({ limit: 1, mode: 'reject' }),
+    getLiveSessions: async () => [{ documentId: 'session-a' }],
+    terminateSession: async (args) => {
+      calls.push(`terminate:${args.sessionId}`);
+      return { terminatedCount: 1 };
+    },
+    createSession: async () => {
+      calls.push('create');
+      if (failCreate) throw new Error('database unavailable');
+      return { documentId: 'session-new' };
+    },
+  };
+  const strapi = createStrapi({ sessionService, settings: { maxConcurrentSessions: 1 } });
+  bootstrap.__private.mountLoginInterceptor({ strapi, log: strapi.log, sessionService });
+  const login = () => createContext({
+    path: '/api/auth/local',
+    requestBody: { identifier: 'user@example.com', replaceSessionId: 'session-a' },
+    body: { jwt: 'issued-access', user: { documentId: 'user-1' } },
+  });
+
+  const failed = login();
+  await strapi.middleware[0](failed, () => failed.downstream());
+  assert.equal(failed.status, 503);
+  assert.deepEqual(calls, ['create']);
+
+  failCreate = false;
+  calls.length = 0;
+  const ctx = login();
+  await strapi.middleware[0](ctx, () => ctx.downstream());
+  assert.equal(ctx.status, 200);
+  assert.deepEqual(calls, ['create', 'terminate:session-a']);
+});
+
+test('login in evict mode evicts older sessions after creating the new one', async () => {
+  let eviction;
+  const sessionService = {
+    getSessionLimit: async () => ({ limit: 3, mode: 'evict' }),
+    createSession: async () => ({ documentId: 'session-new' }),
+    evictSessionsOverLimit: async (args) => {
+      eviction = args;
+      return { terminatedCount: 1 };
+    },
+  };
+  const strapi = createStrapi({ sessionService, settings: { maxConcurrentSessions: 3 } });
+  bootstrap.__private.mountLoginInterceptor({ strapi, log: strapi.log, sessionService });
+
+  const ctx = createContext({
+    path: '/api/auth/local',
+    body: { jwt: 'issued-access', user: { documentId: 'user-1' } },
+  });
+  await strapi.middleware[0](ctx, () => ctx.downstream());
+
+  assert.equal(ctx.status, 200);
+  assert.deepEqual(eviction, { userId: 'user-1', limit: 3, keepSessionId: 'session-new' });
+});
+
 test('change-password fails closed when the current session cannot be rotated', async () => {
   const sessionService = { rotateSessionTokens: async () => false };
   const strapi = createStrapi({
@@ -0,0 +1,140 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const sessionController = require('../server/src/controllers/session');
+const { parseBulkTerminationCriteria } = require('../server/src/utils/bulk-termination');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+test('bulk criteria always select active sessions and need at least one narrowing filter', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const { filters, criteria } = parseBulkTerminationCriteria(
+    { criteria: { country: 'br', ip: '203.0.113.0/24', role: 'authenticated', olderThanHours: 12 } },
+    now
+  );
+  assert.deepEqual(criteria, { country: 'BR', ip: '203.0.113.0/24', role: 'authenticated', olderThanHours: 12 });
+  assert.deepEqual(filters.$and[0], { isActive: true });
+  assert.deepEqual(filters.$and[1], { countryCode: 'BR' });
+  assert.deepEqual(filters.$and[2].$or[0], { ipAddress: { $startsWith: '203.0.113.' } });
+  assert.deepEqual(filters.$and[3], { user: { role: { type: 'authenticated' } } });
+  assert.deepEqual(filters.$and[4], { loginTime: { $lt: new Date('2026-10-19T00:00:00Z') } });
+
+  assert.match(parseBulkTerminationCriteria({ criteria: {} }).error, /At least one/);
+  assert.match(parseBulkTerminationCriteria({}).error, /criteria must be an object/);
+  assert.match(parseBulkTerminationCriteria({ criteria: { ip: 'nowhere' } }).error, /IP address or CIDR/);
+  assert.match(parseBulkTerminationCriteria({ criteria: { olderThanHours: 0 } }).error, /olderThanHours/);
+  assert.match(parseBulkTerminationCriteria({ criteria: { role: 'a b' } }).error, /role/);
+});
+
+test('terminateSession with filters ends every matching active session in batches', async () => {
+  const rows = new Map([
+    ['s1', { documentId: 's1', isActive: true, user: { documentId: 'u1' } }],
+    ['s2', { documentId: 's2', isActive: true, user: { documentId: 'u2' } }],
+  ]);
+  const findManyCalls = [];
+  const events = [];
+  const strapi = {
+    log,
+    documents: () => ({
+      findMany: async (params) => {
+        findManyCalls.push(params);
+        return [...rows.values()].filter((row) => row.isActive);
+      },
+      update: async ({ documentId, data }) => {
+        Object.assign(rows.get(documentId), data);
+      },
+    }),
+    plugin: () => ({
+      service: () => ({ record: async (event) => events.push(event) }),
+    }),
+  };
+  const service = createSessionService({ strapi });
+
+  const { terminatedCount } = await service.terminateSession({
+    filters: { countryCode: 'BR' },
+    actor: { type: 'admin', id: '1', email: 'admin@example.com' },
+    note: 'INC-42',
+  });
+
+  assert.equal(terminatedCount, 2);
+  assert.deepEqual(findManyCalls[0].filters, { $and: [{ countryCode: 'BR' }, { isActive: true }] });
+  assert.equal(rows.get('s1').terminationReason, 'manual');
+  assert.equal(rows.get('s2').terminationNote, 'INC-42');
+  assert.deepEqual(rows.get('s2').terminatedBy, { id: '1', email: 'admin@example.com' });
+  assert.deepEqual(events.map((event) => event.userId), ['u1', 'u2']);
+});
+
+test('bulk-terminate previews with dryRun and requires a reason to run', async () => {
+  const terminateCalls = [];
+  const countCalls = [];
+  let backfilled = false;
+  global.strapi = {
+    log,
+    documents: () => ({
+      count: async (params) => {
+        countCalls.push(params);
+        return 7;
+      },
+    }),
+    plugin: () => ({
+      service: () => ({
+        terminateSession: async (params) => {
+          terminateCalls.push(params);
+          return { terminatedCount: 7 };
+        },
+        isLocationBackfilled: async () => backfilled,
+      }),
+    }),
+  };
+
+  const createCtx = (body) => ({
+    request: { body, headers: {} },
+    state: { user: { id: 1, email: 'admin@example.com' } },
+    badRequest: (message) => ({ status: 400, message }),
+  });
+
+  try {
+    // Sessions from before the location columns have no countryCode yet
+    const early = await sessionController.bulkTerminateSessions(createCtx({ criteria: { country: 'BR' }, dryRun: true }));
+    assert.match(early.message, /location backfill/);
+    const earlyRun = await sessionController.bulkTerminateSessions(
+      createCtx({ criteria: { country: 'BR' }, note: 'INC-42' })
+    );
+    assert.match(earlyRun.message, /location backfill/);
+    assert.equal(countCalls.length, 0);
+    assert.equal(terminateCalls.length, 0);
+
+    const byRole = createCtx({ criteria: { role: 'authenticated' }, dryRun: true });
+    await sessionController.bulkTerminateSessions(byRole);
+    assert.equal(byRole.body.matchedCount, 7, 'other criteria do not depend on the backfill');
+    countCalls.length = 0;
+    backfilled = true;
+
+    const preview = createCtx({ criteria: { country: 'BR' }, dryRun: true });
+    await sessionController.bulkTerminateSessions(preview);
+    assert.deepEqual(preview.body, { dryRun: true, criteria: { country: 'BR' }, matchedCount: 7 });
+    assert.deepEqual(countCalls[0].filters, { $and: [{ isActive: true }, { countryCode: 'BR' }] });
+    assert.equal(terminateCalls.length, 0);
+
+    const withoutNote = await sessionController.bulkTerminateSessions(createCtx({ criteria: { country: 'BR' } }));
+    assert.match(withoutNote.message, /note is required/);
+    assert.equal(terminateCalls.length, 0);
+
+    const run = createCtx({ criteria: { country: 'BR' }, note: ' INC-42 ' });
+    await sessionController.bulkTerminateSessions(run);
+    assert.equal(terminateCalls.length, 1);
+    assert.equal(terminateCalls[0].reason, 'manual');
+    assert.equal(terminateCalls[0].note, 'INC-42');
+    assert.deepEqual(terminateCalls[0].filters, countCalls[0].filters);
+    assert.equal(run.body.terminatedCount, 7);
+    assert.deepEqual(run.body.terminatedBy, { id: '1', email: 'admin@example.com' });
+  } finally {
+    delete global.strapi;
+  }
+});
@@ -0,0 +1,278 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const createArchiveService = require('../server/src/services/session-archive');
+const createEventService = require('../server/src/services/session-event');
+const sessionController = require('../server/src/controllers/session');
+const { __private } = require('../server/src/bootstrap');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+const { closeSharedState } = require('../server/src/utils/shared-state');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+function createHarness(rows) {
+  const calls = {
+    findMany: [], terminated: [], deleted: [], events: [], recorded: [], archive: [], devices: [], forgotten: [], tokens: [],
+  };
+  const services = {
+    'session-event': {
+      record: async (event) => calls.recorded.push(event),
+      deleteForSessions: async (ids) => {
+        calls.events.push({ sessionIds: ids });
+        return ids.length * 2;
+      },
+      deleteForUser: async (userId, options) => {
+        calls.events.push({ userId, options });
+        return 1;
+      },
+    },
+    'session-archive': {
+      eraseUser: async (userId) => {
+        calls.archive.push(userId);
+        return 3;
+      },
+    },
+    device: {
+      deleteUserDevices: async (userId) => {
+        calls.devices.push(userId);
+        return 2;
+      },
+    },
+    geolocation: {
+      forgetIps: (ips) => {
+        calls.forgotten.push(...ips);
+        return ips.length;
+      },
+    },
+  };
+  const strapi = {
+    log,
+    documents: () => ({
+      findMany: async (params) => {
+        calls.findMany.push(params);
+        return rows.filter((row) => !calls.deleted.includes(row.documentId)
+          && (params.filters.isActive === undefined || row.isActive === params.filters.isActive));
+      },
+      update: async ({ documentId, data }) => {
+        calls.terminated.push(documentId);
+        Object.assign(rows.find((row) => row.documentId === documentId), data);
+      },
+      delete: async ({ documentId }) => calls.deleted.push(documentId),
+    }),
+    db: {
+      query: () => ({
+        deleteMany: async ({ where }) => {
+          calls.tokens.push(...where.sessionId.$in);
+          return { count: where.sessionId.$in.length };
+        },
+      }),
+    },
+    plugin: () => ({ service: (name) => services[name] }),
+  };
+  return { strapi, calls };
+}
+
+test('a user purge erases ended sessions only; an admin erasure also active ones and devices', async () => {
+  const rows = [
+    { documentId: 's1', isActive: false, ipAddress: '203.0.113.7', lastIpAddress: '198.51.100.4' },
+    { documentId: 's2', isActive: true, ipAddress: '192.0.2.1' },
+  ];
+
+  const purge = createHarness(rows);
+  const purged = await createSessionService({ strapi: purge.strapi }).eraseUserHistory('user-1');
+  assert.deepEqual(purged, { sessions: 1, events: 3, archived: 3, devices: 0 });
+  assert.deepEqual(purge.calls.findMany[0].filters, { user: { documentId: 'user-1' }, isActive: false });
+  assert.deepEqual(purge.calls.deleted, ['s1']);
+  assert.deepEqual(purge.calls.tokens, ['s1'], 'superseded refresh tokens go with their session');
+  assert.deepEqual(purge.calls.events, [
+    { sessionIds: ['s1'] },
+    { userId: 'user-1', options: { sessionlessOnly: true } },
+  ]);
+  assert.deepEqual(purge.calls.forgotten, ['203.0.113.7', '198.51.100.4']);
+  assert.deepEqual(purge.calls.devices, []);
+  assert.deepEqual(purge.calls.terminated, [], 'a purge leaves active sessions alone');
+
+  const erase = createHarness(rows);
+  const erased = await createSessionService({ strapi: erase.strapi }).eraseUserHistory('user-1', { includeActive: true });
+  assert.deepEqual(erased, { sessions: 2, events: 5, archived: 3, devices: 2 });
+  assert.deepEqual(erase.calls.findMany[0].filters, { user: { documentId: 'user-1' }, isActive: true });
+  assert.deepEqual(erase.calls.terminated, ['s2'], 'active sessions are terminated before they are deleted');
+  assert.equal(rows[1].terminationReason, 'manual');
+  assert.deepEqual(erase.calls.recorded.map((event) => event.type), ['terminated']);
+  assert.deepEqual(erase.calls.findMany.at(-1).filters, { user: { documentId: 'user-1' } });
+  assert.deepEqual(erase.calls.deleted, ['s1', 's2']);
+  assert.deepEqual(erase.calls.events[1], { userId: 'user-1', options: { sessionlessOnly: false } });
+  assert.deepEqual(erase.calls.devices, ['user-1']);
+
+  const deleteCalls = [];
+  const eventService = createEventService({
+    strapi: { log, db: { query: () => ({ deleteMany: async (params) => { deleteCalls.push(params); return { count: 4 }; } }) } },
+  });
+  assert.equal(await eventService.deleteForUser('user-1'), 4);
+  assert.deepEqual(deleteCalls[0].where, { userId: 'user-1', type: { $ne: 'history_erased' } });
+});
+
+test('erasure endpoints write an audit event with counts only', async () => {
+  const recorded = [];
+  const erasures = [];
+  global.strapi = {
+    log,
+    entityService: { findOne: async () => null },
+    plugin: () => ({
+      service: (name) => (name === 'session-event'
+        ? { record: async (event) => recorded.push(event) }
+        : {
+          eraseUserHistory: async (userId, options) => {
+            erasures.push({ userId, options });
+            return { sessions: 2, events: 5, archived: 1, devices: options?.includeActive ? 1 : 0 };
+          },
+        }),
+    }),
+  };
+  const createCtx = (params, user) => ({
+    params,
+    state: { user },
+    request: { headers: { 'user-agent': 'Test/1.0' }, ip: '203.0.113.9' },
+    notFound: (message) => ({ status: 404, message }),
+    unauthorized: (message) => ({ status: 401, message }),
+    internalServerError: (message) => ({ status: 500, message }),
+  });
+
+  try {
+    const own = createCtx({}, { documentId: 'user-1' });
+    await sessionController.purgeOwnHistory(own);
+    assert.equal(own.body.deletedCount, 2);
+    assert.deepEqual(erasures[0], { userId: 'user-1', options: undefined });
+    assert.deepEqual(recorded[0], {
+      type: 'history_erased',
+      userId: 'user-1',
+      actor: { type: 'user', id: 'user-1' },
+      details: { scope: 'inactive', sessions: 2, events: 5, archived: 1, devices: 0 },
+    });
+
+    const admin = createCtx({ userId: 'user-1' }, { id: 7, email: 'root@example.com' });
+    await sessionController.eraseUserHistoryAdmin(admin);
+    assert.deepEqual(erasures[1], { userId: 'user-1', options: { includeActive: true } });
+    assert.deepEqual(admin.body.erasedBy, { id: '7', email: 'root@example.com' });
+    assert.equal(recorded[1].actor.type, 'admin');
+    assert.deepEqual(recorded[1].details, { scope: 'all', sessions: 2, events: 5, archived: 1, devices: 1 });
+
+    assert.equal((await sessionController.eraseUserHistoryAdmin(createCtx({ userId: '999' }, { id: 7 }))).status, 404);
+    assert.equal((await sessionController.purgeOwnHistory(createCtx({}, null))).status, 401);
+    assert.equal(recorded.length, 2);
+  } finally {
+    delete global.strapi;
+  }
+});
+
+test('archive erasure removes the user from the table and rewrites files, keeping their age', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-erase-'));
+  const tableDeletes = [];
+  const settings = { archiveMode: 'file', archiveDirectory: directory };
+  invalidateSettingsCache();
+  const service = createArchiveService({
+    strapi: {
+      log,
+      config: { get: (key, fallback) => (key === 'plugin::magic-sessionmanager' ? settings : fallback) },
+      store: () => ({ get: async () => null }),
+      db: {
+        query: () => ({
+          deleteMany: async (params) => {
+            tableDeletes.push(params);
+            return { count: 1 };
+          },
+        }),
+      },
+    },
+  });
+  const session = (documentId, user) => ({
+    documentId,
+    isActive: false,
+    user,
+    ipAddress: '203.0.113.7',
+    loginTime: '2025-01-10T08:00:00.000Z',
+  });
+  const alice = { documentId: 'u1', email: 'alice@example.com' };
+  const bob = { documentId: 'u2', email: 'bob@example.com' };
+
+  try {
+    await service.archiveSessions([session('s1', alice), session('s2', bob)], settings);
+    await service.archiveSessions([session('s3', alice)], settings);
+    const old = new Date('2026-01-01T00:00:00Z');
+    for (const name of fs.readdirSync(directory)) fs.utimesSync(path.join(directory, name), old, old);
+
+    assert.equal(await service.eraseUser('u1'), 3);
+    assert.deepEqual(tableDeletes[0], { where: { userId: 'u1' } });
+
+    const files = fs.readdirSync(directory);
+    assert.equal(files.length, 1);
+    assert.equal(fs.statSync(path.join(directory, files[0])).mtime.getTime(), old.getTime());
+    const { data } = await service.search({ q: '', page: 1, pageSize: 25 });
+    assert.deepEqual(data.map((record) => record.sessionId), ['s2']);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+    invalidateSettingsCache();
+  }
+});
+
+test('in non-strict mode the JWTs of erased sessions are rejected, later ones still pass', async () => {
+  invalidateSettingsCache();
+  const issuedAt = Math.floor(Date.now() / 1000) - 3600;
+  const eventQueries = [];
+  let erasures = [{ details: { scope: 'all', sessions: 2 } }];
+  const eventService = createEventService({
+    strapi: {
+      log,
+      db: {
+        query: () => ({
+          findMany: async (params) => {
+            eventQueries.push(params);
+            return erasures;
+          },
+        }),
+      },
+    },
+  });
+
+  const jwtService = { verify: async () => ({ id: 7, iat: issuedAt }) };
+  const strapi = {
+    log,
+    plugin: (name) => (name === 'users-permissions'
+      ? { service: () => jwtService }
+      : { service: () => eventService }),
+    entityService: { findOne: async () => ({ documentId: 'user-1' }) },
+    documents: (uid) => (uid === 'plugin::users-permissions.user'
+      ? { findOne: async () => ({ documentId: 'user-1', blocked: false, role: { type: 'authenticated' } }) }
+      : { findFirst: async () => null }),
+    config: { get: () => ({}) },
+    store: () => ({ get: async () => ({ strictSessionEnforcement: false }) }),
+  };
+
+  await __private.registerSessionAwareAuthStrategy(strapi, log);
+  try {
+    assert.equal(await jwtService.verify('x'.repeat(80)), null);
+    assert.deepEqual(eventQueries[0].where, {
+      userId: 'user-1',
+      type: 'history_erased',
+      occurredAt: { $gte: new Date(issuedAt * 1000) },
+    });
+
+    erasures = [{ details: { scope: 'inactive', sessions: 1 } }];
+    assert.equal((await jwtService.verify('x'.repeat(80))).id, 7, 'a purge of ended sessions revokes nothing');
+
+    erasures = [];
+    assert.equal((await jwtService.verify('x'.repeat(80))).id, 7);
+  } finally {
+    await closeSharedState();
+    invalidateSettingsCache();
+  }
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const bootstrap = require('../server/src/bootstrap');
+const { evaluateTravel, normalizeMaxSpeedKmh } = require('../server/src/utils/impossible-travel');
+const { closeSharedState } = require('../server/src/utils/shared-state');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const BERLIN = { city: 'Berlin', country: 'Germany', country_code: 'DE', latitude: 52.52, longitude: 13.405 };
+const POTSDAM = { city: 'Potsdam', country: 'Germany', country_code: 'DE', latitude: 52.39, longitude: 13.065 };
+const NEW_YORK = { city: 'New York', country: 'United States', country_code: 'US', latitude: 40.71, longitude: -74.006 };
+const HOUR = 60 * 60 * 1000;
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+test('travel speed is flagged only above the threshold and beyond short hops', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const previous = (geoLocation, hoursAgo) => ({
+    geoLocation: JSON.stringify(geoLocation),
+    loginTime: new Date(now.getTime() - hoursAgo * HOUR),
+  });
+
+  const flight = evaluateTravel({ previous: previous(BERLIN, 1), currentGeo: NEW_YORK, now, maxSpeedKmh: 1000 });
+  assert.equal(flight.impossible, true);
+  assert.ok(flight.distanceKm > 6300 && flight.distanceKm < 6500);
+  assert.equal(flight.previousLocation, 'Berlin, Germany');
+
+  assert.equal(evaluateTravel({ previous: previous(BERLIN, 12), currentGeo: NEW_YORK, now }).impossible, false);
+  assert.equal(evaluateTravel({ previous: previous(BERLIN, 0), currentGeo: POTSDAM, now }).impossible, false);
+  assert.equal(evaluateTravel({ previous: previous({ country_code: 'DE' }, 1), currentGeo: NEW_YORK, now }), null);
+  assert.equal(normalizeMaxSpeedKmh('5'), 100);
+});
+
+function createLoginStrapi({ action, previousSession, sessionLimit = null }) {
+  invalidateSettingsCache();
+  const middleware = [];
+  const terminated = [];
+  const userUpdates = [];
+  const sessionService = {
+    createSession: async () => ({ documentId: 'session-new' }),
+    getSessionLimit: async () => sessionLimit,
+    getLiveSessions: async () => [previousSession],
+    terminateSession: async (params) => {
+      terminated.push(params);
+      return { terminatedCount: 1 };
+    },
+  };
+  const strapi = {
+    log,
+    server: { use: (fn) => middleware.push(fn) },
+    config: {
+      get(key, fallback) {
+        if (key === 'plugin::magic-sessionmanager') {
+          return {
+            enableImpossibleTravel: true,
+            impossibleTravelAction: action,
+            maxFailedLogins: 1,
+            ...(sessionLimit ? { maxConcurrentSessions: sessionLimit.limit } : {}),
+          };
+        }
+        return fallback;
+      },
+    },
+    store: () => ({ get: async () => null }),
+    documents: (uid) => ({
+      findMany: async () => (uid === 'plugin::magic-sessionmanager.session' ? [previousSession] : []),
+      update: async (params) => userUpdates.push(params),
+    }),
+  };
+  bootstrap.__private.mountFailedLoginLockout({ strapi, log });
+  bootstrap.__private.mountLoginInterceptor({ strapi, log, sessionService });
+  const [lockout, loginInterceptor] = middleware;
+  const interceptor = (ctx, next) => lockout(ctx, () => loginInterceptor(ctx, next));
+  return { interceptor, terminated, userUpdates };
+}
+
+async function loginFromNewYork(interceptor, body = {}) {
+  const ctx = {
+    path: '/api/auth/local',
+    method: 'POST',
+    status: 404,
+    body: null,
+    state: { __magicSessionGeoData: NEW_YORK },
+    ip: '198.51.100.7',
+    request: { ip: '198.51.100.7', body, headers: { 'user-agent': 'TestBrowser/1.0' } },
+    cookies: { get: () => undefined, set() {} },
+    response: { headers: {} },
+    remove() {},
+  };
+  await interceptor(ctx, async () => {
+    ctx.status = 200;
+    ctx.body = { jwt: 'issued-access', refreshToken: 'issued-refresh', user: { documentId: 'user-1' } };
+  });
+  return ctx;
+}
+
+const recentBerlinSession = () => ({
+  documentId: 'session-old',
+  geoLocation: BERLIN,
+  loginTime: new Date(Date.now() - HOUR),
+});
+
+test('terminate mode ends the new session and withholds its tokens', async () => {
+  const { interceptor, terminated, userUpdates } = createLoginStrapi({
+    action: 'terminate',
+    previousSession: recentBerlinSession(),
+  });
+
+  const ctx = await loginFromNewYork(interceptor);
+
+  assert.equal(ctx.status, 403);
+  assert.equal(ctx.body.jwt, undefined);
+  assert.equal(ctx.body.error.details.reason, 'impossible_travel');
+  assert.equal(terminated.length, 1);
+  assert.equal(terminated[0].sessionId, 'session-new');
+  assert.equal(terminated[0].reason, 'impossible_travel');
+  assert.match(terminated[0].note, /^Impossible travel: \d+ km from Berlin, Germany/);
+  assert.equal(userUpdates.length, 0);
+
+  try {
+    // The password was right: the rejection does not count towards the IP lockout
+    assert.equal((await loginFromNewYork(interceptor)).status, 403);
+  } finally {
+    await closeSharedState();
+  }
+});
+
+test('block mode blocks the user, while alert mode leaves the login alone', async () => {
+  const blocking = createLoginStrapi({ action: 'block', previousSession: recentBerlinSession() });
+  const blockedCtx = await loginFromNewYork(blocking.interceptor);
+  assert.equal(blockedCtx.status, 403);
+  assert.deepEqual(blocking.terminated.map(({ userId, reason }) => ({ userId, reason })), [
+    { userId: 'user-1', reason: 'blocked' },
+  ]);
+  assert.deepEqual(blocking.userUpdates, [{ documentId: 'user-1', data: { blocked: true } }]);
+
+  const alerting = createLoginStrapi({ action: 'alert', previousSession: recentBerlinSession() });
+  const allowedCtx = await loginFromNewYork(alerting.interceptor);
+  assert.equal(allowedCtx.status, 200);
+  assert.equal(allowedCtx.body.jwt, 'issued-access');
+  assert.equal(alerting.terminated.length, 0);
+});
+
+test('a login rejected for impossible travel keeps the session it was meant to replace', async () => {
+  const { interceptor, terminated } = createLoginStrapi({
+    action: 'terminate',
+    previousSession: recentBerlinSession(),
+    sessionLimit: { limit: 1, mode: 'reject' },
+  });
+
+  try {
+    const ctx = await loginFromNewYork(interceptor, { replaceSessionId: 'session-old' });
+
+    assert.equal(ctx.status, 403);
+    assert.deepEqual(terminated.map((params) => params.sessionId), ['session-new']);
+  } finally {
+    await closeSharedState();
+  }
+});
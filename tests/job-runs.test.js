@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const createJobRuns = require('../server/src/services/job-run');
+const jobsController = require('../server/src/controllers/jobs');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+/**
+ * A strapi with an in-memory `magic_job_runs` table and stubbed job services.
+ */
+function createStrapi(services = {}) {
+  const rows = [];
+  let nextId = 1;
+  const matches = (row, where) => Object.entries(where).every(([key, condition]) =>
+    condition?.$lt ? new Date(row[key]) < condition.$lt : row[key] === condition);
+
+  const strapi = {
+    log,
+    config: { get: () => ({}) },
+    store: () => ({ get: async () => null, set: async () => {} }),
+    db: {
+      query: () => ({
+        create: async ({ data }) => {
+          const row = { id: nextId++, ...data };
+          rows.push(row);
+          return row;
+        },
+        update: async ({ where, data }) => Object.assign(rows.find((row) => row.id === where.id), data),
+        findMany: async ({ where, limit }) => rows
+          .filter((row) => matches(row, where))
+          .sort((a, b) => b.startedAt - a.startedAt)
+          .slice(0, limit),
+        deleteMany: async ({ where }) => {
+          const stale = rows.filter((row) => matches(row, where));
+          for (const row of stale) rows.splice(rows.indexOf(row), 1);
+          return { count: stale.length };
+        },
+      }),
+    },
+    plugin: () => ({
+      service: (name) => services[name] || { nodeId: 'node-a', getLeaseInfo: async () => ({ nodeId: 'node-a', holder: 'node-a' }) },
+    }),
+  };
+  return { strapi, rows };
+}
+
+test('a scheduled run is recorded with duration, rows affected and the next run', async () => {
+  invalidateSettingsCache();
+  const { strapi, rows } = createStrapi({
+    session: {
+      cleanupInactiveSessions: async () => 4,
+      deleteOldSessions: async () => 2,
+    },
+    'session-archive': { pruneArchive: async () => 3 },
+  });
+  const jobRuns = createJobRuns({ strapi });
+
+  // A record from before the history window is dropped with the next run
+  rows.push({ id: 99, job: 'idle-cleanup', status: 'success', startedAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) });
+
+  const run = await jobRuns.run('idle-cleanup', { intervalMs: 60_000 });
+  assert.equal(run.status, 'success');
+  assert.equal(run.trigger, 'schedule');
+  assert.equal(run.nodeId, 'node-a');
+  assert.equal(run.rowsAffected, 4);
+  assert.ok(run.durationMs >= 0);
+  assert.equal(run.nextRunAt.getTime(), run.finishedAt.getTime() + 60_000);
+  assert.deepEqual(rows.map((row) => row.id), [run.id], 'the running record is completed in place');
+  assert.equal(rows[0].status, 'success');
+
+  jobRuns.setNextRun('retention', new Date('2030-01-01T00:00:00Z'));
+  const retention = await jobRuns.run('retention', { trigger: 'manual' });
+  assert.equal(retention.rowsAffected, 5);
+  assert.deepEqual(retention.details, { deleted: 2, archivePruned: 3 });
+  assert.equal(retention.nextRunAt.toISOString(), '2030-01-01T00:00:00.000Z');
+
+  const overview = await jobRuns.getOverview();
+  assert.deepEqual(overview.map((entry) => entry.job), ['idle-cleanup', 'retention', 'anonymization', 'geoip-refresh']);
+  assert.equal(overview[0].lastRun.id, run.id);
+  assert.equal(overview[2].lastRun, null);
+  assert.equal(overview[3].nextRunAt, null);
+});
+
+test('a failing job is recorded as failed and a concurrent run is skipped', async () => {
+  invalidateSettingsCache();
+  let finish;
+  const { strapi, rows } = createStrapi({
+    session: {
+      anonymizeOldSessions: () => new Promise((resolve) => { finish = resolve; }),
+      cleanupInactiveSessions: async () => {
+        throw new Error('database is locked');
+      },
+    },
+  });
+  const jobRuns = createJobRuns({ strapi });
+
+  const failed = await jobRuns.run('idle-cleanup');
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'database is locked');
+  assert.equal(failed.rowsAffected, null);
+  assert.equal(rows[0].status, 'failed');
+
+  const pending = jobRuns.run('anonymization');
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(jobRuns.isRunning('anonymization'), true);
+  assert.equal((await jobRuns.getOverview())[2].running, true);
+  assert.equal(await jobRuns.run('anonymization'), null);
+  finish({ sessions: 2, events: 7, archived: 1, devices: 0 });
+  const completed = await pending;
+  assert.deepEqual(completed.details, { sessions: 2, events: 7, archived: 1, devices: 0 });
+  assert.equal(completed.rowsAffected, 10);
+
+  await assert.rejects(() => jobRuns.run('vacuum'), /Unknown job/);
+});
+
+test('admin endpoints: overview, run now with attribution, unknown jobs and a GeoIP refresh without credentials', async () => {
+  invalidateSettingsCache();
+  const previousAccount = process.env.MAXMIND_ACCOUNT_ID;
+  const previousLicense = process.env.MAXMIND_LICENSE_KEY;
+  delete process.env.MAXMIND_ACCOUNT_ID;
+  delete process.env.MAXMIND_LICENSE_KEY;
+
+  const { strapi } = createStrapi({ session: { cleanupInactiveSessions: async () => 1 } });
+  const jobRuns = createJobRuns({ strapi });
+  const leaderElection = {
+    nodeId: 'node-a',
+    getLeaseInfo: async () => ({ nodeId: 'node-a', holder: 'node-b', isLeader: false }),
+  };
+  const services = { 'job-run': jobRuns, 'leader-election': leaderElection, session: { cleanupInactiveSessions: async () => 1 } };
+  strapi.plugin = () => ({ service: (name) => services[name] });
+  global.strapi = strapi;
+
+  const createCtx = (params = {}) => ({
+    params,
+    state: { user: { id: 3, email: 'ops@example.com' } },
+    send(body) {
+      this.body = body;
+    },
+    badRequest: (message) => ({ status: 400, message }),
+    internalServerError: (message) => ({ status: 500, message }),
+  });
+
+  try {
+    const ctx = createCtx({ job: 'idle-cleanup' });
+    await jobsController.runJob(ctx);
+    assert.equal(ctx.body.data.status, 'success');
+    assert.equal(ctx.body.data.trigger, 'manual');
+    assert.deepEqual(ctx.body.data.triggeredBy, { id: '3', email: 'ops@example.com' });
+
+    const geoip = createCtx({ job: 'geoip-refresh' });
+    await jobsController.runJob(geoip);
+    assert.equal(geoip.body.data.status, 'failed');
+    assert.match(geoip.body.data.error, /MaxMind credentials are required/);
+
+    const unknown = await jobsController.runJob(createCtx({ job: 'vacuum' }));
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.message, /idle-cleanup, retention, anonymization, geoip-refresh/);
+
+    const overview = createCtx();
+    await jobsController.getJobs(overview);
+    assert.equal(overview.body.data.lease.holder, 'node-b');
+    assert.equal(overview.body.data.jobs[0].lastRun.triggeredBy.email, 'ops@example.com');
+    assert.equal(overview.body.data.jobs[3].lastRun.status, 'failed');
+
+    // The run history is still served when the lease cannot be read
+    leaderElection.getLeaseInfo = async () => {
+      throw new Error('no such table');
+    };
+    const withoutLease = createCtx();
+    await jobsController.getJobs(withoutLease);
+    assert.equal(withoutLease.body.data.lease, null);
+    assert.equal(withoutLease.body.data.jobs.length, 4);
+  } finally {
+    delete global.strapi;
+    if (previousAccount !== undefined) process.env.MAXMIND_ACCOUNT_ID = previousAccount;
+    if (previousLicense !== undefined) process.env.MAXMIND_LICENSE_KEY = previousLicense;
+  }
+});
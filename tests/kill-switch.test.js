@@ -0,0 +1,254 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const knex = require('knex');
+const { Database } = require('@strapi/database');
+const { createEntityManager } = require('@strapi/database/dist/entity-manager');
+const { getDialect } = require('@strapi/database/dist/dialects');
+const { createLifecyclesProvider } = require('@strapi/database/dist/lifecycles');
+const { createMetadata } = require('@strapi/database/dist/metadata');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const createNotificationService = require('../server/src/services/notifications');
+const sessionController = require('../server/src/controllers/session');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+test('terminateAllSessions ends every session in one set-based update without exemptions', async () => {
+  const updates = [];
+  const counts = [];
+  const strapi = {
+    log,
+    db: {
+      query: () => ({
+        updateMany: async (params) => {
+          updates.push(params);
+          return { count: 41 };
+        },
+        count: async (params) => {
+          counts.push(params);
+          return 41;
+        },
+      }),
+    },
+    documents: () => {
+      throw new Error('the kill switch must not load sessions row by row');
+    },
+  };
+  const service = createSessionService({ strapi });
+
+  assert.deepEqual(
+    await service.terminateAllSessions({ exemptRoles: ['support'], dryRun: true }),
+    { matchedCount: 41 }
+  );
+  assert.equal(updates.length, 0);
+  assert.deepEqual(counts[0].where.$and[1], {
+    $or: [
+      { user: { id: { $null: true } } },
+      { user: { role: { id: { $null: true } } } },
+      { user: { role: { type: { $notIn: ['support'] } } } },
+    ],
+  });
+
+  const { terminatedCount } = await service.terminateAllSessions({
+    actor: { type: 'admin', id: '1', email: 'admin@example.com' },
+    note: 'JWT secret rotated',
+  });
+
+  assert.equal(terminatedCount, 41);
+  assert.equal(updates.length, 1);
+  const [{ where, data }] = updates;
+  assert.deepEqual(where, { $and: [{ isActive: true }] });
+  assert.equal(data.isActive, false);
+  assert.equal(data.terminationReason, 'emergency');
+  assert.equal(data.terminationNote, 'JWT secret rotated');
+  assert.deepEqual(data.terminatedBy, { id: '1', email: 'admin@example.com' });
+});
+
+/**
+ * A Strapi database on the real query builder and knex's Postgres client.
+ * Instead of a driver, every statement is recorded and answered by
+ * `respond(sql, bindings)`.
+ */
+function createRecordingDatabase(respond) {
+  const statements = [];
+  const db = Object.create(Database.prototype);
+  db.config = { connection: { client: 'postgres' }, settings: {} };
+  db.logger = log;
+  db.dialect = getDialect(db);
+  db.metadata = createMetadata([]);
+  db.connection = knex({ client: 'pg' });
+  db.connection.client.acquireConnection = async () => ({});
+  db.connection.client.releaseConnection = async () => {};
+  db.connection.client._query = async (connection, statement) => {
+    statements.push(statement);
+    const rows = respond(statement.sql, statement.bindings) || [];
+    statement.response = { command: statement.method.toUpperCase(), rows, rowCount: rows.length };
+    return statement;
+  };
+  db.lifecycles = createLifecyclesProvider(db);
+  db.entityManager = createEntityManager(db);
+
+  const sessionSchema = require('../server/src/content-types/session/schema.json');
+  db.metadata.loadModels([
+    {
+      uid: 'plugin::users-permissions.role',
+      singularName: 'role',
+      tableName: 'up_roles',
+      attributes: { id: { type: 'increments' }, type: { type: 'string' } },
+    },
+    {
+      uid: 'plugin::users-permissions.user',
+      singularName: 'user',
+      tableName: 'up_users',
+      attributes: {
+        id: { type: 'increments' },
+        documentId: { type: 'string' },
+        role: { type: 'relation', relation: 'manyToOne', target: 'plugin::users-permissions.role' },
+      },
+    },
+    {
+      uid: 'plugin::magic-sessionmanager.session',
+      singularName: 'session',
+      tableName: sessionSchema.collectionName,
+      attributes: { id: { type: 'increments' }, documentId: { type: 'string' }, ...sessionSchema.attributes },
+    },
+  ]);
+  return { db, statements };
+}
+
+test('terminateAllSessions with exemptions runs on the real query builder', async () => {
+  const { db, statements } = createRecordingDatabase((sql) => {
+    if (sql.startsWith('select')) return sql.includes('not in') ? [{ id: 3 }, { id: 8 }] : [];
+    if (sql.startsWith('update')) return [{}, {}];
+    return [];
+  });
+  const service = createSessionService({ strapi: { log, db } });
+
+  const { terminatedCount } = await service.terminateAllSessions({
+    exemptRoles: ['support'],
+    exemptUserIds: ['user-ops'],
+    actor: { type: 'admin', id: '1', email: 'admin@example.com' },
+    note: 'JWT secret rotated',
+  });
+
+  assert.equal(terminatedCount, 2);
+  const [select, update] = statements;
+  assert.match(select.sql, /"up_roles"/);
+  assert.match(select.sql, /"type" not in/);
+  assert.match(select.sql, /"document_id" not in/);
+  assert.ok(select.bindings.includes('support') && select.bindings.includes('user-ops'));
+
+  assert.match(update.sql, /^update "magic_sessions" set /);
+  assert.doesNotMatch(update.sql, /join/);
+  assert.match(update.sql, /"id" in \(\$\d+, \$\d+\)/);
+  assert.ok(update.bindings.includes('emergency'));
+  assert.ok(update.bindings.includes('JWT secret rotated'));
+  assert.deepEqual(update.bindings.filter((value) => value === 3 || value === 8), [3, 8]);
+  assert.equal(statements.length, 2, 'a short batch ends the selection');
+});
+
+test('kill switch requires the confirmation phrase and a note', async () => {
+  const calls = [];
+  global.strapi = {
+    log,
+    plugin: () => ({
+      service: () => ({
+        terminateAllSessions: async (params) => {
+          calls.push(params);
+          return params.dryRun ? { matchedCount: 3 } : { terminatedCount: 3 };
+        },
+      }),
+    }),
+  };
+  const createCtx = (body) => ({
+    request: { body, headers: {} },
+    state: { user: { id: 1, email: 'admin@example.com' } },
+    badRequest: (message) => ({ status: 400, message }),
+  });
+
+  try {
+    const preview = createCtx({ dryRun: true, exemptRoles: ['support'] });
+    await sessionController.killSwitch(preview);
+    assert.deepEqual(preview.body, { dryRun: true, matchedCount: 3, exemptRoles: ['support'], exemptUserIds: [] });
+
+    const wrongPhrase = await sessionController.killSwitch(
+      createCtx({ confirmation: 'terminate all sessions', note: 'leak' })
+    );
+    assert.match(wrongPhrase.message, /TERMINATE ALL SESSIONS/);
+
+    const noNote = await sessionController.killSwitch(createCtx({ confirmation: 'TERMINATE ALL SESSIONS' }));
+    assert.match(noNote.message, /note is required/);
+
+    const badRoles = await sessionController.killSwitch(createCtx({ exemptRoles: 'support' }));
+    assert.match(badRoles.message, /exemptRoles/);
+
+    assert.equal(calls.filter((call) => !call.dryRun).length, 0);
+  } finally {
+    delete global.strapi;
+  }
+});
+
+test('pulling the kill switch records an audit event and notifies the webhooks', async () => {
+  invalidateSettingsCache();
+  const events = [];
+  const webhooks = [];
+  const settings = {
+    enableWebhooks: true,
+    discordWebhookUrl: 'https://discord.com/api/webhooks/1/abc',
+    slackWebhookUrl: '',
+  };
+  global.strapi = {
+    log,
+    config: { get: (key, fallback) => (key === 'plugin::magic-sessionmanager' ? settings : fallback) },
+    store: () => ({ get: async () => null }),
+    plugin: () => ({
+      service: (name) => {
+        if (name === 'session') return { terminateAllSessions: async () => ({ terminatedCount: 12 }) };
+        if (name === 'session-event') return { record: async (event) => events.push(event) };
+        const notifications = createNotificationService({ strapi: global.strapi });
+        notifications.sendWebhook = async (params) => webhooks.push(params);
+        return notifications;
+      },
+    }),
+  };
+
+  try {
+    const ctx = {
+      request: {
+        body: { confirmation: 'TERMINATE ALL SESSIONS', note: 'JWT secret leaked', exemptUserIds: ['ops1'] },
+        headers: {},
+      },
+      state: { user: { id: 7, email: 'oncall@example.com' } },
+      badRequest: (message) => assert.fail(message),
+    };
+    await sessionController.killSwitch(ctx);
+
+    assert.equal(ctx.body.terminatedCount, 12);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'emergency_termination');
+    assert.equal(events[0].sessionId, undefined);
+    assert.equal(events[0].actor.type, 'admin');
+    assert.deepEqual(events[0].details, {
+      terminatedCount: 12,
+      exemptRoles: [],
+      exemptUserIds: ['ops1'],
+      note: 'JWT secret leaked',
+    });
+
+    assert.equal(webhooks.length, 1);
+    assert.equal(webhooks[0].event, 'session.kill_switch');
+    const embed = webhooks[0].data.embeds[0];
+    assert.equal(embed.title, '[EMERGENCY] All Sessions Terminated');
+    assert.ok(embed.fields.some((field) => field.name === 'Terminated sessions' && field.value === '12'));
+  } finally {
+    delete global.strapi;
+    invalidateSettingsCache();
+  }
+});
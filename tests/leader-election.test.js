@@ -0,0 +1,172 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const createLeaderElection = require('../server/src/services/leader-election');
+const jobsController = require('../server/src/controllers/jobs');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+function matches(row, where) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$or') return condition.some((alternative) => matches(row, alternative));
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if (condition.$null) return row[key] === null || row[key] === undefined;
+      if (condition.$lt) return row[key] !== null && row[key] !== undefined && new Date(row[key]) < condition.$lt;
+    }
+    return row[key] === condition;
+  });
+}
+
+/**
+ * One database shared by several instances: the lease table plus, for
+ * Postgres/MySQL, the server-side advisory lock.
+ */
+function createDatabase(dialect) {
+  const rows = [];
+  const lock = { owner: null };
+  const released = [];
+  let nextConnectionId = 1;
+
+  const run = (conn, sql) => {
+    if (!conn.alive) throw new Error('Connection terminated unexpectedly');
+    if (/try_advisory_lock|GET_LOCK/.test(sql)) {
+      const acquired = lock.owner === null || lock.owner === conn;
+      if (acquired) lock.owner = conn;
+      return dialect === 'postgres' ? { rows: [{ acquired }] } : [[{ acquired: acquired ? 1 : 0 }], []];
+    }
+    if (/advisory_unlock|RELEASE_LOCK/.test(sql) && lock.owner === conn) lock.owner = null;
+    return dialect === 'postgres' ? { rows: [{}] } : [[{}], []];
+  };
+
+  const strapiFor = (nodeId) => {
+    process.env.MAGIC_SESSIONMANAGER_NODE_ID = nodeId;
+    const strapi = {
+      log,
+      config: { get: () => ({}) },
+      db: {
+        dialect: { client: dialect },
+        connection: {
+          raw: (sql) => ({ connection: async (conn) => run(conn, sql) }),
+          client: {
+            acquireConnection: async () => ({ id: nextConnectionId++, alive: true }),
+            releaseConnection: async (conn) => released.push(conn.id),
+          },
+        },
+        query: () => ({
+          findOne: async ({ where }) => rows.find((row) => matches(row, where)) || null,
+          create: async ({ data }) => rows.push({ holder: null, acquiredAt: null, ...data }),
+          updateMany: async ({ where, data }) => {
+            const hits = rows.filter((row) => matches(row, where));
+            for (const row of hits) Object.assign(row, data);
+            return { count: hits.length };
+          },
+        }),
+      },
+    };
+    const service = createLeaderElection({ strapi });
+    delete process.env.MAGIC_SESSIONMANAGER_NODE_ID;
+    return service;
+  };
+
+  return { rows, lock, released, strapiFor };
+}
+
+test('lease row: one holder at a time, takeover after expiry, immediate handover on release', async () => {
+  const db = createDatabase('better-sqlite3');
+  const a = db.strapiFor('node-a');
+  const b = db.strapiFor('node-b');
+
+  assert.equal(await a.elect(), true);
+  assert.equal(await b.elect(), false);
+  assert.equal(await a.elect(), true, 'the holder renews its own lease');
+  assert.equal(db.rows.length, 1);
+
+  const info = await b.getLeaseInfo();
+  assert.equal(info.nodeId, 'node-b');
+  assert.equal(info.isLeader, false);
+  assert.equal(info.strategy, 'lease_row');
+  assert.equal(info.holder, 'node-a');
+  assert.ok(info.expiresAt > new Date());
+
+  // node-a stops renewing (crash): its lease runs out
+  db.rows[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await b.elect(), true);
+  assert.equal(await a.elect(), false);
+  assert.equal((await a.getLeaseInfo()).holder, 'node-b');
+
+  await b.release();
+  assert.equal((await a.getLeaseInfo()).holder, null);
+  assert.equal(await a.elect(), true);
+});
+
+test('postgres: the advisory lock lives on a pinned connection and moves when it dies', async () => {
+  const db = createDatabase('postgres');
+  const a = db.strapiFor('node-a');
+  const b = db.strapiFor('node-b');
+  const ran = [];
+
+  assert.equal(await a.runAsLeader('idle cleanup', async () => ran.push('a')), true);
+  assert.equal(await b.runAsLeader('idle cleanup', async () => ran.push('b')), false);
+  assert.deepEqual(ran, ['a']);
+  assert.equal(db.lock.owner.id, 1);
+  assert.deepEqual(db.released, [2], 'a follower returns its connection to the pool');
+  assert.equal((await b.getLeaseInfo()).holder, 'node-a');
+
+  // The leader's DB connection drops; the server releases the lock
+  db.lock.owner.alive = false;
+  db.lock.owner = null;
+  assert.equal(await a.elect(), false);
+  assert.equal(await b.elect(), true);
+  assert.equal((await a.getLeaseInfo()).holder, 'node-b');
+  assert.equal(await a.runAsLeader('retention', async () => ran.push('a')), false);
+  assert.deepEqual(ran, ['a']);
+
+  await b.release();
+  assert.equal(db.lock.owner, null);
+  assert.equal((await a.getLeaseInfo()).holder, null);
+});
+
+test('mysql uses GET_LOCK; the admin endpoint reports the lease holder', async () => {
+  const db = createDatabase('mysql2');
+  const a = db.strapiFor('node-a');
+  const b = db.strapiFor('node-b');
+
+  assert.equal(await a.elect(), true);
+  assert.equal(await b.elect(), false);
+  assert.equal((await a.getLeaseInfo()).strategy, 'get_lock');
+
+  let fail = false;
+  global.strapi = {
+    log,
+    plugin: () => ({
+      service: () => ({
+        getLeaseInfo: async () => {
+          if (fail) throw new Error('no such table');
+          return b.getLeaseInfo();
+        },
+      }),
+    }),
+  };
+  const createCtx = () => ({
+    send(body) {
+      this.body = body;
+    },
+    internalServerError: (message) => ({ status: 500, message }),
+  });
+
+  try {
+    const ctx = createCtx();
+    await jobsController.getLeader(ctx);
+    assert.equal(ctx.body.success, true);
+    assert.equal(ctx.body.data.holder, 'node-a');
+    assert.equal(ctx.body.data.nodeId, 'node-b');
+    assert.equal(ctx.body.data.isLeader, false);
+
+    fail = true;
+    assert.equal((await jobsController.getLeader(createCtx())).status, 500);
+  } finally {
+    delete global.strapi;
+  }
+});
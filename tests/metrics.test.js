@@ -0,0 +1,203 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { __private } = require('../server/src/bootstrap');
+const config = require('../server/src/config');
+const rateLimit = require('../server/src/middlewares/rate-limit');
+const createNotifications = require('../server/src/services/notifications');
+const metrics = require('../server/src/utils/metrics');
+const { closeSharedState } = require('../server/src/utils/shared-state');
+const { recordSessionEvent } = require('../server/src/utils/session-events');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+const TOKEN = 'a'.repeat(16) + 'b'.repeat(16);
+
+/** The sample lines of one metric, without HELP/TYPE */
+const samplesOf = (text, name) => text.split('\n').filter((line) => line.startsWith(`magic_sessionmanager_${name}`));
+
+test('the registry renders counters, gauges and cumulative histograms in the text format', () => {
+  metrics.resetMetrics();
+  metrics.increment('jwtRejections', { reason: 'idle' });
+  metrics.increment('jwtRejections', { reason: 'idle' });
+  metrics.increment('terminations', { reason: 'emergency' }, 3);
+  metrics.increment('terminations', { reason: 'logout' }, 0);
+  metrics.increment('logins', { route: 'POST /api/auth/"local"\\', result: 'success' });
+  metrics.setGauge('activeSessions', {}, 7);
+  metrics.observe('jobDuration', { job: 'retention', status: 'success' }, 0.3);
+  metrics.observe('jobDuration', { job: 'retention', status: 'success' }, 2);
+
+  const text = metrics.renderMetrics();
+  assert.ok(text.includes('# HELP magic_sessionmanager_jwt_rejections_total JWTs rejected by the session check by reason\n'));
+  assert.ok(text.includes('# TYPE magic_sessionmanager_job_duration_seconds histogram\n'));
+  assert.deepEqual(samplesOf(text, 'jwt_rejections_total'), ['magic_sessionmanager_jwt_rejections_total{reason="idle"} 2']);
+  assert.deepEqual(samplesOf(text, 'session_terminations_total'), ['magic_sessionmanager_session_terminations_total{reason="emergency"} 3']);
+  assert.deepEqual(samplesOf(text, 'logins_total'), ['magic_sessionmanager_logins_total{route="POST /api/auth/\\"local\\"\\\\",result="success"} 1']);
+  assert.deepEqual(samplesOf(text, 'active_sessions'), ['magic_sessionmanager_active_sessions 7']);
+  assert.deepEqual(samplesOf(text, 'fail_open_total'), ['magic_sessionmanager_fail_open_total 0'], 'unlabelled counters start at zero');
+  assert.deepEqual(samplesOf(text, 'geo_lookup_duration_seconds'), [], 'labelled series appear with their first sample');
+
+  const job = samplesOf(text, 'job_duration_seconds');
+  const labels = 'job="retention",status="success"';
+  assert.ok(job.includes(`magic_sessionmanager_job_duration_seconds_bucket{${labels},le="0.1"} 0`));
+  assert.ok(job.includes(`magic_sessionmanager_job_duration_seconds_bucket{${labels},le="0.5"} 1`));
+  assert.ok(job.includes(`magic_sessionmanager_job_duration_seconds_bucket{${labels},le="5"} 2`));
+  assert.ok(job.includes(`magic_sessionmanager_job_duration_seconds_bucket{${labels},le="+Inf"} 2`));
+  assert.ok(job.includes(`magic_sessionmanager_job_duration_seconds_sum{${labels}} 2.3`));
+  assert.ok(job.includes(`magic_sessionmanager_job_duration_seconds_count{${labels}} 2`));
+  assert.ok(text.endsWith('\n'));
+
+  assert.throws(() => metrics.increment('sessions'), /Unknown metric/);
+});
+
+test('the endpoint is opt-in, requires the metrics token and reports the active-session gauge', async () => {
+  metrics.resetMetrics();
+  const routes = [];
+  const createStrapi = (metricsConfig) => ({
+    log,
+    config: {
+      get: (key, fallback) => (key === 'plugin::magic-sessionmanager' ? { metrics: metricsConfig } : fallback),
+    },
+    server: { routes: (added) => routes.push(...added) },
+    db: { query: () => ({ count: async ({ where }) => (where.isActive === true ? 12 : 0) }) },
+  });
+
+  __private.mountMetricsRoute({ strapi: createStrapi({ enabled: false, token: TOKEN }), log });
+  assert.equal(routes.length, 0);
+
+  __private.mountMetricsRoute({ strapi: createStrapi({ enabled: true, token: TOKEN }), log });
+  assert.equal(routes.length, 1);
+  const [route] = routes;
+  assert.equal(route.method, 'GET');
+  assert.equal(route.path, '/api/magic-sessionmanager/metrics');
+  assert.equal(route.config.auth, false);
+
+  const scrape = async (authorization) => {
+    const headers = {};
+    const ctx = { request: { headers: authorization ? { authorization } : {} }, set: (k, v) => { headers[k] = v; } };
+    await route.handler(ctx);
+    return { ...ctx, headers };
+  };
+
+  for (const authorization of [null, `Bearer ${TOKEN}x`, `Basic ${TOKEN}`]) {
+    const denied = await scrape(authorization);
+    assert.equal(denied.status, 401);
+    assert.equal(denied.headers['WWW-Authenticate'], 'Bearer');
+  }
+
+  const ok = await scrape(`Bearer ${TOKEN}`);
+  assert.equal(ok.status, 200);
+  assert.match(ok.type, /^text\/plain; version=0\.0\.4/);
+  assert.ok(ok.body.includes('magic_sessionmanager_active_sessions 12\n'));
+
+  assert.throws(() => config.validator({ metrics: { enabled: true, token: 'short' } }), /at least 32 characters/);
+  assert.throws(() => config.validator({ metrics: { enabled: 'yes' } }), /metrics.enabled must be a boolean/);
+  assert.doesNotThrow(() => config.validator({ metrics: { enabled: true, token: TOKEN } }));
+});
+
+test('logins, 429s, terminations and deliveries are counted where they happen', async () => {
+  metrics.resetMetrics();
+
+  // Logins: the outermost middleware sees the final status
+  const middleware = [];
+  __private.mountLoginMetrics({ strapi: { server: { use: (fn) => middleware.push(fn) } } });
+  const login = async (path, method, respond) => {
+    const ctx = { path, method, status: 404, body: null };
+    await middleware[0](ctx, async () => respond(ctx));
+  };
+  await login('/api/auth/local', 'POST', (ctx) => { ctx.status = 200; ctx.body = { jwt: 'x' }; });
+  await login('/api/auth/local', 'POST', (ctx) => { ctx.status = 400; });
+  await login('/api/auth/local', 'POST', (ctx) => { ctx.status = 429; });
+  await login('/api/auth/github/callback', 'GET', (ctx) => { ctx.status = 403; });
+  await login('/api/magic-link/login', 'POST', (ctx) => { ctx.status = 200; ctx.body = { sent: true }; });
+  await login('/api/auth/refresh', 'POST', (ctx) => { ctx.status = 200; ctx.body = { jwt: 'x' }; });
+  await assert.rejects(() => login('/api/auth/local', 'POST', () => {
+    throw Object.assign(new Error('Invalid identifier or password'), { name: 'ValidationError' });
+  }), /Invalid identifier/);
+  await assert.rejects(() => login('/api/auth/local', 'POST', () => {
+    throw new Error('connection refused');
+  }), /connection refused/);
+
+  // Rate limiter
+  const limited = rateLimit({ max: 1, window: 60_000 }, { strapi: { log } });
+  const request = () => ({ path: '/api/magic-sessionmanager/logout', state: { user: { id: 5 } }, request: {}, set() {} });
+  await limited(request(), async () => {});
+  await limited(request(), async () => {});
+
+  // Terminations recorded through the event log
+  await recordSessionEvent({ log, plugin: () => ({ service: () => ({ record: async () => {} }) }) }, {
+    type: 'terminated',
+    sessionId: 's1',
+    details: { reason: 'session_limit' },
+  });
+
+  // Deliveries
+  const notifications = createNotifications({
+    strapi: { log, plugins: { email: { services: { email: { send: async ({ to }) => { if (!to) throw new Error('no recipient'); } } } } } },
+  });
+  await notifications.sendEmail({ to: 'a@example.com', subject: 's', html: '', text: '' });
+  await assert.rejects(() => notifications.sendEmail({ subject: 's' }), /no recipient/);
+  assert.equal(await notifications.sendWebhook({ event: 'x', data: {}, webhookUrl: 'https://evil.example.com/hook' }), false);
+
+  try {
+    const text = metrics.renderMetrics();
+    assert.deepEqual(samplesOf(text, 'logins_total').sort(), [
+      'magic_sessionmanager_logins_total{route="GET /api/auth/:provider/callback",result="blocked"} 1',
+      'magic_sessionmanager_logins_total{route="POST /api/auth/local",result="error"} 1',
+      'magic_sessionmanager_logins_total{route="POST /api/auth/local",result="failed"} 2',
+      'magic_sessionmanager_logins_total{route="POST /api/auth/local",result="locked_out"} 1',
+      'magic_sessionmanager_logins_total{route="POST /api/auth/local",result="success"} 1',
+    ]);
+    assert.deepEqual(samplesOf(text, 'too_many_requests_total'), ['magic_sessionmanager_too_many_requests_total{limiter="rate_limit"} 1']);
+    assert.deepEqual(samplesOf(text, 'session_terminations_total'), ['magic_sessionmanager_session_terminations_total{reason="session_limit"} 1']);
+    assert.deepEqual(samplesOf(text, 'notification_deliveries_total'), [
+      'magic_sessionmanager_notification_deliveries_total{channel="email",result="success"} 1',
+      'magic_sessionmanager_notification_deliveries_total{channel="email",result="failure"} 1',
+      'magic_sessionmanager_notification_deliveries_total{channel="webhook",result="rejected"} 1',
+    ]);
+  } finally {
+    await closeSharedState();
+  }
+});
+
+test('the JWT session check counts rejections by reason and fail-open activations', async () => {
+  metrics.resetMetrics();
+  process.env.SESSION_ENCRYPTION_KEY = process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+  let lookup = async () => ({ documentId: 's1', isActive: false, terminationReason: 'token_reuse' });
+
+  const jwtService = { verify: async () => ({ id: 7 }) };
+  const strapi = {
+    log,
+    plugin(name) {
+      if (name === 'users-permissions') return { service: () => jwtService };
+      throw new Error(`Unexpected plugin ${name}`);
+    },
+    entityService: { findOne: async () => ({ documentId: 'user-doc-id' }) },
+    documents: (uid) => (uid === 'plugin::users-permissions.user'
+      ? { findOne: async () => ({ documentId: 'user-doc-id', blocked: false, role: { type: 'authenticated' } }) }
+      : { findFirst: () => lookup(), update: async () => {} }),
+    config: { get: () => ({}) },
+    store: () => ({ get: async () => ({ strictSessionEnforcement: true }) }),
+  };
+
+  await __private.registerSessionAwareAuthStrategy(strapi, log);
+  try {
+    assert.equal(await jwtService.verify('x'.repeat(80)), null);
+    lookup = async () => null;
+    assert.equal(await jwtService.verify('x'.repeat(80)), null);
+    lookup = async () => {
+      throw new Error('connection reset');
+    };
+    assert.equal((await jwtService.verify('x'.repeat(80))).id, 7);
+
+    const text = metrics.renderMetrics();
+    assert.deepEqual(samplesOf(text, 'jwt_rejections_total'), [
+      'magic_sessionmanager_jwt_rejections_total{reason="token_reuse"} 1',
+      'magic_sessionmanager_jwt_rejections_total{reason="no_session"} 1',
+    ]);
+    assert.deepEqual(samplesOf(text, 'fail_open_total'), ['magic_sessionmanager_fail_open_total 1']);
+  } finally {
+    await closeSharedState();
+  }
+});
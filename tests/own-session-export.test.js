@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const sessionController = require('../server/src/controllers/session');
+const { OWN_EXPORT_COLUMNS } = require('../server/src/utils/session-export');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+function sessionRow(index, overrides = {}) {
+  return {
+    documentId: `session-${index}`,
+    user: { documentId: 'user-1', email: 'ada@example.com', username: 'ada' },
+    ipAddress: '203.0.113.7',
+    userAgent: 'Test/1.0',
+    tokenHash: 'access-hash',
+    loginTime: new Date('2026-10-01T10:00:00Z'),
+    logoutTime: new Date('2026-10-01T11:00:00Z'),
+    isActive: false,
+    terminationReason: 'manual',
+    terminatedBy: { type: 'admin', id: '3', email: 'root@example.com' },
+    terminationNote: 'Suspicious login',
+    ...overrides,
+  };
+}
+
+function createCtx(query, user = { documentId: 'user-1' }) {
+  const headers = {};
+  return {
+    query,
+    headers,
+    state: { user },
+    set: (name, value) => { headers[name] = value; },
+    badRequest: (message) => ({ status: 400, message }),
+    unauthorized: (message) => ({ status: 401, message }),
+    internalServerError: (message) => ({ status: 500, message }),
+  };
+}
+
+async function readBody(ctx) {
+  let body = '';
+  for await (const chunk of ctx.body) body += chunk;
+  return body;
+}
+
+test('iterateSessions with a user reads only that user\'s rows, past the list cap and without the admin audit', async () => {
+  invalidateSettingsCache();
+  const calls = [];
+  const strapi = {
+    log,
+    config: { get: (key, fallback) => fallback },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async (params) => {
+        calls.push(params);
+        const size = params.start === 0 ? params.limit : 2;
+        return Array.from({ length: size }, (_, i) => sessionRow(params.start + i));
+      },
+    }),
+  };
+
+  try {
+    const exported = [];
+    const service = createSessionService({ strapi });
+    for await (const session of service.iterateSessions({}, [], { userDocumentId: 'user-1', includeTerminationAudit: false })) {
+      exported.push(session);
+    }
+
+    assert.equal(calls.length, 2);
+    assert.equal(exported.length, calls[0].limit + 2);
+    assert.ok(exported.length > 200);
+    assert.deepEqual(calls[0].filters.$and, [{ user: { documentId: 'user-1' } }]);
+    assert.equal(exported[0].terminatedBy, undefined);
+    assert.equal(exported[0].terminationNote, undefined);
+    assert.equal(exported[0].tokenHash, undefined);
+  } finally {
+    invalidateSettingsCache();
+  }
+});
+
+test('own export streams one JSON document with login, logout and termination details only', async () => {
+  const iterateCalls = [];
+  global.strapi = {
+    log,
+    plugin: () => ({
+      service: () => ({
+        async *iterateSessions(query, clauses, options) {
+          iterateCalls.push({ query, clauses, options });
+          yield sessionRow(1, { geoLocation: { country: 'Germany', country_code: 'DE', city: 'Berlin' } });
+          yield sessionRow(2, { isActive: true, isTrulyActive: true, logoutTime: null, terminationReason: null });
+        },
+      }),
+    }),
+  };
+
+  try {
+    assert.equal((await sessionController.exportOwnSessions(createCtx({ format: 'xml' }))).status, 400);
+    assert.equal((await sessionController.exportOwnSessions(createCtx({}, null))).status, 401);
+    assert.equal(iterateCalls.length, 0);
+
+    const ctx = createCtx({ status: 'all', userId: 'someone-else' });
+    await sessionController.exportOwnSessions(ctx);
+    assert.deepEqual(iterateCalls[0], {
+      query: {},
+      clauses: [],
+      options: { userDocumentId: 'user-1', includeTerminationAudit: false },
+    });
+    assert.equal(ctx.type, 'application/json; charset=utf-8');
+    assert.equal(ctx.headers['Cache-Control'], 'no-store');
+    assert.match(ctx.headers['Content-Disposition'], /attachment; filename="my-sessions-.*\.json"/);
+
+    const document = JSON.parse(await readBody(ctx));
+    assert.equal(document.meta.count, 2);
+    assert.deepEqual(Object.keys(document.data[0]), OWN_EXPORT_COLUMNS);
+    assert.equal(document.data[0].city, 'Berlin');
+    assert.equal(document.data[0].logoutTime, '2026-10-01T11:00:00.000Z');
+    assert.equal(document.data[0].terminationReason, 'manual');
+    assert.equal(document.data[1].status, 'active');
+    assert.doesNotMatch(JSON.stringify(document), /root@example\.com|Suspicious login|access-hash/);
+  } finally {
+    delete global.strapi;
+  }
+});
+
+test('own export writes CSV, handles an empty history and answers 500 when the query fails', async () => {
+  let fail = false;
+  let rows = [sessionRow(1)];
+  global.strapi = {
+    log,
+    plugin: () => ({
+      service: () => ({
+        async *iterateSessions() {
+          if (fail) throw new Error('database unavailable');
+          yield* rows;
+        },
+      }),
+    }),
+  };
+
+  try {
+    const csv = createCtx({ format: 'csv' });
+    await sessionController.exportOwnSessions(csv);
+    assert.equal(csv.type, 'text/csv; charset=utf-8');
+    const lines = (await readBody(csv)).trim().split('\r\n');
+    assert.equal(lines[0], OWN_EXPORT_COLUMNS.join(','));
+    assert.match(lines[1], /^session-1,terminated,203\.0\.113\.7,/);
+
+    rows = [];
+    const empty = createCtx({});
+    await sessionController.exportOwnSessions(empty);
+    const document = JSON.parse(await readBody(empty));
+    assert.deepEqual(document.data, []);
+    assert.equal(document.meta.count, 0);
+
+    fail = true;
+    const failed = await sessionController.exportOwnSessions(createCtx({}));
+    assert.equal(failed.status, 500);
+  } finally {
+    delete global.strapi;
+  }
+});
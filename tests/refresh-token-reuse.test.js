@@ -0,0 +1,177 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const bootstrap = require('../server/src/bootstrap');
+const createSessionService = require('../server/src/services/session');
+const { hashToken } = require('../server/src/utils/encryption');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+test('each rotation records the superseded refresh token in a bounded, hash-indexed history', async () => {
+  const row = { documentId: 'session-1', isActive: true, refreshTokenHash: hashToken('refresh-0') };
+  const superseded = [];
+  let nextId = 1;
+  const tables = {
+    'plugin::magic-sessionmanager.session': {
+      updateMany: async ({ where, data }) => {
+        if (row.refreshTokenHash !== where.refreshTokenHash) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      },
+    },
+    'plugin::magic-sessionmanager.superseded-refresh-token': {
+      create: async ({ data }) => superseded.push({ id: nextId++, ...data }),
+      findMany: async ({ where, offset }) => superseded
+        .filter((entry) => entry.sessionId === where.sessionId)
+        .sort((a, b) => b.id - a.id)
+        .slice(offset),
+      deleteMany: async ({ where }) => {
+        const ids = new Set(where.id.$in);
+        superseded.splice(0, superseded.length, ...superseded.filter((entry) => !ids.has(entry.id)));
+      },
+      findOne: async ({ where }) => superseded.find((entry) => entry.tokenHash === where.tokenHash) || null,
+    },
+  };
+  const strapi = {
+    log,
+    db: { query: (uid) => tables[uid] },
+    documents: () => ({
+      findOne: async ({ documentId }) => (documentId === row.documentId ? { documentId, isActive: row.isActive } : null),
+    }),
+  };
+  const service = createSessionService({ strapi });
+
+  for (let i = 1; i <= 12; i++) {
+    const rotated = await service.rotateSessionTokens({
+      sessionId: 'session-1',
+      expectedRefreshToken: `refresh-${i - 1}`,
+      accessToken: `access-${i}`,
+      refreshToken: `refresh-${i}`,
+    });
+    assert.equal(rotated, true);
+  }
+
+  const hashes = superseded.map((entry) => entry.tokenHash);
+  assert.equal(hashes.length, 10);
+  assert.equal(hashes.includes(hashToken('refresh-11')), true);
+  assert.equal(hashes.includes(hashToken('refresh-12')), false);
+  assert.equal(hashes.includes(hashToken('refresh-1')), false);
+
+  const reused = await service.findSessionByReusedRefreshToken('refresh-5');
+  assert.equal(reused.documentId, 'session-1');
+  assert.ok(reused.supersededAt instanceof Date);
+  assert.equal(await service.findSessionByReusedRefreshToken('refresh-1'), null);
+  assert.equal(await service.findSessionByReusedRefreshToken('refresh-12'), null);
+});
+
+function createRefreshStrapi({ settings = {}, reused }) {
+  invalidateSettingsCache();
+  const middleware = [];
+  const terminated = [];
+  const sessionService = {
+    findSessionByReusedRefreshToken: async (token) => (token === 'stolen-refresh' ? reused : null),
+    terminateSession: async (params) => {
+      terminated.push(params);
+      return { terminatedCount: params.userId ? 3 : 1 };
+    },
+  };
+  const strapi = {
+    log,
+    server: { use: (fn) => middleware.push(fn) },
+    config: {
+      get(key, fallback) {
+        if (key === 'plugin::magic-sessionmanager') return settings;
+        return fallback;
+      },
+    },
+    store: () => ({ get: async () => null }),
+    documents: () => ({ findFirst: async () => null }),
+  };
+  bootstrap.__private.mountRefreshTokenInterceptor({ strapi, log, sessionService });
+  return { interceptor: middleware[0], terminated };
+}
+
+async function refresh(interceptor, refreshToken) {
+  const ctx = {
+    path: '/api/auth/refresh',
+    method: 'POST',
+    status: 404,
+    body: null,
+    state: {},
+    ip: '203.0.113.50',
+    request: { ip: '203.0.113.50', body: { refreshToken }, headers: { 'user-agent': 'Replayer/1.0' } },
+    cookies: { get: () => undefined },
+    response: { headers: {} },
+  };
+  let downstreamCalled = false;
+  await interceptor(ctx, async () => {
+    downstreamCalled = true;
+  });
+  return { ctx, downstreamCalled };
+}
+
+const reusedSession = {
+  documentId: 'session-1',
+  isActive: true,
+  supersededAt: new Date(Date.now() - 60 * 60 * 1000),
+  user: { documentId: 'user-1', email: 'owner@example.com' },
+};
+
+test('replaying a superseded refresh token terminates its session', async () => {
+  const { interceptor, terminated } = createRefreshStrapi({ reused: reusedSession });
+
+  const { ctx, downstreamCalled } = await refresh(interceptor, 'stolen-refresh');
+
+  assert.equal(downstreamCalled, false);
+  assert.equal(ctx.status, 401);
+  assert.deepEqual(ctx.body.error.details, { reason: 'token_reuse' });
+  assert.equal(terminated.length, 1);
+  assert.equal(terminated[0].sessionId, 'session-1');
+  assert.equal(terminated[0].reason, 'token_reuse');
+  assert.match(terminated[0].note, /203\.0\.113\.50/);
+});
+
+test('the user scope terminates every session, and detection can be turned off', async () => {
+  const userScope = createRefreshStrapi({
+    settings: { refreshTokenReuseScope: 'user' },
+    reused: reusedSession,
+  });
+  await refresh(userScope.interceptor, 'stolen-refresh');
+  assert.deepEqual(userScope.terminated.map(({ userId, reason }) => ({ userId, reason })), [
+    { userId: 'user-1', reason: 'token_reuse' },
+  ]);
+
+  const disabled = createRefreshStrapi({
+    settings: { detectRefreshTokenReuse: false },
+    reused: reusedSession,
+  });
+  const { ctx } = await refresh(disabled.interceptor, 'stolen-refresh');
+  assert.equal(ctx.status, 401);
+  assert.equal(ctx.body.error.details, undefined);
+  assert.equal(disabled.terminated.length, 0);
+
+  const unknown = createRefreshStrapi({ reused: reusedSession });
+  await refresh(unknown.interceptor, 'never-issued');
+  assert.equal(unknown.terminated.length, 0);
+});
+
+test('a replay right after the rotation is rejected without ending the session', async () => {
+  const justRotated = { ...reusedSession, supersededAt: new Date(Date.now() - 2000) };
+  const { interceptor, terminated } = createRefreshStrapi({ reused: justRotated });
+
+  const { ctx, downstreamCalled } = await refresh(interceptor, 'stolen-refresh');
+  assert.equal(downstreamCalled, false);
+  assert.equal(ctx.status, 401);
+  assert.equal(ctx.body.error.details, undefined);
+  assert.equal(terminated.length, 0);
+
+  const noGrace = createRefreshStrapi({ settings: { refreshTokenReuseGraceSeconds: 0 }, reused: justRotated });
+  await refresh(noGrace.interceptor, 'stolen-refresh');
+  assert.equal(noGrace.terminated.length, 1);
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const bootstrap = require('../server/src/bootstrap');
+const createSessionService = require('../server/src/services/session');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function createLoginStrapi(settings) {
+  invalidateSettingsCache();
+  const middleware = [];
+  const created = [];
+  const sessionService = {
+    createSession: async (params) => {
+      created.push(params);
+      return { documentId: 'session-new' };
+    },
+  };
+  const strapi = {
+    log,
+    server: { use: (fn) => middleware.push(fn) },
+    config: {
+      get(key, fallback) {
+        return key === 'plugin::magic-sessionmanager' ? settings : fallback;
+      },
+    },
+    store: () => ({ get: async () => null }),
+    documents: () => ({ findMany: async () => [] }),
+  };
+  bootstrap.__private.mountLoginInterceptor({ strapi, log, sessionService });
+  return { interceptor: middleware[0], created };
+}
+
+async function login(interceptor, body) {
+  const ctx = {
+    path: '/api/auth/local',
+    method: 'POST',
+    status: 404,
+    body: null,
+    state: {},
+    ip: '203.0.113.7',
+    request: { ip: '203.0.113.7', body, headers: { 'user-agent': 'TestBrowser/1.0' } },
+    cookies: { get: () => undefined, set() {} },
+    response: { headers: {} },
+  };
+  await interceptor(ctx, async () => {
+    ctx.status = 200;
+    ctx.body = { jwt: 'issued-access', user: { documentId: 'user-1' } };
+  });
+  return ctx;
+}
+
+test('a rememberMe login stores its own lifetimes on the session when enabled', async () => {
+  const enabled = createLoginStrapi({ enableRememberMe: true, rememberMeIdleDays: 7, rememberMeMaxAgeDays: 60 });
+  await login(enabled.interceptor, { identifier: 'a', password: 'b', rememberMe: true });
+  await login(enabled.interceptor, { identifier: 'a', password: 'b' });
+
+  const { lifetime } = enabled.created[0];
+  assert.equal(lifetime.rememberMe, true);
+  assert.equal(lifetime.idleTimeoutSeconds, 7 * 24 * 60 * 60);
+  assert.ok(Math.abs(lifetime.expiresAt.getTime() - (Date.now() + 60 * DAY)) < 5000);
+  assert.equal(enabled.created[1].lifetime, undefined);
+
+  const disabled = createLoginStrapi({});
+  await login(disabled.interceptor, { identifier: 'a', password: 'b', rememberMe: true });
+  assert.equal(disabled.created[0].lifetime, undefined);
+});
+
+function createVerifyHarness(session) {
+  invalidateSettingsCache();
+  const updates = [];
+  const jwtService = { verify: async () => ({ id: 7, iat: Math.floor(Date.now() / 1000) - 120 }) };
+  const strapi = {
+    plugin(name) {
+      if (name === 'users-permissions') return { service: () => jwtService };
+      throw new Error(`Unexpected plugin ${name}`);
+    },
+    entityService: { findOne: async () => ({ documentId: 'user-doc-id' }) },
+    documents(uid) {
+      if (uid === 'plugin::users-permissions.user') {
+        return { findOne: async () => ({ documentId: 'user-doc-id', blocked: false, role: { type: 'authenticated' } }) };
+      }
+      return { findFirst: async () => session, update: async (payload) => updates.push(payload) };
+    },
+    config: { get: () => ({}) },
+    store: () => ({
+      get: async () => ({ inactivityTimeout: 1, maxSessionAgeDays: 30, strictSessionEnforcement: true }),
+    }),
+    log,
+  };
+  return { jwtService, strapi, updates };
+}
+
+test('JWT verification applies the per-session idle timeout and expiry', async () => {
+  const persistent = createVerifyHarness({
+    documentId: 'session-persistent',
+    isActive: true,
+    terminatedManually: false,
+    lastActive: new Date(Date.now() - 2 * HOUR),
+    loginTime: new Date(Date.now() - 40 * DAY),
+    idleTimeoutSeconds: 24 * 60 * 60,
+    expiresAt: new Date(Date.now() + 50 * DAY),
+  });
+  await bootstrap.__private.registerSessionAwareAuthStrategy(persistent.strapi, log);
+  assert.equal((await persistent.jwtService.verify('x'.repeat(80))).id, 7);
+  assert.equal(persistent.updates.length, 0);
+
+  const expired = createVerifyHarness({
+    documentId: 'session-expired',
+    isActive: true,
+    terminatedManually: false,
+    lastActive: new Date(),
+    loginTime: new Date(Date.now() - DAY),
+    idleTimeoutSeconds: 24 * 60 * 60,
+    expiresAt: new Date(Date.now() - HOUR),
+  });
+  await bootstrap.__private.registerSessionAwareAuthStrategy(expired.strapi, log);
+  assert.equal(await expired.jwtService.verify('x'.repeat(80)), null);
+  assert.equal(expired.updates[0].data.terminationReason, 'expired');
+});
+
+test('cleanupInactiveSessions measures remember-me sessions against their own idle timeout', async () => {
+  invalidateSettingsCache();
+  const idleFor = (ms) => new Date(Date.now() - ms);
+  const deactivated = [];
+  const directQuery = {};
+  const recorded = [];
+  const strapi = {
+    config: { get: (key) => (key === 'plugin::magic-sessionmanager' ? { inactivityTimeout: 15 * 60 * 1000 } : {}) },
+    store: () => ({ get: async () => null }),
+    db: {
+      query: () => ({
+        findMany: async ({ where }) => {
+          directQuery.where = where;
+          return where.$and.at(-1).id.$gt > 0
+            ? []
+            : [
+                { id: 1, documentId: 'regular-idle-1', user: { documentId: 'user-1' } },
+                { id: 2, documentId: 'regular-idle-2', user: null },
+              ];
+        },
+        updateMany: async ({ where }) => {
+          directQuery.updated = where.id.$in;
+          return { count: where.id.$in.length };
+        },
+      }),
+    },
+    documents: () => ({
+      findMany: async ({ filters }) => {
+        directQuery.scanFilters = filters;
+        return [
+          { documentId: 'persistent-active', lastActive: idleFor(3 * HOUR), idleTimeoutSeconds: 24 * 60 * 60 },
+          { documentId: 'persistent-idle', lastActive: idleFor(2 * DAY), idleTimeoutSeconds: 24 * 60 * 60 },
+        ];
+      },
+      update: async ({ documentId }) => deactivated.push(documentId),
+    }),
+    plugin: () => ({
+      service: () => ({
+        record: async (event) => recorded.push(event),
+        recordMany: async (events) => recorded.push(...events),
+      }),
+    }),
+    log,
+  };
+
+  const count = await createSessionService({ strapi }).cleanupInactiveSessions({ useDbDirect: true });
+
+  assert.equal(count, 3);
+  assert.deepEqual(directQuery.where.$and[1], { idleTimeoutSeconds: { $null: true } });
+  assert.deepEqual(directQuery.updated, [1, 2]);
+  assert.deepEqual(directQuery.scanFilters.idleTimeoutSeconds, { $notNull: true });
+  assert.deepEqual(deactivated, ['persistent-idle']);
+  assert.deepEqual(
+    recorded.map((event) => [event.type, event.sessionId, event.userId, event.actor.id, event.details.reason]),
+    [
+      ['terminated', 'regular-idle-1', 'user-1', 'idle-cleanup', 'idle'],
+      ['terminated', 'regular-idle-2', undefined, 'idle-cleanup', 'idle'],
+      ['terminated', 'persistent-idle', undefined, 'idle-cleanup', 'idle'],
+    ]
+  );
+});
+
+test('getLiveSessions counts remember-me sessions idle past the global timeout until they expire', async () => {
+  invalidateSettingsCache();
+  const idleFor = (ms) => new Date(Date.now() - ms);
+  let query;
+  const strapi = {
+    config: { get: (key) => (key === 'plugin::magic-sessionmanager' ? { inactivityTimeout: 15 * 60 * 1000 } : {}) },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async (params) => {
+        query = params;
+        return [
+          { documentId: 'persistent-live', lastActive: idleFor(3 * HOUR), idleTimeoutSeconds: 24 * 60 * 60, expiresAt: new Date(Date.now() + DAY) },
+          { documentId: 'persistent-idle', lastActive: idleFor(2 * DAY), idleTimeoutSeconds: 24 * 60 * 60, expiresAt: new Date(Date.now() + DAY) },
+          { documentId: 'persistent-expired', lastActive: idleFor(HOUR), idleTimeoutSeconds: 24 * 60 * 60, expiresAt: idleFor(1000) },
+          { documentId: 'regular', lastActive: idleFor(5 * 60 * 1000), loginTime: idleFor(HOUR) },
+        ];
+      },
+    }),
+    log,
+  };
+
+  const live = await createSessionService({ strapi }).getLiveSessions('user-1');
+
+  assert.deepEqual(query.filters.$or.at(-1), { idleTimeoutSeconds: { $notNull: true } });
+  assert.deepEqual(live.map((session) => session.documentId), ['persistent-live', 'regular']);
+  assert.equal('idleTimeoutSeconds' in live[0], false);
+  assert.equal('expiresAt' in live[0], false);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  getMinInactivityTimeout,
+  resolveSessionPolicy,
+  sanitizeRolePolicies,
+} = require('../server/src/utils/role-policy');
+const { normalizeStoredSettings } = require('../server/src/utils/settings-loader');
+
+const GLOBAL = {
+  inactivityTimeout: 15 * 60 * 1000,
+  maxSessionAgeDays: 30,
+  strictSessionEnforcement: false,
+};
+
+test('role policies override only the fields they set', () => {
+  const settings = {
+    ...GLOBAL,
+    rolePolicies: {
+      finance: { inactivityTimeout: 5 * 60 * 1000, strictSessionEnforcement: true },
+      editor: { inactivityTimeout: 8 * 60 * 60 * 1000 },
+    },
+  };
+
+  assert.deepEqual(resolveSessionPolicy(settings, 'finance'), {
+    inactivityTimeout: 5 * 60 * 1000,
+    maxSessionAgeDays: 30,
+    strictSessionEnforcement: true,
+  });
+  assert.equal(resolveSessionPolicy(settings, 'editor').inactivityTimeout, 8 * 60 * 60 * 1000);
+  assert.deepEqual(resolveSessionPolicy(settings, 'authenticated'), GLOBAL);
+  assert.deepEqual(resolveSessionPolicy(settings, null), GLOBAL);
+  assert.equal(getMinInactivityTimeout(settings), 5 * 60 * 1000);
+});
+
+test('stored role policies are sanitized and converted from minutes to milliseconds', () => {
+  const stored = {
+    finance: { inactivityTimeout: '5', maxSessionAgeDays: 9999, strictSessionEnforcement: true },
+    editor: { inactivityTimeout: '', strictSessionEnforcement: 'yes' },
+    'bad role': { inactivityTimeout: 10 },
+  };
+
+  assert.deepEqual(sanitizeRolePolicies(stored), {
+    finance: { inactivityTimeout: 5, maxSessionAgeDays: 365, strictSessionEnforcement: true },
+  });
+  assert.deepEqual(normalizeStoredSettings({ rolePolicies: stored }).rolePolicies, {
+    finance: { inactivityTimeout: 5 * 60 * 1000, maxSessionAgeDays: 365, strictSessionEnforcement: true },
+  });
+});
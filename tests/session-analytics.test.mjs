@@ -42,3 +42,36 @@ test('analytics handles missing user agents and classifies Android before Linux'
   assert.equal(analytics.terminated, 1);
   assert.equal(analytics.avgSessionDuration, 20);
 });
+
+test('analytics classify anonymized sessions by their stored device, browser and OS', () => {
+  const analytics = computeSessionAnalytics([
+    {
+      isActive: false,
+      terminationReason: 'logout',
+      userAgent: null,
+      deviceType: 'mobile',
+      browserName: 'Safari 17',
+      osName: 'iOS 17',
+      ipAddress: '203.0.113.0',
+      loginTime: '2026-07-10T09:00:00.000Z',
+      logoutTime: '2026-07-10T09:30:00.000Z',
+    },
+    {
+      isActive: false,
+      terminationReason: 'logout',
+      userAgent: null,
+      deviceType: 'desktop',
+      browserName: 'Edge 120',
+      osName: 'Windows 10/11',
+      ipAddress: '203.0.113.0',
+      loginTime: '2026-07-10T10:00:00.000Z',
+      logoutTime: '2026-07-10T10:10:00.000Z',
+    },
+  ], { now: Date.parse('2026-07-10T11:00:00.000Z') });
+
+  assert.deepEqual(analytics.devices, { Mobile: 1, Desktop: 1 });
+  assert.deepEqual(analytics.browsers, { Safari: 1, Edge: 1 });
+  assert.deepEqual(analytics.operatingSystems, { iOS: 1, Windows: 1 });
+  assert.equal(analytics.uniqueIPs, 1);
+  assert.equal(analytics.avgSessionDuration, 20);
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const createArchiveService = require('../server/src/services/session-archive');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+const {
+  archiveFilters,
+  matchesArchiveSearch,
+  parseArchiveSearch,
+  toArchiveRecord,
+} = require('../server/src/utils/session-archive');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+const expiredSession = (documentId, overrides = {}) => ({
+  documentId,
+  isActive: false,
+  user: { documentId: 'u1', email: 'alice@example.com', username: 'alice' },
+  ipAddress: '203.0.113.7',
+  countryCode: 'DE',
+  city: 'Berlin',
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36',
+  token: 'encrypted-token',
+  tokenHash: 'token-hash',
+  refreshTokenHash: 'refresh-hash',
+  loginTime: '2025-01-10T08:00:00.000Z',
+  logoutTime: '2025-01-10T09:00:00.000Z',
+  terminationReason: 'logout',
+  ...overrides,
+});
+
+const strapiWith = (settings, extra = {}) => ({
+  log,
+  config: { get: (key, fallback) => (key === 'plugin::magic-sessionmanager' ? settings : fallback) },
+  store: () => ({ get: async () => null }),
+  ...extra,
+});
+
+test('archive records carry no credentials and searches filter on user, IP and login time', () => {
+  const record = toArchiveRecord(expiredSession('s1'), new Date('2026-10-19T00:00:00Z'));
+  assert.equal(record.sessionId, 's1');
+  assert.equal(record.userEmail, 'alice@example.com');
+  assert.equal(record.browser, 'Chrome');
+  assert.equal(record.archivedAt, '2026-10-19T00:00:00.000Z');
+  for (const key of ['id', 'token', 'tokenHash', 'refreshTokenHash']) {
+    assert.equal(Object.hasOwn(record, key), false, key);
+  }
+
+  const search = parseArchiveSearch({ q: ' ALICE ', from: '2025-01-01T00:00:00Z', pageSize: '500' });
+  assert.equal(search.q, 'ALICE');
+  assert.equal(search.pageSize, 100);
+  assert.equal(matchesArchiveSearch(record, search), true);
+  assert.equal(matchesArchiveSearch(record, { ...search, q: '198.51.100.' }), false);
+  assert.equal(matchesArchiveSearch(record, { ...search, from: new Date('2025-02-01T00:00:00Z') }), false);
+  assert.deepEqual(archiveFilters(search).$and[1], { loginTime: { $gte: new Date('2025-01-01T00:00:00Z') } });
+
+  assert.match(parseArchiveSearch({ from: 'yesterday' }).error, /from must be an ISO date/);
+  assert.match(parseArchiveSearch({ q: 'x'.repeat(201) }).error, /at most 200/);
+});
+
+test('file archive writes gzip NDJSON, searches it and prunes files past archiveRetentionDays', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-archive-'));
+  invalidateSettingsCache();
+  const settings = { archiveMode: 'file', archiveDirectory: directory, archiveRetentionDays: 30 };
+  const service = createArchiveService({ strapi: strapiWith(settings, { db: { query: () => ({ deleteMany: async () => ({ count: 0 }) }) } }) });
+
+  try {
+    await service.archiveSessions([expiredSession('s1'), expiredSession('s2', { city: 'Hamburg' })], settings);
+    await service.archiveSessions([expiredSession('s3', { user: { documentId: 'u2', email: 'bob@example.com' } })], settings);
+
+    const files = fs.readdirSync(directory);
+    assert.equal(files.length, 2);
+    assert.ok(files.every((name) => /^sessions-archive-.+\.ndjson\.gz$/.test(name)));
+
+    const found = await service.search(parseArchiveSearch({ q: 'hamburg' }));
+    assert.equal(found.source, 'file');
+    assert.deepEqual(found.data.map((record) => record.sessionId), ['s2']);
+    assert.equal((await service.search(parseArchiveSearch({ pageSize: '2', page: '2' }))).data.length, 1);
+
+    const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(directory, files[0]), old, old);
+    assert.equal(await service.pruneArchive(), 1);
+    assert.equal(fs.readdirSync(directory).length, 1);
+
+    await assert.rejects(
+      service.archiveSessions([expiredSession('s4')], { archiveMode: 'file' }),
+      /no archiveDirectory is configured/
+    );
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+    invalidateSettingsCache();
+  }
+});
+
+test('GDPR mode anonymizes archive records on archiving and later in the table and in files', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-archive-'));
+  invalidateSettingsCache();
+  const settings = { archiveMode: 'file', archiveDirectory: directory, anonymizeAfterDays: 30 };
+  const tableRows = [{ id: 1, ipAddress: '198.51.100.23', lastIpAddress: null, browser: 'Chrome 120.0.6099', os: 'Windows 10/11' }];
+  const tableCalls = { findMany: [], update: [] };
+  const service = createArchiveService({
+    strapi: strapiWith(settings, {
+      db: {
+        query: () => ({
+          findMany: async (params) => {
+            tableCalls.findMany.push(params);
+            return tableRows.splice(0);
+          },
+          update: async (params) => tableCalls.update.push(params),
+        }),
+      },
+    }),
+  });
+  const readAll = async () => (await service.search(parseArchiveSearch({}))).data;
+
+  try {
+    // Ended in January 2025, long past the 30-day cutoff
+    await service.archiveSessions([expiredSession('s1')], settings);
+    const [written] = await readAll();
+    assert.equal(written.ipAddress, '203.0.113.0');
+    assert.equal(written.city, null);
+    assert.equal(written.userAgent, null);
+    assert.equal(written.countryCode, 'DE');
+    assert.ok(written.anonymizedAt);
+
+    // Archived while GDPR mode was off, or before the session was old enough
+    await service.archiveSessions([expiredSession('s2', { logoutTime: new Date().toISOString() })], settings);
+    const earlierFiles = fs.readdirSync(directory);
+    await service.archiveSessions([expiredSession('s3')], { ...settings, anonymizeAfterDays: 0 });
+    const s3File = fs.readdirSync(directory).find((name) => !earlierFiles.includes(name));
+    const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(directory, s3File), old, old);
+
+    const before = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    assert.equal(await service.anonymize({ before }), 2, 'one table row and s3');
+    const bySession = Object.fromEntries((await readAll()).map((record) => [record.sessionId, record]));
+    assert.equal(bySession.s3.ipAddress, '203.0.113.0');
+    assert.equal(bySession.s3.city, null);
+    assert.equal(bySession.s2.ipAddress, '203.0.113.7', 'a recent session keeps its data');
+    assert.equal(fs.statSync(path.join(directory, s3File)).mtime.getTime(), old.getTime(), 'the file keeps its age');
+
+    assert.equal(tableCalls.findMany[0].where.anonymizedAt.$null, true);
+    assert.deepEqual(tableCalls.findMany[0].where.$or[0], { logoutTime: { $lt: before } });
+    assert.deepEqual(tableCalls.update[0].where, { id: 1 });
+    assert.equal(tableCalls.update[0].data.ipAddress, '198.51.100.0');
+    assert.equal(tableCalls.update[0].data.browser, 'Chrome 120');
+
+    assert.equal(await service.anonymize({ before }), 0, 'anonymized records are not rewritten again');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+    invalidateSettingsCache();
+  }
+});
+
+test('deleteOldSessions archives each batch before deleting it and keeps rows the archive rejected', async () => {
+  const run = async (archiveSessions) => {
+    invalidateSettingsCache();
+    const rows = [expiredSession('s1'), expiredSession('s2')];
+    const deleted = [];
+    const findManyCalls = [];
+    const strapi = strapiWith({ retentionDays: 30, archiveMode: 'table', cleanupUseDbDirect: true }, {
+      documents: () => ({
+        findMany: async (params) => {
+          findManyCalls.push(params);
+          return rows.filter((row) => !deleted.includes(row.documentId));
+        },
+        delete: async ({ documentId }) => deleted.push(documentId),
+      }),
+      db: {
+        connection: () => {
+          throw new Error('db-direct delete must not run while archiving');
+        },
+      },
+      plugin: () => ({
+        service: (name) => (name === 'session-archive' ? { archiveSessions } : { prune: async () => 0 }),
+      }),
+    });
+    const count = await createSessionService({ strapi }).deleteOldSessions();
+    invalidateSettingsCache();
+    return { count, deleted, findManyCalls };
+  };
+
+  const archived = [];
+  const ok = await run(async (sessions, settings) => {
+    assert.equal(settings.archiveMode, 'table');
+    archived.push(...sessions.map((session) => session.documentId));
+    return sessions.length;
+  });
+  assert.equal(ok.count, 2);
+  assert.deepEqual(archived, ['s1', 's2']);
+  assert.deepEqual(ok.deleted, ['s1', 's2']);
+  assert.deepEqual(ok.findManyCalls[0].populate, { user: { fields: ['documentId', 'email', 'username'] } });
+
+  const failed = await run(async () => {
+    throw new Error('disk full');
+  });
+  assert.equal(failed.count, 0);
+  assert.deepEqual(failed.deleted, []);
+});
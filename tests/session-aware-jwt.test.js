@@ -9,7 +9,7 @@ process.env.SESSION_ENCRYPTION_KEY =
 const bootstrap = require('../server/src/bootstrap');
 const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
 
-function createHarness(session) {
+function createHarness(session, { rolePolicies, roleType = 'authenticated' } = {}) {
   invalidateSettingsCache();
 
   const updates = [];
@@ -27,7 +27,11 @@ function createHarness(session) {
     documents(uid) {
       if (uid === 'plugin::users-permissions.user') {
         return {
-          findOne: async () => ({ documentId: 'user-doc-id', blocked: false }),
+          findOne: async () => ({
+            documentId: 'user-doc-id',
+            blocked: false,
+            role: { type: roleType },
+          }),
         };
       }
 
@@ -49,6 +53,7 @@ function createHarness(session) {
         inactivityTimeout: 1,
         maxSessionAgeDays: 30,
         strictSessionEnforcement: true,
+        ...(rolePolicies ? { rolePolicies } : {}),
       }),
     }),
     log: {
@@ -114,3 +119,23 @@ test('JWT verification preserves an existing manual termination reason', async (
   assert.equal(result, null);
   assert.equal(updates.length, 0);
 });
+
+test('JWT verification applies the idle timeout of the session owner role', async () => {
+  const { jwtService, strapi, updates } = createHarness(
+    {
+      documentId: 'session-editor',
+      isActive: true,
+      terminatedManually: false,
+      terminationReason: null,
+      lastActive: new Date(Date.now() - 2 * 60 * 1000),
+      loginTime: new Date(Date.now() - 60 * 60 * 1000),
+    },
+    { rolePolicies: { editor: { inactivityTimeout: 480 } }, roleType: 'editor' }
+  );
+
+  await bootstrap.__private.registerSessionAwareAuthStrategy(strapi, strapi.log);
+  const result = await jwtService.verify('x'.repeat(80));
+
+  assert.equal(result.id, 7);
+  assert.equal(updates.length, 0);
+});
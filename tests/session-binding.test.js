@@ -0,0 +1,169 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const bootstrap = require('../server/src/bootstrap');
+const { evaluateSessionBinding, isSameSubnet } = require('../server/src/utils/session-binding');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const session = {
+  documentId: 'session-1',
+  ipAddress: '203.0.113.10',
+  userAgent: 'Firefox/120',
+  geoLocation: JSON.stringify({ country_code: 'DE' }),
+};
+
+test('subnet and country tolerance accept nearby IP changes but still store them', async () => {
+  assert.equal(isSameSubnet('203.0.113.10', '::ffff:203.0.113.99'), true);
+  assert.equal(isSameSubnet('2001:db8:1:2::1', '2001:0db8:0001:0002:ffff::9'), true);
+  assert.equal(isSameSubnet('203.0.113.10', '203.0.114.10'), false);
+
+  const subnet = await evaluateSessionBinding({
+    session,
+    ip: '203.0.113.77',
+    userAgent: 'Firefox/120',
+    settings: { ipChangeAction: 'terminate', ipChangeTolerance: 'subnet' },
+  });
+  assert.deepEqual(subnet, { action: 'ignore', update: { lastIpAddress: '203.0.113.77' }, changes: {} });
+
+  const country = await evaluateSessionBinding({
+    session,
+    ip: '198.51.100.4',
+    settings: { ipChangeAction: 'alert', ipChangeTolerance: 'country' },
+    lookupCountry: async () => 'FR',
+  });
+  assert.equal(country.action, 'alert');
+  assert.deepEqual(country.changes.ipAddress, { from: '203.0.113.10', to: '198.51.100.4' });
+});
+
+test('the stronger of the IP and user-agent actions wins, compared with the last seen client', async () => {
+  const both = await evaluateSessionBinding({
+    session: { ...session, lastIpAddress: '198.51.100.4' },
+    ip: '198.51.100.4',
+    userAgent: 'Chrome/121',
+    settings: { ipChangeAction: 'terminate', userAgentChangeAction: 'record' },
+  });
+  assert.equal(both.action, 'record');
+  assert.deepEqual(both.update, { lastUserAgent: 'Chrome/121' });
+
+  assert.equal(
+    await evaluateSessionBinding({ session, ip: '198.51.100.4', userAgent: 'Chrome/121', settings: {} }),
+    null
+  );
+});
+
+test('JWT verification ends a session used from another IP in terminate mode', async () => {
+  invalidateSettingsCache();
+  const updates = [];
+  const jwtService = { verify: async () => ({ id: 7, iat: Math.floor(Date.now() / 1000) - 120 }) };
+  const requestCtx = {
+    ip: '198.51.100.4',
+    request: { ip: '198.51.100.4', headers: { 'user-agent': 'Firefox/120' } },
+  };
+  const strapi = {
+    plugin(name) {
+      if (name === 'users-permissions') return { service: () => jwtService };
+      throw new Error(`Unexpected plugin ${name}`);
+    },
+    requestContext: { get: () => requestCtx },
+    entityService: { findOne: async () => ({ documentId: 'user-doc-id' }) },
+    documents(uid) {
+      if (uid === 'plugin::users-permissions.user') {
+        return { findOne: async () => ({ documentId: 'user-doc-id', blocked: false, role: { type: 'authenticated' } }) };
+      }
+      return {
+        findFirst: async () => ({
+          ...session,
+          isActive: true,
+          terminatedManually: false,
+          lastActive: new Date(),
+          loginTime: new Date(Date.now() - 60 * 1000),
+        }),
+        update: async (payload) => updates.push(payload),
+        create: async () => ({}),
+      };
+    },
+    config: { get: () => ({}) },
+    store: () => ({
+      get: async () => ({ strictSessionEnforcement: true, ipChangeAction: 'terminate' }),
+    }),
+    log: { debug() {}, error() {}, info() {}, warn() {} },
+  };
+
+  await bootstrap.__private.registerSessionAwareAuthStrategy(strapi, strapi.log);
+  const result = await jwtService.verify('x'.repeat(80));
+
+  assert.equal(result, null);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].data.lastIpAddress, '198.51.100.4');
+  assert.equal(updates[0].data.isActive, false);
+  assert.equal(updates[0].data.terminationReason, 'client_changed');
+});
+
+test('a client flipping back inside the throttle window sends only one alert', async () => {
+  await invalidateSettingsCache();
+  const alerts = [];
+  const events = [];
+  const stored = {
+    ...session,
+    documentId: 'session-flipping',
+    isActive: true,
+    terminatedManually: false,
+    lastActive: new Date(),
+    loginTime: new Date(Date.now() - 60 * 1000),
+  };
+  const jwtService = { verify: async () => ({ id: 7, iat: Math.floor(Date.now() / 1000) - 120 }) };
+  let requestIp = '198.51.100.4';
+  const requestCtx = () => ({ ip: requestIp, request: { ip: requestIp, headers: { 'user-agent': 'Firefox/120' } } });
+  const strapi = {
+    plugin(name) {
+      if (name === 'users-permissions') return { service: () => jwtService };
+      return {
+        service: (serviceName) => serviceName === 'notifications'
+          ? { sendClientChangeAlert: async (payload) => alerts.push(payload) }
+          : { record: async (event) => events.push(event) },
+      };
+    },
+    requestContext: { get: requestCtx },
+    entityService: { findOne: async () => ({ documentId: 'user-doc-id' }) },
+    documents(uid) {
+      if (uid === 'plugin::users-permissions.user') {
+        return {
+          findOne: async () => ({
+            documentId: 'user-doc-id',
+            email: 'user@example.com',
+            blocked: false,
+            role: { type: 'authenticated' },
+          }),
+        };
+      }
+      return {
+        findFirst: async () => ({ ...stored }),
+        update: async ({ data }) => Object.assign(stored, data),
+        create: async () => ({}),
+      };
+    },
+    config: { get: () => ({}) },
+    store: () => ({
+      get: async () => ({ strictSessionEnforcement: true, ipChangeAction: 'alert', enableEmailAlerts: true }),
+    }),
+    log: { debug() {}, error() {}, info() {}, warn() {} },
+  };
+
+  await bootstrap.__private.registerSessionAwareAuthStrategy(strapi, strapi.log);
+  assert.ok(await jwtService.verify('y'.repeat(80)));
+  requestIp = '203.0.113.10';
+  assert.ok(await jwtService.verify('y'.repeat(80)));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(stored.lastIpAddress, '203.0.113.10');
+  assert.equal(events.filter((event) => event.type === 'client_changed').length, 2);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].changes.ipAddress.to, '198.51.100.4');
+
+  await invalidateSettingsCache();
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionEventService = require('../server/src/services/session-event');
+const createSessionService = require('../server/src/services/session');
+const sessionController = require('../server/src/controllers/session');
+const { recordSessionEvent } = require('../server/src/utils/session-events');
+
+const EVENT_UID = 'plugin::magic-sessionmanager.session-event';
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+function createStrapi({ sessions = {}, events = [] } = {}) {
+  const strapi = {
+    log,
+    config: { get: () => ({}) },
+    documents(uid) {
+      if (uid === EVENT_UID) {
+        return {
+          create: async ({ data }) => {
+            const event = { documentId: `event-${events.length + 1}`, ...data };
+            events.push(event);
+            return event;
+          },
+          findMany: async ({ filters }) => events.filter((event) => event.sessionId === filters.sessionId),
+        };
+      }
+      return {
+        findOne: async ({ documentId }) => sessions[documentId] || null,
+        findFirst: async ({ filters }) => {
+          const session = sessions[filters.documentId];
+          if (!session) return null;
+          if (filters.user && session.user?.documentId !== filters.user.documentId) return null;
+          return session;
+        },
+        update: async ({ documentId, data }) => Object.assign(sessions[documentId], data),
+      };
+    },
+  };
+  const eventService = createSessionEventService({ strapi });
+  strapi.plugin = () => ({
+    service: (name) => {
+      if (name === 'session-event') return eventService;
+      if (name === 'session') return createSessionService({ strapi });
+      throw new Error(`Unexpected service ${name}`);
+    },
+  });
+  return { strapi, events, eventService };
+}
+
+test('record stores actor and request metadata and rejects unknown event types', async () => {
+  const { events, eventService } = createStrapi();
+
+  await eventService.record({
+    type: 'refresh',
+    sessionId: 'session-1',
+    actor: { type: 'user', id: 'user-1', ipAddress: '203.0.113.5', userAgent: 'x'.repeat(600) },
+  });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'refresh');
+  assert.equal(events[0].actorType, 'user');
+  assert.equal(events[0].actorId, 'user-1');
+  assert.equal(events[0].ipAddress, '203.0.113.5');
+  assert.equal(events[0].userAgent.length, 500);
+  assert.ok(events[0].occurredAt instanceof Date);
+
+  await assert.rejects(eventService.record({ type: 'teleported', sessionId: 'session-1' }), /Unknown/);
+});
+
+test('recordSessionEvent never throws when the event service is unavailable', async () => {
+  await recordSessionEvent({ log, plugin: () => { throw new Error('not booted'); } }, { type: 'login' });
+});
+
+test('terminateSession records who terminated the session', async () => {
+  const { strapi, events } = createStrapi({
+    sessions: { 'session-1': { documentId: 'session-1', isActive: true } },
+  });
+
+  const service = createSessionService({ strapi });
+  await service.terminateSession({
+    sessionId: 'session-1',
+    reason: 'manual',
+    actor: { type: 'admin', id: '3', ipAddress: '198.51.100.1' },
+  });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'terminated');
+  assert.equal(events[0].sessionId, 'session-1');
+  assert.equal(events[0].actorType, 'admin');
+  assert.equal(events[0].actorId, '3');
+  assert.deepEqual(events[0].details, { reason: 'manual' });
+});
+
+test('own session timeline is limited to the owner and hides admin ids', async () => {
+  const { strapi } = createStrapi({
+    sessions: { 'session-1': { documentId: 'session-1', user: { documentId: 'owner' } } },
+    events: [
+      { documentId: 'event-1', sessionId: 'session-1', type: 'login', actorType: 'user', actorId: 'owner' },
+      { documentId: 'event-2', sessionId: 'session-1', type: 'terminated', actorType: 'admin', actorId: '3' },
+    ],
+  });
+  global.strapi = strapi;
+
+  const ownerCtx = {
+    params: { sessionId: 'session-1' },
+    state: { user: { documentId: 'owner' } },
+  };
+  await sessionController.getOwnSessionEvents(ownerCtx);
+  assert.deepEqual(ownerCtx.body.data.map((event) => [event.id, event.actorId]), [
+    ['event-1', 'owner'],
+    ['event-2', null],
+  ]);
+
+  let notFound = null;
+  const strangerCtx = {
+    params: { sessionId: 'session-1' },
+    state: { user: { documentId: 'stranger' } },
+    notFound(message) {
+      notFound = message;
+    },
+  };
+  await sessionController.getOwnSessionEvents(strangerCtx);
+  assert.equal(notFound, 'Session not found');
+  assert.equal(strangerCtx.body, undefined);
+});
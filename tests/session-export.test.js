@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const sessionController = require('../server/src/controllers/session');
+const {
+  EXPORT_COLUMNS,
+  csvHeader,
+  formatExportRow,
+  parseExportColumns,
+} = require('../server/src/utils/session-export');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+function sessionRow(index) {
+  return {
+    documentId: `session-${index}`,
+    user: { documentId: 'user-1', email: 'ada@example.com', username: 'ada' },
+    ipAddress: '203.0.113.7',
+    userAgent: 'Test/1.0',
+    token: 'encrypted-access',
+    tokenHash: 'access-hash',
+    refreshToken: 'encrypted-refresh',
+    refreshTokenHash: 'refresh-hash',
+    loginTime: new Date('2026-10-01T10:00:00Z'),
+    lastActive: new Date('2026-10-01T10:05:00Z'),
+    isActive: false,
+    terminationReason: 'logout',
+  };
+}
+
+test('export columns are whitelisted, never include credentials and CSV cells are formula-safe', () => {
+  for (const column of Object.keys(EXPORT_COLUMNS)) {
+    assert.doesNotMatch(column, /token|hash/i);
+  }
+  assert.match(parseExportColumns('id,tokenHash').error, /Unknown export column\(s\): tokenHash/);
+  assert.deepEqual(parseExportColumns(' id , status,id ').columns, ['id', 'status']);
+  assert.ok(parseExportColumns(undefined).columns.includes('userEmail'));
+
+  const columns = ['id', 'username', 'terminationNote'];
+  const session = { documentId: 's1', user: { username: '=HYPERLINK("x")' }, terminationNote: 'a, "b"' };
+  assert.equal(csvHeader(columns), 'id,username,terminationNote\r\n');
+  assert.equal(
+    formatExportRow(session, columns, 'csv'),
+    's1,"\'=HYPERLINK(""x"")","a, ""b"""\r\n'
+  );
+  assert.deepEqual(JSON.parse(formatExportRow(session, columns, 'ndjson')), {
+    id: 's1',
+    username: '=HYPERLINK("x")',
+    terminationNote: 'a, "b"',
+  });
+});
+
+test('iterateSessions pages through the database past the list cap', async () => {
+  invalidateSettingsCache();
+  const calls = [];
+  const strapi = {
+    log,
+    config: { get: (key, fallback) => fallback },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async (params) => {
+        calls.push(params);
+        const size = params.start === 0 ? params.limit : 3;
+        return Array.from({ length: size }, (_, i) => sessionRow(params.start + i));
+      },
+    }),
+  };
+  const service = createSessionService({ strapi });
+
+  const exported = [];
+  for await (const session of service.iterateSessions({ status: 'loggedout', page: '4' })) {
+    exported.push(session);
+  }
+
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].start, calls[0].limit);
+  assert.deepEqual(calls[0].sort, [{ loginTime: 'desc' }, { documentId: 'asc' }]);
+  assert.ok(calls[0].filters.$and.length > 0);
+  assert.equal(exported.length, calls[0].limit + 3);
+  assert.equal(exported[0].tokenHash, undefined);
+  assert.equal(exported[0].refreshToken, undefined);
+  invalidateSettingsCache();
+});
+
+test('export endpoint validates its parameters and streams the selected columns', async () => {
+  const iterateCalls = [];
+  global.strapi = {
+    log,
+    plugin: () => ({
+      service: () => ({
+        async *iterateSessions(query, clauses) {
+          iterateCalls.push({ query, clauses });
+          yield { ...sessionRow(1), isActive: false };
+          yield { ...sessionRow(2), isActive: true, isTrulyActive: true };
+        },
+      }),
+    }),
+  };
+
+  function createCtx(query) {
+    const headers = {};
+    return {
+      query,
+      headers,
+      state: { user: { id: 1 } },
+      set: (name, value) => { headers[name] = value; },
+      badRequest: (message) => ({ status: 400, message }),
+    };
+  }
+
+  try {
+    assert.match((await sessionController.exportSessionsAdmin(createCtx({ format: 'xml' }))).message, /format/);
+    assert.match(
+      (await sessionController.exportSessionsAdmin(createCtx({ columns: 'refreshToken' }))).message,
+      /Unknown export column/
+    );
+    assert.equal(iterateCalls.length, 0);
+
+    const ctx = createCtx({ format: 'csv', columns: 'id,status,userEmail', q: 'country:BR', status: 'all' });
+    await sessionController.exportSessionsAdmin(ctx);
+    assert.equal(ctx.type, 'text/csv; charset=utf-8');
+    assert.match(ctx.headers['Content-Disposition'], /attachment; filename="sessions-export-.*\.csv"/);
+    assert.deepEqual(iterateCalls[0].clauses, [{ countryCode: 'BR' }]);
+
+    let body = '';
+    for await (const chunk of ctx.body) body += chunk;
+    assert.equal(
+      body,
+      'id,status,userEmail\r\nsession-1,loggedout,ada@example.com\r\nsession-2,active,ada@example.com\r\n'
+    );
+  } finally {
+    delete global.strapi;
+  }
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const sessionFreshPolicy = require('../server/src/policies/session-fresh');
+const sessionController = require('../server/src/controllers/session');
+
+const longToken = 'a'.repeat(80);
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+const MINUTE = 60 * 1000;
+
+function policyContext() {
+  return {
+    state: { user: { documentId: 'user-doc-id' } },
+    request: { headers: { authorization: `Bearer ${longToken}` } },
+  };
+}
+
+function checkFreshness(session, maxAgeSeconds) {
+  const strapi = { log, documents: () => ({ findFirst: async () => session }) };
+  return sessionFreshPolicy(policyContext(), { maxAgeSeconds }, { strapi });
+}
+
+test('session-fresh accepts a recent login or re-authentication', async () => {
+  assert.equal(await checkFreshness({ loginTime: new Date(Date.now() - MINUTE) }, 300), true);
+  assert.equal(
+    await checkFreshness(
+      { loginTime: new Date(Date.now() - 60 * MINUTE), reauthenticatedAt: new Date(Date.now() - MINUTE) },
+      300
+    ),
+    true
+  );
+});
+
+test('session-fresh rejects stale or missing sessions with reauth_required', async () => {
+  const expectReauth = (err) => {
+    assert.equal(err.name, 'ForbiddenError');
+    assert.equal(err.details.reason, 'reauth_required');
+    return true;
+  };
+
+  await assert.rejects(() => checkFreshness({ loginTime: new Date(Date.now() - 10 * MINUTE) }, 300), expectReauth);
+  await assert.rejects(() => checkFreshness(null, 300), expectReauth);
+
+  const failing = { log, documents: () => ({ findFirst: async () => { throw new Error('db down'); } }) };
+  await assert.rejects(() => sessionFreshPolicy(policyContext(), {}, { strapi: failing }), expectReauth);
+});
+
+function createReauthStrapi({ validPassword, events = [] }) {
+  const updates = [];
+  global.strapi = {
+    log,
+    db: { query: () => ({ findOne: async () => ({ id: 1, password: '$2a$10$hash' }) }) },
+    documents: () => ({
+      findFirst: async () => ({ documentId: 'session-1' }),
+      update: async (params) => updates.push(params),
+    }),
+    plugin(name) {
+      if (name === 'users-permissions') {
+        return { service: () => ({ validatePassword: async (password) => password === validPassword }) };
+      }
+      return { service: () => ({ record: async (event) => events.push(event) }) };
+    },
+  };
+  return updates;
+}
+
+function reauthCtx(password, userDocId = 'user-doc-id') {
+  return {
+    state: { user: { documentId: userDocId } },
+    request: { headers: { authorization: `Bearer ${longToken}` }, body: { password } },
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    badRequest(message) {
+      this.status = 400;
+      this.error = message;
+    },
+  };
+}
+
+test('re-authentication confirms the password and stamps the current session', async () => {
+  const updates = createReauthStrapi({ validPassword: 'correct horse' });
+
+  const wrong = reauthCtx('guess');
+  await sessionController.reauthenticate(wrong);
+  assert.equal(wrong.status, 400);
+  assert.equal(updates.length, 0);
+
+  const ctx = reauthCtx('correct horse');
+  await sessionController.reauthenticate(ctx);
+  assert.equal(ctx.body.success, true);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].documentId, 'session-1');
+  assert.ok(updates[0].data.reauthenticatedAt instanceof Date);
+});
+
+test('re-authentication locks the user out after repeated wrong passwords', async () => {
+  const events = [];
+  const updates = createReauthStrapi({ validPassword: 'correct horse', events });
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    const ctx = reauthCtx('guess', 'guessed-user');
+    await sessionController.reauthenticate(ctx);
+    assert.equal(ctx.status, 400);
+  }
+
+  const fifth = reauthCtx('guess', 'guessed-user');
+  await sessionController.reauthenticate(fifth);
+  assert.equal(fifth.status, 429);
+  assert.ok(Number(fifth.headers['Retry-After']) > 0);
+
+  const correct = reauthCtx('correct horse', 'guessed-user');
+  await sessionController.reauthenticate(correct);
+  assert.equal(correct.status, 429);
+  assert.equal(updates.length, 0);
+
+  assert.equal(events.length, 5);
+  assert.ok(events.every((event) => event.type === 'reauth_failed' && event.userId === 'guessed-user'));
+  assert.equal(events[4].details.failures, 5);
+
+  const otherUser = reauthCtx('correct horse', 'other-user');
+  await sessionController.reauthenticate(otherUser);
+  assert.equal(otherUser.body.success, true);
+});
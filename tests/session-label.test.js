@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const sessionController = require('../server/src/controllers/session');
+const { enhanceSession } = require('../server/src/utils/enhance-session');
+
+function createStrapi(sessions) {
+  const updates = [];
+  return {
+    updates,
+    log: { debug() {}, error() {}, info() {}, warn() {} },
+    documents: () => ({
+      findFirst: async ({ filters }) => {
+        const session = sessions[filters.documentId];
+        if (!session || session.user.documentId !== filters.user.documentId) return null;
+        return session;
+      },
+      update: async ({ documentId, data }) => {
+        updates.push({ documentId, data });
+        return Object.assign(sessions[documentId], data);
+      },
+    }),
+  };
+}
+
+function createCtx({ userDocumentId = 'owner', sessionId = 'session-1', body }) {
+  return {
+    params: { sessionId },
+    request: { body },
+    state: { user: { documentId: userDocumentId } },
+    badRequest(message) {
+      this.status = 400;
+      this.error = message;
+    },
+    notFound(message) {
+      this.status = 404;
+      this.error = message;
+    },
+  };
+}
+
+test('owners can set, trim and clear a session label', async () => {
+  const sessions = { 'session-1': { documentId: 'session-1', user: { documentId: 'owner' } } };
+  global.strapi = createStrapi(sessions);
+
+  const setCtx = createCtx({ body: { label: '  Work laptop\n' } });
+  await sessionController.updateOwnSession(setCtx);
+  assert.deepEqual(setCtx.body, { data: { id: 'session-1', label: 'Work laptop' }, success: true });
+  assert.equal(sessions['session-1'].label, 'Work laptop');
+
+  const clearCtx = createCtx({ body: { label: null } });
+  await sessionController.updateOwnSession(clearCtx);
+  assert.equal(sessions['session-1'].label, null);
+});
+
+test('labels are validated and limited to the caller\'s own sessions', async () => {
+  const sessions = { 'session-1': { documentId: 'session-1', user: { documentId: 'owner' } } };
+  global.strapi = createStrapi(sessions);
+
+  const tooLong = createCtx({ body: { label: 'x'.repeat(101) } });
+  await sessionController.updateOwnSession(tooLong);
+  assert.equal(tooLong.status, 400);
+
+  const missing = createCtx({ body: {} });
+  await sessionController.updateOwnSession(missing);
+  assert.equal(missing.status, 400);
+
+  const stranger = createCtx({ userDocumentId: 'stranger', body: { label: 'Mine now' } });
+  await sessionController.updateOwnSession(stranger);
+  assert.equal(stranger.status, 404);
+
+  assert.equal(global.strapi.updates.length, 0);
+});
+
+test('enhanced sessions always carry the label field', async () => {
+  const now = new Date().toISOString();
+  assert.equal((await enhanceSession({ documentId: 's1', loginTime: now })).label, null);
+  assert.equal((await enhanceSession({ documentId: 's2', loginTime: now, label: 'Phone' })).label, 'Phone');
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  hasSessionLimits,
+  normalizeRoleSessionLimits,
+  normalizeSessionLimit,
+  normalizeSessionLimitMode,
+  resolveSessionLimit,
+} = require('../server/src/utils/session-limit');
+
+test('role session limits override the global limit, including 0 as an exemption', () => {
+  const settings = {
+    maxConcurrentSessions: 3,
+    roleSessionLimits: { editor: 10, admin_service: 0 },
+  };
+
+  assert.equal(resolveSessionLimit(settings, 'authenticated'), 3);
+  assert.equal(resolveSessionLimit(settings, 'editor'), 10);
+  assert.equal(resolveSessionLimit(settings, 'admin_service'), 0);
+  assert.equal(resolveSessionLimit(settings, null), 3);
+});
+
+test('session limit settings are sanitized', () => {
+  assert.equal(normalizeSessionLimit('-1'), 0);
+  assert.equal(normalizeSessionLimit('abc', 2), 2);
+  assert.equal(normalizeSessionLimit(999999), 1000);
+  assert.equal(normalizeSessionLimitMode('reject'), 'reject');
+  assert.equal(normalizeSessionLimitMode('drop'), 'evict');
+  assert.deepEqual(
+    normalizeRoleSessionLimits({ editor: '4', 'bad role': 1, empty: '', negative: -2 }),
+    { editor: 4 }
+  );
+  assert.deepEqual(normalizeRoleSessionLimits(['editor']), {});
+});
+
+test('hasSessionLimits is false until a global or role limit is configured', () => {
+  assert.equal(hasSessionLimits({}), false);
+  assert.equal(hasSessionLimits({ maxConcurrentSessions: 0, roleSessionLimits: {} }), false);
+  assert.equal(hasSessionLimits({ maxConcurrentSessions: 2 }), true);
+  assert.equal(hasSessionLimits({ roleSessionLimits: { editor: 1 } }), true);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const createSessionService = require('../server/src/services/session');
+const { enhanceSession } = require('../server/src/utils/enhance-session');
+const { MAX_SESSION_METADATA_BYTES } = require('../server/src/utils/session-metadata');
+
+function createService(rows) {
+  const strapi = {
+    log: { debug() {}, error() {}, info() {}, warn() {} },
+    documents: () => ({
+      findOne: async ({ documentId }) => rows[documentId] || null,
+      update: async ({ documentId, data }) => Object.assign(rows[documentId], data),
+    }),
+  };
+  return createSessionService({ strapi });
+}
+
+test('metadata writes merge keys and null removes a key', async () => {
+  const rows = { 'session-1': { documentId: 'session-1', metadata: { tenant: 'acme', appVersion: '1.0.0' } } };
+  const service = createService(rows);
+
+  const merged = await service.setSessionMetadata('session-1', { appVersion: '1.1.0', tenant: null, bucket: 'b' });
+  assert.deepEqual(merged, { appVersion: '1.1.0', bucket: 'b' });
+  assert.deepEqual(await service.getSessionMetadata('session-1'), { appVersion: '1.1.0', bucket: 'b' });
+
+  await service.setSessionMetadata('session-1', { tenant: 'globex' }, { replace: true });
+  assert.deepEqual(rows['session-1'].metadata, { tenant: 'globex' });
+
+  assert.equal(await service.getSessionMetadata('missing'), null);
+  assert.equal(await service.setSessionMetadata('missing', { a: 1 }), null);
+});
+
+test('oversized or non-object metadata is rejected without writing', async () => {
+  const rows = { 'session-1': { documentId: 'session-1', metadata: null } };
+  const service = createService(rows);
+
+  await assert.rejects(
+    () => service.setSessionMetadata('session-1', { blob: 'x'.repeat(MAX_SESSION_METADATA_BYTES) }),
+    { name: 'ValidationError' }
+  );
+  await assert.rejects(() => service.setSessionMetadata('session-1', ['a']), { name: 'ValidationError' });
+  assert.equal(rows['session-1'].metadata, null);
+});
+
+test('current-session helpers use the session id set by the last-seen middleware', async () => {
+  const rows = { 'session-1': { documentId: 'session-1', metadata: { tenant: 'acme' } } };
+  const service = createService(rows);
+
+  const ctx = { state: { __magicSessionId: 'session-1' } };
+  assert.deepEqual(await service.getCurrentSessionMetadata(ctx), { tenant: 'acme' });
+  await service.setCurrentSessionMetadata(ctx, { bucket: 'beta' });
+  assert.deepEqual(rows['session-1'].metadata, { tenant: 'acme', bucket: 'beta' });
+  assert.equal(await service.getCurrentSessionMetadata({ state: {} }), null);
+
+  const enhanced = await enhanceSession({ documentId: 's1', loginTime: new Date().toISOString() });
+  assert.deepEqual(enhanced.metadata, {});
+});
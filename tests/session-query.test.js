@@ -0,0 +1,232 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const createSessionService = require('../server/src/services/session');
+const sessionController = require('../server/src/controllers/session');
+const {
+  MAX_PAGE_SIZE,
+  isPagedSessionQuery,
+  parseSessionQuery,
+  statusFilter,
+} = require('../server/src/utils/session-query');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+test('parseSessionQuery applies defaults, clamps the page size and whitelists sort fields', () => {
+  const defaults = parseSessionQuery({});
+  assert.equal(defaults.page, 1);
+  assert.equal(defaults.pageSize, 25);
+  assert.deepEqual(defaults.sort, { loginTime: 'desc' });
+  assert.equal(defaults.status, null);
+  assert.deepEqual(defaults.clauses, []);
+
+  const parsed = parseSessionQuery({
+    page: '3',
+    pageSize: '5000',
+    sort: 'password:asc',
+    status: 'everything',
+    country: 'de',
+    terminationReason: 'not-a-reason',
+    ip: ' 203.0.113. ',
+  });
+  assert.equal(parsed.page, 3);
+  assert.equal(parsed.pageSize, MAX_PAGE_SIZE);
+  assert.deepEqual(parsed.sort, { loginTime: 'desc' });
+  assert.equal(parsed.status, null);
+  assert.deepEqual(parsed.clauses, [
+    { countryCode: 'DE' },
+    { $or: [{ ipAddress: { $startsWith: '203.0.113.' } }, { lastIpAddress: { $startsWith: '203.0.113.' } }] },
+  ]);
+
+  assert.deepEqual(parseSessionQuery({ sort: 'lastActive:asc' }).sort, { lastActive: 'asc' });
+  assert.equal(isPagedSessionQuery({}), false);
+  assert.equal(isPagedSessionQuery({ page: '' }), false);
+  assert.equal(isPagedSessionQuery({ status: 'active' }), true);
+});
+
+test('statusFilter spells out NULL lastActive instead of negating the active clause', () => {
+  const cutoff = new Date('2026-01-01T00:00:00Z');
+
+  assert.deepEqual(statusFilter('idle', cutoff), {
+    $or: [
+      {
+        $and: [
+          { isActive: true },
+          {
+            $or: [
+              { lastActive: { $lt: cutoff } },
+              { lastActive: { $null: true }, loginTime: { $lt: cutoff } },
+            ],
+          },
+        ],
+      },
+      { isActive: false, terminationReason: 'idle' },
+    ],
+  });
+  assert.equal(JSON.stringify(statusFilter('active', cutoff)).includes('$not'), false);
+  assert.equal(statusFilter('unknown', cutoff), null);
+});
+
+test('GET /sessions pages in the database and keeps the legacy list without paging params', async () => {
+  invalidateSettingsCache();
+  const findManyCalls = [];
+  const countCalls = [];
+  const strapi = {
+    log,
+    config: { get: (key, fallback) => fallback },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async (params) => {
+        findManyCalls.push(params);
+        return [{
+          documentId: 'session-1',
+          ipAddress: '203.0.113.7',
+          userAgent: 'Test/1.0',
+          loginTime: new Date(),
+          lastActive: new Date(),
+          isActive: true,
+        }];
+      },
+      count: async (params) => {
+        countCalls.push(params);
+        return 42;
+      },
+    }),
+  };
+  const service = createSessionService({ strapi });
+  strapi.plugin = () => ({ service: () => service });
+  global.strapi = strapi;
+
+  try {
+    const ctx = { query: { page: '2', pageSize: '10', status: 'active', user: 'ada' } };
+    await sessionController.getAllSessionsAdmin(ctx);
+
+    // The first read looks for sessions with their own idle timeout.
+    assert.equal(findManyCalls.length, 2);
+    assert.deepEqual(findManyCalls[0].fields, ['idleTimeoutSeconds']);
+    assert.equal(findManyCalls[1].limit, 10);
+    assert.equal(findManyCalls[1].start, 10);
+    assert.equal(findManyCalls[1].filters.$and.length, 2);
+    assert.deepEqual(ctx.body.meta.pagination, { page: 2, pageSize: 10, pageCount: 5, total: 42 });
+    assert.deepEqual(ctx.body.meta.counts, {
+      total: 42,
+      active: 42,
+      idle: 42,
+      loggedout: 42,
+      terminated: 42,
+    });
+    assert.equal(ctx.body.data[0].documentId, 'session-1');
+    // One count for the page, one for the total and one per status.
+    assert.equal(countCalls.length, 6);
+
+    const legacyCtx = { query: {} };
+    await sessionController.getAllSessionsAdmin(legacyCtx);
+    assert.equal(legacyCtx.body.meta.count, 1);
+    assert.equal(legacyCtx.body.meta.pagination, undefined);
+  } finally {
+    delete global.strapi;
+    invalidateSettingsCache();
+  }
+});
+
+test('sessions from before the country and city columns are backfilled from geoLocation once', async () => {
+  const rows = [
+    { id: 1, countryCode: null, geoLocation: { country: 'Brazil', country_code: 'br', city: 'São Paulo' } },
+    { id: 2, countryCode: null, geoLocation: JSON.stringify({ country: 'Germany', country_code: 'DE' }) },
+    { id: 3, countryCode: null, geoLocation: { country: 'Unknown' } },
+    { id: 4, countryCode: 'US', city: 'Boston', geoLocation: { country_code: 'US', city: 'Boston' } },
+  ];
+  const stored = {};
+  const updates = [];
+  const strapi = {
+    log,
+    store: () => ({
+      get: async ({ key }) => stored[key],
+      set: async ({ key, value }) => { stored[key] = value; },
+    }),
+    db: {
+      query: () => ({
+        findMany: async ({ where, limit }) => rows
+          .filter((row) => row.id > where.id.$gt && row.countryCode === null && row.geoLocation !== null)
+          .slice(0, limit),
+        update: async ({ where, data }) => {
+          updates.push(where.id);
+          Object.assign(rows.find((row) => row.id === where.id), data);
+        },
+      }),
+    },
+  };
+  const service = createSessionService({ strapi });
+
+  assert.equal(await service.isLocationBackfilled(), false);
+  assert.equal(await service.backfillLocationColumns(), 2);
+  assert.deepEqual(rows.map(({ countryCode, city }) => [countryCode, city]), [
+    ['BR', 'São Paulo'],
+    ['DE', undefined],
+    [null, undefined],
+    ['US', 'Boston'],
+  ]);
+  assert.equal(await service.isLocationBackfilled(), true);
+
+  rows[2].geoLocation = { country_code: 'FR' };
+  assert.equal(await service.backfillLocationColumns(), 0, 'a completed backfill does not run again');
+  assert.deepEqual(updates, [1, 2]);
+});
+
+test('the active and idle statuses measure each session against its own idle timeout', async () => {
+  invalidateSettingsCache();
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+  const countFilters = {};
+  let scan;
+  const strapi = {
+    log,
+    config: { get: (key, fallback) => fallback },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async (params) => {
+        if (params.limit === 1) return [{ idleTimeoutSeconds: 24 * 60 * 60 }];
+        if (params.fields?.includes('idleTimeoutSeconds')) {
+          scan = params;
+          return [
+            { documentId: 'remembered', lastActive: minutesAgo(60), idleTimeoutSeconds: 24 * 60 * 60 },
+            { documentId: 'regular-idle', lastActive: minutesAgo(60) },
+          ];
+        }
+        return [];
+      },
+      count: async ({ filters }) => {
+        const status = filters.$and?.[0];
+        countFilters[JSON.stringify(status)] = status;
+        return 0;
+      },
+    }),
+  };
+  strapi.plugin = () => ({ service: () => ({}) });
+
+  await createSessionService({ strapi }).querySessions({ status: 'active' });
+
+  // Nothing can be idle before the shortest timeout in use, 15 minutes.
+  const cutoff = scan.filters.$or[0].lastActive.$lt;
+  assert.ok(Math.abs(Date.now() - 15 * 60 * 1000 - cutoff.getTime()) < 5000);
+  assert.deepEqual(statusFilter('active', cutoff, ['regular-idle']), {
+    isActive: true,
+    documentId: { $notIn: ['regular-idle'] },
+  });
+  assert.deepEqual(statusFilter('idle', cutoff, ['regular-idle']).$or[0], {
+    isActive: true,
+    documentId: { $in: ['regular-idle'] },
+  });
+  assert.deepEqual(statusFilter('active', cutoff, []), { isActive: true });
+
+  const statusClauses = Object.values(countFilters);
+  assert.ok(statusClauses.some((clause) => JSON.stringify(clause) === JSON.stringify(statusFilter('active', cutoff, ['regular-idle']))));
+  assert.ok(statusClauses.some((clause) => JSON.stringify(clause) === JSON.stringify(statusFilter('idle', cutoff, ['regular-idle']))));
+
+  invalidateSettingsCache();
+});
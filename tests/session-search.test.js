@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const sessionController = require('../server/src/controllers/session');
+const { ipFilter, parseSessionSearch } = require('../server/src/utils/session-search');
+
+test('IP search matches exact addresses and expands CIDR ranges to octet prefixes', () => {
+  assert.deepEqual(ipFilter('203.0.113.7').clause, {
+    $or: [{ ipAddress: { $eq: '203.0.113.7' } }, { lastIpAddress: { $eq: '203.0.113.7' } }],
+  });
+  assert.deepEqual(ipFilter('10.20.0.0/16').clause, {
+    $or: [{ ipAddress: { $startsWith: '10.20.' } }, { lastIpAddress: { $startsWith: '10.20.' } }],
+  });
+
+  // 10.1.5.9/22 covers 10.1.4.0 - 10.1.7.255
+  const prefixes = ipFilter('10.1.5.9/22').clause.$or.map((clause) => clause.$or[0].ipAddress.$startsWith);
+  assert.deepEqual(prefixes, ['10.1.4.', '10.1.5.', '10.1.6.', '10.1.7.']);
+
+  assert.deepEqual(ipFilter('192.0.2.9/30').clause.$or[0], {
+    ipAddress: { $in: ['192.0.2.8', '192.0.2.9', '192.0.2.10', '192.0.2.11'] },
+  });
+  assert.deepEqual(ipFilter('2001:db8::/32').clause.$or[0], { ipAddress: { $startsWith: '2001:db8:' } });
+
+  assert.ok(ipFilter('10.0.0.0/4').error);
+  assert.ok(ipFilter('2001:db8::/33').error);
+  assert.equal(ipFilter('not-an-ip'), null);
+  assert.equal(ipFilter('foo/bar'), null);
+});
+
+test('search terms are combined, may name their field and reject invalid values', () => {
+  const { clauses } = parseSessionSearch('country:br city:"São Paulo" browser:firefox');
+  assert.deepEqual(clauses, [
+    { countryCode: 'BR' },
+    { city: { $containsi: 'São Paulo' } },
+    { browserName: { $containsi: 'firefox' } },
+  ]);
+
+  const [bare] = parseSessionSearch('ada@example.com').clauses;
+  assert.ok(bare.$or.some((clause) => clause.user?.email?.$containsi === 'ada@example.com'));
+  assert.ok(bare.$or.some((clause) => clause.osName));
+  assert.equal(bare.$or.some((clause) => clause.countryCode), false);
+
+  // An IPv6 address is not mistaken for a `2001:` field.
+  assert.deepEqual(parseSessionSearch('2001:db8::1').clauses[0].$or[0].ipAddress.$in, [
+    '2001:db8::1',
+    '2001:db8:0:0:0:0:0:1',
+  ]);
+
+  assert.equal(parseSessionSearch('  ').error, 'Search query is required');
+  assert.match(parseSessionSearch('country:Brazil').error, /two-letter/);
+  assert.match(parseSessionSearch('ip:localhost').error, /not an IP address/);
+  assert.match(parseSessionSearch('a b c d e f').error, /at most 5 terms/);
+});
+
+test('search endpoint answers 400 for invalid searches and passes the filters to querySessions', async () => {
+  const calls = [];
+  global.strapi = {
+    log: { error() {} },
+    plugin: () => ({
+      service: () => ({
+        querySessions: async (query, clauses) => {
+          calls.push({ query, clauses });
+          return { data: [], pagination: { page: 1, pageSize: 25, pageCount: 0, total: 0 }, counts: { total: 0 } };
+        },
+      }),
+    }),
+  };
+
+  try {
+    let badRequest = null;
+    const invalidCtx = { query: { q: 'ip:nope' }, badRequest: (message) => { badRequest = message; } };
+    await sessionController.searchSessionsAdmin(invalidCtx);
+    assert.match(badRequest, /not an IP address/);
+    assert.equal(calls.length, 0);
+
+    const ctx = { query: { q: 'country:BR', status: 'active', from: '2026-10-12' } };
+    await sessionController.searchSessionsAdmin(ctx);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].query.status, 'active');
+    assert.deepEqual(calls[0].clauses, [{ countryCode: 'BR' }]);
+    assert.equal(ctx.body.meta.pagination.total, 0);
+  } finally {
+    delete global.strapi;
+  }
+});
@@ -810,3 +810,101 @@ test('createSession preserves a valid security score of zero', async () => {
 
   assert.equal(createdData.securityScore, 0);
 });
+
+test('evictSessionsOverLimit terminates the least recently active sessions beyond the limit', async () => {
+  invalidateSettingsCache();
+  const live = [
+    { documentId: 'oldest' },
+    { documentId: 'older' },
+    { documentId: 'recent' },
+  ];
+  let liveQuery;
+  const terminated = [];
+  const strapi = {
+    config: {
+      get(key) {
+        if (key === 'plugin::magic-sessionmanager') return { inactivityTimeout: 60000 };
+        return {};
+      },
+    },
+    store: () => ({ get: async () => null }),
+    documents: () => ({
+      findMany: async (query) => {
+        liveQuery = query;
+        return live;
+      },
+      findFirst: async ({ filters }) => {
+        assert.equal(filters.isActive, true);
+        return { documentId: filters.documentId };
+      },
+      update: async ({ documentId, data }) => {
+        terminated.push([documentId, data.terminationReason]);
+      },
+    }),
+    log: createLogger(),
+  };
+
+  const service = createSessionService({ strapi });
+  const result = await service.evictSessionsOverLimit({
+    userId: 'user-document-id',
+    limit: 2,
+    keepSessionId: 'new-session',
+  });
+
+  assert.equal(result.terminatedCount, 2);
+  assert.deepEqual(terminated, [['oldest', 'session_limit'], ['older', 'session_limit']]);
+  assert.deepEqual(liveQuery.filters.documentId, { $ne: 'new-session' });
+  assert.equal(liveQuery.filters.isActive, true);
+  assert.deepEqual(liveQuery.sort, [{ lastActive: 'asc' }, { loginTime: 'asc' }]);
+});
+
+test('cleanupInactiveSessions measures each session against its owner role policy', async () => {
+  invalidateSettingsCache();
+  const idleFor = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+  const roles = { 'finance-user': 'finance', 'editor-user': 'editor' };
+  const deactivated = [];
+  const strapi = {
+    config: {
+      get(key) {
+        if (key === 'plugin::magic-sessionmanager') {
+          return {
+            inactivityTimeout: 15 * 60 * 1000,
+            rolePolicies: {
+              finance: { inactivityTimeout: 5 * 60 * 1000 },
+              editor: { inactivityTimeout: 8 * 60 * 60 * 1000 },
+            },
+          };
+        }
+        return {};
+      },
+    },
+    store: () => ({ get: async () => null }),
+    documents: (uid) => {
+      if (uid === 'plugin::users-permissions.user') {
+        return {
+          findOne: async ({ documentId }) => ({ documentId, role: { type: roles[documentId] } }),
+        };
+      }
+      return {
+        findMany: async ({ populate }) => {
+          assert.ok(populate?.user, 'owner must be populated to resolve role policies');
+          return [
+            { documentId: 'finance-idle', lastActive: idleFor(10), user: { documentId: 'finance-user' } },
+            { documentId: 'editor-idle', lastActive: idleFor(60), user: { documentId: 'editor-user' } },
+            { documentId: 'editor-expired', lastActive: idleFor(9 * 60), user: { documentId: 'editor-user' } },
+          ];
+        },
+        update: async ({ documentId }) => {
+          deactivated.push(documentId);
+        },
+      };
+    },
+    log: createLogger(),
+  };
+
+  const service = createSessionService({ strapi });
+  const count = await service.cleanupInactiveSessions({ useDbDirect: true });
+
+  assert.equal(count, 2);
+  assert.deepEqual(deactivated, ['finance-idle', 'editor-expired']);
+});
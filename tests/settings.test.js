@@ -6,7 +6,10 @@ const test = require('node:test');
 const {
   normalizeStoredSettings,
   getSessionCreationGraceMs,
+  getPluginSettings,
+  invalidateSettingsCache,
 } = require('../server/src/utils/settings-loader');
+const { getSharedState } = require('../server/src/utils/shared-state');
 
 const settingsController = require('../server/src/controllers/settings');
 
@@ -153,3 +156,37 @@ test('getSettings merges old partial settings with every current default', async
   assert.equal(response.settings.sessionCreationGraceMs, 5000);
   assert.equal(response.settings.cleanupUseDbDirect, false);
 });
+
+test('a settings read racing an invalidation does not keep the old settings', async () => {
+  let stored = { retentionDays: 30 };
+  const pendingReads = [];
+  const strapi = {
+    config: { get: () => ({}) },
+    store: () => ({
+      get: () => new Promise((resolve) => {
+        const value = stored;
+        pendingReads.push(() => resolve(value));
+      }),
+    }),
+    log: { debug() {} },
+  };
+  await invalidateSettingsCache();
+
+  const staleRead = getPluginSettings(strapi);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(pendingReads.length, 1);
+
+  stored = { retentionDays: 7 };
+  await invalidateSettingsCache();
+  pendingReads.shift()();
+  assert.equal((await staleRead).retentionDays, 30);
+
+  assert.equal(await getSharedState().get('settings'), undefined);
+  const freshRead = getPluginSettings(strapi);
+  await new Promise((resolve) => setImmediate(resolve));
+  pendingReads.shift()();
+  assert.equal((await freshRead).retentionDays, 7);
+  assert.equal((await getPluginSettings(strapi)).retentionDays, 7);
+
+  await invalidateSettingsCache();
+});
@@ -0,0 +1,261 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const test = require('node:test');
+
+const rateLimit = require('../server/src/middlewares/rate-limit');
+const { createRedisConnection, createReplyParser } = require('../server/src/utils/redis-client');
+const {
+  closeSharedState,
+  createFailoverStore,
+  createMemoryStore,
+  createRedisStore,
+} = require('../server/src/utils/shared-state');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Just enough of a Redis server for the commands the store sends.
+ */
+async function startFakeRedis({ password = null } = {}) {
+  const data = new Map(); // key → { value, expiresAt }
+  const subscribers = new Map(); // channel → Set<socket>
+  const commands = [];
+
+  const bulk = (value) => (value === null || value === undefined ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  const int = (n) => `:${n}\r\n`;
+  const read = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) data.delete(key);
+    return data.get(key) || null;
+  };
+
+  const server = net.createServer((socket) => {
+    let authed = !password;
+    const parse = createReplyParser(([name, ...args]) => {
+      const cmd = name.toUpperCase();
+      commands.push(cmd);
+      if (cmd === 'AUTH') {
+        authed = args[args.length - 1] === password;
+        return socket.write(authed ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+      }
+      if (!authed) return socket.write('-NOAUTH Authentication required.\r\n');
+
+      switch (cmd) {
+        case 'SELECT':
+          return socket.write('+OK\r\n');
+        case 'GET':
+          return socket.write(bulk(read(args[0])?.value));
+        case 'SET': {
+          const [key, value, , px, nx] = args;
+          if (nx && read(key)) return socket.write('$-1\r\n');
+          data.set(key, { value, expiresAt: Date.now() + Number(px) });
+          return socket.write('+OK\r\n');
+        }
+        case 'DEL':
+          return socket.write(int(data.delete(args[0]) ? 1 : 0));
+        case 'EVAL': {
+          const [script, , key, ttl] = args;
+          const entry = read(key);
+          if (script.includes('INCR')) {
+            const next = { value: String(Number(entry?.value || 0) + 1), expiresAt: entry?.expiresAt ?? Date.now() + Number(ttl) };
+            data.set(key, next);
+            return socket.write(`*2\r\n${int(Number(next.value))}${int(next.expiresAt - Date.now())}`);
+          }
+          data.delete(key);
+          return socket.write(bulk(entry?.value));
+        }
+        case 'SUBSCRIBE':
+          if (!subscribers.has(args[0])) subscribers.set(args[0], new Set());
+          subscribers.get(args[0]).add(socket);
+          return socket.write(`*3\r\n${bulk('subscribe')}${bulk(args[0])}${int(1)}`);
+        case 'PUBLISH': {
+          const targets = subscribers.get(args[0]) || new Set();
+          for (const target of targets) target.write(`*3\r\n${bulk('message')}${bulk(args[0])}${bulk(args[1])}`);
+          return socket.write(int(targets.size));
+        }
+        default:
+          return socket.write(`-ERR unknown command '${name}'\r\n`);
+      }
+    });
+    socket.on('data', parse);
+    socket.on('error', () => {});
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  return {
+    url: `redis://:${password || ''}@127.0.0.1:${server.address().port}/2`,
+    commands,
+    data,
+    close: () => new Promise((resolve) => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    }),
+  };
+}
+
+test('memory store: TTLs, take-once, increment windows, claims, eviction and pub/sub', async () => {
+  const store = createMemoryStore({ maxEntries: 3 });
+
+  await store.set('reason', 'idle', 20);
+  assert.equal(await store.get('reason'), 'idle');
+  assert.equal(await store.take('reason'), 'idle');
+  assert.equal(await store.take('reason'), undefined);
+
+  assert.deepEqual((await store.increment('hits', 1000)).count, 1);
+  const second = await store.increment('hits', 1000);
+  assert.equal(second.count, 2);
+  assert.ok(second.ttlMs > 0 && second.ttlMs <= 1000);
+
+  assert.equal(await store.claim('touch:s1', 30), true);
+  assert.equal(await store.claim('touch:s1', 30), false);
+  await delay(40);
+  assert.equal(await store.claim('touch:s1', 30), true);
+
+  await store.set('a', 1, 1000);
+  await store.set('b', 2, 1000);
+  assert.equal(await store.get('hits'), undefined, 'oldest entry is dropped when full');
+  assert.equal(await store.get('b'), 2);
+
+  const received = [];
+  await store.subscribe('settings-invalidated', (message) => received.push(message));
+  await store.publish('settings-invalidated', 'now');
+  assert.deepEqual(received, ['now']);
+  await store.close();
+});
+
+test('redis store: two instances share counters, rejection reasons, claims and broadcasts', async () => {
+  const redis = await startFakeRedis({ password: 's3cret' });
+  const first = createRedisStore({ url: redis.url, keyPrefix: 'test:' });
+  const second = createRedisStore({ url: redis.url, keyPrefix: 'test:' });
+
+  try {
+    assert.equal(await first.waitUntilReady(1000), true);
+    assert.equal(await second.waitUntilReady(1000), true);
+    assert.deepEqual(redis.commands.slice(0, 4).sort(), ['AUTH', 'AUTH', 'SELECT', 'SELECT']);
+
+    assert.equal((await first.increment('rate:/logout::u:1', 60_000)).count, 1);
+    const shared = await second.increment('rate:/logout::u:1', 60_000);
+    assert.equal(shared.count, 2);
+    assert.ok(shared.ttlMs > 59_000);
+
+    await first.set('rejection:abc', 'manual', 60_000);
+    assert.equal(redis.data.get('test:rejection:abc').value, '"manual"');
+    assert.equal(await second.take('rejection:abc'), 'manual');
+    assert.equal(await first.take('rejection:abc'), undefined);
+
+    assert.equal(await first.claim('touch:s1', 30_000), true);
+    assert.equal(await second.claim('touch:s1', 30_000), false);
+
+    await second.set('settings', { maxFailedLogins: 3 }, 30_000);
+    assert.deepEqual(await first.get('settings'), { maxFailedLogins: 3 });
+    await first.delete('settings');
+    assert.equal(await second.get('settings'), undefined);
+
+    const received = [];
+    await second.subscribe('settings-invalidated', (message) => received.push(message));
+    for (let i = 0; i < 50 && !redis.commands.includes('SUBSCRIBE'); i++) await delay(10);
+    await first.publish('settings-invalidated', 'v2');
+    for (let i = 0; i < 50 && received.length === 0; i++) await delay(10);
+    assert.deepEqual(received, ['v2']);
+  } finally {
+    await first.close();
+    await second.close();
+    await redis.close();
+  }
+});
+
+test('a redis that stops answering is dropped after consecutive timeouts, so later commands fail at once', async () => {
+  const sockets = [];
+  let mode = 'slow';
+  const server = net.createServer((socket) => {
+    sockets.push(socket);
+    socket.on('data', createReplyParser(([name]) => {
+      const reply = name === 'PING' ? '+PONG\r\n' : '$-1\r\n';
+      if (mode === 'slow') setTimeout(() => socket.write(reply), 60);
+      else if (mode === 'fast') socket.write(reply);
+      // 'silent': swallowed, like by a black-holed host
+    }));
+    socket.on('error', () => {});
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const warnings = [];
+  const connection = createRedisConnection(`redis://127.0.0.1:${server.address().port}`, {
+    log: { warn: (message) => warnings.push(message), debug() {} },
+    commandTimeoutMs: 30,
+  });
+
+  try {
+    assert.equal(await connection.waitUntilReady(1000), true);
+    for (let i = 0; i < 2; i++) await assert.rejects(connection.command(['GET', 'k']), /timed out after 30ms/);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    mode = 'fast';
+    assert.equal(await connection.command(['PING']), 'PONG', 'the late replies reset the count');
+
+    mode = 'silent';
+    for (let i = 0; i < 2; i++) await assert.rejects(connection.command(['GET', 'k']), /timed out/);
+    assert.equal(sockets[0].destroyed, false);
+    await assert.rejects(connection.command(['GET', 'k']), /timed out/);
+
+    const started = Date.now();
+    await assert.rejects(connection.command(['GET', 'k']), /not connected/);
+    assert.ok(Date.now() - started < 30, 'fails without waiting for a timeout');
+    assert.match(warnings[0], /did not answer 3 commands in a row/);
+
+    mode = 'fast';
+    assert.equal(await connection.waitUntilReady(1000), true, 'reconnects in the background');
+    assert.equal(sockets.length, 2);
+    assert.equal(await connection.command(['PING']), 'PONG');
+  } finally {
+    connection.close();
+    for (const socket of sockets) socket.destroy();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('an unreachable redis falls back to process-local state and the rate limiter keeps working', async () => {
+  const blocker = net.createServer();
+  await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve));
+  const { port } = blocker.address();
+  await new Promise((resolve) => blocker.close(resolve));
+
+  const warnings = [];
+  const redis = createRedisStore({ url: `redis://127.0.0.1:${port}` });
+  const store = createFailoverStore(redis, createMemoryStore(), { warn: (message) => warnings.push(message) });
+
+  try {
+    assert.equal(await redis.waitUntilReady(50), false);
+    assert.equal((await store.increment('rate:x', 1000)).count, 1);
+    assert.equal((await store.increment('rate:x', 1000)).count, 2);
+    assert.equal(await store.claim('touch:s1', 1000), true);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /redis unavailable .*process-local state/);
+  } finally {
+    await store.close();
+  }
+
+  // The middleware itself goes through the default (memory) store
+  const strapi = { log: { warn() {} } };
+  const middleware = rateLimit({ max: 1, window: 60_000 }, { strapi });
+  const createCtx = () => {
+    const headers = {};
+    return { path: '/api/magic-sessionmanager/logout', state: { user: { id: 9 } }, request: {}, headers, set: (k, v) => { headers[k] = v; } };
+  };
+  let calls = 0;
+  try {
+    await middleware(createCtx(), async () => { calls++; });
+    const limited = createCtx();
+    await middleware(limited, async () => { calls++; });
+    assert.equal(calls, 1);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers['Retry-After'], '60');
+  } finally {
+    await closeSharedState();
+  }
+});
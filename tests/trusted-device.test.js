@@ -0,0 +1,247 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.SESSION_ENCRYPTION_KEY =
+  process.env.SESSION_ENCRYPTION_KEY || 'magic-sessionmanager-test-encryption-key';
+
+const bootstrap = require('../server/src/bootstrap');
+const createDeviceService = require('../server/src/services/device');
+const { signValue } = require('../server/src/utils/encryption');
+const { DEVICE_COOKIE_NAME, hashDeviceId, readDeviceId } = require('../server/src/utils/device-id');
+const { invalidateSettingsCache } = require('../server/src/utils/settings-loader');
+
+const DEVICE_ID = 'trusted-laptop-0123456789';
+const log = { debug() {}, error() {}, info() {}, warn() {} };
+
+function createContext({ headers = {}, cookies = {}, requestBody = {}, body } = {}) {
+  const responseHeaders = {};
+  return {
+    path: '/api/auth/local',
+    method: 'POST',
+    status: 404,
+    body: null,
+    state: {},
+    ip: '203.0.113.9',
+    request: {
+      ip: '203.0.113.9',
+      body: requestBody,
+      headers: { 'user-agent': 'TestBrowser/1.0', ...headers },
+    },
+    cookies: {
+      get: (name) => cookies[name],
+      set: (name, value) => {
+        cookies[name] = value;
+      },
+    },
+    response: { headers: responseHeaders },
+    remove(name) {
+      delete responseHeaders[name.toLowerCase()];
+    },
+    async downstream() {
+      this.status = 200;
+      this.body = body;
+    },
+  };
+}
+
+test('device ids come from the header or a correctly signed cookie', () => {
+  assert.deepEqual(readDeviceId(createContext({ headers: { 'x-device-id': DEVICE_ID } })), {
+    deviceId: DEVICE_ID,
+    source: 'header',
+  });
+  assert.equal(readDeviceId(createContext({ headers: { 'x-device-id': 'short' } })), null);
+
+  const signed = signValue(DEVICE_ID);
+  assert.deepEqual(readDeviceId(createContext({ cookies: { [DEVICE_COOKIE_NAME]: signed } })), {
+    deviceId: DEVICE_ID,
+    source: 'cookie',
+  });
+
+  const forged = `other-device-0123456789.${signed.split('.').pop()}`;
+  assert.equal(readDeviceId(createContext({ cookies: { [DEVICE_COOKIE_NAME]: forged } })), null);
+});
+
+test('device listing reports expired trust and the calling device', async () => {
+  const now = Date.now();
+  const devices = [
+    { documentId: 'dev-1', deviceIdHash: hashDeviceId(DEVICE_ID), trusted: true, trustedAt: new Date(now - 86400000) },
+    { documentId: 'dev-2', deviceIdHash: 'other', trusted: true, trustedAt: new Date(now - 40 * 86400000) },
+  ];
+  const strapi = { log, documents: () => ({ findMany: async () => devices }) };
+  const service = createDeviceService({ strapi });
+
+  const listed = await service.getUserDevices('user-1', { trustedDeviceDays: 30 }, { currentDeviceId: DEVICE_ID });
+
+  assert.deepEqual(listed.map((d) => [d.id, d.trusted, d.isCurrentDevice]), [
+    ['dev-1', true, true],
+    ['dev-2', false, false],
+  ]);
+  assert.equal('deviceIdHash' in listed[0], false);
+});
+
+test('GDPR mode truncates the last IP of devices not seen since the cutoff', async () => {
+  const devices = new Map([
+    ['dev-1', { documentId: 'dev-1', lastIpAddress: '203.0.113.77' }],
+    ['dev-2', { documentId: 'dev-2', lastIpAddress: '2001:db8:85a3::8a2e:370:7334' }],
+  ]);
+  const findManyCalls = [];
+  const strapi = {
+    log,
+    documents: () => ({
+      findMany: async (params) => {
+        findManyCalls.push(params);
+        return [...devices.values()].filter((device) => !device.anonymizedAt);
+      },
+      update: async ({ documentId, data }) => Object.assign(devices.get(documentId), data),
+    }),
+  };
+  const before = new Date('2026-09-19T00:00:00Z');
+
+  assert.equal(await createDeviceService({ strapi }).anonymize({ before }), 2);
+  assert.deepEqual(findManyCalls[0].filters, { lastSeen: { $lt: before }, anonymizedAt: { $null: true } });
+  assert.equal(devices.get('dev-1').lastIpAddress, '203.0.113.0');
+  assert.equal(devices.get('dev-2').lastIpAddress, '2001:db8:85a3::');
+  assert.ok(devices.get('dev-1').anonymizedAt instanceof Date);
+});
+
+function createLoginStrapi({ trustedFor }) {
+  invalidateSettingsCache();
+  const middleware = [];
+  const created = [];
+  const sessionService = {
+    createSession: async (data) => {
+      created.push(data);
+      return { documentId: 'session-new' };
+    },
+  };
+  const deviceService = {
+    isTrustedByAnyUser: async (deviceId) => deviceId === DEVICE_ID,
+    isTrustedForUser: async (userId, deviceId) => userId === trustedFor && deviceId === DEVICE_ID,
+    touchDevice: async ({ userId }) => ({
+      device: { documentId: 'device-1' },
+      wasTrusted: userId === trustedFor,
+    }),
+  };
+  const strapi = {
+    log,
+    middleware,
+    server: { use: (fn) => middleware.push(fn) },
+    config: {
+      get(key, fallback) {
+        if (key === 'plugin::magic-sessionmanager') {
+          return {
+            enableGeofencing: true,
+            blockedCountries: ['KP'],
+            enableDeviceTracking: true,
+            trustedDeviceGeoBypass: true,
+          };
+        }
+        return fallback;
+      },
+    },
+    store: () => ({ get: async () => null }),
+    plugin: () => ({
+      service(name) {
+        if (name === 'geolocation') {
+          return { getIpInfo: async () => ({ _status: 'ok', country_code: 'KP' }) };
+        }
+        if (name === 'device') return deviceService;
+        if (name === 'session') return sessionService;
+        throw new Error(`Unexpected service ${name}`);
+      },
+    }),
+  };
+  bootstrap.__private.mountPreLoginGeoGuard({ strapi, log });
+  bootstrap.__private.mountLoginInterceptor({ strapi, log, sessionService });
+  return { strapi, created };
+}
+
+async function login(strapi, userId) {
+  const ctx = createContext({
+    headers: { 'x-device-id': DEVICE_ID },
+    body: { jwt: 'issued-access', refreshToken: 'issued-refresh', user: { documentId: userId } },
+  });
+  const [geoGuard, interceptor] = strapi.middleware;
+  await geoGuard(ctx, () => interceptor(ctx, () => ctx.downstream()));
+  return ctx;
+}
+
+test('a trusted device passes the country block only for the user who trusts it', async () => {
+  const { strapi, created } = createLoginStrapi({ trustedFor: 'owner' });
+
+  const ownerCtx = await login(strapi, 'owner');
+  assert.equal(ownerCtx.status, 200);
+  assert.equal(ownerCtx.body.jwt, 'issued-access');
+  assert.equal(created.length, 1);
+  assert.equal(created[0].deviceId, 'device-1');
+
+  const otherCtx = await login(strapi, 'someone-else');
+  assert.equal(otherCtx.status, 403);
+  assert.equal(otherCtx.body.jwt, undefined);
+  assert.equal(created.length, 1);
+});
+
+test('a first login asking for trust still alerts; the trust applies from the next login', async () => {
+  invalidateSettingsCache();
+  const devices = [];
+  const documents = {
+    findFirst: async ({ filters }) => devices.find((d) =>
+      d.user === filters.user.documentId && d.deviceIdHash === filters.deviceIdHash) || null,
+    create: async ({ data }) => {
+      const device = { documentId: `device-${devices.length + 1}`, ...data };
+      devices.push(device);
+      return { ...device };
+    },
+    update: async ({ documentId, data }) => {
+      const device = devices.find((d) => d.documentId === documentId);
+      Object.assign(device, data);
+      return { ...device };
+    },
+  };
+  const alerts = [];
+  const middleware = [];
+  const sessionService = { createSession: async () => ({ documentId: `session-${alerts.length}` }) };
+  const strapi = {
+    log,
+    server: { use: (fn) => middleware.push(fn) },
+    documents: () => documents,
+    config: {
+      get: (key, fallback) => (key === 'plugin::magic-sessionmanager'
+        ? {
+            enableDeviceTracking: true,
+            trustedDeviceSuppressAlerts: true,
+            enableEmailAlerts: true,
+            alertOnSuspiciousLogin: true,
+          }
+        : fallback),
+    },
+    store: () => ({ get: async () => null }),
+  };
+  const deviceService = createDeviceService({ strapi });
+  const notifications = { sendSuspiciousLoginAlert: async ({ session }) => alerts.push(session.documentId) };
+  strapi.plugin = () => ({
+    service: (name) => ({ device: deviceService, session: sessionService, notifications })[name],
+  });
+  bootstrap.__private.mountLoginInterceptor({ strapi, log, sessionService });
+
+  const trustedLogin = async () => {
+    const ctx = createContext({
+      headers: { 'x-device-id': DEVICE_ID },
+      requestBody: { trustDevice: true },
+      body: { jwt: 'issued-access', user: { documentId: 'owner' } },
+    });
+    ctx.state.__magicSessionGeoData = { country_code: 'DE', isVpn: true };
+    await middleware[0](ctx, () => ctx.downstream());
+    return ctx;
+  };
+
+  assert.equal((await trustedLogin()).status, 200);
+  assert.equal(alerts.length, 1, 'the login that asks for trust is judged as untrusted');
+  assert.equal(devices.length, 1);
+  assert.equal(devices[0].trusted, true, 'trust is granted after the checks ran');
+
+  await trustedLogin();
+  assert.equal(alerts.length, 1, 'alerts are suppressed once the device is trusted');
+});